@@ -0,0 +1,150 @@
+/**
+ * ========================================
+ * SLIME SOCCER - BOT MATCHES
+ * Headless bot-vs-bot matches and win-rate batches
+ * ========================================
+ *
+ * A contender is anything MatchSimulation accepts as a controller: a bot
+ * function, { type: 'bot', bot, name } or the built-in AI as
+ * { type: 'ai', level }. A bot is called once per tick with a frozen
+ * snapshot of the match (see MatchSimulation#botSnapshot) and returns
+ * { left, right, jump, move? } for its own slime:
+ *
+ *   function chaser(snap){
+ *     const toward = snap.ball.x > snap.self.x ? 'right' : 'left';
+ *     return { [toward]: true, jump: snap.ball.y < snap.self.y - 60 };
+ *   }
+ *
+ * Batches alternate sides between matches so neither contender profits
+ * from always kicking off on the same side.
+ */
+
+// simulation.js is a global script in the browser and a module in Node
+const BotMatchSimulation = typeof MatchSimulation === 'function' ? MatchSimulation : require('./simulation.js').MatchSimulation;
+
+const BOT_MAX_TICKS = 60 * 60 * 10;   // Safety stop for rules that can run forever (golden goal)
+
+/**
+ * Example bot: runs at the ball from its own side and jumps at high balls
+ * @param {Object} snap - Bot snapshot
+ */
+function chaseBot(snap){
+  const back = snap.side === 'left' ? -1 : 1;
+  const targetX = snap.ball.x + back * 20;
+  return {
+    left: targetX < snap.self.x - 5,
+    right: targetX > snap.self.x + 5,
+    jump: Math.abs(snap.ball.x - snap.self.x) < 70 && snap.ball.y < snap.self.y - 30
+  };
+}
+
+/**
+ * Display name of a contender
+ */
+function contenderName(contender){
+  if (typeof contender === 'function') return contender.name || 'bot';
+  if (contender === 'ai') return 'AI (normal)';
+  if (contender?.type === 'ai') return `AI (${contender.level || 'normal'})`;
+  return contender?.name || contender?.bot?.name || 'bot';
+}
+
+/**
+ * Wrap a bot so its errors are counted instead of ending the match; a bot
+ * that throws stands still for that tick
+ */
+function guardBot(contender, onError){
+  const bot = typeof contender === 'function' ? contender : contender?.type === 'bot' ? contender.bot : null;
+  if (!bot) return contender;
+  const name = contenderName(contender);
+  const guarded = snap => {
+    try {
+      return bot(snap);
+    } catch (e) {
+      onError(e);
+      return null;
+    }
+  };
+  return { type: 'bot', bot: guarded, name };
+}
+
+/**
+ * Play one headless match between two contenders
+ * @param {Object} options
+ * @param {*} options.p1 - Left contender
+ * @param {*} options.p2 - Right contender
+ * @param {number|string} [options.seed] - Match seed
+ * @param {string} [options.gravity='normal']
+ * @param {Object} [options.rules] - Match rules (see DEFAULT_MATCH_RULES)
+ * @param {number} [options.maxTicks] - Stop an endless match after this many ticks
+ * @returns {{score:Object, winner:?string, ticks:number, errors:{p1:number, p2:number}, finished:boolean}}
+ */
+function playBotMatch({ p1, p2, seed, gravity = 'normal', rules = null, maxTicks = BOT_MAX_TICKS }){
+  const errors = { p1: 0, p2: 0 };
+  const sim = new BotMatchSimulation({
+    mode: 'spectate',
+    gravity,
+    rules,
+    seed,
+    controllers: {
+      p1: guardBot(p1, () => errors.p1++),
+      p2: guardBot(p2, () => errors.p2++)
+    }
+  });
+  let winner = null;
+  sim.on('end', e => { winner = e.winner; });
+  while (sim.state === 'playing' && sim.tick < maxTicks) sim.step({});
+  return { score: { ...sim.score }, winner, ticks: sim.tick, errors, finished: sim.state === 'ended' };
+}
+
+/**
+ * Play many matches between two contenders and tally the results
+ * @param {Object} options
+ * @param {*} options.a - First contender
+ * @param {*} options.b - Second contender
+ * @param {number} [options.matches=100]
+ * @param {number} [options.seed=1] - Match i uses seed + i
+ * @param {boolean} [options.swapSides=true] - Alternate who plays the left slime
+ * @param {string} [options.gravity]
+ * @param {Object} [options.rules]
+ * @param {Function} [options.onMatch] - Called with (index, result) after each match
+ * @returns {{matches:number, draws:number, a:Object, b:Object}} Per contender:
+ *   { name, wins, losses, draws, goalsFor, goalsAgainst, errors, winRate }
+ */
+function runBotBatch({ a, b, matches = 100, seed = 1, swapSides = true, gravity, rules, onMatch }){
+  const tally = contender => ({
+    name: contenderName(contender), wins: 0, losses: 0, draws: 0, goalsFor: 0, goalsAgainst: 0, errors: 0, winRate: 0
+  });
+  const result = { matches, draws: 0, a: tally(a), b: tally(b) };
+
+  for (let i = 0; i < matches; i++) {
+    const swap = swapSides && i % 2 === 1;
+    const match = playBotMatch({ p1: swap ? b : a, p2: swap ? a : b, seed: (seed + i) >>> 0, gravity, rules });
+    const sides = swap ? { a: 'p2', b: 'p1' } : { a: 'p1', b: 'p2' };
+    ['a', 'b'].forEach(key => {
+      const side = sides[key];
+      const other = side === 'p1' ? 'p2' : 'p1';
+      const t = result[key];
+      t.goalsFor += match.score[side];
+      t.goalsAgainst += match.score[other];
+      t.errors += match.errors[side];
+      if (match.winner === null) t.draws++;
+      else if (match.winner === side) t.wins++;
+      else t.losses++;
+    });
+    if (match.winner === null) result.draws++;
+    onMatch?.(i, match);
+  }
+
+  result.a.winRate = matches ? result.a.wins / matches : 0;
+  result.b.winRate = matches ? result.b.wins / matches : 0;
+  return result;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    playBotMatch,
+    runBotBatch,
+    contenderName,
+    chaseBot
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * ========================================
+ * SLIME SOCCER - CONTROLS
+ * Per-player action bindings on physical keys
+ * ========================================
+ *
+ * Bindings map each player's actions to KeyboardEvent.code values, which
+ * name the physical key rather than the character it types. Layouts such as
+ * AZERTY or Turkish-F therefore get the same key positions, and Shift or
+ * Caps Lock can no longer leave a key "stuck" under a different name.
+ *
+ * Adding an action is one entry in CONTROL_ACTIONS plus a default key per
+ * player in DEFAULT_BINDINGS; the controls screen and the action state
+ * pick it up from there.
+ */
+
+const CONTROL_PLAYERS = ['p1', 'p2'];
+
+// Actions a player can bind, in the order the controls screen lists them;
+// labels are the fallback for the 'action.<id>' strings in i18n.js
+const CONTROL_ACTIONS = [
+  { id: 'left', label: 'Sola Git' },
+  { id: 'right', label: 'Sağa Git' },
+  { id: 'jump', label: 'Zıpla' }
+];
+
+const DEFAULT_BINDINGS = {
+  p1: { left: 'KeyA', right: 'KeyD', jump: 'KeyW' },
+  p2: { left: 'ArrowLeft', right: 'ArrowRight', jump: 'ArrowUp' }
+};
+
+// Short names for keys whose code is not readable on its own ('key.<code>' in i18n.js translates them)
+const KEY_LABELS = {
+  ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓',
+  Space: 'Boşluk', Enter: 'Enter', ShiftLeft: 'Sol Shift', ShiftRight: 'Sağ Shift',
+  ControlLeft: 'Sol Ctrl', ControlRight: 'Sağ Ctrl', AltLeft: 'Sol Alt', AltRight: 'Sağ Alt',
+  Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/', Backslash: '\\',
+  BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=', Backquote: '`'
+};
+
+/**
+ * Every action of both players released
+ * @returns {{p1:Object, p2:Object}} player -> action -> pressed
+ */
+function emptyActions(){
+  const actions = {};
+  CONTROL_PLAYERS.forEach(player => {
+    actions[player] = {};
+    CONTROL_ACTIONS.forEach(({ id }) => { actions[player][id] = false; });
+  });
+  return actions;
+}
+
+/**
+ * Complete a saved binding set; unknown actions are dropped and missing ones
+ * fall back to their default key
+ * @param {Object} [saved] - player -> action -> code
+ * @returns {Object} Full binding set
+ */
+function normalizeBindings(saved = {}){
+  const bindings = {};
+  CONTROL_PLAYERS.forEach(player => {
+    bindings[player] = {};
+    CONTROL_ACTIONS.forEach(({ id }) => {
+      const code = saved?.[player]?.[id];
+      bindings[player][id] = typeof code === 'string' && code ? code : DEFAULT_BINDINGS[player][id];
+    });
+  });
+  return bindings;
+}
+
+/**
+ * Everything a key is bound to
+ * @param {Object} bindings - Full binding set
+ * @param {string} code - KeyboardEvent.code
+ * @returns {Array<{player:string, action:string}>}
+ */
+function actionsForCode(bindings, code){
+  const hits = [];
+  CONTROL_PLAYERS.forEach(player => {
+    CONTROL_ACTIONS.forEach(({ id }) => {
+      if (bindings[player][id] === code) hits.push({ player, action: id });
+    });
+  });
+  return hits;
+}
+
+/**
+ * Keys bound to more than one action
+ * @param {Object} bindings - Full binding set
+ * @returns {Array<{code:string, uses:Array<{player:string, action:string}>}>}
+ */
+function bindingConflicts(bindings){
+  const codes = new Set();
+  CONTROL_PLAYERS.forEach(player => Object.values(bindings[player]).forEach(code => codes.add(code)));
+  return [...codes]
+    .map(code => ({ code, uses: actionsForCode(bindings, code) }))
+    .filter(c => c.uses.length > 1);
+}
+
+/**
+ * Display name for a key code, e.g. 'KeyA' -> 'A', 'Numpad4' -> 'Num 4'
+ * @param {string} code - KeyboardEvent.code
+ */
+function keyLabel(code){
+  if (!code) return '—';
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (/^Numpad/.test(code)) return `Num ${code.slice(6)}`;
+  return code;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONTROL_ACTIONS,
+    CONTROL_PLAYERS,
+    DEFAULT_BINDINGS,
+    emptyActions,
+    normalizeBindings,
+    actionsForCode,
+    bindingConflicts,
+    keyLabel
+  };
+}
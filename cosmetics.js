@@ -0,0 +1,131 @@
+/**
+ * ========================================
+ * SLIME SOCCER - SLIME COSMETICS
+ * Names, body colors, eyes and accessories per player
+ * ========================================
+ *
+ * A player's cosmetics are { name, color, eyes, accessory }. They only
+ * change how a slime is drawn and named, never how it plays, so they stay
+ * out of the simulation, replays and online rooms. An empty name falls
+ * back to the profile or "Player N"; a null color uses the theme's color.
+ *
+ * Adding an eye style or accessory is one entry here plus its drawing in
+ * Game.drawSlimeEyes / Game.drawSlimeAccessory; its 'eyes.<id>' or
+ * 'accessory.<id>' string in i18n.js names it in other languages.
+ */
+
+const COSMETIC_SLOTS = ['p1', 'p2'];
+const SLIME_NAME_MAX = 16;
+const MIN_SLIME_CONTRAST = 1.25;   // Below this a slime melts into every part of the backdrop
+
+const SLIME_EYES = [
+  { id: 'classic', label: 'İki Göz' },
+  { id: 'single', label: 'Tek Göz (Orijinal)' },
+  { id: 'sleepy', label: 'Uykulu' },
+  { id: 'angry', label: 'Kızgın' }
+];
+
+const SLIME_ACCESSORIES = [
+  { id: 'none', label: 'Yok' },
+  { id: 'hat', label: 'Şapka' },
+  { id: 'headband', label: 'Saç Bandı' },
+  { id: 'sunglasses', label: 'Güneş Gözlüğü' }
+];
+
+const DEFAULT_COSMETIC = { name: '', color: null, eyes: 'classic', accessory: 'none' };
+
+/**
+ * Complete one player's saved cosmetics; anything unknown falls back to the default
+ * @param {Object} [saved]
+ * @returns {{name:string, color:?string, eyes:string, accessory:string}}
+ */
+function normalizeCosmetic(saved = {}){
+  const c = { ...DEFAULT_COSMETIC };
+  if (typeof saved?.name === 'string') c.name = saved.name.trim().slice(0, SLIME_NAME_MAX).trim();
+  if (typeof saved?.color === 'string' && /^#[0-9a-f]{6}$/i.test(saved.color)) c.color = saved.color.toLowerCase();
+  if (SLIME_EYES.some(e => e.id === saved?.eyes)) c.eyes = saved.eyes;
+  if (SLIME_ACCESSORIES.some(a => a.id === saved?.accessory)) c.accessory = saved.accessory;
+  return c;
+}
+
+/**
+ * @param {Object} [saved] - slot -> cosmetics
+ * @returns {{p1:Object, p2:Object}}
+ */
+function normalizeCosmetics(saved = {}){
+  const out = {};
+  COSMETIC_SLOTS.forEach(slot => { out[slot] = normalizeCosmetic(saved?.[slot]); });
+  return out;
+}
+
+/**
+ * Read a #rgb, #rrggbb(aa) or rgb()/rgba() color
+ * @returns {?number[]} [r, g, b] in 0-255, null for anything else (color names, gradients)
+ */
+function parseColor(color){
+  if (typeof color !== 'string') return null;
+  const s = color.trim();
+  let m = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(s);
+  if (m) {
+    const hex = m[1].length <= 4 ? [...m[1].slice(0, 3)].map(x => x + x).join('') : m[1].slice(0, 6);
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  }
+  m = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(s);
+  return m ? [m[1], m[2], m[3]].map(v => Math.min(255, Number(v))) : null;
+}
+
+/**
+ * @returns {?string} The color as #rrggbb (what <input type="color"> takes)
+ */
+function colorToHex(color){
+  const rgb = parseColor(color);
+  return rgb ? `#${rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}` : null;
+}
+
+/**
+ * WCAG contrast ratio between two colors, 1 (same) to 21 (black on white)
+ * @returns {?number} null when either color cannot be read
+ */
+function contrastRatio(a, b){
+  const luminance = rgb => {
+    const [r, g, bl] = rgb.map(v => {
+      const c = v / 255;
+      return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * bl;
+  };
+  const x = parseColor(a), y = parseColor(b);
+  if (!x || !y) return null;
+  const [hi, lo] = [luminance(x), luminance(y)].sort((p, q) => q - p);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+/**
+ * How well a body color stands out in a theme: its best contrast against the
+ * sky stops and the field. A slime only has to stand out somewhere; one
+ * below MIN_SLIME_CONTRAST blends in everywhere.
+ * @param {string} color - Body color
+ * @param {Object} theme - Theme definition (themes.js)
+ * @returns {number} Contrast ratio (Infinity when the theme's colors cannot be read)
+ */
+function themeContrast(color, theme){
+  const ratios = [...theme.sky, theme.field.color].map(bg => contrastRatio(color, bg)).filter(r => r !== null);
+  return ratios.length ? Math.max(...ratios) : Infinity;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COSMETIC_SLOTS,
+    SLIME_EYES,
+    SLIME_ACCESSORIES,
+    SLIME_NAME_MAX,
+    MIN_SLIME_CONTRAST,
+    DEFAULT_COSMETIC,
+    normalizeCosmetic,
+    normalizeCosmetics,
+    parseColor,
+    colorToHex,
+    contrastRatio,
+    themeContrast
+  };
+}
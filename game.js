@@ -21,6 +21,7 @@
  */
 const Sound = (() => {
   let ctx;
+  let muted = false;
   try {
     ctx = new (window.AudioContext || window.webkitAudioContext)();
   } catch (e) {
@@ -28,7 +29,7 @@ const Sound = (() => {
     return {
       kick: () => {}, goal: () => {}, power: () => {}, click: () => {},
       bounce: () => {}, combo: () => {}, freeze: () => {}, fire: () => {},
-      goalFanfare: () => {}
+      goalFanfare: () => {}, setMuted: () => {}
     };
   }
 
@@ -42,7 +43,7 @@ const Sound = (() => {
    */
   function beep(freq=440, dur=0.08, type='square', gain=0.05, fadeOut=true){
     try {
-      if (!ctx || ctx.state === 'closed') return;
+      if (muted || !ctx || ctx.state === 'closed') return;
       const o = ctx.createOscillator();
       const g = ctx.createGain();
       o.type = type;
@@ -69,17 +70,35 @@ const Sound = (() => {
     goalFanfare(){ 
       const melody = [880, 1046.5, 1318.5, 1568];
       melody.forEach((f, i) => setTimeout(() => beep(f, .15, 'square', .1, true), i * 150));
-    }
+    },
+    setMuted(m){ muted = !!m; }
   }
 })();
 
-// --- Mathematical Utility Functions ---
-const clamp=(n,mi,ma)=>Math.max(mi,Math.min(ma,n));
-const rand=(a,b)=>Math.random()*(b-a)+a;
-const lerp=(a,b,t)=>a+(b-a)*t;
+// Theme layer type -> Game method that paints it (see themes.js)
+const THEME_LAYER_PAINTERS = {
+  stars: 'drawStarsLayer',
+  sun: 'drawSunLayer',
+  clouds: 'drawCloudsLayer',
+  crowd: 'drawCrowdLayer',
+  palms: 'drawPalmsLayer',
+  grid: 'drawGridLayer',
+  image: 'drawImageLayer'
+};
+
+/**
+ * Stable pseudo-random value in [0, 1) for placing decorations, so stars
+ * and spectators keep their spots from frame to frame
+ * @param {number} n
+ */
+function themeHash(n){
+  const x = Math.sin(n * 12.9898) * 43758.5453;
+  return x - Math.floor(x);
+}
 
 /**
- * Main Game Class - Handles all game logic, physics, rendering, and state management
+ * Main Game Class - Browser shell around MatchSimulation (simulation.js).
+ * Handles input, rendering, sound, effects, UI and state management.
  */
 class Game {
   constructor(){
@@ -98,6 +117,31 @@ class Game {
     this.idleCallbacks = [];
     this.lastIdleTime = 0;
     
+    // Fixed-timestep simulation clock
+    this.tickRate = 60;                    // Simulation ticks per second
+    this.tickMs = 1000 / this.tickRate;    // Simulated milliseconds per tick
+    this.maxCatchUpSteps = 5;              // Max ticks per frame after a stall
+    this.maxFrameDelta = 250;              // Ignore frame gaps longer than this (ms)
+    this.accumulator = 0;
+    this.renderAlpha = 1;
+    this.timeScale = 1;                    // Playback speed multiplier
+
+    // Replay recording / playback
+    this.recorder = null;
+    this.replay = null;
+    this.lastReplay = null;
+    this.fastForwarding = false;
+
+    // Online match (NetplayClient from netplay.js), null when playing locally
+    this.net = null;
+
+    // Tournament in progress (Tournament from tournament.js) and the fixture being played
+    this.tournament = null;
+    this.tournamentMatch = null;           // { id, swap } while a tournament match runs
+
+    // Cosmetic randomness (particles, shake); gameplay randomness lives in the simulation
+    this.fxRng = createRng(randomSeed());
+
     // Performance monitoring
     this.fps = 60;
     this.frameTime = 0;
@@ -106,6 +150,10 @@ class Game {
     
     // Settings persistence
     this.settingsKey = 'slimeSoccerSettings';
+    this.themesKey = 'slimeSoccerThemes';    // Themes imported from JSON files
+    this.cosmeticsKey = 'slimeSoccerCosmetics';
+    this.tournamentKey = 'slimeSoccerTournament';
+    this.profiles = new ProfileStore(localStorage);
 
     try {
       this.initializeGame();
@@ -121,6 +169,7 @@ class Game {
     // DOM elements with null checks
     this.canvas = document.getElementById('game');
     this.ctx = this.canvas?.getContext('2d');
+    this.view = { scale: 1, x: 0, y: 0 };  // World -> canvas pixels (see fitView)
     this.menu = document.getElementById('menu');
     this.ui = document.getElementById('ui');
     this.legend = document.getElementById('legend');
@@ -128,9 +177,13 @@ class Game {
     this.fxRoot = document.getElementById('fx-root');
     this.touchpad = document.getElementById('touchpad');
     this.timeEl = document.getElementById('time');
+    this.timerEl = document.getElementById('timer');
     this.p1sEl = document.getElementById('p1s');
     this.p2sEl = document.getElementById('p2s');
     this.errorEl = document.getElementById('errorMessage');
+    this.pingEl = document.getElementById('pingEl');
+    this.onlineStatusEl = document.getElementById('onlineStatus');
+    this.tournamentScreen = document.getElementById('tournamentScreen');
 
     if (!this.canvas || !this.ctx) {
       throw new Error("Canvas initialization failed");
@@ -139,49 +192,176 @@ class Game {
     // Game settings
     this.mode = 'soccer';
     this.theme = 'stadium';
+    this.look = getTheme(this.theme);      // Theme definition the renderer paints (themes.js)
     this.gravitySetting = 'normal';
-    this.setDifficulty('normal');
+    this.difficulty = 'normal';
+    this.leftDifficulty = 'normal';     // Left AI in spectator matches
+    this.rules = normalizeRules();
+    this.cosmetics = this.loadCosmetics();  // Per-slot name, color, eyes, accessory (cosmetics.js)
+    this.language = matchLanguage(navigator.languages || [navigator.language]);  // Until settings say otherwise (i18n.js)
 
-    // Physics constants - carefully tuned for realistic gameplay
-    this.gravity = 0.5;        // Downward acceleration (pixels/frame²)
-    this.friction = 0.85;      // Ground friction coefficient (0-1)
-    this.bounceDecay = 0.8;    // Energy loss on collision (0-1)
-
-    // Initialize entities
-    this.resetEntities();
+    // Match simulation (entities, physics, AI, goals, power-ups)
+    this.createSimulation();
 
     // Game state
     this.state = 'menu';
-    this.score = {p1:0, p2:0};
-    this.timeLeft = 90;
-    this.keys = {};
+    this.bindings = normalizeBindings();
+    this.actions = emptyActions();
+    this.gamepads = new GamepadInput(() => (navigator.getGamepads ? navigator.getGamepads() : []));
+    this.touch = new TouchControls();
+    this.touchLayout = 'buttons';
     this.particles = [];
     this.ballTrail = [];
-    this.powerUps = [];
-    this.lastSpawn = 0;
-    this.winningScore = 5;
-    this.lastScoredPlayer = null;
     this.frameCount = 0;
 
     // Enhanced features
-    this.combo = {p1: 0, p2: 0};
-    this.lastHit = {player: null, time: 0};
     this.screenShake = 0;
 
     // Initialize controls
     this.bindKeys();
+    this.bindGamepads();
     this.bindUI();
     this.resizeForMobile();
     
     // Visibility change handler
     this._onVisibilityChange = () => {
-      if (document.hidden && this.state === 'playing') {
+      if (document.hidden) this.releaseInputs();
+      // An online match cannot pause; the peer would just stall
+      if (document.hidden && this.state === 'playing' && !this.net) {
         this.togglePause();
       }
     };
     document.addEventListener('visibilitychange', this._onVisibilityChange);
   }
 
+  // --- Simulation Bridge ---
+  /**
+   * Create a fresh match simulation on the fixed world field and wire its
+   * events to sound, effects and the HUD
+   * @param {number|string} [seed] - Match seed
+   */
+  createSimulation(seed){
+    this.sim = new MatchSimulation({
+      mode: this.mode,
+      gravity: this.gravitySetting,
+      difficulty: this.difficulty,
+      controllers: this.mode === 'spectate' ? { p1: { type: 'ai', level: this.leftDifficulty }, p2: 'ai' } : null,
+      tickRate: this.tickRate,
+      rules: this.rules,
+      seed
+    });
+
+    const sim = this.sim;
+    this.stats = new MatchStats(sim);
+    sim.on('jump', ({player, ai}) => {
+      this.makeDust(player === 1 ? sim.player1 : sim.player2);
+      if (!ai) Sound.kick();
+    });
+    sim.on('kick', ({player, x, y, fire}) => {
+      this.rumble(player, fire ? 0.8 : 0.35, fire ? 200 : 80);
+      if (fire) {
+        this.spark(x, y, '#ff9100');
+        this.spark(x, y, '#ffea00');
+        this.screenShake = 14;
+        Sound.fire();
+        return;
+      }
+      this.spark(x, y, this.look.particles.kick);
+      this.screenShake = Math.min(this.screenShake + 3, 8);
+      Sound.kick();
+    });
+    sim.on('combo', ({player, count}) => {
+      this.showCombo(player, count);
+      Sound.combo();
+    });
+    sim.on('bounce', ({x, y}) => {
+      this.puff(x, y, this.look.particles.bounce);
+      Sound.bounce();
+    });
+    sim.on('goal', ({score, scorer}) => {
+      this.rumble(scorer === 'p1' ? 1 : 2, 1, 400);
+      this.rumble(scorer === 'p1' ? 2 : 1, 0.4, 250);
+      Sound.goal();
+      this.flash();
+      this.toast(t('game.goal', { name: this.matchNames()[scorer] }), 900);
+      this.screenShake = 15;
+      if (this.p1sEl) this.p1sEl.textContent = score.p1;
+      if (this.p2sEl) this.p2sEl.textContent = score.p2;
+    });
+    // Everyone jumps back to their spot; do not draw them sliding there
+    sim.on('kickoff', () => this.snapInterpolation());
+    sim.on('post', ({x, y}) => {
+      this.spark(x, y, this.look.particles.kick);
+      Sound.bounce();
+    });
+    sim.on('power', ({type, x, y}) => {
+      const def = getPowerUp(type);
+      (Sound[def?.sound] || Sound.power)();
+      if (def?.toast) this.toast(t(`power.${type}.toast`, {}, def.toast[0]), def.toast[1]);
+      this.spark(x, y - 20, this.look.particles.power);
+    });
+    sim.on('clock', () => this.updateTimer());
+    sim.on('overtime', ({phase}) => {
+      const labels = { 'golden-goal': 'game.goldenGoal', 'extra-time': 'game.extraTime', shootout: 'game.shootout' };
+      this.toast(t(labels[phase]), 1400);
+      if (phase === 'shootout') {
+        this.snapInterpolation();
+        this.toast(t('game.shooter', { name: this.matchNames()[`p${sim.shootout.shooter}`] }), 1200);
+      }
+      this.updateTimer();
+    });
+    sim.on('penalty', ({scored, tally}) => {
+      // An open-play penalty that goes in is announced by the goal itself
+      if (!tally) {
+        if (!scored) this.toast(t('game.penaltyMiss'), 900);
+        return;
+      }
+      if (scored) Sound.goal();
+      this.toast(t(scored ? 'game.penaltyGoal' : 'game.penaltyMiss'), 900);
+      if (sim.state === 'playing') this.toast(t('game.shooter', { name: this.matchNames()[`p${sim.shootout.shooter}`] }), 1200);
+      this.snapInterpolation();
+      this.updateTimer();
+    });
+    sim.on('hanging', ({player, award}) => {
+      const names = this.matchNames();
+      this.toast(t('game.goalHanging', { name: names[`p${player}`] }), 1200);
+      if (award === 'penalty') {
+        this.toast(t('game.penaltyAwarded', { name: names[player === 1 ? 'p2' : 'p1'] }), 1200);
+        this.snapInterpolation();
+      }
+    });
+    sim.on('end', result => this.endGame(result));
+    sim.on('error', ({context, error}) => this.handleError(context, error));
+    return sim;
+  }
+
+  // Read-only views of simulation state used by rendering and the HUD
+  get player1(){ return this.sim?.player1; }
+  get player2(){ return this.sim?.player2; }
+  get ball(){ return this.sim?.ball; }
+  get goals(){ return this.sim?.goals; }
+  get powerUps(){ return this.sim ? this.sim.powerUps : []; }
+  get score(){ return this.sim ? this.sim.score : {p1:0, p2:0}; }
+  get timeLeft(){ return this.sim ? this.sim.timeLeft : 0; }
+  get combo(){ return this.sim?.combo; }
+  get simTime(){ return this.sim ? this.sim.simTime : 0; }
+  get tick(){ return this.sim ? this.sim.tick : 0; }
+  get seed(){ return this.sim?.seed; }
+
+  /**
+   * Translate the action state into per-player intents for the simulation
+   * @param {{p1:Object, p2:Object}} actions - player -> action -> pressed
+   * @returns {Object} Simulation input
+   */
+  inputFromActions(actions){
+    const intent = a => {
+      const out = { left: !!a.left, right: !!a.right, jump: !!a.jump };
+      if (typeof a.move === 'number') out.move = a.move;
+      return out;
+    };
+    return { p1: intent(actions.p1), p2: intent(actions.p2) };
+  }
+
   // --- Enhanced Error Handling ---
   /**
    * Centralized error handling with recovery mechanisms
@@ -194,7 +374,7 @@ class Game {
     this.lastErrorTime = Date.now();
     
     if (this.errorEl) {
-      this.errorEl.textContent = `Hata: ${context}`;
+      this.errorEl.textContent = t('game.error', { context });
       this.errorEl.style.display = 'block';
       this.createTimeout(() => {
         if (this.errorEl) this.errorEl.style.display = 'none';
@@ -214,8 +394,20 @@ class Game {
     this.clearAllTimers();
     this.state = 'menu';
     this.errorCount = 0;
+    this.replay = null;
+    this.recorder = null;
+    this.tournamentMatch = null;
+    this.timeScale = 1;
+    this.capturing = null;
+    this.actions = emptyActions();
     
     try {
+      this.leaveOnline();
+      this.tournamentScreen?.classList.add('hidden');
+      document.getElementById('statsScreen')?.classList.add('hidden');
+      document.getElementById('controlsScreen')?.classList.add('hidden');
+      document.getElementById('cosmeticsScreen')?.classList.add('hidden');
+      document.getElementById('replayBar')?.classList.add('hidden');
       if (this.menu) this.menu.classList.remove('hidden');
       if (this.ui) this.ui.classList.add('hidden');
       if (this.canvas) this.canvas.classList.add('hidden');
@@ -345,11 +537,73 @@ class Game {
     this.lastIdleTime = performance.now();
     this.lastFrameTime = performance.now();
     this._lastTime = performance.now();
+    this.accumulator = 0;
     this.loop();
   }
 
   /**
-   * Main game loop - 60fps rendering with idle processing
+   * Advance the simulation by as many fixed ticks as the elapsed wall time
+   * allows. Long stalls are capped so the game never spirals trying to catch up.
+   * @param {number} now - Current wall-clock time in milliseconds
+   * @returns {number} Number of ticks simulated
+   */
+  stepSimulation(now) {
+    const delta = Math.min(Math.max(now - this._lastTime, 0), this.maxFrameDelta);
+    this._lastTime = now;
+    this.accumulator += delta * this.timeScale;
+
+    // Fast playback legitimately needs more ticks per frame
+    const maxSteps = Math.ceil(this.maxCatchUpSteps * Math.max(1, this.timeScale));
+    let steps = 0;
+    while (this.accumulator >= this.tickMs && steps < maxSteps) {
+      // Online: wait for the peer's input instead of guessing it
+      if (this.net?.session && !this.net.session.ready(this.tick)) {
+        this.accumulator = Math.min(this.accumulator, this.tickMs);
+        break;
+      }
+      this.advanceTick();
+      this.accumulator -= this.tickMs;
+      steps++;
+      if (this.state !== 'playing') break;
+    }
+
+    // Drop whatever is left after hitting the cap instead of carrying the debt
+    if (steps >= maxSteps) {
+      this.accumulator = this.accumulator % this.tickMs;
+    }
+
+    this.renderAlpha = clamp(this.accumulator / this.tickMs, 0, 1);
+    return steps;
+  }
+
+  /**
+   * Run exactly one simulation tick
+   */
+  advanceTick() {
+    this.storePreviousPositions();
+    this.update();
+  }
+
+  /**
+   * Remember entity positions before a tick so rendering can interpolate
+   */
+  storePreviousPositions() {
+    [this.player1, this.player2, this.ball].forEach(e => {
+      if (!e) return;
+      e.px = e.x;
+      e.py = e.y;
+    });
+  }
+
+  /**
+   * Discard interpolation history after a teleport (kickoff, reset)
+   */
+  snapInterpolation() {
+    this.storePreviousPositions();
+  }
+
+  /**
+   * Main game loop - fixed-step simulation, interpolated rendering
    */
   loop = () => {
     if (!this.isRunning || this.state !== 'playing') {
@@ -359,12 +613,13 @@ class Game {
 
     try {
       this.updateFPS();
-      this.update();
-      this.render();
+      const now = performance.now();
+      this.stepSimulation(now);
+      this.render(this.renderAlpha);
       this.frameCount++;
+      if (this.replay) this.updateReplayBar();
       
       // Process idle callbacks periodically
-      const now = performance.now();
       if (now - this.lastIdleTime > 100) {
         this.processIdleCallbacks();
         this.lastIdleTime = now;
@@ -400,599 +655,1824 @@ class Game {
   /**
    * Save settings to localStorage
    */
-  saveSettings(mode, gravity, difficulty, theme) {
+  saveSettings(mode, gravity, difficulty, theme, rules) {
     try {
-      const settings = { mode, gravity, difficulty, theme };
+      const settings = {
+        mode, gravity, difficulty, leftDifficulty: this.leftDifficulty, theme, rules,
+        controls: this.bindings, touchLayout: this.touchLayout, language: this.language
+      };
       localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+      this.profiles.saveSettings(this.profiles.slots.p1, settings);
     } catch (e) {
       console.warn("Failed to save settings:", e);
     }
   }
-  
-  // --- Game State Management ---
+
+  // --- Language ---
   /**
-   * Start new game with specified settings
+   * Switch the interface language: the static labels marked with data-i18n
+   * in index.html, then everything the game writes itself
+   * @param {string} lang - Language id (see I18N_LANGUAGES)
+   */
+  applyLanguage(lang){
+    this.language = setLanguage(lang);
+    document.documentElement?.setAttribute('lang', this.language);
+    const select = document.getElementById('languageSelect');
+    if (select) select.value = this.language;
+    // An element whose key no table has keeps its current text
+    document.querySelectorAll('[data-i18n], [data-i18n-title], [data-i18n-placeholder]').forEach(el => {
+      const params = el.dataset.i18nCount !== undefined ? { count: Number(el.dataset.i18nCount) } : {};
+      if (el.dataset.i18n) el.textContent = t(el.dataset.i18n, params, el.textContent);
+      if (el.dataset.i18nTitle) el.title = t(el.dataset.i18nTitle, params, el.title);
+      if (el.dataset.i18nPlaceholder) el.placeholder = t(el.dataset.i18nPlaceholder, params, el.placeholder);
+    });
+    this.renderProfiles();
+    this.renderThemeOptions();
+    this.entrantRows?.forEach(({ select: entrant }) => this.labelEntrantSelect(entrant));
+    this.updateControlsHint();
+    this.updatePadStatus();
+    this.updateScoreNames();
+    if (this.sim) {
+      this.updateLegend();
+      this.updateTimer();
+      this.updateActivePowersDisplay();
+    }
+  }
+
+  /**
+   * Remember the chosen language with the settings and in the P1 profile
    */
-  start(mode='soccer', gravity='normal', diff='normal', theme='stadium'){
+  saveLanguage(){
     try {
-      this.clearAllTimers();
-      
-      if (!this.ctx || this.ctx.canvas.width === 0) {
-        throw new Error("Invalid canvas context");
-      }
-      
-      this.mode = mode; 
-      this.gravitySetting = gravity;
-      this.setDifficulty(diff); 
-      this.theme = theme;
-      
-      // Save settings
-      this.saveSettings(mode, gravity, diff, theme);
-      
-      // UI updates
-      this.menu?.classList.add('hidden');
-      this.ui?.classList.remove('hidden');
-      this.legend?.classList.remove('hidden');
-      this.powerIndicator?.classList.remove('hidden');
-      this.canvas?.classList.remove('hidden');
-      
-      // Reset game state
-      this.state = 'playing'; 
-      this.score = {p1:0, p2:0}; 
-      this.timeLeft = 90; 
-      this.combo = {p1:0, p2:0}; 
-      this.powerUps = [];
-      this.particles = [];
-      this.ballTrail = [];
-      this.lastScoredPlayer = null;
-      this.errorCount = 0;
-      
-      this.resetEntities();
-      this.applyTheme();
-      this.setGameRules();
-      
-      if (this.p1sEl) this.p1sEl.textContent = '0';
-      if (this.p2sEl) this.p2sEl.textContent = '0';
-      if (this.timeEl) this.timeEl.textContent = '90';
-      
-      this.startLoop();
-      
+      localStorage.setItem(this.settingsKey, JSON.stringify({ ...this.loadSettings(), language: this.language }));
     } catch (e) {
-      this.handleError("Start game error", e);
+      console.warn("Failed to save settings:", e);
     }
+    const profile = this.profiles.slotProfile('p1');
+    if (profile) this.profiles.saveSettings(profile.id, { ...profile.settings, language: this.language });
   }
 
-  restart(){
-    this.start(this.mode, this.gravitySetting, this.difficulty, this.theme);
+  // --- Player Profiles ---
+  /**
+   * Put a profile in a player slot; P1's profile brings its own menu settings
+   * @param {'p1'|'p2'} slot
+   * @param {?string} id - Profile id, null for a guest
+   */
+  selectProfile(slot, id){
+    this.profiles.assign(slot, id);
+    if (slot === 'p1' && id) this.applyMenuSettings(this.profiles.get(id)?.settings);
+    const cosmetic = this.profiles.get(id)?.cosmetic;
+    if (cosmetic) this.setCosmetics({ ...this.cosmetics, [slot]: cosmetic });
+    this.renderProfiles();
   }
 
   /**
-   * Toggle pause state
+   * Create a profile and seat it in the first free slot
    */
-  togglePause(){
+  createProfile(name){
     try {
-      if(this.state === 'playing'){ 
-        this.state = 'paused';
-        this.isRunning = false;
-        if (this.animationFrameId) {
-          cancelAnimationFrame(this.animationFrameId);
-          this.animationFrameId = null;
-        }
-        this.toast('Duraklatıldı ⏸️', 700); 
-      } else if (this.state === 'paused') { 
-        this.state = 'playing'; 
-        this.toast('Devam! ▶️', 600); 
-        this._lastTime = performance.now();
-        this.startLoop();
-      }
+      const profile = this.profiles.create(name);
+      const slot = !this.profiles.slots.p1 ? 'p1' : !this.profiles.slots.p2 ? 'p2' : null;
+      if (slot) this.profiles.assign(slot, profile.id);
+      this.setProfileStatus(t('profile.added', { name: profile.name }));
     } catch (e) {
-      this.handleError("Pause error", e);
+      this.setProfileStatus(e.message);
     }
+    this.renderProfiles();
   }
 
   /**
-   * End game and show results
+   * Delete the P1 profile after asking
    */
-  endGame(){
-    if(this.state !== 'playing') return;
-    
-    try {
-      this.state = 'ended';
-      this.clearAllTimers();
+  deleteProfile(){
+    const profile = this.profiles.slotProfile('p1');
+    if (!profile) return;
+    if (window.confirm && !window.confirm(t('profile.confirmDelete', { name: profile.name }))) return;
+    this.profiles.remove(profile.id);
+    this.setProfileStatus(t('profile.deleted', { name: profile.name }));
+    this.renderProfiles();
+  }
 
-      let winner = 'Berabere';
-      if (this.score.p1 > this.score.p2) winner = 'Oyuncu 1';
-      else if (this.score.p2 > this.score.p1) winner = 'Oyuncu 2';
-      
-      this.toast(`🎉 ${winner} kazandı!`, 2000);
-      
-      this.createTimeout(() => {
-        this.menu?.classList.remove('hidden');
-        this.ui?.classList.add('hidden');
-        this.legend?.classList.add('hidden');
-        this.powerIndicator?.classList.add('hidden');
-        this.canvas?.classList.add('hidden');
-        this.state = 'menu';
-      }, 2100);
-      
-    } catch (e) {
-      this.handleError("End game error", e);
+  /**
+   * Names shown for the two slimes outside tournaments: the name picked on
+   * the cosmetics screen, else the seated profile, else "Player N"
+   */
+  slotNames(){
+    if (this.mode === 'spectate') {
+      return {
+        p1: t('player.ai', { level: this.difficultyName(this.leftDifficulty) }),
+        p2: t('player.ai', { level: this.difficultyName(this.difficulty) })
+      };
     }
+    const p1 = this.profiles.slotProfile('p1');
+    const p2 = this.mode === 'single' ? null : this.profiles.slotProfile('p2');
+    return {
+      p1: this.cosmetics.p1.name || (p1 ? p1.name : t('player.name', { count: 1 })),
+      p2: this.cosmetics.p2.name || (p2 ? p2.name : t('player.name', { count: 2 }))
+    };
   }
 
-  // --- AI System ---
   /**
-   * Configure AI difficulty settings
+   * Names of the match being played, tournament entrants included
    */
-  setDifficulty(mode){
-    this.difficulty = mode;
-    const settings = {
-      easy: {speed: 0.7, jump: 0.015, track: 0.8, react: 0.9},
-      hard: {speed: 1.7, jump: 0.065, track: 1.5, react: 1.3},
-      expert: {speed: 2.0, jump: 0.08, track: 1.8, react: 1.6},
-      normal: {speed: 1.2, jump: 0.035, track: 1.1, react: 1.0}
-    };
-    
-    const setting = settings[mode] || settings.normal;
-    this.aiSpeed = setting.speed;
-    this.aiJumpProb = setting.jump;
-    this.aiTrack = setting.track;
-    this.aiReact = setting.react;
+  matchNames(){
+    return this.tournamentMatch ? this.tournamentNames() : this.slotNames();
   }
 
   /**
-   * Reset all entities to starting positions
+   * Put the slime names beside the score
    */
-  resetEntities(){
-    if (!this.canvas) return;
-    
-    const w = this.canvas.width;
-    this.player1 = { x: 160, y: 420, vx:0, vy:0, r:40, color:'#00e676', onGround:false, speedMul:1, jumpMul:1, powers:[] };
-    this.player2 = { x: w-160, y: 420, vx:0, vy:0, r:40, color:'#ff5252', onGround:false, speedMul:1, jumpMul:1, powers:[] };
-    this.ball = { x: w/2, y: 280, vx:0, vy:0, r:15, color:'#ff0', bigUntil:0, frozen:false, onFire:false, lastBounce:0, lastTouchedBy: null };
-    this.goals = { left:{ x:0, y:450, w:86, h:150 }, right:{ x:w-86, y:450, w:86, h:150 } };
+  updateScoreNames(){
+    const names = this.matchNames();
+    ['p1', 'p2'].forEach(slot => {
+      const el = document.getElementById(`${slot}Name`);
+      if (el) el.textContent = names[slot];
+    });
   }
 
   /**
-   * Apply physics rules based on gravity setting
+   * Add a finished local match to the profiles seated in the slots
+   * @param {'p1'|'p2'|null} winner
    */
-  setGameRules(){
-    this.ball.r = 15;
-    this.gravity = 0.5;
-    this.friction = 0.85;
-    this.bounceDecay = 0.8;
-    this.powerUpSpawnRate = 3000;
-    
-    if (this.gravitySetting === 'low') {
-      this.gravity = 0.2;
-      if(this.player1) this.player1.jumpMul = 2.0;
-      if(this.player2) this.player2.jumpMul = 2.0;
-    } else if (this.gravitySetting === 'high') {
-      this.gravity = 0.8;
-      if(this.player1) this.player1.jumpMul = 0.7;
-      if(this.player2) this.player2.jumpMul = 0.7;
+  recordProfileMatch(winner){
+    // Nobody's record changes by watching
+    if (this.mode === 'spectate') return;
+    const single = this.mode === 'single';
+    const p1 = this.profiles.slots.p1;
+    const p2 = single ? null : this.profiles.slots.p2;
+    if (!p1 && !p2) return;
+    this.profiles.recordMatch({ p1, p2, ai: single ? this.difficulty : null, score: this.score, winner });
+    this.renderProfiles();
+  }
+
+  /**
+   * Refresh the profile selects, the leaderboard and the head-to-head line
+   */
+  renderProfiles(){
+    const list = this.profiles.list();
+    const options = `<option value="">${this.escapeHtml(t('profile.guest'))}</option>` +
+      list.map(p => `<option value="${this.escapeHtml(p.id)}">${this.escapeHtml(p.name)}</option>`).join('');
+    ['p1', 'p2'].forEach(slot => {
+      const select = document.getElementById(`profile${slot.toUpperCase()}Select`);
+      if (!select) return;
+      select.innerHTML = options;
+      select.value = this.profiles.slots[slot] || '';
+    });
+
+    const board = document.getElementById('profileBoard');
+    if (board) {
+      board.innerHTML = this.profiles.leaderboard().slice(0, 5).map(p => {
+        const r = p.record;
+        return `<li><b>${this.escapeHtml(p.name)}</b> ${t('profile.record', r)} <span>(${r.goalsFor}:${r.goalsAgainst})</span></li>`;
+      }).join('');
     }
+    document.getElementById('profileDeleteBtn')?.classList.toggle('hidden', !this.profiles.slots.p1);
+    this.updateHeadToHead();
   }
 
   /**
-   * Apply visual theme
+   * Head-to-head record of the P1 profile against P2's profile or the chosen AI level
    */
-  applyTheme(){
-    const body = document.body;
-    if (!body) return;
-    
-    const themes = {
-      beach: 'linear-gradient(135deg, #FFDD95 0%, #00C2FF 100%)',
-      space: 'radial-gradient(50% 50% at 50% 30%, #2a2a72 0%, #000 80%)',
-      neon: 'linear-gradient(135deg, #FF006E 0%, #8338EC 50%, #3A86FF 100%)',
-      retro: 'linear-gradient(45deg, #f06, #48f, #0f9, #ff0, #f60)',
-      stadium: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'
-    };
-    
-    body.style.background = themes[this.theme] || themes.stadium;
+  updateHeadToHead(){
+    const el = document.getElementById('profileH2H');
+    if (!el || !this.profiles) return;
+    const mode = document.getElementById('modeSelect')?.value;
+    if (mode === 'spectate') {
+      el.textContent = '';
+      return;
+    }
+    const p1 = this.profiles.slotProfile('p1');
+    const single = mode === 'single';
+    const p2 = single ? null : this.profiles.slotProfile('p2');
+    const level = document.getElementById('difficultySelect')?.value || 'normal';
+    const line = (h, label) => `${p1.name} vs ${label}: ${t('profile.record', h)}`;
+    const none = { wins: 0, draws: 0, losses: 0 };
+    if (p1 && p2) el.textContent = line(p1.vsProfiles[p2.id] || none, p2.name);
+    else if (p1 && single) el.textContent = line(p1.vsAI[level] || none, t('profile.vsAI', { level: this.difficultyName(level) }));
+    else el.textContent = '';
+  }
+
+  setProfileStatus(text){
+    const el = document.getElementById('profileStatus');
+    if (el) el.textContent = text;
   }
 
-  // --- Update Logic ---
   /**
-   * Main update function called every frame
+   * Download every profile as a JSON file for another machine
    */
-  update(){
+  downloadProfiles(){
     try {
-      if (!this.ctx || !this.canvas) return;
-      
-      this.tickTime();
-      this.handleInput();
-      if(this.mode === 'single') this.updateAI();
-      this.updatePhysics();
-      this.handlePlayerBallCollisions();
-      this.checkGoals();
-      this.updateParticles();
-      this.spawnPowerUps();
-      this.checkPowerUpPickup();
-      this.updatePowerEffects();
-      this.updateBallTrail();
-      this.updateScreenShake();
-      this.updateActivePowersDisplay();
-      
+      const blob = new Blob([this.profiles.exportJSON()], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'slime-profiles.json';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
     } catch (e) {
-      this.handleError("Update error", e);
+      this.handleError("Profile export error", e);
     }
   }
 
   /**
-   * Handle game timer
+   * Merge profiles from an exported file
+   * @param {File} file - Profile JSON file
    */
-  tickTime(){
+  async loadProfileFile(file){
     try {
-      if (!this._lastTime) this._lastTime = performance.now();
-      const now = performance.now();
-      
-      if (now - this._lastTime >= 1000) {
-        this.timeLeft = Math.max(0, this.timeLeft - 1);
-        if (this.timeEl) this.timeEl.textContent = this.timeLeft;
-        this._lastTime = now;
-        
-        if (this.timeLeft === 0) this.endGame();
-      }
+      const count = this.profiles.importJSON(await file.text());
+      this.setProfileStatus(t('profile.imported', { count }));
     } catch (e) {
-      this.handleError("Time tick error", e);
+      this.setProfileStatus(t('profile.importFailed', { message: e.message }));
     }
+    this.renderProfiles();
   }
-    
+
+  // --- Controls ---
   /**
-   * Process player input
+   * Open the key-mapping screen on a copy of the current bindings
    */
-  handleInput(){
-    if (!this.player1 || !this.player2) return;
-    
-    try {
-      const p1 = this.player1;
-      if (this.keys['a']) p1.vx -= 1.2 * (p1.speedMul || 1);
-      if (this.keys['d']) p1.vx += 1.2 * (p1.speedMul || 1);
-      if (this.keys['w'] && p1.onGround) { 
-        p1.vy = -15 * (p1.jumpMul || 1); 
-        p1.onGround = false; 
-        this.makeDust(p1); 
-        Sound.kick(); 
-      }
+  showControlsScreen(){
+    this.pendingBindings = normalizeBindings(this.bindings);
+    this.capturing = null;
+    const layout = document.getElementById('touchLayoutSelect');
+    if (layout) layout.value = this.touchLayout;
+    this.buildControlsTable();
+    this.renderControls();
+    this.setControlsStatus(t('controls.pick'));
+    this.menu?.classList.add('hidden');
+    document.getElementById('controlsScreen')?.classList.remove('hidden');
+  }
 
-      if (this.mode === 'soccer') {
-        const p2 = this.player2;
-        if (this.keys['arrowleft']) p2.vx -= 1.2 * (p2.speedMul || 1);
-        if (this.keys['arrowright']) p2.vx += 1.2 * (p2.speedMul || 1);
-        if (this.keys['arrowup'] && p2.onGround) { 
-          p2.vy = -15 * (p2.jumpMul || 1); 
-          p2.onGround = false; 
-          this.makeDust(p2); 
-          Sound.kick(); 
-        }
-      }
+  closeControlsScreen(){
+    this.capturing = null;
+    this.pendingBindings = null;
+    document.getElementById('controlsScreen')?.classList.add('hidden');
+    this.menu?.classList.remove('hidden');
+  }
 
-      // Update power effects
-      const t = performance.now();
-      [this.player1, this.player2].forEach(p => {
-        if (!p.powers) p.powers = [];
-        p.powers = p.powers.filter(power => t < power.until);
-        p.speedMul = 1; 
-        p.jumpMul = 1;
-        p.powers.forEach(power => {
-          if (power.type === 'speed') p.speedMul = Math.max(p.speedMul, 1.6);
-          if (power.type === 'jump') p.jumpMul = Math.max(p.jumpMul, 1.7);
-        });
+  /**
+   * One row per action with a key button for each player (built once)
+   */
+  buildControlsTable(){
+    const table = document.getElementById('controlsTable');
+    if (!table || this.controlButtons) return;
+    this.controlButtons = {};
+    CONTROL_ACTIONS.forEach(({ id, label }) => {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      name.dataset.i18n = `action.${id}`;
+      name.textContent = t(`action.${id}`, {}, label);
+      row.appendChild(name);
+      CONTROL_PLAYERS.forEach(player => {
+        const cell = document.createElement('td');
+        const button = document.createElement('button');
+        button.className = 'btn key-btn';
+        button.addEventListener('click', () => this.startCapture(player, id));
+        cell.appendChild(button);
+        row.appendChild(cell);
+        this.controlButtons[`${player}.${id}`] = button;
       });
-
-      if (this.ball.bigUntil && t > this.ball.bigUntil) { 
-        this.ball.r = 15; 
-        this.ball.bigUntil = 0; 
-      }
-    } catch (e) {
-      this.handleError("Input handling error", e);
-    }
+      table.appendChild(row);
+    });
   }
 
   /**
-   * AI behavior for single player mode
+   * Refresh key labels and mark keys bound to more than one action
    */
-  updateAI(){
-    if (!this.player2 || !this.ball) return;
-    
-    try {
-      const ai = this.player2; 
-      const b = this.ball;
-      const targetX = this.calculateAITarget();
-      const diff = targetX - ai.x;
-      
-      if (Math.abs(diff) > 15) {
-        const moveForce = Math.sign(diff) * 0.6 * this.aiTrack * this.aiReact;
-        ai.vx += moveForce;
-      }
-
-      const ballDist = Math.hypot(b.x - ai.x, b.y - ai.y);
-      const shouldJump = this.shouldAIJump(ballDist, b.y, ai);
-      if (shouldJump && ai.onGround && Math.random() < this.aiJumpProb * 2) {
-        ai.vy = -15 * ai.jumpMul; 
-        ai.onGround = false; 
-        this.makeDust(ai);
-      }
-      
-    } catch (e) {
-      this.handleError("AI update error", e);
+  renderControls(){
+    if (!this.controlButtons || !this.pendingBindings) return;
+    const conflicts = bindingConflicts(this.pendingBindings);
+    const clashing = new Set(conflicts.flatMap(c => c.uses.map(u => `${u.player}.${u.action}`)));
+    Object.entries(this.controlButtons).forEach(([slot, button]) => {
+      const [player, action] = slot.split('.');
+      const waiting = this.capturing && this.capturing.player === player && this.capturing.action === action;
+      button.textContent = waiting ? '…' : this.keyName(this.pendingBindings[player][action]);
+      button.classList.toggle('conflict', clashing.has(slot));
+      button.classList.toggle('waiting', !!waiting);
+    });
+    const saveBtn = document.getElementById('controlsSaveBtn');
+    if (saveBtn) saveBtn.disabled = conflicts.length > 0;
+    if (conflicts.length) {
+      this.setControlsStatus(t('controls.conflict', { keys: conflicts.map(c => this.keyName(c.code)).join(', ') }));
     }
   }
 
-  calculateAITarget(){
-    const b = this.ball;
-    const ai = this.player2;
-    const goalCenter = this.canvas.width - 43;
+  /**
+   * Wait for the next key press to rebind an action
+   */
+  startCapture(player, action){
+    this.capturing = { player, action };
+    this.setControlsStatus(t('controls.waiting'));
+    this.renderControls();
+  }
 
-    if (b.vx > 0 && b.x > this.canvas.width * 0.6) return b.x;
-    if (b.x < this.canvas.width * 0.4) return lerp(ai.x, goalCenter, 0.3);
-    return lerp(ai.x, b.x, 0.8);
+  /**
+   * Bind the captured key; Escape cancels
+   * @param {string} code - KeyboardEvent.code
+   */
+  captureKey(code){
+    const target = this.capturing;
+    this.capturing = null;
+    if (!target || !this.pendingBindings) return;
+    if (code && code !== 'Escape') {
+      this.pendingBindings[target.player][target.action] = code;
+      this.setControlsStatus(t('controls.assigned', { player: target.player.toUpperCase(), key: this.keyName(code) }));
+    } else {
+      this.setControlsStatus(t('controls.pick'));
+    }
+    this.renderControls();
   }
 
-  shouldAIJump(ballDist, ballHeight, ai){
-    const nearBall = ballDist < 120;
-    const ballInAir = ballHeight < this.canvas.height - 100;
-    const ballComingDown = this.ball.vy > 0;
-    return nearBall && (ballInAir || ballComingDown);
+  resetControls(){
+    this.pendingBindings = normalizeBindings();
+    this.capturing = null;
+    this.setControlsStatus(t('controls.defaults'));
+    this.renderControls();
   }
 
   /**
-   * Core physics simulation
+   * Use and remember the edited bindings; refused while keys clash
    */
-  updatePhysics(){
-    if (!this.player1 || !this.player2 || !this.ball || !this.canvas) return;
-    
+  saveControls(){
+    if (!this.pendingBindings) return;
+    if (bindingConflicts(this.pendingBindings).length) {
+      this.renderControls();
+      return;
+    }
+    this.applyBindings(this.pendingBindings);
+    this.setTouchLayout(document.getElementById('touchLayoutSelect')?.value);
+    const controls = { controls: this.bindings, touchLayout: this.touchLayout };
     try {
-      const floor = this.canvas.height - 50;
-      
-      // Update players
-      [this.player1, this.player2].forEach(p => {
-        p.vy += this.gravity;
-        p.vx *= this.friction;
-        p.x += p.vx; 
-        p.y += p.vy;
-        
-        if (p.y + p.r > floor) { 
-          p.y = floor - p.r; 
-          p.vy = 0; 
-          p.onGround = true; 
-        } else {
-          p.onGround = false;
-        }
-        
-        if (p.x - p.r < 0) { p.x = p.r; p.vx = 0; }
-        if (p.x + p.r > this.canvas.width) { p.x = this.canvas.width - p.r; p.vx = 0; }
-      });
-
-      // Update ball
-      const ball = this.ball;
-      if (!ball.frozen) {
-        ball.vy += this.gravity; 
-        ball.vx *= 0.995; 
-        ball.vy *= 0.995; 
-        ball.x += ball.vx; 
-        ball.y += ball.vy;
-      }
-      
-      const t = performance.now();
-      if (ball.y + ball.r > floor) { 
-        ball.y = floor - ball.r; 
-        ball.vy *= -this.bounceDecay;
-        if (t - ball.lastBounce > 200) { 
-          this.puff(ball.x, ball.y + ball.r, ball.color); 
-          Sound.bounce(); 
-          ball.lastBounce = t; 
-        }
-      }
-      
-      if (ball.x - ball.r < 0) { ball.x = ball.r; ball.vx *= -this.bounceDecay; }
-      if (ball.x + ball.r > this.canvas.width) { ball.x = this.canvas.width - ball.r; ball.vx *= -this.bounceDecay; }
-      if (ball.y - ball.r < 0) { ball.y = ball.r; ball.vy *= -this.bounceDecay; }
+      localStorage.setItem(this.settingsKey, JSON.stringify({ ...this.loadSettings(), ...controls }));
     } catch (e) {
-      this.handleError("Physics update error", e);
+      console.warn("Failed to save settings:", e);
     }
+    const profile = this.profiles.slotProfile('p1');
+    if (profile) this.profiles.saveSettings(profile.id, { ...profile.settings, ...controls });
+    this.closeControlsScreen();
   }
 
   /**
-   * Handle collisions between players and ball
+   * Switch to a binding set, releasing everything that was held
    */
-  handlePlayerBallCollisions(){
-    if (!this.player1 || !this.player2 || !this.ball) return;
-    
-    try {
-      const players = [this.player1, this.player2];
-      
-      players.forEach((p, index) => {
-        const dx = this.ball.x - p.x;
-        const dy = this.ball.y - p.y; 
-        const dist = Math.hypot(dx, dy);
-        
-        if (dist < p.r + this.ball.r) {
-          const ang = Math.atan2(dy, dx);
-          const tx = p.x + Math.cos(ang) * (p.r + this.ball.r);
-          const ty = p.y + Math.sin(ang) * (p.r + this.ball.r);
-          this.ball.x = tx; 
-          this.ball.y = ty;
-          
-          const force = 0.34;
-          const powerMul = p.powers.some(pow => pow.type === 'speed') ? 1.3 : 1.0;
-          this.ball.vx = Math.cos(ang) * force * 20 * powerMul + p.vx * 0.5;
-          this.ball.vy = Math.sin(ang) * force * 20 * powerMul + p.vy * 0.5;
-          
-          this.ball.lastTouchedBy = index + 1;
-          
-          const t = performance.now();
-          if (this.lastHit.player === index + 1 && t - this.lastHit.time < 2000) {
-            this.combo[`p${index + 1}`]++;
-            if (this.combo[`p${index + 1}`] >= 3) { 
-              this.showCombo(index + 1, this.combo[`p${index + 1}`]); 
-              Sound.combo(); 
-            }
-          } else {
-            this.combo[`p${index + 1}`] = 1;
-          }
-          this.lastHit = {player: index + 1, time: t};
-          
-          this.spark(this.ball.x, this.ball.y, '#fff'); 
-          this.screenShake = Math.min(this.screenShake + 3, 8);
-          Sound.kick();
-        }
-      });
-    } catch (e) {
-      this.handleError("Collision detection error", e);
+  applyBindings(bindings){
+    this.bindings = normalizeBindings(bindings);
+    this.actions = emptyActions();
+    this.updateControlsHint();
+  }
+
+  updateControlsHint(){
+    const hint = document.getElementById('controlsHint');
+    if (hint) {
+      const keys = player => CONTROL_ACTIONS.map(({ id }) => this.keyName(this.bindings[player][id])).join('/');
+      hint.textContent = `P1: ${keys('p1')} • P2: ${keys('p2')}`;
     }
   }
-    
+
   /**
-   * Check for goals
+   * Key name in the current language, e.g. 'Space' -> 'Boşluk'
+   * @param {string} code - KeyboardEvent.code
    */
-  checkGoals(){
-    if (!this.ball || !this.goals || !this.canvas) return;
-    
-    try {
-      const b = this.ball;
-      const L = this.goals.left;
-      const R = this.goals.right;
-      
-      if (b.x - b.r < L.w && b.y > L.y && b.vx < 0) {
-        if (this.lastScoredPlayer !== 'p2') { 
-          this.score.p2++; 
-          this.onGoal('Oyuncu 2'); 
-          this.lastScoredPlayer = 'p2'; 
-        }
-      } else if (b.x + b.r > this.canvas.width - R.w && b.y > R.y && b.vx > 0) {
-        if (this.lastScoredPlayer !== 'p1') { 
-          this.score.p1++; 
-          this.onGoal('Oyuncu 1'); 
-          this.lastScoredPlayer = 'p1'; 
-        }
-      } else {
-        if (this.lastScoredPlayer && b.x > L.w && b.x < this.canvas.width - R.w) {
-          this.lastScoredPlayer = null;
-        }
-      }
-      
-      if (this.p1sEl) this.p1sEl.textContent = this.score.p1; 
-      if (this.p2sEl) this.p2sEl.textContent = this.score.p2;
-    } catch (e) {
-      this.handleError("Goal check error", e);
-    }
-  }
-    
-  onGoal(who){
-    Sound.goal();
-    this.flash();
-    this.toast('GOOOOOOL!', 900);
-    this.screenShake = 15;
-    this.resetAfterGoal();
-    this.combo = {p1: 0, p2: 0};
+  keyName(code){
+    return t(`key.${code}`, {}, keyLabel(code));
   }
 
-  resetAfterGoal(){
-    if (!this.player1 || !this.player2 || !this.ball || !this.canvas) return;
-    
-    this.player1.x = 160; 
-    this.player1.y = 420; 
-    this.player1.vx = 0; 
-    this.player1.vy = 0;
-    this.player2.x = this.canvas.width - 160; 
-    this.player2.y = 420; 
-    this.player2.vx = 0; 
-    this.player2.vy = 0;
-    this.ball.x = this.canvas.width / 2; 
-    this.ball.y = 260; 
-    this.ball.vx = (Math.random() - 0.5) * 10; 
-    this.ball.vy = 0;
-    this.ball.frozen = false; 
-    this.ball.onFire = false;
-    
-    this.createTimeout(() => { 
-      this.lastScoredPlayer = null; 
-    }, 500);
+  setControlsStatus(text){
+    const el = document.getElementById('controlsStatus');
+    if (el) el.textContent = text;
   }
 
-  // --- PowerUps & Effects ---
-  spawnPowerUps(){
+  // --- Slime Cosmetics ---
+  /**
+   * Cosmetics of both slots as last saved on this machine
+   */
+  loadCosmetics(){
     try {
-      const now = performance.now();
-      if (now - this.lastSpawn < this.powerUpSpawnRate) return;
-      if (this.powerUps.length >= 2) return;
-      
-      if (Math.random() < 0.35) {
-        const types = ['speed', 'jump', 'bigball'];
-        const type = types[Math.floor(Math.random() * types.length)];
-        const x = clamp(rand(80, this.canvas.width - 80), 80, this.canvas.width - 80);
-        const y = this.canvas.height - 80;
-        
-        this.powerUps.push({ 
-          type, x, y, r: 16, 
-          born: now, pulse: 0 
-        });
-        this.lastSpawn = now;
-      }
-      
-      this.powerUps = this.powerUps.filter(p => now - p.born < 12000);
+      return normalizeCosmetics(JSON.parse(localStorage.getItem(this.cosmeticsKey) || '{}'));
     } catch (e) {
-      this.handleError("PowerUp spawn error", e);
-      this.powerUps = [];
+      console.warn("Failed to load cosmetics:", e);
+      return normalizeCosmetics();
     }
   }
 
-  checkPowerUpPickup(){
-    if (!this.player1 || !this.player2) return;
-    
+  /**
+   * Use and remember cosmetics for both slots
+   */
+  setCosmetics(cosmetics){
+    this.cosmetics = normalizeCosmetics(cosmetics);
     try {
-      const players = [this.player1, this.player2];
-      this.powerUps = this.powerUps.filter(p => {
-        let taken = false;
-        players.forEach(pl => {
-          const d = Math.hypot(pl.x - p.x, pl.y - p.y);
-          if (d < pl.r + p.r) { 
-            this.applyPower(pl, p.type); 
-            taken = true; 
-          }
-        });
-        return !taken;
-      });
+      localStorage.setItem(this.cosmeticsKey, JSON.stringify(this.cosmetics));
     } catch (e) {
-      this.handleError("PowerUp pickup error", e);
+      console.warn("Failed to save cosmetics:", e);
     }
+    this.updateScoreNames();
   }
 
-  applyPower(pl, type){
-    try {
-      Sound.power();
-      const now = performance.now();
-      
-      if (type === 'speed') { 
-        pl.speedMul = 1.6; 
-        pl.powers.push({type: 'speed', until: now + 5000}); 
-        this.toast('Hız!', 550); 
+  /**
+   * Open the cosmetics screen on a copy of the current choices
+   */
+  showCosmeticsScreen(){
+    this.pendingCosmetics = normalizeCosmetics(this.cosmetics);
+    const options = (list, prefix) => list
+      .map(o => `<option value="${o.id}">${this.escapeHtml(t(`${prefix}.${o.id}`, {}, o.label))}</option>`).join('');
+    COSMETIC_SLOTS.forEach(slot => {
+      const eyes = document.getElementById(`${slot}EyesSelect`);
+      const accessory = document.getElementById(`${slot}AccessorySelect`);
+      const name = document.getElementById(`${slot}NameInput`);
+      if (eyes) eyes.innerHTML = options(SLIME_EYES, 'eyes');
+      if (accessory) accessory.innerHTML = options(SLIME_ACCESSORIES, 'accessory');
+      if (name) name.placeholder = this.profiles.slotProfile(slot)?.name || t('player.name', { count: slot.slice(1) });
+    });
+    this.renderCosmetics(true);
+    this.menu?.classList.add('hidden');
+    document.getElementById('cosmeticsScreen')?.classList.remove('hidden');
+  }
+
+  closeCosmeticsScreen(){
+    this.pendingCosmetics = null;
+    document.getElementById('cosmeticsScreen')?.classList.add('hidden');
+    this.menu?.classList.remove('hidden');
+  }
+
+  /**
+   * Take one field of the form into the pending choices
+   * @param {'p1'|'p2'} slot
+   * @param {string} field - 'name', 'color', 'eyes' or 'accessory'
+   * @param {?string} value - null resets the color to the theme's
+   */
+  editCosmetic(slot, field, value){
+    if (!this.pendingCosmetics) return;
+    this.pendingCosmetics[slot] = normalizeCosmetic({ ...this.pendingCosmetics[slot], [field]: value });
+    this.renderCosmetics(field === 'color' && value === null);
+  }
+
+  /**
+   * Previews and contrast warnings, checked against the theme picked in the menu
+   * @param {boolean} [fillForm] - Also write the choices into the inputs
+   */
+  renderCosmetics(fillForm = false){
+    const pending = this.pendingCosmetics;
+    if (!pending) return;
+    const theme = getTheme(document.getElementById('themeSelect')?.value);
+    const saved = this.cosmetics;
+    // Draw with the pending choices, as the match would
+    this.cosmetics = pending;
+    COSMETIC_SLOTS.forEach(slot => {
+      const c = pending[slot];
+      const color = c.color || theme.slimes[slot];
+      if (fillForm) {
+        const set = (id, value) => {
+          const el = document.getElementById(`${slot}${id}`);
+          if (el) el.value = value;
+        };
+        set('NameInput', c.name);
+        set('ColorInput', colorToHex(color) || '#ffffff');
+        set('EyesSelect', c.eyes);
+        set('AccessorySelect', c.accessory);
       }
-      if (type === 'jump') { 
-        pl.jumpMul = 1.7; 
-        pl.powers.push({type: 'jump', until: now + 5000}); 
-        this.toast('Süper Zıplama!', 650); 
+      const status = document.getElementById(`${slot}ContrastStatus`);
+      if (status) {
+        status.textContent = themeContrast(color, theme) < MIN_SLIME_CONTRAST
+          ? t('cosmetics.lowContrast', { theme: this.themeName(theme) })
+          : '';
       }
-      if (type === 'bigball') { 
-        this.ball.r = 26; 
-        this.ball.bigUntil = now + 5000; 
-        this.toast('Büyük Top!', 650); 
+      this.drawSlimePreview(slot, theme);
+    });
+    this.cosmetics = saved;
+  }
+
+  /**
+   * Draw one slime on its preview canvas in front of the theme's sky and field
+   */
+  drawSlimePreview(slot, theme){
+    const canvas = document.getElementById(`${slot}Preview`);
+    const ctx = canvas?.getContext?.('2d');
+    if (!ctx) return;
+    const w = canvas.width, h = canvas.height, floor = h - 16;
+    const sky = ctx.createLinearGradient(0, 0, 0, floor);
+    theme.sky.forEach((c, i) => sky.addColorStop(theme.sky.length > 1 ? i / (theme.sky.length - 1) : 0, c));
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = theme.field.color;
+    ctx.fillRect(0, floor, w, h - floor);
+
+    const main = this.ctx, look = this.look;
+    this.ctx = ctx;
+    this.look = theme;
+    try {
+      const half = this.sim?.rules.slimeShape === 'half';
+      const p = { x: w / 2, y: half ? floor : floor - 36, r: 36 };
+      // Eyes follow a ball hovering up front
+      this.drawSlime(p, slot, { x: slot === 'p1' ? w : 0, y: 10 });
+    } finally {
+      this.ctx = main;
+      this.look = look;
+    }
+  }
+
+  /**
+   * Use and remember the edited cosmetics; seated profiles keep their own copy
+   */
+  saveCosmetics(){
+    if (!this.pendingCosmetics) return;
+    this.setCosmetics(this.pendingCosmetics);
+    COSMETIC_SLOTS.forEach(slot => {
+      const profile = this.profiles.slotProfile(slot);
+      if (profile) this.profiles.saveCosmetic(profile.id, this.cosmetics[slot]);
+    });
+    this.closeCosmeticsScreen();
+  }
+
+  // --- Gamepads ---
+  /**
+   * Announce pads as they come and go. Pads are read every tick during a
+   * match; elsewhere a slow poll keeps "press A to join" working.
+   */
+  bindGamepads(){
+    const pads = this.gamepads;
+    pads.on('connected', () => {
+      this.toast(t('pad.connected'), 2000);
+      this.updatePadStatus();
+    });
+    pads.on('joined', ({slot}) => {
+      this.toast(t('pad.assigned', { slot: slot.toUpperCase() }), 1600);
+      this.rumble(slot === 'p1' ? 1 : 2, 0.5, 150);
+      this.updatePadStatus();
+    });
+    pads.on('disconnected', ({slot}) => {
+      this.toast(slot ? t('pad.slotRemoved', { slot: slot.toUpperCase() }) : t('pad.removed'), 1600);
+      // A local match waits for the player to plug back in
+      if (slot && this.state === 'playing' && !this.net && !this.replay) this.togglePause();
+      this.updatePadStatus();
+    });
+
+    this._onGamepadConnected = () => {
+      this.pollGamepads();
+      if (this._padTimer) return;
+      this._padTimer = setInterval(() => {
+        if (this.state !== 'playing') this.pollGamepads();
+        if (this.gamepads.known.size === 0) {
+          clearInterval(this._padTimer);
+          this._padTimer = null;
+        }
+      }, 100);
+    };
+    window.addEventListener('gamepadconnected', this._onGamepadConnected);
+    window.addEventListener('gamepaddisconnected', this._onGamepadConnected);
+  }
+
+  /**
+   * Read the pads outside the match loop (joins and hot-plugging only)
+   */
+  pollGamepads(){
+    try {
+      this.gamepads.poll();
+    } catch (e) {
+      this.handleError("Gamepad poll error", e);
+    }
+  }
+
+  /**
+   * Combine held keys with touch and the seated pads. Analog movement (a
+   * stick) overrides the keys of that slime; buttons add to them.
+   * @param {{p1:Object, p2:Object}} actions - Keyboard action state
+   * @returns {{p1:Object, p2:Object}} Actions for this tick
+   */
+  withDevices(actions){
+    const sources = [this.touch.actions(), this.gamepads.poll()];
+    const merged = { p1: { ...actions.p1 }, p2: { ...actions.p2 } };
+    sources.forEach(source => ['p1', 'p2'].forEach(slot => {
+      const intent = source[slot];
+      if (!intent) return;
+      const a = merged[slot];
+      a.jump = a.jump || intent.jump;
+      if (intent.move) Object.assign(a, { left: intent.left, right: intent.right, move: intent.move });
+      else {
+        a.left = a.left || intent.left;
+        a.right = a.right || intent.right;
+      }
+    }));
+    return merged;
+  }
+
+  /**
+   * Shake the pad driving a slime
+   * @param {number} player - Slime (1 or 2)
+   * @param {number} strength - 0..1
+   * @param {number} duration - Milliseconds
+   */
+  rumble(player, strength, duration){
+    if (this.replay) return;
+    // Online every local pad drives our own slime
+    if (this.net) {
+      if (player === this.net.slot) ['p1', 'p2'].forEach(slot => this.gamepads.rumble(slot, strength, duration));
+      return;
+    }
+    this.gamepads.rumble(`p${player}`, strength, duration);
+  }
+
+  updatePadStatus(){
+    const el = document.getElementById('padStatus');
+    if (!el) return;
+    const pads = this.gamepads;
+    if (pads.known.size === 0) {
+      el.textContent = '';
+      return;
+    }
+    const seat = slot => (pads.slots[slot] === null ? t('pad.join') : t('pad.seat', { number: pads.slots[slot] + 1 }));
+    el.textContent = `🎮 P1: ${seat('p1')} • P2: ${seat('p2')}`;
+  }
+
+  // --- Touch Controls ---
+  /**
+   * Pointer events for both players' touch clusters. Each finger is tracked
+   * by pointerId, so lifting one never releases another.
+   */
+  bindTouchControls(){
+    const guard = (context, fn) => e => {
+      try {
+        fn(e);
+      } catch (err) {
+        this.handleError(context, err);
+      }
+    };
+
+    ['p1', 'p2'].forEach(player => {
+      [['Left', 'left'], ['Right', 'right'], ['Jump', 'jump']].forEach(([suffix, action]) => {
+        const el = document.getElementById(`${player}${suffix}`);
+        if (!el) return;
+        const held = () => [...this.touch.pointers.values()].some(p => p.player === player && p.action === action);
+        const press = e => {
+          e.preventDefault();
+          this.touch.press(e.pointerId, player, action);
+          el.classList.add('pressed');
+        };
+        el.addEventListener('pointerdown', guard("Touch start error", e => {
+          press(e);
+          // Touch pointers are captured by default; without it sliding off fires pointerleave
+          el.releasePointerCapture?.(e.pointerId);
+        }));
+        // A finger sliding from one button onto another presses the new one
+        el.addEventListener('pointerenter', guard("Touch start error", e => {
+          if (e.pointerType !== 'mouse' && e.buttons) press(e);
+        }));
+        const lift = guard("Touch end error", e => {
+          const p = this.touch.pointers.get(e.pointerId);
+          if (p && p.player === player && p.action === action) this.touch.release(e.pointerId);
+          el.classList.toggle('pressed', held());
+        });
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => el.addEventListener(type, lift));
+      });
+
+      const stick = document.getElementById(`${player}Stick`);
+      const knob = document.getElementById(`${player}Knob`);
+      if (!stick) return;
+      stick.addEventListener('pointerdown', guard("Touch start error", e => {
+        e.preventDefault();
+        this.touch.startStick(e.pointerId, player, e.clientX, e.clientY);
+        stick.setPointerCapture?.(e.pointerId);
+        stick.classList.add('pressed');
+      }));
+      stick.addEventListener('pointermove', guard("Touch move error", e => {
+        const offset = this.touch.moveStick(e.pointerId, e.clientX, e.clientY);
+        if (offset && knob) knob.style.transform = `translate(${offset.dx}px, ${offset.dy}px)`;
+      }));
+      const lift = guard("Touch end error", e => {
+        if (!this.touch.release(e.pointerId)) return;
+        stick.classList.remove('pressed');
+        if (knob) knob.style.transform = '';
+      });
+      ['pointerup', 'pointercancel'].forEach(type => stick.addEventListener(type, lift));
+    });
+  }
+
+  /**
+   * Release every key, finger and pressed-button highlight (focus lost, page hidden)
+   */
+  releaseInputs(){
+    this.actions = emptyActions();
+    this.touch.releaseAll();
+    ['p1', 'p2'].forEach(player => {
+      ['Left', 'Right', 'Jump', 'Stick'].forEach(suffix => {
+        document.getElementById(`${player}${suffix}`)?.classList.remove('pressed');
+      });
+      const knob = document.getElementById(`${player}Knob`);
+      if (knob) knob.style.transform = '';
+    });
+  }
+
+  /**
+   * @param {string} layout - 'buttons' or 'joystick'
+   */
+  setTouchLayout(layout){
+    if (!TOUCH_LAYOUTS.includes(layout)) return;
+    this.touchLayout = layout;
+    this.updateTouchpad();
+  }
+
+  /**
+   * Show the second cluster only for a local two-player match, in the chosen
+   * layout; spectator matches need no buttons at all
+   */
+  updateTouchpad(){
+    const pad = this.touchpad;
+    if (!pad) return;
+    const twoPlayer = this.mode === 'soccer' && !this.net && !this.replay;
+    pad.classList.toggle('two-player', twoPlayer);
+    pad.classList.toggle('joystick', this.touchLayout === 'joystick');
+    document.getElementById('p1Touch')?.classList.toggle('hidden', this.mode === 'spectate');
+    document.getElementById('p2Touch')?.classList.toggle('hidden', !twoPlayer);
+    this.releaseInputs();
+  }
+  
+  // --- Game State Management ---
+  /**
+   * Start new game with specified settings
+   * @param {string} mode - 'single', 'soccer' or 'spectate' (AI vs AI; the left AI plays at this.leftDifficulty)
+   * @param {string} gravity - 'normal', 'low' or 'high'
+   * @param {string} diff - AI difficulty
+   * @param {string} theme - Visual theme
+   * @param {number|string} [seed] - Match seed; same seed + same inputs replays the same match
+   * @param {Object} [rules] - Match rules (see DEFAULT_MATCH_RULES); keeps the current rules when omitted
+   */
+  start(mode='soccer', gravity='normal', diff='normal', theme='stadium', seed, rules){
+    try {
+      this.clearAllTimers();
+      
+      if (!this.ctx || this.ctx.canvas.width === 0) {
+        throw new Error("Invalid canvas context");
+      }
+      
+      this.mode = mode; 
+      this.gravitySetting = gravity;
+      this.difficulty = diff; 
+      this.theme = theme;
+      if (rules) this.rules = normalizeRules(rules);
+      
+      // Replays, online and tournament matches must not overwrite the player's own menu settings
+      if (!this.replay && !this.net && !this.tournamentMatch) this.saveSettings(mode, gravity, diff, theme, this.rules);
+      
+      // UI updates
+      this.menu?.classList.add('hidden');
+      this.ui?.classList.remove('hidden');
+      this.legend?.classList.remove('hidden');
+      this.powerIndicator?.classList.remove('hidden');
+      this.canvas?.classList.remove('hidden');
+      this.pingEl?.classList.toggle('hidden', !this.net);
+      this.updateTouchpad();
+      
+      this.resetMatch(seed);
+      this.recorder = (this.replay || this.net) ? null : new ReplayRecorder(
+        { mode, gravity, difficulty: this.difficulty, leftDifficulty: this.leftDifficulty, theme, seed: this.seed, rules: this.rules },
+        this.tickRate
+      );
+      
+      this.startLoop();
+      
+    } catch (e) {
+      this.handleError("Start game error", e);
+    }
+  }
+
+  /**
+   * Reset score, clock, entities and random streams for a fresh match
+   * @param {number|string} [seed] - Match seed
+   */
+  resetMatch(seed){
+    this.state = 'playing'; 
+    this.screenShake = 0;
+    this.particles = [];
+    this.ballTrail = [];
+    this.errorCount = 0;
+    this.accumulator = 0;
+    
+    this.createSimulation(seed);
+    // Cosmetic stream derived from the match seed so replays look the same too
+    this.fxRng = createRng(this.sim.seed ^ 0x9E3779B9);
+    this.applyTheme();
+    this.updateLegend();
+    this.updateScoreNames();
+    
+    if (this.p1sEl) this.p1sEl.textContent = '0';
+    if (this.p2sEl) this.p2sEl.textContent = '0';
+    this.updateTimer();
+  }
+
+  restart(){
+    if (this.net) return;
+    if (this.replay) {
+      this.seekReplay(0);
+      return;
+    }
+    this.start(this.mode, this.gravitySetting, this.difficulty, this.theme, undefined, this.rules);
+  }
+
+  /**
+   * Toggle pause state
+   */
+  togglePause(){
+    if (this.net) return;
+    try {
+      if(this.state === 'playing'){ 
+        this.state = 'paused';
+        this.isRunning = false;
+        if (this.animationFrameId) {
+          cancelAnimationFrame(this.animationFrameId);
+          this.animationFrameId = null;
+        }
+        this.toast(t('game.paused'), 700); 
+      } else if (this.state === 'paused') { 
+        this.state = 'playing'; 
+        this.toast(t('game.resumed'), 600); 
+        this._lastTime = performance.now();
+        this.startLoop();
+      }
+    } catch (e) {
+      this.handleError("Pause error", e);
+    }
+  }
+
+  /**
+   * End game and show results
+   * @param {Object} [result] - The simulation's 'end' event ({score, winner, shootout})
+   */
+  endGame(result = {}){
+    if(this.state !== 'playing') return;
+    
+    try {
+      this.state = 'ended';
+      this.clearAllTimers();
+
+      const winner = result.winner === undefined
+        ? (this.score.p1 > this.score.p2 ? 'p1' : this.score.p2 > this.score.p1 ? 'p2' : null)
+        : result.winner;
+      const names = this.matchNames();
+      const penalties = result.shootout ? t('result.penalties', result.shootout) : '';
+      this.toast(winner ? t('result.win', { name: names[winner] }) + penalties : t('result.draw'), 2000);
+      this.updateTimer();
+      this.toast(t('game.seed', { seed: this.seed }), 2000, 'toast toast-seed');
+      
+      // Playback stays on the field so the viewer can seek back
+      if (this.replay) {
+        this.updateReplayBar();
+        return;
+      }
+
+      // Tournament matches hand their result over; the stats screen leads back to the bracket
+      if (this.tournamentMatch) this.finishTournamentMatch(winner, result.shootout);
+      else if (!this.net) this.recordProfileMatch(winner);
+
+      const online = !!this.net;
+      this.createTimeout(() => {
+        // Closed only now so a peer a few ticks behind can still finish
+        this.leaveOnline();
+        this.showStatsScreen({ names, winner, shootout: result.shootout, online });
+      }, 2100);
+      
+    } catch (e) {
+      this.handleError("End game error", e);
+    }
+  }
+
+  // --- Post-Match Statistics ---
+  /**
+   * Show the results screen: score, stat table, goal times and touch heatmap
+   * @param {Object} match
+   * @param {{p1:string, p2:string}} match.names - Slime names
+   * @param {'p1'|'p2'|null} match.winner - Winning slime
+   * @param {?{p1:number, p2:number}} match.shootout - Penalty tally
+   * @param {boolean} match.online - Online matches cannot be replayed with "rematch"
+   */
+  showStatsScreen({ names, winner, shootout, online }){
+    this.state = 'menu';
+    this.ui?.classList.add('hidden');
+    this.legend?.classList.add('hidden');
+    this.powerIndicator?.classList.add('hidden');
+    this.canvas?.classList.add('hidden');
+    document.getElementById('statsScreen')?.classList.remove('hidden');
+
+    const s = this.stats.summary();
+    const title = document.getElementById('statsTitle');
+    if (title) title.textContent = winner ? t('result.win', { name: names[winner] }) : t('result.draw');
+    const score = document.getElementById('statsScore');
+    if (score) {
+      const pens = shootout ? t('stats.pens', shootout) : '';
+      score.textContent = `${names.p1} ${this.score.p1} – ${this.score.p2} ${names.p2}${pens}`;
+    }
+
+    const rows = [
+      ['stats.possession', `${s.possession.p1}%`, `${s.possession.p2}%`],
+      ['stats.ownHalf', `${s.ownHalf.p1}%`, `${s.ownHalf.p2}%`],
+      ['stats.touches', s.p1.touches, s.p2.touches],
+      ['stats.shots', s.p1.shots, s.p2.shots],
+      ['stats.saves', s.p1.saves, s.p2.saves],
+      ['stats.longestCombo', s.p1.longestCombo, s.p2.longestCombo],
+      ['stats.jumps', s.p1.jumps, s.p2.jumps],
+      ['stats.powerUps', s.p1.powerUps, s.p2.powerUps]
+    ];
+    const table = document.getElementById('statsTable');
+    if (table) {
+      table.innerHTML = `<thead><tr><th>${this.escapeHtml(names.p1)}</th><th></th><th>${this.escapeHtml(names.p2)}</th></tr></thead><tbody>` +
+        rows.map(([label, a, b]) => `<tr><td>${a}</td><th>${t(label)}</th><td>${b}</td></tr>`).join('') + '</tbody>';
+    }
+
+    const goals = document.getElementById('statsGoals');
+    if (goals) {
+      const clock = sec => `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+      goals.textContent = s.goals.length
+        ? '⚽ ' + s.goals.map(g => `${clock(g.seconds)}${g.phase === 'regulation' ? '' : t('stats.overtime')} ${names[`p${g.player}`]}`).join(' • ')
+        : t('stats.noGoals');
+    }
+
+    const seed = document.getElementById('statsSeed');
+    if (seed) seed.textContent = t('game.seed', { seed: this.seed });
+
+    this.drawHeatmap(document.getElementById('statsHeatmap'));
+
+    // Tournament matches go back to the bracket; there is no rematch
+    const rematchBtn = document.getElementById('rematchBtn');
+    rematchBtn?.classList.toggle('hidden', online || !!this.tournament);
+    const menuBtn = document.getElementById('statsMenuBtn');
+    if (menuBtn) menuBtn.textContent = t(this.tournament ? 'tournament.back' : 'common.menu');
+  }
+
+  /**
+   * Close the results screen, back to the menu or the tournament
+   */
+  closeStatsScreen(){
+    document.getElementById('statsScreen')?.classList.add('hidden');
+    if (this.tournament) {
+      this.showTournamentScreen();
+      return;
+    }
+    this.menu?.classList.remove('hidden');
+  }
+
+  rematch(){
+    document.getElementById('statsScreen')?.classList.add('hidden');
+    this.restart();
+  }
+
+  /**
+   * Draw the field outline and a glow for every touch, in each slime's colour
+   * @param {HTMLCanvasElement} canvas - Target canvas (any size; the field is scaled to fit)
+   */
+  drawHeatmap(canvas){
+    const ctx = canvas?.getContext?.('2d');
+    if (!ctx) return;
+    const sim = this.sim;
+    const w = canvas.width, h = canvas.height;
+    const sx = w / sim.width, sy = h / sim.height;
+    const floor = (sim.height - 50) * sy;
+    const L = sim.goals.left, R = sim.goals.right;
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#1b5e20';
+    ctx.fillRect(0, 0, w, h);
+    ctx.strokeStyle = 'rgba(255,255,255,.8)';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(1, 1, w - 2, floor - 1);
+    ctx.beginPath();
+    ctx.moveTo(w / 2, 0);
+    ctx.lineTo(w / 2, floor);
+    ctx.moveTo(0, L.y * sy);
+    ctx.lineTo(L.w * sx, L.y * sy);
+    ctx.lineTo(L.w * sx, floor);
+    ctx.moveTo(w, R.y * sy);
+    ctx.lineTo(w - R.w * sx, R.y * sy);
+    ctx.lineTo(w - R.w * sx, floor);
+    ctx.stroke();
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalAlpha = 0.35;
+    [['p1', this.slimeColor('p1')], ['p2', this.slimeColor('p2')]].forEach(([key, color]) => {
+      ctx.fillStyle = color;
+      this.stats[key].heat.forEach(([x, y]) => {
+        ctx.beginPath();
+        ctx.arc(x * sx, y * sy, 9, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    });
+    ctx.restore();
+  }
+
+  // --- Replay Recording & Playback ---
+  /**
+   * Close the current recording and offer it for download
+   */
+  finishRecording(){
+    this.lastReplay = this.recorder.finish(this.sim.tick, this.sim.score);
+    this.recorder = null;
+    const saveBtn = document.getElementById('replaySaveBtn');
+    if (saveBtn) saveBtn.disabled = false;
+  }
+
+  /**
+   * Start playing back a recorded match
+   * @param {Object} data - Parsed replay (see parseReplay in replay.js)
+   */
+  startReplay(data){
+    try {
+      this.leaveOnline();
+      this.replay = new ReplayPlayer(data);
+      this.timeScale = 1;
+      const s = data.settings;
+      this.leftDifficulty = s.leftDifficulty || s.difficulty;
+      this.start(s.mode, s.gravity, s.difficulty, s.theme, s.seed, s.rules);
+
+      const bar = document.getElementById('replayBar');
+      const seek = document.getElementById('replaySeek');
+      const speed = document.getElementById('replaySpeed');
+      if (seek) seek.max = String(this.replay.ticks);
+      if (speed) speed.value = '1';
+      bar?.classList.remove('hidden');
+      this.updateReplayBar();
+    } catch (e) {
+      this.replay = null;
+      this.handleError("Replay start error", e);
+    }
+  }
+
+  /**
+   * Leave playback and return to the menu
+   */
+  stopReplay(){
+    this.clearAllTimers();
+    this.replay = null;
+    this.timeScale = 1;
+    this.state = 'menu';
+    this.actions = emptyActions();
+    document.getElementById('replayBar')?.classList.add('hidden');
+    this.menu?.classList.remove('hidden');
+    this.ui?.classList.add('hidden');
+    this.legend?.classList.add('hidden');
+    this.powerIndicator?.classList.add('hidden');
+    this.canvas?.classList.add('hidden');
+  }
+
+  /**
+   * Jump to a tick by re-simulating from kickoff (or from the current tick
+   * when seeking forward). Sound and DOM effects are muted while skipping.
+   * @param {number} targetTick - Tick to seek to
+   */
+  seekReplay(targetTick){
+    if (!this.replay) return;
+
+    try {
+      const resume = this.state === 'playing';
+      const target = clamp(Math.round(targetTick), 0, this.replay.ticks);
+
+      if (target < this.tick || this.state === 'ended') {
+        this.clearAllTimers();
+        this.resetMatch(this.replay.settings.seed);
+      }
+
+      this.state = 'playing';
+      this.fastForwarding = true;
+      Sound.setMuted(true);
+      try {
+        while (this.tick < target && this.state === 'playing') this.advanceTick();
+      } finally {
+        this.fastForwarding = false;
+        Sound.setMuted(false);
+      }
+      this.snapInterpolation();
+
+      if (this.state === 'playing' && !resume) {
+        this.state = 'paused';
+        this.isRunning = false;
+      }
+      if (this.state === 'playing') {
+        this.startLoop();
+      } else {
+        this.render();
+      }
+      this.updateReplayBar();
+    } catch (e) {
+      this.handleError("Replay seek error", e);
+    }
+  }
+
+  /**
+   * Set playback speed (0.25x - 4x)
+   * @param {number} speed - Speed multiplier
+   */
+  setReplaySpeed(speed){
+    const value = Number(speed);
+    this.timeScale = REPLAY_SPEEDS.includes(value) ? value : 1;
+  }
+
+  /**
+   * Play/pause toggle for the replay bar
+   */
+  toggleReplayPlayback(){
+    if (!this.replay) return;
+    if (this.state === 'ended') {
+      this.seekReplay(0);
+      if (this.state === 'paused') this.togglePause();
+    } else {
+      this.togglePause();
+    }
+    this.updateReplayBar();
+  }
+
+  /**
+   * Sync the replay bar with the playback position
+   */
+  updateReplayBar(){
+    if (!this.replay) return;
+    const seek = document.getElementById('replaySeek');
+    const time = document.getElementById('replayTime');
+    const play = document.getElementById('replayPlayBtn');
+    if (seek && !this._seekDragging) seek.value = String(this.tick);
+    if (time) {
+      const secs = Math.floor(this.tick / this.tickRate);
+      time.textContent = `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+    }
+    if (play) play.textContent = this.state === 'playing' ? '⏸️' : '▶️';
+  }
+
+  /**
+   * Download the last finished match as a replay file
+   */
+  downloadReplay(){
+    if (!this.lastReplay) return;
+    try {
+      const blob = new Blob([serializeReplay(this.lastReplay)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `slime-replay-${this.lastReplay.settings.seed}.json`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      this.handleError("Replay save error", e);
+    }
+  }
+
+  /**
+   * Load a replay file chosen by the user and start playback
+   * @param {File} file - Replay JSON file
+   */
+  async loadReplayFile(file){
+    try {
+      const data = parseReplay(await file.text());
+      this.startReplay(data);
+    } catch (e) {
+      this.handleError(`Replay load error (${e.message})`, e);
+    }
+  }
+
+  // --- Online Multiplayer ---
+  /**
+   * Relay WebSocket URL: `?relay=` override, else the server that served the page
+   */
+  relayUrl(){
+    const params = new URLSearchParams(location.search);
+    if (params.get('relay')) return params.get('relay');
+    if (location.protocol === 'http:' || location.protocol === 'https:') {
+      return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws`;
+    }
+    return 'ws://localhost:8080/ws';
+  }
+
+  /**
+   * Open a fresh connection to the relay
+   * @returns {Promise<NetplayClient>} Connected client
+   */
+  async connectOnline(){
+    this.leaveOnline();
+    const client = new NetplayClient({
+      url: this.relayUrl(),
+      onMessage: msg => this.onNetMessage(client, msg),
+      onStatus: status => this.onNetStatus(client, status)
+    });
+    this.net = client;
+    this.setOnlineStatus(t('online.connecting'));
+    await client.connect();
+    return client;
+  }
+
+  /**
+   * Create a room; the match starts when someone joins with the code
+   */
+  async hostOnlineRoom(gravity, theme, rules){
+    try {
+      const client = await this.connectOnline();
+      client.createRoom({ gravity, theme, rules: normalizeRules(rules || this.rules) });
+    } catch (e) {
+      this.leaveOnline();
+      this.setOnlineStatus(t('online.failed', { message: e.message }));
+    }
+  }
+
+  /**
+   * Join a room created on the other computer
+   * @param {string} code - Room code shown to the host
+   */
+  async joinOnlineRoom(code){
+    if (!code || !String(code).trim()) {
+      this.setOnlineStatus(t('online.needCode'));
+      return;
+    }
+    try {
+      const client = await this.connectOnline();
+      client.joinRoom(code);
+    } catch (e) {
+      this.leaveOnline();
+      this.setOnlineStatus(t('online.failed', { message: e.message }));
+    }
+  }
+
+  /**
+   * Begin the networked match with the seed and settings from the relay
+   * @param {{seed:number, settings:Object}} msg - 'start' message
+   */
+  startOnline({ seed, settings }){
+    const s = settings || {};
+    this.replay = null;
+    this.timeScale = 1;
+    this._desyncWarned = false;
+    this.setOnlineStatus('');
+    this.start('soccer', s.gravity || 'normal', this.difficulty, s.theme || this.theme, seed, s.rules || {});
+    this.toast(t('online.youAre', { side: t(this.net.slot === 1 ? 'player.left' : 'player.right') }), 1600);
+    this.updatePing();
+  }
+
+  /**
+   * Disconnect from the relay and drop the online session
+   */
+  leaveOnline(){
+    if (!this.net) return;
+    this.net.close();
+    this.net = null;
+    this.pingEl?.classList.add('hidden');
+  }
+
+  /**
+   * Return to the menu when an online match is cut short
+   */
+  abortOnline(reason){
+    this.leaveOnline();
+    if (this.state === 'playing') {
+      this.state = 'menu';
+      this.toast(reason, 2000);
+      this.menu?.classList.remove('hidden');
+      this.ui?.classList.add('hidden');
+      this.legend?.classList.add('hidden');
+      this.powerIndicator?.classList.add('hidden');
+      this.canvas?.classList.add('hidden');
+    }
+    this.setOnlineStatus(reason);
+  }
+
+  /**
+   * Movement intent from either player's bindings (each computer controls one slime)
+   */
+  onlineIntent(actions){
+    const intent = {
+      left: !!(actions.p1.left || actions.p2.left),
+      right: !!(actions.p1.right || actions.p2.right),
+      jump: !!(actions.p1.jump || actions.p2.jump)
+    };
+    const analog = [actions.p1.move, actions.p2.move].find(m => typeof m === 'number');
+    if (analog !== undefined) intent.move = analog;
+    return intent;
+  }
+
+  onNetMessage(client, msg){
+    if (client !== this.net) return;
+    try {
+      switch (msg.type) {
+        case 'created':
+          this.setOnlineStatus(t('online.waiting', { room: msg.room }));
+          break;
+        case 'joined':
+          this.setOnlineStatus(t('online.joined', { room: msg.room }));
+          break;
+        case 'start':
+          this.startOnline(msg);
+          break;
+        case 'pong':
+          this.updatePing();
+          break;
+        case 'peer-left':
+          this.toast(t('online.peerLost'), 1500);
+          if (this.pingEl) this.pingEl.textContent = t('online.peerWaiting');
+          break;
+        case 'peer-back':
+          this.toast(t('online.peerBack'), 900);
+          break;
+        case 'desync':
+          this.onNetDesync();
+          break;
+        case 'room-closed':
+          if (this.state !== 'ended') this.abortOnline(t('online.roomClosed'));
+          break;
+        case 'error':
+          this.setOnlineStatus(msg.message);
+          break;
       }
-      this.spark(pl.x, pl.y - 20, '#ffd54f');
     } catch (e) {
-      this.handleError("Apply power error", e);
+      this.handleError("Netplay message error", e);
+    }
+  }
+
+  onNetStatus(client, status){
+    if (client !== this.net) return;
+    if (status === 'reconnecting') {
+      if (this.pingEl) this.pingEl.textContent = t('online.reconnecting');
+    } else if (status === 'failed') {
+      this.abortOnline(t('online.disconnected'));
+    }
+  }
+
+  onNetDesync(){
+    if (this._desyncWarned) return;
+    this._desyncWarned = true;
+    console.warn(`Netplay desync detected at tick ${this.tick}`);
+    this.toast(t('online.desync'), 2000);
+  }
+
+  /**
+   * Refresh the ping readout in the ui overlay
+   */
+  updatePing(){
+    if (!this.pingEl || !this.net) return;
+    const ping = this.net.ping;
+    this.pingEl.textContent = ping === null ? '📶 -- ms' : `📶 ${ping} ms`;
+    this.pingEl.classList.toggle('ping-bad', ping !== null && ping > 150);
+  }
+
+  setOnlineStatus(text){
+    if (this.onlineStatusEl) this.onlineStatusEl.textContent = text;
+  }
+
+  // --- Tournament ---
+  /**
+   * Start a new tournament (replaces any saved one)
+   * @param {'knockout'|'league'} type - Bracket or round-robin league
+   * @param {Array<{name:string, ai:?string}>} entrants - From the menu's entrant list
+   * @param {Object} settings - {gravity, theme, rules} for every match
+   */
+  startTournament(type, entrants, settings){
+    try {
+      this.tournament = new Tournament({ type, entrants, settings, seed: randomSeed() });
+    } catch (e) {
+      this.setTournamentStatus(t('tournament.failed', { message: e.message }));
+      return;
     }
+    this.setTournamentStatus('');
+    this.saveTournament();
+    this.showTournamentScreen();
+  }
+
+  /**
+   * Continue the tournament saved in localStorage
+   */
+  resumeTournament(){
+    this.tournament = this.loadTournament();
+    if (this.tournament) this.showTournamentScreen();
   }
 
-  updatePowerEffects(){
+  loadTournament(){
     try {
-      this.powerUps.forEach(p => { 
-        p.pulse += 0.15; 
+      const saved = localStorage.getItem(this.tournamentKey);
+      if (saved) return Tournament.fromJSON(JSON.parse(saved));
+    } catch (e) {
+      console.warn("Failed to load tournament:", e);
+    }
+    return null;
+  }
+
+  /**
+   * Persist tournament progress (clears the slot when there is no tournament)
+   */
+  saveTournament(){
+    try {
+      if (this.tournament) localStorage.setItem(this.tournamentKey, JSON.stringify(this.tournament));
+      else localStorage.removeItem(this.tournamentKey);
+    } catch (e) {
+      console.warn("Failed to save tournament:", e);
+    }
+    this.updateTournamentResume();
+  }
+
+  /**
+   * Offer "continue" in the menu only while an unfinished tournament is saved
+   */
+  updateTournamentResume(){
+    const saved = this.tournament || this.loadTournament();
+    document.getElementById('tournamentResumeBtn')?.classList.toggle('hidden', !saved || saved.isFinished());
+  }
+
+  setTournamentStatus(text){
+    const el = document.getElementById('tournamentStatus');
+    if (el) el.textContent = text;
+  }
+
+  /**
+   * Move the tournament on: AI-vs-AI fixtures up to the next human one are
+   * simulated and shown, a fixture with a human in it starts a match
+   */
+  playNextFixture(){
+    const tour = this.tournament;
+    if (!tour) return;
+    if (tour.simulateAIFixtures().length) {
+      this.saveTournament();
+      this.showTournamentScreen();
+      return;
+    }
+    const fixture = tour.nextFixture();
+    if (!fixture) return;
+
+    const setup = tour.matchSetup(fixture);
+    const s = tour.settings;
+    this.tournamentMatch = { id: fixture.id, swap: setup.swap };
+    this.tournamentScreen?.classList.add('hidden');
+    this.start(setup.mode, s.gravity || 'normal', setup.difficulty || this.difficulty, s.theme || 'stadium', setup.seed, setup.rules);
+    const names = this.tournamentNames();
+    this.toast(`${names.p1} vs ${names.p2}`, 1600);
+  }
+
+  /**
+   * Entrant names on the left and right slime in the current tournament match
+   */
+  tournamentNames(){
+    const tour = this.tournament;
+    const f = tour.fixtures().find(x => x.id === this.tournamentMatch.id);
+    const home = tour.entrant(f.home).name;
+    const away = tour.entrant(f.away).name;
+    return this.tournamentMatch.swap ? { p1: away, p2: home } : { p1: home, p2: away };
+  }
+
+  /**
+   * Hand a finished match to the tournament and save progress
+   * @param {'p1'|'p2'|null} winner - Winning slime
+   * @param {?{p1:number, p2:number}} shootout - Penalty tally
+   */
+  finishTournamentMatch(winner, shootout){
+    const { id, swap } = this.tournamentMatch;
+    this.tournamentMatch = null;
+    const sides = o => swap ? { home: o.p2, away: o.p1 } : { home: o.p1, away: o.p2 };
+    try {
+      this.tournament.recordResult(id, {
+        score: sides(this.score),
+        winner: winner ? ((winner === 'p1') !== swap ? 'home' : 'away') : null,
+        shootout: shootout ? sides(shootout) : null
       });
+      this.saveTournament();
+    } catch (e) {
+      this.handleError("Tournament result error", e);
+    }
+  }
+
+  /**
+   * Show the bracket or league table between matches
+   */
+  showTournamentScreen(){
+    const tour = this.tournament;
+    if (!tour) return;
+    this.clearAllTimers();
+    this.state = 'menu';
+    this.menu?.classList.add('hidden');
+    this.ui?.classList.add('hidden');
+    this.legend?.classList.add('hidden');
+    this.powerIndicator?.classList.add('hidden');
+    this.canvas?.classList.add('hidden');
+    this.tournamentScreen?.classList.remove('hidden');
+
+    const body = document.getElementById('tournamentBody');
+    if (body) body.innerHTML = tour.type === 'league' ? this.renderLeagueTable() : this.renderBracket();
+
+    const info = document.getElementById('tournamentInfo');
+    const nextBtn = document.getElementById('tournamentNextBtn');
+    const next = tour.nextFixture();
+    if (next) {
+      if (info) info.textContent = t('tournament.next', { home: tour.entrant(next.home).name, away: tour.entrant(next.away).name });
+      if (nextBtn) nextBtn.textContent = t(tour.isAIFixture(next) ? 'tournament.playAI' : 'tournament.startMatch');
+    } else if (info) {
+      info.textContent = t('tournament.champion', { name: tour.champion().name });
+    }
+    nextBtn?.classList.toggle('hidden', !next);
+  }
+
+  /**
+   * Back to the menu; an unfinished tournament stays saved for later
+   */
+  exitTournament(){
+    const finished = this.tournament?.isFinished();
+    this.tournament = null;
+    if (finished) this.saveTournament();
+    else this.updateTournamentResume();
+    this.tournamentScreen?.classList.add('hidden');
+    this.menu?.classList.remove('hidden');
+  }
+
+  entrantLabel(entrant){
+    return entrant.ai ? `🤖 ${entrant.name} (${this.difficultyName(entrant.ai)})` : entrant.name;
+  }
+
+  /**
+   * Name the human / AI level options of an entrant row in the current language
+   */
+  labelEntrantSelect(select){
+    [...select.children].forEach(option => {
+      option.textContent = option.value
+        ? t('tournament.aiEntrant', { level: this.difficultyName(option.value) })
+        : t('tournament.human');
+    });
+  }
+
+  difficultyName(level){
+    return t(`difficulty.${level}`, {}, level);
+  }
+
+  escapeHtml(text){
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, c => entities[c]);
+  }
+
+  /**
+   * Knockout bracket: one column per round, rounds not drawn yet as placeholders
+   * @returns {string} HTML
+   */
+  renderBracket(){
+    const tour = this.tournament;
+    const next = tour.nextFixture();
+    const total = Math.log2(tour.rounds[0].length * 2);
+    const slot = (id, goals, won) => id === null
+      ? '<div class="bracket-slot bye"><span>—</span></div>'
+      : `<div class="bracket-slot${won ? ' winner' : ''}"><span>${this.escapeHtml(this.entrantLabel(tour.entrant(id)))}</span><b>${goals}</b></div>`;
+
+    let html = '';
+    for (let r = 0; r < total; r++) {
+      const round = tour.rounds[r];
+      let fixtures = '';
+      if (round) {
+        fixtures = round.map(f => {
+          const res = f.result && !f.result.bye ? f.result : null;
+          const pens = res?.shootout ? `<div class="bracket-pens">${t('tournament.pens', res.shootout)}</div>` : '';
+          return `<div class="bracket-fixture${f === next ? ' next' : ''}">` +
+            slot(f.home, res ? res.home : '', f.result?.winner === f.home) +
+            slot(f.away, res ? res.away : '', f.result?.winner === f.away) + pens + '</div>';
+        }).join('');
+      } else {
+        const open = '<div class="bracket-slot"><span>?</span></div>';
+        fixtures = Array(2 ** (total - r - 1)).fill(`<div class="bracket-fixture">${open}${open}</div>`).join('');
+      }
+      const left = total - r;
+      const title = hasString(`round.${left}`) ? t(`round.${left}`) : t('round.n', { count: r + 1 });
+      html += `<div class="bracket-round"><h3>${this.escapeHtml(title)}</h3>${fixtures}</div>`;
+    }
+    return `<div class="bracket">${html}</div>`;
+  }
+
+  /**
+   * League table plus the latest results
+   * @returns {string} HTML
+   */
+  renderLeagueTable(){
+    const tour = this.tournament;
+    const name = id => this.escapeHtml(this.entrantLabel(tour.entrant(id)));
+    const rows = tour.standings().map((r, i) =>
+      `<tr><td>${i + 1}</td><td>${name(r.id)}</td><td>${r.played}</td><td>${r.won}</td><td>${r.drawn}</td>` +
+      `<td>${r.lost}</td><td>${r.gf}:${r.ga}</td><td>${r.gd}</td><td><b>${r.points}</b></td></tr>`
+    ).join('');
+    const results = tour.fixtures().filter(f => f.result).slice(-4).map(f =>
+      `<li>${name(f.home)} <b>${f.result.home}-${f.result.away}</b> ${name(f.away)}</li>`
+    ).join('');
+    const head = ['player', 'played', 'won', 'drawn', 'lost', 'goals', 'difference', 'points']
+      .map(key => `<th>${this.escapeHtml(t(`league.${key}`))}</th>`).join('');
+    return `<table class="league-table"><thead><tr><th>#</th>${head}</tr></thead><tbody>${rows}</tbody></table>` +
+      (results ? `<ul class="league-results">${results}</ul>` : '');
+  }
+
+  /**
+   * Add a row to the tournament entrant list in the menu
+   * @param {string} [name] - Entrant name
+   * @param {?string} [ai] - AI difficulty, null for a human
+   */
+  addEntrantRow(name = '', ai = null){
+    const list = document.getElementById('entrantList');
+    if (!list || this.entrantRows.length >= TOURNAMENT_MAX_ENTRANTS) return;
+
+    const row = document.createElement('div');
+    row.className = 'entrant-row';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = 16;
+    input.value = name;
+    input.placeholder = t('tournament.entrant', { count: this.entrantRows.length + 1 });
+    const select = document.createElement('select');
+    ['', 'easy', 'normal', 'hard', 'expert'].forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      select.appendChild(option);
+    });
+    this.labelEntrantSelect(select);
+    select.value = ai || '';
+    const remove = document.createElement('button');
+    remove.className = 'btn';
+    remove.textContent = '✖';
+
+    const entry = { row, input, select };
+    remove.addEventListener('click', () => {
+      if (this.entrantRows.length <= TOURNAMENT_MIN_ENTRANTS) return;
+      row.remove();
+      this.entrantRows = this.entrantRows.filter(x => x !== entry);
+    });
+    row.append(input, select, remove);
+    list.appendChild(row);
+    this.entrantRows.push(entry);
+  }
+
+  /**
+   * Entrants as entered in the menu
+   * @returns {Array<{name:string, ai:?string}>}
+   */
+  readEntrants(){
+    return this.entrantRows.map(({ input, select }) => ({ name: input.value, ai: select.value || null }));
+  }
+
+  /**
+   * Apply visual theme: the canvas renderer and the page background both
+   * read the theme definition from themes.js
+   */
+  applyTheme(){
+    this.look = getTheme(this.theme);
+    const body = document.body;
+    if (body) body.style.background = this.look.page;
+  }
+
+  // --- Custom Themes ---
+  /**
+   * Register the themes imported on earlier visits; one that no longer
+   * validates is skipped
+   */
+  loadCustomThemes(){
+    let saved = [];
+    try {
+      saved = JSON.parse(localStorage.getItem(this.themesKey) || '[]');
+    } catch (e) {
+      console.warn("Failed to load custom themes:", e);
+    }
+    (Array.isArray(saved) ? saved : []).forEach(def => {
+      try {
+        registerTheme(validateTheme(def));
+      } catch (e) {
+        console.warn(`Skipped custom theme ${def?.id}:`, e);
+      }
+    });
+    this.renderThemeOptions();
+  }
+
+  /**
+   * Store every imported theme
+   * @throws {Error} When the browser refuses, usually because images filled the storage quota
+   */
+  saveCustomThemes(){
+    const custom = listThemes().filter(theme => !isBuiltInTheme(theme.id));
+    localStorage.setItem(this.themesKey, JSON.stringify(custom));
+  }
+
+  /**
+   * Rebuild the theme menu from the registry
+   * @param {string} [selected] - Theme to select (default: keep the current choice)
+   */
+  renderThemeOptions(selected){
+    const select = document.getElementById('themeSelect');
+    if (!select) return;
+    const value = getTheme(selected ?? select.value).id;
+    select.innerHTML = listThemes()
+      .map(theme => `<option value="${this.escapeHtml(theme.id)}">${this.escapeHtml(this.themeName(theme))}</option>`).join('');
+    select.value = value;
+    document.getElementById('themeDeleteBtn')?.classList.toggle('hidden', isBuiltInTheme(value));
+  }
+
+  /**
+   * Built-in themes are named in the current language, imported ones by their file
+   */
+  themeName(theme){
+    return isBuiltInTheme(theme.id) ? t(`theme.${theme.id}`, {}, theme.name) : theme.name;
+  }
+
+  /**
+   * Import a theme file, keep it for later visits and select it
+   * @param {File} file - Theme JSON file
+   */
+  async loadThemeFile(file){
+    try {
+      const def = parseThemeJSON(await file.text());
+      const previous = listThemes().find(theme => theme.id === def.id);
+      registerTheme(def);
+      try {
+        this.saveCustomThemes();
+      } catch (e) {
+        if (previous) registerTheme(previous);
+        else unregisterTheme(def.id);
+        throw new Error(`could not be stored: ${e.message}`);
+      }
+      this.renderThemeOptions(def.id);
+    } catch (e) {
+      this.handleError(`Theme import error (${e.message})`, e);
+    }
+  }
+
+  /**
+   * Download a theme as a JSON file, e.g. a built-in one to start a new theme from
+   * @param {string} id - Theme id
+   */
+  downloadTheme(id){
+    try {
+      const theme = getTheme(id);
+      const blob = new Blob([exportThemeJSON(theme.id)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `slime-theme-${theme.id}.json`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      this.handleError("Theme export error", e);
+    }
+  }
+
+  /**
+   * Forget an imported theme; built-in themes stay
+   * @param {string} id - Theme id
+   */
+  deleteCustomTheme(id){
+    if (isBuiltInTheme(id) || !unregisterTheme(id)) return;
+    try {
+      this.saveCustomThemes();
+    } catch (e) {
+      this.handleError("Theme save error", e);
+    }
+    this.renderThemeOptions(DEFAULT_THEME);
+  }
+
+  // --- Update Logic ---
+  /**
+   * Main update function called once per simulation tick: forwards input to
+   * the simulation, then advances browser-only effects
+   */
+  update(){
+    try {
+      if (!this.ctx || !this.canvas || !this.sim) return;
+      
+      const tick = this.sim.tick;
+      let actions;
+      if (this.replay) {
+        actions = this.actions = this.replay.actionsAt(tick);
+      } else {
+        actions = this.withDevices(this.actions);
+        this.recorder?.recordActions(tick, actions);
+      }
+      
+      let input;
+      if (this.net?.session) {
+        // Both slimes come from the lockstep buffers; our keys go out for a later tick
+        input = this.net.session.inputFor(tick);
+        this.net.sendInput(tick + this.net.session.delay, this.onlineIntent(actions));
+      } else {
+        input = this.inputFromActions(actions);
+        if (this.replay) input.ai = this.replay.aiAt(tick);
+      }
+      
+      this.sim.step(input);
+      
+      if (this.net?.session && this.sim.tick % NET_HASH_INTERVAL === 0) {
+        if (!this.net.sendHash(this.sim.tick, stateHash(this.sim))) this.onNetDesync();
+      }
+      
+      const decided = { p1: this.sim.ai.p1?.decision || null, p2: this.sim.ai.p2?.decision || null };
+      if (this.replay) {
+        const drifted = ['p1', 'p2'].some(slot => {
+          const want = input.ai[slot];
+          return decided[slot] && want && (decided[slot].dir !== want.dir || decided[slot].jump !== want.jump);
+        });
+        if (drifted) this.replay.desyncs++;
+      } else if (this.recorder && (decided.p1 || decided.p2)) {
+        this.recorder.recordAI(tick, decided);
+      }
+      if (this.recorder && this.sim.state === 'ended') this.finishRecording();
+      
+      this.updateParticles();
+      this.updateBallTrail();
+      this.updateScreenShake();
+      this.updateActivePowersDisplay();
+      
     } catch (e) {
-      this.handleError("PowerUp effects error", e);
+      this.handleError("Update error", e);
     }
   }
 
@@ -1001,7 +2481,17 @@ class Game {
       if (!this.ball) return;
       
       const speed = (this.ball.vx || 0) * (this.ball.vx || 0) + (this.ball.vy || 0) * (this.ball.vy || 0);
-      if (speed > 4) {
+      const fire = this.ball.onFire;
+      if (fire) {
+        // Flames flicker around the ball's path
+        const fx = this.fxRng;
+        this.ballTrail.push({ 
+          x: (this.ball.x || 0) + fx.range(-4, 4), 
+          y: (this.ball.y || 0) + fx.range(-4, 4), 
+          life: 14,
+          fire: true
+        });
+      } else if (speed > 4) {
         this.ballTrail.push({ 
           x: this.ball.x || 0, 
           y: this.ball.y || 0, 
@@ -1009,13 +2499,14 @@ class Game {
         });
       }
       
-      this.ballTrail = this.ballTrail.filter(t => {
-        if (!t) return false;
-        t.life--;
-        return t.life > 0;
+      this.ballTrail = this.ballTrail.filter(point => {
+        if (!point) return false;
+        point.life--;
+        return point.life > 0;
       });
       
-      if (this.ballTrail.length > 15) {
+      const maxTrail = fire ? 30 : 15;
+      while (this.ballTrail.length > maxTrail) {
         this.ballTrail.shift();
       }
     } catch (e) {
@@ -1030,25 +2521,54 @@ class Game {
     }
   }
 
+  /**
+   * Show the match clock: countdown, score target, or the overtime state
+   */
+  updateTimer(){
+    const sim = this.sim;
+    if (!this.timeEl || !sim) return;
+    let text;
+    if (sim.phase === 'shootout') {
+      const tally = sim.shootoutTally();
+      text = t('timer.shootout', tally);
+    } else if (sim.phase === 'golden-goal') {
+      text = t('timer.overtime');
+    } else if (sim.phase === 'extra-time') {
+      text = t('timer.extraTime', { count: sim.timeLeft });
+    } else if (sim.rules.winCondition === 'score') {
+      text = t('timer.target', { count: sim.rules.scoreTarget });
+    } else {
+      text = t('timer.seconds', { count: sim.timeLeft });
+    }
+    this.timeEl.textContent = text;
+    this.timerEl?.classList.toggle('overtime', sim.phase !== 'regulation');
+  }
+
+  /**
+   * List the power-ups that can spawn this match in the legend
+   */
+  updateLegend(){
+    if (!this.legend || !this.sim) return;
+    const enabled = listPowerUps().filter(def => this.sim.isPowerUpEnabled(def.type));
+    this.legend.textContent = enabled.length
+      ? t('legend.list', { list: enabled.map(def => `${def.icon} ${t(`power.${def.type}.name`, {}, def.name)}`).join(' • ') })
+      : t('legend.off');
+  }
+
   updateActivePowersDisplay(){
     try {
       const activePowers = [];
+      const label = power => t(`power.${power.type}.label`, {}, getPowerUp(power.type)?.label || power.type);
+      const names = this.matchNames();
       [this.player1, this.player2].forEach((p, i) => {
-        if (p.powers) {
-          p.powers.forEach(power => {
-            if (power.type === 'speed') activePowers.push(`P${i+1}: Hız`);
-            if (power.type === 'jump') activePowers.push(`P${i+1}: Zıplama`);
-          });
-        }
+        (p.powers || []).forEach(power => activePowers.push(t('powers.held', { name: names[`p${i + 1}`], power: label(power) })));
       });
-      
-      if (this.ball.bigUntil > performance.now()) {
-        activePowers.push('Büyük Top');
-      }
+      (this.ball.powers || []).forEach(power => activePowers.push(label(power)));
+      if (this.ball.onFire) activePowers.push(t('powers.fireBall'));
       
       const text = activePowers.length > 0 ? 
-        `Aktif Güçler: ${activePowers.join(' • ')}` : 
-        'Aktif Güçler: Yok';
+        t('powers.active', { list: activePowers.join(' • ') }) : 
+        t('powers.none');
       
       if (this.powerIndicator) {
         this.powerIndicator.textContent = text;
@@ -1060,16 +2580,17 @@ class Game {
 
   // --- Particles & FX ---
   makeDust(p){ 
-    if (p) this.puff(p.x, this.canvas.height - 40, p.color); 
+    if (p) this.puff(p.x, this.sim.height - 40, this.look.particles.dust); 
   }
     
   puff(x, y, color){ 
+    const fx = this.fxRng;
     for (let i = 0; i < 8; i++) {
       this.particles.push({
-        x: x + rand(-10, 10), 
-        y: y + rand(-6, 6), 
-        vx: rand(-2, 2), 
-        vy: rand(-3, -0.2), 
+        x: x + fx.range(-10, 10), 
+        y: y + fx.range(-6, 6), 
+        vx: fx.range(-2, 2), 
+        vy: fx.range(-3, -0.2), 
         life: 20,
         c: color
       }); 
@@ -1077,11 +2598,12 @@ class Game {
   }
     
   spark(x, y, color){ 
+    const fx = this.fxRng;
     for (let i = 0; i < 12; i++) {
       this.particles.push({
         x, y, 
-        vx: rand(-4, 4), 
-        vy: rand(-4, 0), 
+        vx: fx.range(-4, 4), 
+        vy: fx.range(-4, 0), 
         life: 18,
         c: color
       }); 
@@ -1111,6 +2633,7 @@ class Game {
   }
 
   flash(){ 
+    if (this.fastForwarding) return;
     try {
       const f = document.createElement('div'); 
       f.className = 'flash'; 
@@ -1125,15 +2648,16 @@ class Game {
     }
   }
 
-  toast(text, ms = 900){
+  toast(text, ms = 900, className = 'toast'){
+    if (this.fastForwarding) return;
     try {
-      const t = document.createElement('div'); 
-      t.className = 'toast'; 
-      t.textContent = text; 
+      const el = document.createElement('div'); 
+      el.className = className; 
+      el.textContent = text; 
       if (this.fxRoot) {
-        this.fxRoot.appendChild(t);
+        this.fxRoot.appendChild(el);
         this.createTimeout(() => {
-          if (t.parentNode) t.remove();
+          if (el.parentNode) el.remove();
         }, ms);
       }
     } catch (e) {
@@ -1142,11 +2666,12 @@ class Game {
   }
 
   showCombo(playerNum, comboCount){
+    if (this.fastForwarding) return;
     try {
       const combo = document.createElement('div');
       combo.className = 'combo-indicator';
-      combo.textContent = `${comboCount}x COMBO!`;
-      combo.style.color = playerNum === 1 ? '#00e676' : '#ff5252';
+      combo.textContent = t('game.combo', { count: comboCount });
+      combo.style.color = this.slimeColor(`p${playerNum}`);
       if (this.fxRoot) {
         this.fxRoot.appendChild(combo);
         this.createTimeout(() => {
@@ -1161,117 +2686,405 @@ class Game {
   // --- Render System ---
   /**
    * Main rendering function with error handling
+   * @param {number} alpha - Interpolation factor between the last two ticks (0-1)
    */
-  render(){
+  render(alpha = 1){
     if (!this.ctx || !this.canvas) return;
     
     try {
       const ctx = this.ctx;
+      const { scale, x, y } = this.view;
+      
+      // Letterbox bars around the field, then draw in world units
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+      ctx.setTransform(scale, 0, 0, scale, x, y);
       
       ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, 0, this.sim.width, this.sim.height);
+      ctx.clip();
       
       // Screen shake effect
       if (this.screenShake > 0) {
         ctx.translate(
-          rand(-this.screenShake, this.screenShake), 
-          rand(-this.screenShake, this.screenShake)
+          this.fxRng.range(-this.screenShake, this.screenShake), 
+          this.fxRng.range(-this.screenShake, this.screenShake)
         );
       }
       
-      this.drawBackground();
+      this.drawBackground(this.ball ? this.interpolate(this.ball, alpha).x : undefined);
       this.drawGoals();
       this.drawBallTrail();
       
-      if (this.player1) this.drawSlime(this.player1); 
-      if (this.player2) this.drawSlime(this.player2);
-      if (this.ball) this.drawBall();
+      const ball = this.ball && this.interpolate(this.ball, alpha);
+      if (this.player1) this.drawSlime(this.interpolate(this.player1, alpha), 'p1', ball); 
+      if (this.player2) this.drawSlime(this.interpolate(this.player2, alpha), 'p2', ball);
+      if (ball) this.drawBall(ball);
+      this.drawHangingTimers(alpha);
       
       this.drawPowerUps();
       this.drawParticles();
+      this.drawAmbient();
       
       ctx.restore();
     } catch (e) {
       this.handleError("Render error", e);
     }
   }
+
+
+  /**
+   * Blend an entity's previous and current tick positions for smooth rendering
+   * @param {Object} e - Entity with x/y and optional px/py from the last tick
+   * @param {number} alpha - Interpolation factor (0-1)
+   * @returns {Object} Shallow copy positioned for drawing
+   */
+  interpolate(e, alpha){
+    if (e.px === undefined || alpha >= 1) return e;
+    return { ...e, x: lerp(e.px, e.x, alpha), y: lerp(e.py, e.y, alpha) };
+  }
     
-  drawBackground(){
+  /**
+   * Paint the current theme: sky, decorative layers, field and markings.
+   * Layers drift against the ball by their parallax factor.
+   * @param {number} [focusX] - Ball x the layers drift from (defaults to the center)
+   */
+  drawBackground(focusX){
     const ctx = this.ctx;
-    const W = this.canvas.width;
-    const H = this.canvas.height;
+    const look = this.look;
+    const W = this.sim.width;
+    const H = this.sim.height;
+    const floor = H - 50;
+    const drift = W / 2 - (focusX ?? W / 2);
     
-    // Sky based on theme
-    if (this.theme === 'beach') {
-      const g = ctx.createLinearGradient(0, 0, 0, H); 
-      g.addColorStop(0, '#9be0ff'); 
-      g.addColorStop(1, '#ffe29a'); 
-      ctx.fillStyle = g; 
-      ctx.fillRect(0, 0, W, H);
-    } else if (this.theme === 'space') {
-      ctx.fillStyle = '#0b0b2b'; 
-      ctx.fillRect(0, 0, W, H);
-      // Stars
-      for (let i = 0; i < 30; i++) { 
-        ctx.globalAlpha = 0.65; 
-        ctx.fillStyle = '#fff'; 
-        ctx.fillRect(((i * 73) % W), ((i * 131) % H) * 0.5 + 10, 2, 2); 
-        ctx.globalAlpha = 1; 
-      }
-    } else {
-      ctx.fillStyle = 'rgba(135,206,235, 1)'; 
-      ctx.fillRect(0, 0, W, H);
-    }
+    const sky = ctx.createLinearGradient(0, 0, 0, floor);
+    look.sky.forEach((c, i) => sky.addColorStop(look.sky.length > 1 ? i / (look.sky.length - 1) : 0, c));
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, W, H);
+    
+    look.layers.forEach(layer => {
+      const paint = THEME_LAYER_PAINTERS[layer.type];
+      if (!paint) return;
+      ctx.save();
+      ctx.translate(drift * (layer.parallax || 0), 0);
+      this[paint](layer, W, H, floor);
+      ctx.restore();
+    });
     
-    // Ground
-    const fieldColor = this.theme === 'space' ? '#123' : '#228B22';
-    ctx.fillStyle = fieldColor;
-    ctx.fillRect(0, H - 50, W, 50);
+    // Ground, with mowing stripes and a lit top edge
+    ctx.fillStyle = look.field.color;
+    ctx.fillRect(0, floor, W, H - floor);
+    if (look.field.stripes) {
+      ctx.fillStyle = look.field.stripes;
+      for (let x = 0; x < W; x += 120) ctx.fillRect(x, floor, 60, H - floor);
+    }
+    if (look.field.edge) {
+      ctx.fillStyle = look.field.edge;
+      ctx.fillRect(0, floor, W, 3);
+    }
 
     // Field markings
-    ctx.strokeStyle = '#fff'; 
-    ctx.lineWidth = 3; 
-    ctx.setLineDash([10, 10]); 
-    ctx.beginPath(); 
-    ctx.moveTo(W / 2, 0); 
-    ctx.lineTo(W / 2, H - 50); 
-    ctx.stroke(); 
-    ctx.setLineDash([]);
+    ctx.strokeStyle = look.lines.color; 
+    ctx.lineWidth = look.lines.width; 
+    if (look.lines.halfway) {
+      ctx.setLineDash(look.lines.dash); 
+      ctx.beginPath(); 
+      ctx.moveTo(W / 2, 0); 
+      ctx.lineTo(W / 2, floor); 
+      ctx.stroke(); 
+      ctx.setLineDash([]);
+    }
     
-    ctx.beginPath(); 
-    ctx.arc(W / 2, H - 50, 80, 0, Math.PI, true); 
+    if (look.lines.circle) {
+      ctx.beginPath(); 
+      ctx.arc(W / 2, floor, 80, 0, Math.PI, true); 
+      ctx.stroke();
+    }
+  }
+
+  // --- Theme Layers ---
+  // Each paints one layer of the current theme in world units; x and y in
+  // the layer data are fractions of the field. Layers are wider than the
+  // field so parallax drift never shows their edges.
+
+  /**
+   * Twinkling stars scattered between two heights
+   */
+  drawStarsLayer(layer, W, H){
+    const ctx = this.ctx;
+    const size = layer.size || 2;
+    ctx.fillStyle = layer.color;
+    for (let i = 0; i < layer.count; i++) {
+      const x = themeHash(i * 2 + 1) * (W + 80) - 40;
+      const y = (layer.top + themeHash(i * 2 + 2) * (layer.bottom - layer.top)) * H;
+      ctx.globalAlpha = 0.45 + 0.4 * Math.sin(this.simTime / 500 + i * 1.3);
+      ctx.fillRect(x, y, size, size);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Sun or planet; bands cut stripes into its lower half
+   */
+  drawSunLayer(layer, W, H){
+    const ctx = this.ctx;
+    const cx = layer.x * W, cy = layer.y * H, r = layer.r;
+    if (layer.bands) {
+      const h = r / layer.bands;
+      ctx.beginPath();
+      ctx.rect(cx - r, cy - r, r * 2, r);
+      for (let k = 0; k < layer.bands; k++) {
+        ctx.rect(cx - r, cy + k * h, r * 2, h * (1 - (k + 1) / (layer.bands + 2)));
+      }
+      ctx.clip();
+    }
+    const g = ctx.createLinearGradient(0, cy - r, 0, cy + r);
+    g.addColorStop(0, layer.colors[0]);
+    g.addColorStop(1, layer.colors[1]);
+    ctx.fillStyle = g;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * Puffy clouds, or blocky 8-bit ones when layer.pixel is set
+   */
+  drawCloudsLayer(layer, W, H){
+    const ctx = this.ctx;
+    ctx.fillStyle = layer.color;
+    layer.clouds.forEach(([fx, fy, size]) => {
+      const x = fx * W, y = fy * H, s = 16 * size;
+      ctx.beginPath();
+      if (layer.pixel) {
+        ctx.rect(x - s, y - s, s * 2, s);
+        ctx.rect(x - s * 2, y, s * 4, s);
+        ctx.rect(x - s * 3, y + s, s * 6, s);
+      } else {
+        ctx.arc(x - s, y + s * 0.4, s * 0.8, 0, Math.PI * 2);
+        ctx.arc(x, y, s, 0, Math.PI * 2);
+        ctx.arc(x + s, y + s * 0.4, s * 0.8, 0, Math.PI * 2);
+      }
+      ctx.fill();
+    });
+  }
+
+  /**
+   * Stand full of spectators; they bob while the match is on
+   */
+  drawCrowdLayer(layer, W, H, floor){
+    const ctx = this.ctx;
+    const top = layer.top * H;
+    const spacing = (floor - top) / (layer.rows + 0.5);
+    ctx.fillStyle = layer.stand;
+    ctx.fillRect(-40, top, W + 80, floor - top);
+    for (let row = 0; row < layer.rows; row++) {
+      const y = top + spacing * (row + 0.6);
+      for (let i = 0, x = -40 + (row % 2) * 7; x < W + 40; i++, x += 14) {
+        const seed = row * 997 + i;
+        const bob = Math.max(0, Math.sin(this.simTime / 180 + seed)) * 3;
+        ctx.fillStyle = layer.colors[Math.floor(themeHash(seed) * layer.colors.length)];
+        ctx.beginPath();
+        if (layer.pixel) ctx.rect(x - 5, y - 5 - bob, 10, 10);
+        else ctx.arc(x, y - bob, 5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }
+
+  /**
+   * Leaning palm trees standing on the field edge
+   */
+  drawPalmsLayer(layer, W, H, floor){
+    const ctx = this.ctx;
+    layer.trees.forEach(([fx, height], i) => {
+      const x = fx * W;
+      const lean = (fx < 0.5 ? -1 : 1) * height * 0.15;
+      const topX = x + lean, topY = floor - height;
+      ctx.strokeStyle = layer.trunk;
+      ctx.lineWidth = 10;
+      ctx.beginPath();
+      ctx.moveTo(x, floor);
+      ctx.quadraticCurveTo(x, floor - height * 0.6, topX, topY);
+      ctx.stroke();
+
+      // Fronds droop from the crown and sway a little
+      const sway = Math.sin(this.simTime / 900 + i) * 0.08;
+      ctx.strokeStyle = layer.leaves;
+      ctx.lineWidth = 7;
+      ctx.lineCap = 'round';
+      [-2.6, -2, -1.2, -0.5, 0.1].forEach(a => {
+        const angle = a + sway;
+        const len = height * 0.35;
+        ctx.beginPath();
+        ctx.moveTo(topX, topY);
+        ctx.quadraticCurveTo(topX + Math.cos(angle) * len * 0.6, topY + Math.sin(angle) * len * 0.6 - 10,
+          topX + Math.cos(angle) * len, topY + Math.sin(angle) * len + len * 0.4);
+        ctx.stroke();
+      });
+      ctx.lineCap = 'butt';
+    });
+  }
+
+  /**
+   * Picture from a data URL (a sponsor banner, a photo of the venue);
+   * nothing is drawn until the browser has decoded it
+   */
+  drawImageLayer(layer, W, H){
+    const img = this.themeImage(layer.src);
+    if (!img?.complete || !img.naturalWidth) return;
+    this.ctx.globalAlpha = layer.alpha ?? 1;
+    this.ctx.drawImage(img, (layer.x ?? 0) * W, (layer.y ?? 0) * H, (layer.w ?? 1) * W, (layer.h ?? 1) * H);
+    this.ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Decoded image for a data URL, created on first use
+   * @returns {?HTMLImageElement} null where images are unavailable
+   */
+  themeImage(src){
+    if (typeof Image !== 'function') return null;
+    this.themeImages ||= new Map();
+    if (!this.themeImages.has(src)) {
+      const img = new Image();
+      img.src = src;
+      this.themeImages.set(src, img);
+    }
+    return this.themeImages.get(src);
+  }
+
+  /**
+   * Perspective grid running from the horizon to the field
+   */
+  drawGridLayer(layer, W, H, floor){
+    const ctx = this.ctx;
+    const horizon = layer.horizon * H;
+    ctx.strokeStyle = layer.color;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let k = 0; k <= layer.rows; k++) {
+      const y = horizon + (floor - horizon) * (k / layer.rows) ** 2;
+      ctx.moveTo(-40, y);
+      ctx.lineTo(W + 40, y);
+    }
+    for (let k = 0; k <= layer.columns; k++) {
+      ctx.moveTo(W / 2, horizon);
+      ctx.lineTo(-W + (3 * W) * k / layer.columns, floor);
+    }
     ctx.stroke();
   }
 
   drawGoals(){
     const ctx = this.ctx;
-    const L = this.goals.left;
-    const R = this.goals.right;
-    
-    ctx.strokeStyle = '#fff'; 
-    ctx.lineWidth = 5; 
+    const floor = this.sim.height - 50;
     
-    // Left goal
-    ctx.beginPath(); 
-    ctx.moveTo(0, L.y); 
-    ctx.lineTo(L.w, L.y); 
-    ctx.lineTo(L.w, L.y + L.h); 
-    ctx.stroke();
+    ['left', 'right'].forEach(side => {
+      const g = this.goals[side];
+      const mouth = side === 'left' ? g.x + g.w : g.x;
+      this.drawNet(side);
+      
+      // Near post (drawn only; the ball passes in front of it)
+      ctx.strokeStyle = this.look.goals.post;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(mouth, g.y);
+      ctx.lineTo(mouth, floor);
+      ctx.stroke();
+      
+      // Crossbar, as thick as its collider
+      ctx.strokeStyle = this.look.goals.bar;
+      ctx.lineWidth = GOAL_BAR_RADIUS * 2;
+      ctx.lineCap = 'round';
+      ctx.beginPath();
+      ctx.moveTo(g.x, g.y);
+      ctx.lineTo(g.x + g.w, g.y);
+      ctx.stroke();
+      ctx.lineCap = 'butt';
+    });
+  }
+
+  /**
+   * Net mesh inside a goal, bulging toward the wall where the ball stretches it
+   * @param {'left'|'right'} side
+   */
+  drawNet(side){
+    const ctx = this.ctx;
+    const g = this.goals[side];
+    const net = this.sim.nets[side];
+    const floor = this.sim.height - 50;
+    const out = side === 'left' ? -1 : 1;            // Toward the wall
+    const back = side === 'left' ? NET_DEPTH : this.sim.width - NET_DEPTH;
+    const mouth = side === 'left' ? g.x + g.w : g.x;
+    const bulge = y => net.sag * Math.max(0, 1 - Math.abs(y - net.y) / 45);
+    // Strands close to the back give way the most
+    const shift = (x, y) => out * bulge(y) * Math.max(0, 1 - Math.abs(x - back) / Math.abs(mouth - back));
     
-    // Right goal
-    ctx.beginPath(); 
-    ctx.moveTo(this.canvas.width, R.y); 
-    ctx.lineTo(this.canvas.width - R.w, R.y); 
-    ctx.lineTo(this.canvas.width - R.w, R.y + R.h); 
+    ctx.strokeStyle = this.look.goals.net;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let y = g.y + 12; y < floor; y += 12) {
+      ctx.moveTo(back + shift(back, y), y);
+      ctx.lineTo(mouth, y);
+    }
+    for (let i = 0; i <= 4; i++) {
+      const x = back + (mouth - back) * i / 5;
+      ctx.moveTo(x, g.y);
+      for (let y = g.y; y <= floor; y += 6) ctx.lineTo(x + shift(x, y), y);
+    }
     ctx.stroke();
   }
 
-  drawSlime(p){
+  /**
+   * Goal-hanging countdown over a slime standing in its own goal: the bar
+   * empties as its time there runs out
+   */
+  drawHangingTimers(alpha){
+    const sim = this.sim;
+    if (!sim || sim.rules.goalHanging === 'off') return;
+    const ctx = this.ctx;
+    const limit = sim.rules.goalHangingTime * sim.tickRate;
+    ['p1', 'p2'].forEach(slot => {
+      const ticks = sim.hanging[slot];
+      if (!ticks) return;
+      const p = this.interpolate(sim.slime(slot), alpha);
+      const left = Math.max(0, 1 - ticks / limit);
+      const w = 60, h = 6;
+      const x = p.x - w / 2, y = p.y - p.r - 18;
+      ctx.fillStyle = 'rgba(0,0,0,.5)';
+      ctx.fillRect(x, y, w, h);
+      ctx.fillStyle = left > 0.33 ? '#ffd54f' : '#ff5252';
+      ctx.fillRect(x, y, w * left, h);
+    });
+  }
+
+  /**
+   * Body color of a slime: the player's pick, else the theme's
+   * @param {'p1'|'p2'} slot
+   */
+  slimeColor(slot){
+    return this.cosmetics[slot].color || this.look.slimes[slot];
+  }
+
+  /**
+   * @param {Object} p - Slime (or a stand-in for the preview)
+   * @param {'p1'|'p2'} slot - Whose cosmetics to wear
+   * @param {?{x:number, y:number}} target - What the eyes look at (the ball)
+   */
+  drawSlime(p, slot, target){
     const ctx = this.ctx;
+    const color = this.slimeColor(slot);
     
-    // Body
-    ctx.fillStyle = p.color; 
+    // Body: a full disc, or the classic dome on its flat underside
+    ctx.fillStyle = color; 
     ctx.beginPath(); 
-    ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2); 
+    if (this.sim?.rules.slimeShape === 'half') {
+      ctx.arc(p.x, p.y, p.r, Math.PI, 0);
+      ctx.closePath();
+    } else {
+      ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2); 
+    }
     ctx.fill();
     
     // Shine
@@ -1280,19 +3093,135 @@ class Game {
     ctx.arc(p.x - p.r * 0.3, p.y - p.r * 0.3, p.r * 0.3, 0, Math.PI * 2); 
     ctx.fill();
     
-    // Eyes
-    ctx.fillStyle = '#000'; 
-    ctx.beginPath(); 
-    ctx.arc(p.x - 10, p.y - 10, 5, 0, Math.PI * 2); 
-    ctx.arc(p.x + 10, p.y - 10, 5, 0, Math.PI * 2); 
-    ctx.fill();
+    const eyes = this.slimeEyes(p, slot);
+    this.drawSlimeEyes(eyes, this.cosmetics[slot].eyes, color, target);
+    this.drawSlimeAccessory(p, slot, eyes);
+  }
+
+  /**
+   * Where a slime's eyes sit: two on the front of the face, or one big eye
+   * toward the opponent as in the original Slime Soccer
+   * @returns {Array<{x:number, y:number, r:number}>}
+   */
+  slimeEyes(p, slot){
+    const facing = slot === 'p1' ? 1 : -1;
+    if (this.cosmetics[slot].eyes === 'single') {
+      return [{ x: p.x + facing * p.r * 0.45, y: p.y - p.r * 0.45, r: p.r * 0.22 }];
+    }
+    return [-1, 1].map(side => ({ x: p.x + side * p.r * 0.27 + facing * p.r * 0.1, y: p.y - p.r * 0.35, r: p.r * 0.15 }));
+  }
+
+  /**
+   * Eye whites with pupils turned toward the target
+   */
+  drawSlimeEyes(eyes, style, color, target){
+    const ctx = this.ctx;
+    eyes.forEach(e => {
+      ctx.fillStyle = '#fff';
+      ctx.beginPath();
+      ctx.arc(e.x, e.y, e.r, 0, Math.PI * 2);
+      ctx.fill();
+
+      const pupil = e.r * 0.5;
+      const dx = target ? target.x - e.x : 0, dy = target ? target.y - e.y : 0;
+      const d = Math.hypot(dx, dy) || 1;
+      ctx.fillStyle = '#000';
+      ctx.beginPath();
+      ctx.arc(e.x + dx / d * (e.r - pupil), e.y + dy / d * (e.r - pupil), pupil, 0, Math.PI * 2);
+      ctx.fill();
+
+      if (style === 'sleepy') {
+        // Heavy lids in the body color over the top half
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(e.x, e.y + e.r * 0.1, e.r + 1, Math.PI, 0);
+        ctx.fill();
+      }
+    });
+    if (style === 'angry') {
+      // Brows slanting down toward the middle of the face
+      const mid = eyes.reduce((s, e) => s + e.x, 0) / eyes.length;
+      ctx.strokeStyle = '#000';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      eyes.forEach(e => {
+        const inward = e.x < mid ? 1 : -1;
+        ctx.moveTo(e.x - inward * e.r, e.y - e.r * 1.5);
+        ctx.lineTo(e.x + inward * e.r, e.y - e.r * 0.9);
+      });
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Hat, headband or sunglasses on top of a slime
+   */
+  drawSlimeAccessory(p, slot, eyes){
+    const ctx = this.ctx;
+    const r = p.r, top = p.y - r;
+    const back = slot === 'p1' ? -1 : 1;
+    switch (this.cosmetics[slot].accessory) {
+      case 'hat':
+        ctx.fillStyle = '#212121';
+        ctx.fillRect(p.x - r * 0.55, top - r * 0.08, r * 1.1, r * 0.14);
+        ctx.fillRect(p.x - r * 0.33, top - r * 0.62, r * 0.66, r * 0.56);
+        ctx.fillStyle = '#e53935';
+        ctx.fillRect(p.x - r * 0.33, top - r * 0.2, r * 0.66, r * 0.1);
+        break;
+      case 'headband': {
+        ctx.strokeStyle = '#e53935';
+        ctx.lineWidth = r * 0.16;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, r * 0.88, Math.PI * 1.15, Math.PI * 1.85);
+        ctx.stroke();
+        // Loose ends flying off the back of the head
+        const knot = back < 0 ? Math.PI * 1.15 : Math.PI * 1.85;
+        const kx = p.x + Math.cos(knot) * r * 0.88, ky = p.y + Math.sin(knot) * r * 0.88;
+        ctx.lineWidth = r * 0.08;
+        ctx.beginPath();
+        ctx.moveTo(kx, ky);
+        ctx.lineTo(kx + back * r * 0.35, ky + r * 0.05);
+        ctx.moveTo(kx, ky);
+        ctx.lineTo(kx + back * r * 0.3, ky + r * 0.25);
+        ctx.stroke();
+        break;
+      }
+      case 'sunglasses':
+        ctx.fillStyle = '#111';
+        ctx.strokeStyle = '#111';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        eyes.forEach(e => {
+          ctx.moveTo(e.x + e.r * 1.3, e.y);
+          ctx.arc(e.x, e.y, e.r * 1.3, 0, Math.PI * 2);
+        });
+        ctx.fill();
+        ctx.beginPath();
+        eyes.slice(1).forEach((e, i) => {
+          ctx.moveTo(eyes[i].x, eyes[i].y - eyes[i].r * 0.4);
+          ctx.lineTo(e.x, e.y - e.r * 0.4);
+        });
+        // Temple arm to the back of the head
+        const last = back < 0 ? eyes[0] : eyes[eyes.length - 1];
+        ctx.moveTo(last.x, last.y - last.r * 0.4);
+        ctx.lineTo(p.x + back * r * 0.9, last.y - last.r * 0.6);
+        ctx.stroke();
+        break;
+    }
   }
 
-  drawBall(){
+  drawBall(b = this.ball){
+    if (b.frozen) {
+      this.drawFrozenBall(b);
+      return;
+    }
+    if (b.onFire) {
+      this.drawFireBall(b);
+      return;
+    }
     const ctx = this.ctx;
-    const b = this.ball; 
     
-    ctx.fillStyle = b.color; 
+    ctx.fillStyle = this.look.ball.color; 
     ctx.beginPath(); 
     ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2); 
     ctx.fill();
@@ -1302,7 +3231,7 @@ class Game {
     ctx.arc(b.x - 5, b.y - 5, 3, 0, Math.PI * 2); 
     ctx.fill();
     
-    ctx.strokeStyle = 'rgba(0,0,0,.35)'; 
+    ctx.strokeStyle = this.look.ball.seam; 
     ctx.lineWidth = 2; 
     ctx.beginPath(); 
     ctx.arc(b.x, b.y, b.r * 0.7, 0, Math.PI * 2); 
@@ -1311,15 +3240,85 @@ class Game {
     ctx.stroke();
   }
 
+  /**
+   * Ice ball: pale blue with a frost halo and crystal spokes
+   */
+  drawFrozenBall(b){
+    const ctx = this.ctx;
+    const halo = 1 + Math.sin(this.simTime / 120) * 0.08;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(179,229,252,.35)';
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, b.r * 1.6 * halo, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = '#b3e5fc';
+    ctx.strokeStyle = '#e1f5fe';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.strokeStyle = 'rgba(255,255,255,.85)';
+    ctx.beginPath();
+    for (let i = 0; i < 3; i++) {
+      const a = i * Math.PI / 3;
+      ctx.moveTo(b.x - Math.cos(a) * b.r * 0.75, b.y - Math.sin(a) * b.r * 0.75);
+      ctx.lineTo(b.x + Math.cos(a) * b.r * 0.75, b.y + Math.sin(a) * b.r * 0.75);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Fire ball: glowing yellow-to-red core with flickering flame tongues
+   */
+  drawFireBall(b){
+    const ctx = this.ctx;
+    const phase = this.simTime / 60;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(255,87,34,.45)';
+    ctx.beginPath();
+    for (let i = 0; i < 8; i++) {
+      const a = (i / 8) * Math.PI * 2;
+      const len = b.r * (1.35 + Math.sin(phase + i * 1.7) * 0.25);
+      ctx.moveTo(b.x, b.y);
+      ctx.arc(b.x, b.y, len, a - 0.25, a + 0.25);
+    }
+    ctx.fill();
+
+    const core = ctx.createRadialGradient(b.x, b.y, b.r * 0.2, b.x, b.y, b.r);
+    core.addColorStop(0, '#fff59d');
+    core.addColorStop(0.5, '#ff9100');
+    core.addColorStop(1, '#d50000');
+    ctx.fillStyle = core;
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
   drawBallTrail(){
     if (!this.ballTrail || !this.ctx) return;
     
-    this.ballTrail.forEach(t => {
+    this.ballTrail.forEach(point => {
       this.ctx.save();
-      this.ctx.globalAlpha = t.life / 8;
-      this.ctx.fillStyle = '#fff';
+      if (point.fire) {
+        this.ctx.globalAlpha = point.life / 14;
+        this.ctx.fillStyle = point.life > 9 ? '#ffea00' : (point.life > 4 ? '#ff9100' : '#d50000');
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 3 + point.life * 0.6, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.restore();
+        return;
+      }
+      this.ctx.globalAlpha = point.life / 8;
+      this.ctx.fillStyle = this.look.particles.trail;
       this.ctx.beginPath();
-      this.ctx.arc(t.x, t.y, 3, 0, Math.PI * 2);
+      this.ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
       this.ctx.fill();
       this.ctx.restore();
     });
@@ -1330,9 +3329,7 @@ class Game {
     
     this.powerUps.forEach(p => {
       const pulseSize = 1 + Math.sin(p.pulse) * 0.2;
-      let emoji = '⚡'; 
-      if (p.type === 'jump') emoji = '🦘'; 
-      if (p.type === 'bigball') emoji = '🎯';
+      const emoji = getPowerUp(p.type)?.icon || '❔';
       
       ctx.save(); 
       ctx.font = `${20 * pulseSize}px system-ui, sans-serif`; 
@@ -1357,12 +3354,62 @@ class Game {
     });
   }
 
+  /**
+   * The theme's ambient particles (snow, confetti) drifting over the match;
+   * positions follow from the match clock, so they need no state
+   */
+  drawAmbient(){
+    const a = this.look.ambient;
+    if (!a.count) return;
+    const ctx = this.ctx;
+    const W = this.sim.width, H = this.sim.height;
+    const ticks = this.simTime / this.tickMs;
+    const [dx = 0, dy = 0] = a.drift;
+    const wrap = (v, size) => ((v % size) + size) % size;
+    ctx.save();
+    ctx.globalAlpha = 0.7;
+    for (let i = 0; i < a.count; i++) {
+      const speed = 0.5 + themeHash(i * 3 + 3);
+      const x = wrap(themeHash(i * 3 + 1) * W + dx * speed * ticks + Math.sin(ticks / 40 + i) * 6, W);
+      const y = wrap(themeHash(i * 3 + 2) * H + dy * speed * ticks, H);
+      ctx.fillStyle = a.colors[i % a.colors.length];
+      ctx.fillRect(x, y, a.size, a.size);
+    }
+    ctx.restore();
+  }
+
   // --- Input System ---
+  /**
+   * Keyboard input goes through the bindings by physical key (KeyboardEvent.code)
+   */
   bindKeys(){
-    this._onKeyDown = (e) => { this.keys[e.key.toLowerCase()] = true; };
-    this._onKeyUp = (e) => { this.keys[e.key.toLowerCase()] = false; };
+    this._onKeyDown = (e) => {
+      if (this.capturing) {
+        e.preventDefault?.();
+        this.captureKey(e.code);
+        return;
+      }
+      if (this.setActions(e.code, true) && this.state === 'playing') e.preventDefault?.();
+    };
+    this._onKeyUp = (e) => { this.setActions(e.code, false); };
+    // Keys released while the window is in the background never send keyup
+    this._onBlur = () => this.releaseInputs();
     window.addEventListener('keydown', this._onKeyDown);
     window.addEventListener('keyup', this._onKeyUp);
+    window.addEventListener('blur', this._onBlur);
+  }
+
+  /**
+   * Press or release every action bound to a key
+   * @param {string} code - KeyboardEvent.code
+   * @param {boolean} pressed
+   * @returns {boolean} Whether the key is bound to anything
+   */
+  setActions(code, pressed){
+    if (this.replay) return false;
+    const hits = actionsForCode(this.bindings, code);
+    hits.forEach(({ player, action }) => { this.actions[player][action] = pressed; });
+    return hits.length > 0;
   }
 
   bindUI(){
@@ -1371,34 +3418,61 @@ class Game {
     const gravitySelect = document.getElementById('gravitySelect');
     const difficultySelect = document.getElementById('difficultySelect');
     const themeSelect = document.getElementById('themeSelect');
-    const difficultyRow = document.getElementById('difficultyRow');
 
-    // Load saved settings
-    const saved = this.loadSettings();
-    if (saved) {
-      if (modeSelect && saved.mode) modeSelect.value = saved.mode;
-      if (gravitySelect && saved.gravity) gravitySelect.value = saved.gravity;
-      if (difficultySelect && saved.difficulty) difficultySelect.value = saved.difficulty;
-      if (themeSelect && saved.theme) themeSelect.value = saved.theme;
+    // Imported themes first, so a saved theme choice finds its option
+    this.loadCustomThemes();
+    const themeFile = document.getElementById('themeFile');
+    themeSelect?.addEventListener('change', () => {
+      document.getElementById('themeDeleteBtn')?.classList.toggle('hidden', isBuiltInTheme(themeSelect.value));
+    });
+    document.getElementById('themeExportBtn')?.addEventListener('click', () => this.downloadTheme(themeSelect?.value));
+    document.getElementById('themeDeleteBtn')?.addEventListener('click', () => this.deleteCustomTheme(themeSelect?.value));
+    if (themeFile) {
+      document.getElementById('themeImportBtn')?.addEventListener('click', () => themeFile.click());
+      themeFile.addEventListener('change', () => {
+        const file = themeFile.files && themeFile.files[0];
+        if (file) this.loadThemeFile(file);
+        themeFile.value = '';
+      });
     }
 
-    if (modeSelect && difficultyRow) {
-      const syncDifficultyVisibility = () => {
-        const isSinglePlayer = modeSelect.value === 'single';
-        difficultyRow.style.display = isSinglePlayer ? 'grid' : 'none';
-      };
-      modeSelect.addEventListener('change', syncDifficultyVisibility);
-      syncDifficultyVisibility();
+    // Languages are listed in their own name, so the list reads the same in any language
+    const languageSelect = document.getElementById('languageSelect');
+    if (languageSelect) {
+      languageSelect.innerHTML = I18N_LANGUAGES
+        .map(l => `<option value="${l.id}">${this.escapeHtml(l.name)}</option>`).join('');
+      languageSelect.addEventListener('change', () => {
+        this.applyLanguage(languageSelect.value);
+        this.saveLanguage();
+      });
     }
 
+    // Load saved settings; the P1 profile's own settings win over the last used ones
+    this.applyMenuSettings(this.profiles.slotProfile('p1')?.settings || this.loadSettings());
+    document.getElementById('winConditionSelect')?.addEventListener('change', () => this.syncMenuRows());
+    modeSelect?.addEventListener('change', () => this.syncMenuRows());
+    difficultySelect?.addEventListener('change', () => this.updateHeadToHead());
+
     if (startBtn) {
       startBtn.addEventListener('click', () => {
         try {
           const mode = document.getElementById('modeSelect')?.value || 'soccer';
           const gravity = document.getElementById('gravitySelect')?.value || 'normal';
           const difficulty = document.getElementById('difficultySelect')?.value || 'normal';
+          this.leftDifficulty = document.getElementById('leftDifficultySelect')?.value || 'normal';
           const theme = document.getElementById('themeSelect')?.value || 'stadium';
-          this.start(mode, gravity, difficulty, theme);
+          const rules = this.readMenuRules();
+          if (mode === 'online') {
+            this.hostOnlineRoom(gravity, theme, rules);
+            return;
+          }
+          this.leaveOnline();
+          if (mode === 'tournament') {
+            const type = document.getElementById('tournamentTypeSelect')?.value || 'knockout';
+            this.startTournament(type, this.readEntrants(), { gravity, theme, rules });
+            return;
+          }
+          this.start(mode, gravity, difficulty, theme, undefined, rules);
         } catch (e) {
           this.handleError("Start button error", e);
         }
@@ -1427,77 +3501,250 @@ class Game {
       });
     }
     
-    // Touch controls
-    const bindTouch = (id, key) => {
-      const el = document.getElementById(id);
-      if (el) {
-        el.addEventListener('touchstart', e => { 
-          try {
-            e.preventDefault(); 
-            this.keys[key] = true; 
-          } catch (err) {
-            this.handleError("Touch start error", err);
-          }
-        });
-        
-        el.addEventListener('touchend', e => { 
-          try {
-            e.preventDefault(); 
-            this.keys[key] = false; 
-          } catch (err) {
-            this.handleError("Touch end error", err);
-          }
-        });
+    // Online controls
+    const roomCodeInput = document.getElementById('roomCodeInput');
+    document.getElementById('createRoomBtn')?.addEventListener('click', () => {
+      this.hostOnlineRoom(gravitySelect?.value || 'normal', themeSelect?.value || 'stadium', this.readMenuRules());
+    });
+    document.getElementById('joinRoomBtn')?.addEventListener('click', () => {
+      this.joinOnlineRoom(roomCodeInput?.value);
+    });
+    roomCodeInput?.addEventListener('keydown', e => {
+      if (e.key === 'Enter') this.joinOnlineRoom(roomCodeInput.value);
+    });
+    
+    // Tournament controls
+    this.entrantRows = [];
+    [[t('player.name', { count: 1 }), null], [t('player.name', { count: 2 }), null], ['Robo', 'normal'], ['Turbo', 'hard']]
+      .forEach(([name, ai]) => this.addEntrantRow(name, ai));
+    document.getElementById('addEntrantBtn')?.addEventListener('click', () => this.addEntrantRow('', 'normal'));
+    document.getElementById('tournamentResumeBtn')?.addEventListener('click', () => this.resumeTournament());
+    document.getElementById('tournamentNextBtn')?.addEventListener('click', () => this.playNextFixture());
+    document.getElementById('tournamentExitBtn')?.addEventListener('click', () => this.exitTournament());
+
+    this.updateTournamentResume();
+
+    // Results screen
+    document.getElementById('rematchBtn')?.addEventListener('click', () => this.rematch());
+    document.getElementById('statsMenuBtn')?.addEventListener('click', () => this.closeStatsScreen());
+
+    // Profiles
+    const profileNameInput = document.getElementById('profileNameInput');
+    const profileFile = document.getElementById('profileFile');
+    ['p1', 'p2'].forEach(slot => {
+      document.getElementById(`profile${slot.toUpperCase()}Select`)?.addEventListener('change', e => {
+        this.selectProfile(slot, e.target.value || null);
+      });
+    });
+    document.getElementById('profileCreateBtn')?.addEventListener('click', () => {
+      this.createProfile(profileNameInput?.value);
+      if (profileNameInput) profileNameInput.value = '';
+    });
+    profileNameInput?.addEventListener('keydown', e => {
+      if (e.key !== 'Enter') return;
+      this.createProfile(profileNameInput.value);
+      profileNameInput.value = '';
+    });
+    document.getElementById('profileDeleteBtn')?.addEventListener('click', () => this.deleteProfile());
+    document.getElementById('profileExportBtn')?.addEventListener('click', () => this.downloadProfiles());
+    if (profileFile) {
+      document.getElementById('profileImportBtn')?.addEventListener('click', () => profileFile.click());
+      profileFile.addEventListener('change', () => {
+        const file = profileFile.files && profileFile.files[0];
+        if (file) this.loadProfileFile(file);
+        profileFile.value = '';
+      });
+    }
+    this.renderProfiles();
+
+    // Replay controls
+    const replayLoadBtn = document.getElementById('replayLoadBtn');
+    const replaySaveBtn = document.getElementById('replaySaveBtn');
+    const replayFile = document.getElementById('replayFile');
+    const replaySeek = document.getElementById('replaySeek');
+    
+    if (replayLoadBtn && replayFile) {
+      replayLoadBtn.addEventListener('click', () => replayFile.click());
+      replayFile.addEventListener('change', () => {
+        const file = replayFile.files && replayFile.files[0];
+        if (file) this.loadReplayFile(file);
+        replayFile.value = '';
+      });
+    }
+    replaySaveBtn?.addEventListener('click', () => this.downloadReplay());
+    document.getElementById('replayPlayBtn')?.addEventListener('click', () => this.toggleReplayPlayback());
+    // Key mapping
+    document.getElementById('howBtn')?.addEventListener('click', () => this.showControlsScreen());
+    document.getElementById('controlsSaveBtn')?.addEventListener('click', () => this.saveControls());
+    document.getElementById('controlsResetBtn')?.addEventListener('click', () => this.resetControls());
+    document.getElementById('controlsCloseBtn')?.addEventListener('click', () => this.closeControlsScreen());
+
+    // Slime cosmetics
+    document.getElementById('cosmeticsBtn')?.addEventListener('click', () => this.showCosmeticsScreen());
+    document.getElementById('cosmeticsSaveBtn')?.addEventListener('click', () => this.saveCosmetics());
+    document.getElementById('cosmeticsCloseBtn')?.addEventListener('click', () => this.closeCosmeticsScreen());
+    COSMETIC_SLOTS.forEach(slot => {
+      const field = (id, name, event = 'change') => {
+        const el = document.getElementById(`${slot}${id}`);
+        el?.addEventListener(event, () => this.editCosmetic(slot, name, el.value));
+      };
+      field('NameInput', 'name', 'input');
+      field('ColorInput', 'color', 'input');
+      field('EyesSelect', 'eyes');
+      field('AccessorySelect', 'accessory');
+      document.getElementById(`${slot}ColorResetBtn`)?.addEventListener('click', () => this.editCosmetic(slot, 'color', null));
+    });
+
+    document.getElementById('replayExitBtn')?.addEventListener('click', () => this.stopReplay());
+    document.getElementById('replaySpeed')?.addEventListener('change', e => this.setReplaySpeed(e.target.value));
+    if (replaySeek) {
+      replaySeek.addEventListener('input', () => { this._seekDragging = true; });
+      replaySeek.addEventListener('change', () => {
+        this._seekDragging = false;
+        this.seekReplay(Number(replaySeek.value));
+      });
+    }
+    
+    this.bindTouchControls();
+  }
+
+  /**
+   * Put saved settings into the menu selects
+   * @param {?Object} saved - {mode, gravity, difficulty, leftDifficulty, theme, rules, controls, touchLayout, language} as stored by saveSettings
+   */
+  applyMenuSettings(saved){
+    this.applyLanguage(saved?.language || this.language);
+    if (saved) {
+      const set = (id, value) => {
+        const el = document.getElementById(id);
+        if (el && value !== undefined && value !== null) el.value = String(value);
+      };
+      set('modeSelect', saved.mode);
+      set('gravitySelect', saved.gravity);
+      set('difficultySelect', saved.difficulty);
+      set('leftDifficultySelect', saved.leftDifficulty);
+      if (saved.leftDifficulty) this.leftDifficulty = saved.leftDifficulty;
+      if (saved.theme) this.renderThemeOptions(saved.theme);
+      if (saved.rules) {
+        const rules = normalizeRules(saved.rules);
+        this.rules = rules;
+        set('winConditionSelect', rules.winCondition);
+        set('matchLengthSelect', rules.matchLength);
+        set('scoreTargetSelect', rules.scoreTarget);
+        set('drawResolutionSelect', rules.drawResolution);
+        set('ownHalfSelect', rules.ownHalf);
+        set('goalHangingSelect', rules.goalHanging);
+        set('slimeShapeSelect', rules.slimeShape);
       }
+    }
+    this.applyBindings(saved?.controls || this.bindings);
+    if (saved?.touchLayout) this.setTouchLayout(saved.touchLayout);
+    this.syncMenuRows();
+  }
+
+  /**
+   * Only show the menu rows that matter for the chosen mode and win condition
+   */
+  syncMenuRows(){
+    const mode = document.getElementById('modeSelect')?.value || 'soccer';
+    const condition = document.getElementById('winConditionSelect')?.value || 'time';
+    const show = (id, on) => {
+      const row = document.getElementById(id);
+      if (row) row.style.display = on ? 'grid' : 'none';
     };
-    
-    bindTouch('p1Left', 'a');
-    bindTouch('p1Right', 'd');
-    bindTouch('p1Jump', 'w');
+    show('difficultyRow', mode === 'single' || mode === 'spectate');
+    show('leftDifficultyRow', mode === 'spectate');
+    show('onlineRow', mode === 'online');
+    show('tournamentRow', mode === 'tournament');
+    show('matchLengthRow', condition !== 'score');
+    show('scoreTargetRow', condition !== 'time');
+    show('drawResolutionRow', condition !== 'score');
+    // The right slime is the AI in single player; nobody plays in spectator matches
+    const p2Select = document.getElementById('profileP2Select');
+    if (p2Select) p2Select.style.display = mode === 'single' || mode === 'spectate' ? 'none' : '';
+    this.updateHeadToHead();
   }
 
+  /**
+   * Match rules chosen in the menu
+   * @returns {Object} Normalized rules
+   */
+  readMenuRules(){
+    const value = id => document.getElementById(id)?.value;
+    return normalizeRules({
+      winCondition: value('winConditionSelect'),
+      matchLength: value('matchLengthSelect'),
+      scoreTarget: value('scoreTargetSelect'),
+      drawResolution: value('drawResolutionSelect'),
+      ownHalf: value('ownHalfSelect'),
+      goalHanging: value('goalHangingSelect'),
+      slimeShape: value('slimeShapeSelect')
+    });
+  }
+
+  /**
+   * Size the canvas for the window and fit the world into it. Only the view
+   * changes; the match keeps running on the same world.
+   */
   resizeForMobile(){
     try {
       const isMobile = window.innerWidth < 768;
       
       if (this.canvas) {
-        if (isMobile) {
-          this.canvas.width = Math.min(window.innerWidth * 0.95, 800);
-          this.canvas.height = Math.min(window.innerHeight * 0.7, 500);
-        } else {
-          this.canvas.width = 960;
-          this.canvas.height = 600;
-        }
+        // Box on screen in CSS pixels, kept inside the stylesheet's max-width/max-height
+        const cssWidth = Math.floor(isMobile ? Math.min(window.innerWidth * 0.95, 800) : Math.min(WORLD_WIDTH, window.innerWidth * 0.98));
+        const cssHeight = Math.floor(isMobile ? Math.min(window.innerHeight * 0.7, 500) : Math.min(WORLD_HEIGHT, window.innerHeight * 0.82));
+        // Backing store in device pixels so retina screens stay sharp
+        const dpr = window.devicePixelRatio || 1;
+        this.canvas.style.width = `${cssWidth}px`;
+        this.canvas.style.height = `${cssHeight}px`;
+        this.canvas.width = Math.round(cssWidth * dpr);
+        this.canvas.height = Math.round(cssHeight * dpr);
+        this.view = this.fitView(this.canvas.width, this.canvas.height);
+        // Resizing clears the canvas; a paused or finished match is not redrawn by the loop
+        if (this.sim) this.render(this.renderAlpha);
       }
       
-      if (this.touchpad) {
-        if (isMobile) {
-          this.touchpad.classList.remove('hidden');
-        } else {
-          this.touchpad.classList.add('hidden');
-        }
-      }
-      
-      this.resetEntities();
+      // Tablets are wider than the phone layout but still need the touch buttons
+      const hasTouch = isMobile || navigator.maxTouchPoints > 0;
+      this.touchpad?.classList.toggle('hidden', !hasTouch);
     } catch (e) {
       this.handleError("Resize error", e);
     }
   }
 
+  /**
+   * Largest uniform scale that fits the world into a canvas, centred with
+   * bars on the sides or top and bottom
+   * @param {number} width - Canvas width in device pixels
+   * @param {number} height - Canvas height in device pixels
+   * @returns {{scale:number, x:number, y:number}} Scale and offset of the world's top-left corner
+   */
+  fitView(width, height){
+    const scale = Math.min(width / WORLD_WIDTH, height / WORLD_HEIGHT);
+    return { scale, x: (width - WORLD_WIDTH * scale) / 2, y: (height - WORLD_HEIGHT * scale) / 2 };
+  }
+
   // --- Cleanup ---
   destroy() {
     try {
       this.clearAllTimers();
+      this.leaveOnline();
       
       if (this._onKeyDown) window.removeEventListener('keydown', this._onKeyDown);
       if (this._onKeyUp) window.removeEventListener('keyup', this._onKeyUp);
+      if (this._onBlur) window.removeEventListener('blur', this._onBlur);
+      if (this._onGamepadConnected) {
+        window.removeEventListener('gamepadconnected', this._onGamepadConnected);
+        window.removeEventListener('gamepaddisconnected', this._onGamepadConnected);
+      }
+      if (this._padTimer) clearInterval(this._padTimer);
       if (this._onVisibilityChange) document.removeEventListener('visibilitychange', this._onVisibilityChange);
       
       this.canvas = null;
       this.ctx = null;
       this.particles = [];
       this.ballTrail = [];
-      this.powerUps = [];
       
       console.log("Game destroyed successfully");
     } catch (e) {
@@ -1524,7 +3771,7 @@ function initializeGame() {
     
     const errorEl = document.getElementById('errorMessage');
     if (errorEl) {
-      errorEl.textContent = 'Oyun başlatılamadı. Sayfa yenileyin.';
+      errorEl.textContent = t('game.startFailed');
       errorEl.style.display = 'block';
     }
   }
@@ -0,0 +1,189 @@
+/**
+ * ========================================
+ * SLIME SOCCER - GAMEPADS
+ * Gamepad API polling, join assignment and rumble
+ * ========================================
+ *
+ * Pads are polled once per simulation tick (the Gamepad API has no input
+ * events). A connected pad does nothing until someone presses A on it; it
+ * then joins the first free slime. Unplugging a pad frees its slime again.
+ *
+ * Buttons follow the "standard" mapping: 0-3 are the face buttons
+ * (A/B/X/Y, Cross/Circle/Square/Triangle) and 12-15 the d-pad.
+ *
+ * Analog movement is rounded to hundredths so replays and online play can
+ * carry it exactly.
+ */
+
+const PAD_DEADZONE = 0.2;                 // Stick deflection ignored around the center
+const PAD_JOIN_BUTTON = 0;                // A / Cross
+const PAD_JUMP_BUTTONS = [0, 1, 2, 3, 12]; // Any face button or d-pad up
+const PAD_DPAD_LEFT = 14;
+const PAD_DPAD_RIGHT = 15;
+const PAD_SLOTS = ['p1', 'p2'];
+
+function padPressed(pad, index){
+  const b = pad.buttons?.[index];
+  if (!b) return false;
+  return typeof b === 'object' ? !!b.pressed : b === 1;
+}
+
+/**
+ * Round an analog value to the hundredths replays and netplay store
+ * @param {number} v - Value in [-1, 1]
+ */
+function quantizeMove(v){
+  return Math.round(Math.max(-1, Math.min(1, v)) * 100) / 100 || 0;
+}
+
+/**
+ * Movement intent from one pad: left stick or d-pad, any face button jumps
+ * @param {Gamepad} pad
+ * @returns {{left:boolean, right:boolean, jump:boolean, move:number}}
+ */
+function padIntent(pad){
+  const x = pad.axes?.[0] || 0;
+  let move = 0;
+  if (Math.abs(x) > PAD_DEADZONE) {
+    // Rescale so speed starts from zero at the edge of the dead zone
+    move = Math.sign(x) * (Math.min(1, Math.abs(x)) - PAD_DEADZONE) / (1 - PAD_DEADZONE);
+  }
+  if (padPressed(pad, PAD_DPAD_LEFT)) move = -1;
+  if (padPressed(pad, PAD_DPAD_RIGHT)) move = 1;
+  move = quantizeMove(move);
+  return {
+    left: move < 0,
+    right: move > 0,
+    jump: PAD_JUMP_BUTTONS.some(i => padPressed(pad, i)),
+    move
+  };
+}
+
+/**
+ * Tracks connected pads and which slime each one controls.
+ *
+ * Events: 'connected' {index, id}, 'disconnected' {index, id, slot},
+ * 'joined' {index, id, slot}
+ */
+class GamepadInput {
+  /**
+   * @param {Function} source - Returns the current pad list, e.g. () => navigator.getGamepads()
+   */
+  constructor(source){
+    this.source = source;
+    this.slots = { p1: null, p2: null };   // Pad index per slime
+    this.known = new Map();                 // index -> pad id
+    this.joinHeld = new Set();              // Pads still holding the join button
+    this.joining = new Set();               // Seated pads still holding the press that seated them
+    this.listeners = {};
+  }
+
+  on(event, fn){
+    (this.listeners[event] ||= []).push(fn);
+    return () => { this.listeners[event] = this.listeners[event].filter(f => f !== fn); };
+  }
+
+  emit(event, data){
+    (this.listeners[event] || []).forEach(fn => fn(data));
+  }
+
+  /**
+   * Connected pads by index
+   * @returns {Map<number, Gamepad>}
+   */
+  pads(){
+    const pads = new Map();
+    let list = [];
+    try {
+      list = this.source() || [];
+    } catch (e) {
+      // Some browsers throw when the page is not allowed to use gamepads
+    }
+    for (const pad of list) {
+      if (pad && pad.connected !== false) pads.set(pad.index, pad);
+    }
+    return pads;
+  }
+
+  slotOf(index){
+    return PAD_SLOTS.find(slot => this.slots[slot] === index) || null;
+  }
+
+  /**
+   * Read every pad: notice hot-plugging, seat pads whose A was just pressed
+   * and return the intents of the seated ones
+   * @returns {{p1:?Object, p2:?Object}} Intent per slime (null without a pad)
+   */
+  poll(){
+    const pads = this.pads();
+
+    for (const [index, id] of this.known) {
+      if (pads.has(index)) continue;
+      this.known.delete(index);
+      this.joinHeld.delete(index);
+      this.joining.delete(index);
+      const slot = this.slotOf(index);
+      if (slot) this.slots[slot] = null;
+      this.emit('disconnected', { index, id, slot });
+    }
+
+    const result = { p1: null, p2: null };
+    for (const [index, pad] of pads) {
+      if (!this.known.has(index)) {
+        this.known.set(index, pad.id);
+        this.emit('connected', { index, id: pad.id });
+      }
+      const join = padPressed(pad, PAD_JOIN_BUTTON);
+      let slot = this.slotOf(index);
+      if (!slot && join && !this.joinHeld.has(index)) {
+        slot = PAD_SLOTS.find(s => this.slots[s] === null) || null;
+        if (slot) {
+          this.slots[slot] = index;
+          this.joining.add(index);
+          this.emit('joined', { index, id: pad.id, slot });
+        }
+      }
+      if (join) this.joinHeld.add(index);
+      else {
+        this.joinHeld.delete(index);
+        this.joining.delete(index);
+      }
+      if (!slot) continue;
+
+      const intent = padIntent(pad);
+      // The press that seats a pad must not also make its slime jump
+      if (this.joining.has(index)) intent.jump = false;
+      result[slot] = intent;
+    }
+    return result;
+  }
+
+  /**
+   * Shake the pad of a slime, where the browser supports it
+   * @param {'p1'|'p2'} slot
+   * @param {number} strength - 0..1
+   * @param {number} [duration=120] - Milliseconds
+   */
+  rumble(slot, strength, duration = 120){
+    const index = this.slots[slot];
+    if (index === null) return;
+    const pad = this.pads().get(index);
+    const actuator = pad?.vibrationActuator;
+    if (!actuator?.playEffect) return;
+    const magnitude = Math.max(0, Math.min(1, strength));
+    Promise.resolve(actuator.playEffect('dual-rumble', {
+      duration,
+      strongMagnitude: magnitude,
+      weakMagnitude: Math.min(1, magnitude * 1.5)
+    })).catch(() => {});
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GamepadInput,
+    padIntent,
+    quantizeMove,
+    PAD_DEADZONE
+  };
+}
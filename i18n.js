@@ -0,0 +1,617 @@
+/**
+ * ========================================
+ * SLIME SOCCER - LOCALIZATION
+ * Keyed string tables, interpolation and plurals
+ * ========================================
+ *
+ * Every user-facing string is looked up by key with t(key, params):
+ *
+ *   t('result.win', { name: 'Ada' })     -> '🎉 Ada kazandı!'
+ *   t('menu.seconds', { count: 90 })     -> '90 sn'
+ *
+ * {name} placeholders are filled from params. An entry may be a plural
+ * object ({ one, other, ... } by Intl.PluralRules category) picked with
+ * params.count. A key missing in the current language falls back to its
+ * base language ('en' for 'en-GB'), then English, then Turkish, then the
+ * fallback passed in, then the key itself, so a half-translated table
+ * still shows something readable.
+ *
+ * Adding a language is one table in I18N_STRINGS plus its entry in
+ * I18N_LANGUAGES. Registry entries (power-ups, themes, controls, slime
+ * cosmetics) are looked up as '<registry>.<id>' with the registry's own
+ * Turkish label as the fallback, so custom entries need no strings here.
+ */
+
+const I18N_LANGUAGES = [
+  { id: 'tr', name: 'Türkçe' },
+  { id: 'en', name: 'English' }
+];
+const DEFAULT_LANGUAGE = 'tr';
+const I18N_FALLBACKS = ['en', 'tr'];
+
+const I18N_STRINGS = {
+  tr: {
+    'menu.subtitle': "Yeni oyun modları, power-up'lar ve yer çekimi ayarlarıyla!",
+    'menu.language': 'Dil',
+    'menu.mode': 'Oyun Modu',
+    'mode.single': '👤 Tek Kişilik (Yapay Zekaya Karşı)',
+    'mode.soccer': '👥 İki Kişilik',
+    'mode.spectate': '🤖 Yapay Zeka vs Yapay Zeka (İzle)',
+    'mode.online': '🌐 Çevrimiçi (İki Bilgisayar)',
+    'mode.tournament': '🏆 Turnuva',
+    'menu.profiles': 'Profiller (P1 / P2)',
+    'menu.gravity': 'Yer Çekimi',
+    'gravity.normal': 'Normal',
+    'gravity.low': 'Düşük Yer Çekimi',
+    'gravity.high': 'Yüksek Yer Çekimi',
+    'menu.leftAI': 'Sol AI',
+    'menu.difficulty': 'Zorluk (AI)',
+    'difficulty.easy': 'Kolay',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Zor',
+    'difficulty.expert': 'Uzman',
+    'menu.roomCode': 'Oda Kodu',
+    'menu.tournament': 'Turnuva',
+    'menu.winCondition': 'Kazanma Koşulu',
+    'win.time': '⏱️ Süre Bitince',
+    'win.score': '🎯 Gol Hedefi',
+    'win.both': '⏱️🎯 Hangisi Önce Gelirse',
+    'menu.matchLength': 'Maç Süresi',
+    'menu.seconds': '{count} sn',
+    'menu.scoreTarget': 'Gol Hedefi',
+    'menu.goals': '{count} Gol',
+    'menu.drawResolution': 'Beraberlikte',
+    'draw.draw': '🤝 Berabere Biter',
+    'draw.goldenGoal': '⚡ Altın Gol',
+    'draw.extraTime': '⏱️ Uzatma + Penaltı',
+    'draw.shootout': '🥅 Penaltılar',
+    'menu.ownHalf': 'Yarı Saha',
+    'ownHalf.free': '🏃 Serbest',
+    'ownHalf.on': '🚧 Herkes Kendi Yarısında',
+    'menu.goalHanging': 'Kalede Bekleme',
+    'goalHanging.off': '🏃 Serbest',
+    'goalHanging.goal': '⚽ 3 sn Sonra Gol',
+    'goalHanging.penalty': '🥅 3 sn Sonra Penaltı',
+    'menu.slimeShape': 'Slime Şekli',
+    'shape.round': '⚪ Yuvarlak',
+    'shape.half': '◓ Klasik Yarım Daire',
+    'menu.theme': 'Tema',
+    'menu.start': '🎮 Oyunu Başlat',
+    'menu.controls': '📘 Kontroller',
+    'menu.cosmetics': '🎨 Görünüm',
+    'menu.resumeTournament': '🏆 Turnuvaya Devam Et',
+    'common.save': '💾 Kaydet',
+    'common.cancel': '✖ Vazgeç',
+    'common.menu': '🏠 Menü',
+    'common.backToMenu': '🏠 Menüye Dön',
+
+    'player.name': 'Oyuncu {count}',
+    'player.ai': '🤖 AI ({level})',
+    'player.left': 'soldaki',
+    'player.right': 'sağdaki',
+
+    'profile.guest': '👤 Misafir',
+    'profile.namePlaceholder': 'Yeni profil adı',
+    'profile.add': '➕ Ekle',
+    'profile.deleteTitle': 'P1 profilini sil',
+    'profile.exportTitle': 'Profilleri dışa aktar',
+    'profile.importTitle': 'Profilleri içe aktar',
+    'profile.added': '{name} eklendi',
+    'profile.deleted': '{name} silindi',
+    'profile.confirmDelete': '{name} profili ve tüm kayıtları silinsin mi?',
+    'profile.imported': '{count} profil içe aktarıldı',
+    'profile.importFailed': 'İçe aktarılamadı: {message}',
+    'profile.record': '{wins}G {draws}B {losses}M',
+    'profile.defaultName': 'Oyuncu',
+    'profile.vsAI': 'AI ({level})',
+
+    'theme.import': '📥 Tema Yükle',
+    'theme.importTitle': 'JSON dosyasından tema veya arena yükle',
+    'theme.exportTitle': 'Seçili temayı dışa aktar',
+    'theme.deleteTitle': 'Seçili temayı sil',
+    'theme.stadium': 'Stadyum',
+    'theme.beach': 'Plaj',
+    'theme.space': 'Uzay',
+    'theme.neon': 'Neon',
+    'theme.retro': 'Retro',
+
+    'controls.title': '📘 Kontroller',
+    'controls.action': 'Eylem',
+    'controls.touchLayout': '📱 Dokunmatik Düzen',
+    'controls.reset': '↩️ Varsayılan',
+    'controls.pick': 'Değiştirmek için bir tuşa tıkla',
+    'controls.waiting': 'Yeni tuşa bas (Esc: iptal)',
+    'controls.assigned': '{player}: {key} atandı',
+    'controls.conflict': '⚠️ {keys} birden fazla eyleme atanmış',
+    'controls.defaults': 'Varsayılan tuşlar yüklendi',
+    'touch.buttons': 'Butonlar',
+    'touch.joystick': 'Sanal Joystick (yukarı kaydır: zıpla)',
+    'action.left': 'Sola Git',
+    'action.right': 'Sağa Git',
+    'action.jump': 'Zıpla',
+    'key.Space': 'Boşluk',
+    'key.ShiftLeft': 'Sol Shift',
+    'key.ShiftRight': 'Sağ Shift',
+    'key.ControlLeft': 'Sol Ctrl',
+    'key.ControlRight': 'Sağ Ctrl',
+    'key.AltLeft': 'Sol Alt',
+    'key.AltRight': 'Sağ Alt',
+
+    'pad.connected': "🎮 Oyun kolu bağlandı — katılmak için A'ya bas",
+    'pad.assigned': "🎮 Kol {slot} slime'ını kontrol ediyor",
+    'pad.slotRemoved': '🎮 {slot} kolu çıkarıldı',
+    'pad.removed': '🎮 Oyun kolu çıkarıldı',
+    'pad.join': 'katılmak için A',
+    'pad.seat': 'Kol {number}',
+
+    'cosmetics.title': '🎨 Slime Görünümü',
+    'cosmetics.name': 'İsim',
+    'cosmetics.color': 'Renk',
+    'cosmetics.themeColor': '↺ Tema',
+    'cosmetics.themeColorTitle': 'Temanın rengini kullan',
+    'cosmetics.eyes': 'Gözler',
+    'cosmetics.accessory': 'Aksesuar',
+    'cosmetics.lowContrast': '⚠️ Bu renk {theme} temasında zor seçilir',
+    'eyes.classic': 'İki Göz',
+    'eyes.single': 'Tek Göz (Orijinal)',
+    'eyes.sleepy': 'Uykulu',
+    'eyes.angry': 'Kızgın',
+    'accessory.none': 'Yok',
+    'accessory.hat': 'Şapka',
+    'accessory.headband': 'Saç Bandı',
+    'accessory.sunglasses': 'Güneş Gözlüğü',
+
+    'online.join': '🔗 Katıl',
+    'online.create': '🏠 Oda Kur',
+    'online.connecting': 'Sunucuya bağlanılıyor...',
+    'online.failed': 'Bağlantı kurulamadı: {message}',
+    'online.needCode': 'Önce oda kodunu gir',
+    'online.youAre': "Sen {side} slime'sın!",
+    'online.waiting': 'Oda kodu: {room} — rakip bekleniyor...',
+    'online.joined': '{room} odasına katıldın',
+    'online.peerLost': 'Rakibin bağlantısı koptu, bekleniyor...',
+    'online.peerWaiting': '📶 Rakip bekleniyor...',
+    'online.peerBack': 'Rakip geri döndü!',
+    'online.roomClosed': 'Oda kapandı',
+    'online.reconnecting': '📶 Yeniden bağlanılıyor...',
+    'online.disconnected': 'Sunucuyla bağlantı kesildi',
+    'online.desync': '⚠️ Senkron kaybı! Skorlar farklı olabilir',
+
+    'tournament.title': '🏆 Turnuva',
+    'tournament.knockout': '🏆 Eleme (Fikstür)',
+    'tournament.league': '📋 Lig (Herkes Herkesle)',
+    'tournament.addEntrant': '➕ Katılımcı Ekle',
+    'tournament.entrant': 'Katılımcı {count}',
+    'tournament.aiName': 'AI {count}',
+    'tournament.human': '👤 İnsan',
+    'tournament.aiEntrant': '🤖 {level}',
+    'tournament.failed': 'Turnuva kurulamadı: {message}',
+    'tournament.next': 'Sıradaki maç: {home} – {away}',
+    'tournament.startMatch': '▶️ Maça Başla',
+    'tournament.playAI': '🤖 AI Maçlarını Oynat',
+    'tournament.champion': '🏆 Şampiyon: {name}',
+    'tournament.back': '🏆 Turnuvaya Dön',
+    'tournament.pens': 'Pen. {home}-{away}',
+    'round.1': 'Final',
+    'round.2': 'Yarı Final',
+    'round.3': 'Çeyrek Final',
+    'round.4': 'Son 16',
+    'round.n': 'Tur {count}',
+    'league.player': 'Oyuncu',
+    'league.played': 'O',
+    'league.won': 'G',
+    'league.drawn': 'B',
+    'league.lost': 'M',
+    'league.goals': 'Gol',
+    'league.difference': 'AV',
+    'league.points': 'P',
+
+    'replay.open': '📂 Replay Aç',
+    'replay.saveLast': '💾 Son Maçı Kaydet',
+    'replay.exit': '✖ Çık',
+
+    'hud.pause': '⏸️ Duraklat',
+    'hud.restart': '🔄 Sıfırla',
+    'timer.seconds': '{count}s',
+    'timer.target': 'İlk {count} gol',
+    'timer.overtime': 'OT',
+    'timer.extraTime': 'OT {count}s',
+    'timer.shootout': 'PEN {p1}-{p2}',
+    'legend.list': "Power-up'lar: {list}",
+    'legend.off': "Power-up'lar: Kapalı",
+    'powers.active': 'Aktif Güçler: {list}',
+    'powers.none': 'Aktif Güçler: Yok',
+    'powers.held': '{name}: {power}',
+    'powers.fireBall': 'Alevli Top',
+    'power.speed.name': 'Hız',
+    'power.speed.label': 'Hız',
+    'power.speed.toast': 'Hız!',
+    'power.jump.name': 'Zıplama',
+    'power.jump.label': 'Zıplama',
+    'power.jump.toast': 'Süper Zıplama!',
+    'power.bigball.name': 'Dev Top',
+    'power.bigball.label': 'Büyük Top',
+    'power.bigball.toast': 'Büyük Top!',
+    'power.freeze.name': 'Dondurma',
+    'power.freeze.label': 'Donmuş Top',
+    'power.freeze.toast': 'Top Dondu!',
+    'power.fire.name': 'Ateş Şutu',
+    'power.fire.label': 'Ateş Şutu',
+    'power.fire.toast': 'Ateş Şutu Hazır!',
+
+    'game.goal': 'GOOOOOOL! {name}',
+    'game.paused': 'Duraklatıldı ⏸️',
+    'game.resumed': 'Devam! ▶️',
+    'game.combo': '{count}x COMBO!',
+    'game.goldenGoal': 'Altın Gol! ⚡',
+    'game.extraTime': 'Uzatmalar! ⏱️',
+    'game.shootout': 'Penaltılar! 🥅',
+    'game.shooter': '{name} atıyor',
+    'game.penaltyGoal': 'GOL! ⚽',
+    'game.penaltyMiss': 'Kaçtı! ❌',
+    'game.goalHanging': '{name} kalede fazla bekledi! ⏱️',
+    'game.penaltyAwarded': '{name} penaltı atıyor 🥅',
+    'game.error': 'Hata: {context}',
+    'game.restarting': 'Oyun hatası! Yeniden başlatılıyor...',
+    'game.startFailed': 'Oyun başlatılamadı. Sayfa yenileyin.',
+    'game.seed': 'Seed: {seed}',
+
+    'result.win': '🎉 {name} kazandı!',
+    'result.draw': '🤝 Berabere!',
+    'result.penalties': ' (Penaltılar {p1}-{p2})',
+    'stats.title': 'Maç Sonu',
+    'stats.rematch': '🔄 Rövanş',
+    'stats.pens': ' (Pen. {p1}-{p2})',
+    'stats.possession': 'Topa Sahip Olma',
+    'stats.ownHalf': 'Top Kendi Yarısında',
+    'stats.touches': 'Dokunuş',
+    'stats.shots': 'Şut',
+    'stats.saves': 'Kurtarış',
+    'stats.longestCombo': 'En Uzun Kombo',
+    'stats.jumps': 'Zıplama',
+    'stats.powerUps': 'Power-up',
+    'stats.overtime': ' (UZ)',
+    'stats.noGoals': 'Gol yok'
+  },
+
+  en: {
+    'menu.subtitle': 'With new game modes, power-ups and gravity settings!',
+    'menu.language': 'Language',
+    'menu.mode': 'Game Mode',
+    'mode.single': '👤 Single Player (vs AI)',
+    'mode.soccer': '👥 Two Players',
+    'mode.spectate': '🤖 AI vs AI (Watch)',
+    'mode.online': '🌐 Online (Two Computers)',
+    'mode.tournament': '🏆 Tournament',
+    'menu.profiles': 'Profiles (P1 / P2)',
+    'menu.gravity': 'Gravity',
+    'gravity.normal': 'Normal',
+    'gravity.low': 'Low Gravity',
+    'gravity.high': 'High Gravity',
+    'menu.leftAI': 'Left AI',
+    'menu.difficulty': 'Difficulty (AI)',
+    'difficulty.easy': 'Easy',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Hard',
+    'difficulty.expert': 'Expert',
+    'menu.roomCode': 'Room Code',
+    'menu.tournament': 'Tournament',
+    'menu.winCondition': 'Win Condition',
+    'win.time': '⏱️ When Time Runs Out',
+    'win.score': '🎯 Goal Target',
+    'win.both': '⏱️🎯 Whichever Comes First',
+    'menu.matchLength': 'Match Length',
+    'menu.seconds': { one: '{count} second', other: '{count} seconds' },
+    'menu.scoreTarget': 'Goal Target',
+    'menu.goals': { one: '{count} goal', other: '{count} goals' },
+    'menu.drawResolution': 'On a Draw',
+    'draw.draw': '🤝 Ends in a Draw',
+    'draw.goldenGoal': '⚡ Golden Goal',
+    'draw.extraTime': '⏱️ Extra Time + Penalties',
+    'draw.shootout': '🥅 Penalties',
+    'menu.ownHalf': 'Half Field',
+    'ownHalf.free': '🏃 Free',
+    'ownHalf.on': '🚧 Everyone in Their Own Half',
+    'menu.goalHanging': 'Goal Hanging',
+    'goalHanging.off': '🏃 Free',
+    'goalHanging.goal': '⚽ Goal After 3 s',
+    'goalHanging.penalty': '🥅 Penalty After 3 s',
+    'menu.slimeShape': 'Slime Shape',
+    'shape.round': '⚪ Round',
+    'shape.half': '◓ Classic Half Disc',
+    'menu.theme': 'Theme',
+    'menu.start': '🎮 Start Game',
+    'menu.controls': '📘 Controls',
+    'menu.cosmetics': '🎨 Appearance',
+    'menu.resumeTournament': '🏆 Resume Tournament',
+    'common.save': '💾 Save',
+    'common.cancel': '✖ Cancel',
+    'common.menu': '🏠 Menu',
+    'common.backToMenu': '🏠 Back to Menu',
+
+    'player.name': 'Player {count}',
+    'player.ai': '🤖 AI ({level})',
+    'player.left': 'left',
+    'player.right': 'right',
+
+    'profile.guest': '👤 Guest',
+    'profile.namePlaceholder': 'New profile name',
+    'profile.add': '➕ Add',
+    'profile.deleteTitle': 'Delete the P1 profile',
+    'profile.exportTitle': 'Export profiles',
+    'profile.importTitle': 'Import profiles',
+    'profile.added': '{name} added',
+    'profile.deleted': '{name} deleted',
+    'profile.confirmDelete': 'Delete the profile {name} and all its records?',
+    'profile.imported': { one: '{count} profile imported', other: '{count} profiles imported' },
+    'profile.importFailed': 'Could not import: {message}',
+    'profile.record': '{wins}W {draws}D {losses}L',
+    'profile.defaultName': 'Player',
+    'profile.vsAI': 'AI ({level})',
+
+    'theme.import': '📥 Load Theme',
+    'theme.importTitle': 'Load a theme or arena from a JSON file',
+    'theme.exportTitle': 'Export the selected theme',
+    'theme.deleteTitle': 'Delete the selected theme',
+    'theme.stadium': 'Stadium',
+    'theme.beach': 'Beach',
+    'theme.space': 'Space',
+    'theme.neon': 'Neon',
+    'theme.retro': 'Retro',
+
+    'controls.title': '📘 Controls',
+    'controls.action': 'Action',
+    'controls.touchLayout': '📱 Touch Layout',
+    'controls.reset': '↩️ Defaults',
+    'controls.pick': 'Click a key to change it',
+    'controls.waiting': 'Press the new key (Esc: cancel)',
+    'controls.assigned': '{player}: {key} assigned',
+    'controls.conflict': '⚠️ {keys} bound to more than one action',
+    'controls.defaults': 'Default keys loaded',
+    'touch.buttons': 'Buttons',
+    'touch.joystick': 'Virtual Joystick (swipe up: jump)',
+    'action.left': 'Move Left',
+    'action.right': 'Move Right',
+    'action.jump': 'Jump',
+    'key.Space': 'Space',
+    'key.ShiftLeft': 'Left Shift',
+    'key.ShiftRight': 'Right Shift',
+    'key.ControlLeft': 'Left Ctrl',
+    'key.ControlRight': 'Right Ctrl',
+    'key.AltLeft': 'Left Alt',
+    'key.AltRight': 'Right Alt',
+
+    'pad.connected': '🎮 Gamepad connected — press A to join',
+    'pad.assigned': '🎮 Pad {slot} controls its slime',
+    'pad.slotRemoved': '🎮 {slot} pad disconnected',
+    'pad.removed': '🎮 Gamepad disconnected',
+    'pad.join': 'press A to join',
+    'pad.seat': 'Pad {number}',
+
+    'cosmetics.title': '🎨 Slime Appearance',
+    'cosmetics.name': 'Name',
+    'cosmetics.color': 'Color',
+    'cosmetics.themeColor': '↺ Theme',
+    'cosmetics.themeColorTitle': "Use the theme's color",
+    'cosmetics.eyes': 'Eyes',
+    'cosmetics.accessory': 'Accessory',
+    'cosmetics.lowContrast': '⚠️ This color is hard to see in the {theme} theme',
+    'eyes.classic': 'Two Eyes',
+    'eyes.single': 'One Eye (Original)',
+    'eyes.sleepy': 'Sleepy',
+    'eyes.angry': 'Angry',
+    'accessory.none': 'None',
+    'accessory.hat': 'Hat',
+    'accessory.headband': 'Headband',
+    'accessory.sunglasses': 'Sunglasses',
+
+    'online.join': '🔗 Join',
+    'online.create': '🏠 Create Room',
+    'online.connecting': 'Connecting to the server...',
+    'online.failed': 'Could not connect: {message}',
+    'online.needCode': 'Enter the room code first',
+    'online.youAre': 'You are the {side} slime!',
+    'online.waiting': 'Room code: {room} — waiting for an opponent...',
+    'online.joined': 'Joined room {room}',
+    'online.peerLost': 'Opponent disconnected, waiting...',
+    'online.peerWaiting': '📶 Waiting for the opponent...',
+    'online.peerBack': 'Opponent is back!',
+    'online.roomClosed': 'Room closed',
+    'online.reconnecting': '📶 Reconnecting...',
+    'online.disconnected': 'Lost the connection to the server',
+    'online.desync': '⚠️ Out of sync! Scores may differ',
+
+    'tournament.title': '🏆 Tournament',
+    'tournament.knockout': '🏆 Knockout (Bracket)',
+    'tournament.league': '📋 League (Round Robin)',
+    'tournament.addEntrant': '➕ Add Entrant',
+    'tournament.entrant': 'Entrant {count}',
+    'tournament.aiName': 'AI {count}',
+    'tournament.human': '👤 Human',
+    'tournament.aiEntrant': '🤖 {level}',
+    'tournament.failed': 'Could not set up the tournament: {message}',
+    'tournament.next': 'Next match: {home} – {away}',
+    'tournament.startMatch': '▶️ Start Match',
+    'tournament.playAI': '🤖 Play AI Matches',
+    'tournament.champion': '🏆 Champion: {name}',
+    'tournament.back': '🏆 Back to Tournament',
+    'tournament.pens': 'Pens {home}-{away}',
+    'round.1': 'Final',
+    'round.2': 'Semi-finals',
+    'round.3': 'Quarter-finals',
+    'round.4': 'Round of 16',
+    'round.n': 'Round {count}',
+    'league.player': 'Player',
+    'league.played': 'P',
+    'league.won': 'W',
+    'league.drawn': 'D',
+    'league.lost': 'L',
+    'league.goals': 'Goals',
+    'league.difference': 'GD',
+    'league.points': 'Pts',
+
+    'replay.open': '📂 Open Replay',
+    'replay.saveLast': '💾 Save Last Match',
+    'replay.exit': '✖ Exit',
+
+    'hud.pause': '⏸️ Pause',
+    'hud.restart': '🔄 Restart',
+    'timer.seconds': '{count}s',
+    'timer.target': { one: 'First goal wins', other: 'First to {count} goals' },
+    'timer.overtime': 'OT',
+    'timer.extraTime': 'OT {count}s',
+    'timer.shootout': 'PEN {p1}-{p2}',
+    'legend.list': 'Power-ups: {list}',
+    'legend.off': 'Power-ups: Off',
+    'powers.active': 'Active Powers: {list}',
+    'powers.none': 'Active Powers: None',
+    'powers.held': '{name}: {power}',
+    'powers.fireBall': 'Fireball',
+    'power.speed.name': 'Speed',
+    'power.speed.label': 'Speed',
+    'power.speed.toast': 'Speed!',
+    'power.jump.name': 'Jump',
+    'power.jump.label': 'Jump',
+    'power.jump.toast': 'Super Jump!',
+    'power.bigball.name': 'Giant Ball',
+    'power.bigball.label': 'Big Ball',
+    'power.bigball.toast': 'Big Ball!',
+    'power.freeze.name': 'Freeze',
+    'power.freeze.label': 'Frozen Ball',
+    'power.freeze.toast': 'Ball Frozen!',
+    'power.fire.name': 'Fire Shot',
+    'power.fire.label': 'Fire Shot',
+    'power.fire.toast': 'Fire Shot Ready!',
+
+    'game.goal': 'GOOOOOOAL! {name}',
+    'game.paused': 'Paused ⏸️',
+    'game.resumed': 'Play on! ▶️',
+    'game.combo': '{count}x COMBO!',
+    'game.goldenGoal': 'Golden Goal! ⚡',
+    'game.extraTime': 'Extra Time! ⏱️',
+    'game.shootout': 'Penalties! 🥅',
+    'game.shooter': '{name} to shoot',
+    'game.penaltyGoal': 'GOAL! ⚽',
+    'game.penaltyMiss': 'Missed! ❌',
+    'game.goalHanging': '{name} stayed in goal too long! ⏱️',
+    'game.penaltyAwarded': '{name} takes a penalty 🥅',
+    'game.error': 'Error: {context}',
+    'game.restarting': 'Game error! Restarting...',
+    'game.startFailed': 'The game could not start. Please reload the page.',
+    'game.seed': 'Seed: {seed}',
+
+    'result.win': '🎉 {name} wins!',
+    'result.draw': '🤝 Draw!',
+    'result.penalties': ' (Penalties {p1}-{p2})',
+    'stats.title': 'Full Time',
+    'stats.rematch': '🔄 Rematch',
+    'stats.pens': ' (Pens {p1}-{p2})',
+    'stats.possession': 'Possession',
+    'stats.ownHalf': 'Ball in Own Half',
+    'stats.touches': 'Touches',
+    'stats.shots': 'Shots',
+    'stats.saves': 'Saves',
+    'stats.longestCombo': 'Longest Combo',
+    'stats.jumps': 'Jumps',
+    'stats.powerUps': 'Power-ups',
+    'stats.overtime': ' (ET)',
+    'stats.noGoals': 'No goals'
+  }
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Pick the first supported language from a list of BCP 47 tags, e.g.
+ * navigator.languages; 'en-GB' matches 'en'
+ * @param {string[]} [tags]
+ * @returns {string} Language id (DEFAULT_LANGUAGE when none is supported)
+ */
+function matchLanguage(tags = []){
+  for (const tag of tags) {
+    if (typeof tag !== 'string') continue;
+    const lower = tag.toLowerCase();
+    if (I18N_STRINGS[lower]) return lower;
+    const base = lower.split('-')[0];
+    if (I18N_STRINGS[base]) return base;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Switch the language every later t() call uses
+ * @param {string} lang - Language id or tag ('en', 'en-GB')
+ * @returns {string} The language now in use
+ */
+function setLanguage(lang){
+  currentLanguage = matchLanguage([lang]);
+  return currentLanguage;
+}
+
+function getLanguage(){
+  return currentLanguage;
+}
+
+/**
+ * Languages to look a key up in, most specific first
+ */
+function languageChain(lang){
+  const chain = [lang, String(lang).split('-')[0], ...I18N_FALLBACKS];
+  return [...new Set(chain)].filter(l => I18N_STRINGS[l]);
+}
+
+/**
+ * Plural category of a count ('one', 'other', ...) in a language
+ */
+function pluralCategory(lang, count){
+  try {
+    return new Intl.PluralRules(lang).select(count);
+  } catch (e) {
+    return count === 1 ? 'one' : 'other';
+  }
+}
+
+/**
+ * @returns {boolean} Whether any language in the fallback chain has the key
+ */
+function hasString(key, lang = currentLanguage){
+  return languageChain(lang).some(l => I18N_STRINGS[l][key] !== undefined);
+}
+
+/**
+ * Look up a string and fill in its {placeholders}
+ * @param {string} key - e.g. 'result.win'
+ * @param {Object} [params] - Placeholder values; count also picks the plural form
+ * @param {string} [fallback] - Used when no language has the key (default: the key)
+ * @returns {string}
+ */
+function t(key, params = {}, fallback = key){
+  let lang = currentLanguage;
+  let entry;
+  for (const l of languageChain(currentLanguage)) {
+    if (I18N_STRINGS[l][key] !== undefined) {
+      lang = l;
+      entry = I18N_STRINGS[l][key];
+      break;
+    }
+  }
+  if (entry === undefined) entry = fallback;
+  if (entry && typeof entry === 'object') {
+    const count = Number(params.count);
+    entry = entry[pluralCategory(lang, count)] ?? entry.other ?? '';
+  }
+  return String(entry).replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? String(params[name]) : m));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    I18N_LANGUAGES,
+    I18N_STRINGS,
+    DEFAULT_LANGUAGE,
+    matchLanguage,
+    setLanguage,
+    getLanguage,
+    hasString,
+    t
+  };
+}
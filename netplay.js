@@ -0,0 +1,346 @@
+/**
+ * ========================================
+ * SLIME SOCCER - ONLINE MULTIPLAYER
+ * Input-delay lockstep netcode over WebSocket
+ * ========================================
+ *
+ * Both browsers run the same deterministic MatchSimulation from the same
+ * seed. Only inputs travel over the network: each client schedules its
+ * input `delay` ticks ahead and a tick is simulated only once both players'
+ * inputs for it are known, so collisions and goals are identical on both
+ * ends. A periodic state hash detects any divergence.
+ *
+ * The relay/lobby server lives in server/relay.js (`npm run server`).
+ */
+
+const NET_DEFAULT_DELAY = 4;          // Ticks of input delay (~67ms at 60 ticks/s)
+const NET_HASH_INTERVAL = 60;         // Compare state hashes once per second
+const NET_PING_INTERVAL = 1000;
+const NET_MAX_RECONNECTS = 10;
+
+/**
+ * Pack a movement intent into a bitmask. The low 3 bits are left/right/jump;
+ * analog movement rides above them in hundredths offset by 101 (0 = digital).
+ * @param {{left:boolean, right:boolean, jump:boolean, move?:number}} intent
+ * @returns {number} Bitmask
+ */
+function encodeIntent(intent){
+  let mask = (intent.left ? 1 : 0) | (intent.right ? 2 : 0) | (intent.jump ? 4 : 0);
+  if (typeof intent.move === 'number') mask |= (Math.round(intent.move * 100) + 101) << 3;
+  return mask;
+}
+
+/**
+ * Unpack an intent bitmask
+ * @param {number} mask - Bitmask from encodeIntent
+ * @returns {{left:boolean, right:boolean, jump:boolean, move?:number}} Intent
+ */
+function decodeIntent(mask){
+  const intent = { left: (mask & 1) !== 0, right: (mask & 2) !== 0, jump: (mask & 4) !== 0 };
+  const analog = mask >> 3;
+  if (analog) intent.move = (analog - 101) / 100;
+  return intent;
+}
+
+/**
+ * Cheap hash of the gameplay state for desync detection
+ * @param {Object} sim - MatchSimulation
+ * @returns {number} 32-bit hash
+ */
+function stateHash(sim){
+  const b = sim.ball, p1 = sim.player1, p2 = sim.player2;
+  const text = [sim.tick, sim.score.p1, sim.score.p2,
+    b.x, b.y, b.vx, b.vy, p1.x, p1.y, p2.x, p2.y].map(v => Number(v).toFixed(4)).join('|');
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Per-match input buffers for both slots
+ */
+class LockstepSession {
+  /**
+   * @param {Object} options
+   * @param {number} options.slot - Local slot (1 or 2)
+   * @param {number} [options.delay] - Input delay in ticks
+   */
+  constructor({ slot, delay = NET_DEFAULT_DELAY }){
+    this.slot = slot;
+    this.delay = delay;
+    this.local = [];
+    this.remote = [];
+    this.localHashes = [];
+    this.remoteHashes = [];
+    this.desynced = false;
+    // The first `delay` ticks have no input from anyone
+    for (let t = 0; t < delay; t++) {
+      this.local[t] = 0;
+      this.remote[t] = 0;
+    }
+  }
+
+  /**
+   * Both inputs for this tick have arrived
+   */
+  ready(tick){
+    return this.local[tick] !== undefined && this.remote[tick] !== undefined;
+  }
+
+  /**
+   * Schedule local input for a future tick
+   * @returns {number} Encoded mask to send
+   */
+  addLocal(tick, intent){
+    const mask = encodeIntent(intent);
+    this.local[tick] = mask;
+    return mask;
+  }
+
+  addRemote(tick, mask){
+    this.remote[tick] = mask;
+  }
+
+  /**
+   * First tick we have not received from the peer yet
+   */
+  nextRemoteTick(){
+    let t = 0;
+    while (this.remote[t] !== undefined) t++;
+    return t;
+  }
+
+  /**
+   * Local inputs scheduled after a tick (resent after reconnecting)
+   * @returns {Array<[number, number]>} [tick, mask] pairs
+   */
+  localSince(tick){
+    const out = [];
+    for (let t = Math.max(tick + 1, 0); t < this.local.length; t++) {
+      if (this.local[t] !== undefined) out.push([t, this.local[t]]);
+    }
+    return out;
+  }
+
+  /**
+   * Simulation input for a tick, mapped onto player slots
+   */
+  inputFor(tick){
+    const mine = decodeIntent(this.local[tick] || 0);
+    const theirs = decodeIntent(this.remote[tick] || 0);
+    return this.slot === 1 ? { p1: mine, p2: theirs } : { p1: theirs, p2: mine };
+  }
+
+  /**
+   * Store a hash and compare with the peer's; flags desync on mismatch
+   * @returns {boolean} false when the hashes disagree
+   */
+  checkHash(tick, hash, remote){
+    const other = remote ? this.localHashes : this.remoteHashes;
+    (remote ? this.remoteHashes : this.localHashes)[tick] = hash;
+    if (other[tick] !== undefined && other[tick] !== hash) {
+      this.desynced = true;
+      return false;
+    }
+    return true;
+  }
+}
+
+/**
+ * WebSocket connection to the relay server with room handling,
+ * ping measurement and automatic reconnect
+ */
+class NetplayClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Relay WebSocket URL
+   * @param {Function} options.onMessage - Called with every server message
+   * @param {Function} options.onStatus - Called with connection status changes
+   */
+  constructor({ url, onMessage, onStatus }){
+    this.url = url;
+    this.onMessage = onMessage || (() => {});
+    this.onStatus = onStatus || (() => {});
+    this.ws = null;
+    this.room = null;
+    this.token = null;
+    this.slot = null;
+    this.ping = null;
+    this.session = null;
+    this.closed = false;
+    this.reconnects = 0;
+    this._queue = [];
+    this._pingTimer = null;
+    this._retryTimer = null;
+  }
+
+  /**
+   * Open the socket (resolves once connected)
+   */
+  connect(){
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      try {
+        this.ws = new WebSocket(this.url);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+
+      this.ws.onopen = () => {
+        settled = true;
+        this.reconnects = 0;
+        this.onStatus('connected');
+        if (this.room && this.token) {
+          this.send({ type: 'rejoin', room: this.room, token: this.token,
+            have: this.session ? this.session.nextRemoteTick() : 0 });
+        }
+        this._queue.splice(0).forEach(m => this.send(m));
+        this._startPing();
+        resolve();
+      };
+      this.ws.onmessage = e => this._handle(e.data);
+      this.ws.onerror = () => {
+        if (!settled) { settled = true; reject(new Error(`Cannot reach relay at ${this.url}`)); }
+      };
+      this.ws.onclose = () => {
+        this._stopPing();
+        if (!this.closed && this.room) this._scheduleReconnect();
+      };
+    });
+  }
+
+  send(msg){
+    if (this.ws && this.ws.readyState === 1) {
+      this.ws.send(JSON.stringify(msg));
+    } else if (msg.type === 'input' || msg.type === 'hash') {
+      // Dropped while offline; resent from the session after rejoining
+    } else {
+      this._queue.push(msg);
+    }
+  }
+
+  createRoom(settings){
+    this.send({ type: 'create', settings });
+  }
+
+  joinRoom(code){
+    this.send({ type: 'join', room: String(code).trim().toUpperCase() });
+  }
+
+  /**
+   * Schedule and send local input for a future tick
+   */
+  sendInput(tick, intent){
+    const mask = this.session.addLocal(tick, intent);
+    this.send({ type: 'input', t: tick, i: mask });
+  }
+
+  /**
+   * Share the local state hash for a tick
+   * @returns {boolean} false when the peer already reported a different hash
+   */
+  sendHash(tick, hash){
+    this.send({ type: 'hash', t: tick, h: hash });
+    return this.session.checkHash(tick, hash, false);
+  }
+
+  /**
+   * Leave the room and close the connection for good
+   */
+  close(){
+    this.closed = true;
+    this._stopPing();
+    clearTimeout(this._retryTimer);
+    if (this.ws) {
+      try {
+        if (this.ws.readyState === 1) this.ws.send(JSON.stringify({ type: 'leave' }));
+        this.ws.close();
+      } catch (e) {
+        console.warn("Netplay close error:", e);
+      }
+    }
+    this.ws = null;
+  }
+
+  _handle(raw){
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch (e) {
+      console.warn("Netplay: bad message", raw);
+      return;
+    }
+
+    switch (msg.type) {
+      case 'created':
+      case 'joined':
+        this.room = msg.room;
+        this.token = msg.token;
+        this.slot = msg.slot;
+        break;
+      case 'start':
+        this.session = new LockstepSession({ slot: this.slot, delay: msg.delay });
+        break;
+      case 'input':
+        this.session?.addRemote(msg.t, msg.i);
+        break;
+      case 'inputs':
+        msg.list.forEach(([t, i]) => this.session?.addRemote(t, i));
+        break;
+      case 'rejoined':
+        // Resend whatever the relay missed while we were away
+        this.session?.localSince(msg.last).forEach(([t, i]) => this.send({ type: 'input', t, i }));
+        break;
+      case 'hash':
+        if (this.session && !this.session.checkHash(msg.t, msg.h, true)) {
+          msg = { ...msg, type: 'desync' };
+        }
+        break;
+      case 'pong':
+        this.ping = Math.round(performance.now() - msg.ts);
+        break;
+      case 'room-closed':
+        this.room = null;
+        break;
+    }
+    this.onMessage(msg);
+  }
+
+  _startPing(){
+    this._stopPing();
+    this._pingTimer = setInterval(() => this.send({ type: 'ping', ts: performance.now() }), NET_PING_INTERVAL);
+  }
+
+  _stopPing(){
+    if (this._pingTimer) clearInterval(this._pingTimer);
+    this._pingTimer = null;
+  }
+
+  _scheduleReconnect(){
+    if (this.reconnects >= NET_MAX_RECONNECTS) {
+      this.onStatus('failed');
+      return;
+    }
+    const wait = Math.min(500 * 2 ** this.reconnects, 8000);
+    this.reconnects++;
+    this.onStatus('reconnecting');
+    // A failed attempt fires onclose, which schedules the next one
+    this._retryTimer = setTimeout(() => this.connect().catch(() => {}), wait);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LockstepSession,
+    NetplayClient,
+    encodeIntent,
+    decodeIntent,
+    stateHash,
+    NET_DEFAULT_DELAY,
+    NET_HASH_INTERVAL
+  };
+}
@@ -0,0 +1,330 @@
+/**
+ * ========================================
+ * SLIME SOCCER - PLAYER PROFILES
+ * Named local profiles with career records
+ * ========================================
+ *
+ * All profiles live under one localStorage key as a versioned document.
+ * Older documents are upgraded step by step through PROFILE_MIGRATIONS on
+ * load. Data written by a newer version is left untouched (read-only)
+ * rather than overwritten. Menu settings saved before profiles existed are
+ * not imported: they stay under the game's own settings key and fill the
+ * menu whenever the selected profile has none of its own.
+ *
+ * Storage format (JSON):
+ *   {
+ *     version: 1,
+ *     slots: { p1: <profile id>|null, p2: <profile id>|null },
+ *     profiles: [{
+ *       id, name, createdAt,
+ *       settings: { mode, gravity, difficulty, theme, rules } | null,
+ *       cosmetic: { name, color, eyes, accessory } | null,
+ *       record:  { played, wins, losses, draws, goalsFor, goalsAgainst },
+ *       vsProfiles: { <profile id>: { wins, losses, draws } },
+ *       vsAI:       { easy|normal|hard|expert: { wins, losses, draws } }
+ *     }]
+ *   }
+ *
+ * Export files wrap the profiles as { format: 'slime-profiles', version, profiles }.
+ */
+
+const PROFILE_STORAGE_VERSION = 1;
+const PROFILE_EXPORT_FORMAT = 'slime-profiles';
+const PROFILE_NAME_MAX = 20;
+
+// i18n.js is a global script in the browser and a module in Node
+const profileText = typeof t === 'function' ? t : require('./i18n.js').t;
+
+/**
+ * Upgrade steps, keyed by the version they produce. Each takes the document
+ * at the previous version and returns it at its own version.
+ */
+const PROFILE_MIGRATIONS = {
+  // Version 0: a document without a version field
+  1: data => ({
+    version: 1,
+    slots: data.slots || { p1: null, p2: null },
+    profiles: Array.isArray(data.profiles) ? data.profiles : []
+  })
+};
+
+function emptyRecord(){
+  return { played: 0, wins: 0, losses: 0, draws: 0, goalsFor: 0, goalsAgainst: 0 };
+}
+
+function emptyHeadToHead(){
+  return { wins: 0, losses: 0, draws: 0 };
+}
+
+/**
+ * Fill in whatever a stored or imported profile is missing
+ * @param {Object} p - Raw profile
+ * @returns {Object} Complete profile
+ */
+function normalizeProfile(p){
+  return {
+    id: String(p.id),
+    name: String(p.name || '').slice(0, PROFILE_NAME_MAX) || profileText('profile.defaultName'),
+    createdAt: p.createdAt || new Date().toISOString(),
+    settings: p.settings || null,
+    cosmetic: p.cosmetic || null,
+    record: { ...emptyRecord(), ...(p.record || {}) },
+    vsProfiles: { ...(p.vsProfiles || {}) },
+    vsAI: { ...(p.vsAI || {}) }
+  };
+}
+
+/**
+ * Bring a stored document up to the current version
+ * @param {Object} data - Parsed document (any version)
+ * @returns {Object} Document at PROFILE_STORAGE_VERSION
+ * @throws {Error} When the document comes from a newer game version
+ */
+function migrateProfiles(data){
+  let doc = data;
+  let version = Number(doc.version) || 0;
+  if (version > PROFILE_STORAGE_VERSION) {
+    throw new Error(`Profiles were saved by a newer version (${version})`);
+  }
+  while (version < PROFILE_STORAGE_VERSION) {
+    version++;
+    doc = PROFILE_MIGRATIONS[version](doc);
+  }
+  return { ...doc, profiles: doc.profiles.filter(p => p && p.id !== undefined).map(normalizeProfile) };
+}
+
+function newProfileId(){
+  return `p${Date.now().toString(36)}${Math.floor(Math.random() * 1e6).toString(36)}`;
+}
+
+/**
+ * Profiles, slot assignments and career records on top of a
+ * localStorage-like object
+ */
+class ProfileStore {
+  /**
+   * @param {Storage} storage - localStorage or anything with getItem/setItem
+   * @param {string} [key] - Storage key
+   */
+  constructor(storage, key = 'slimeSoccerProfiles'){
+    this.storage = storage;
+    this.key = key;
+    this.readOnly = false;
+    this.load();
+  }
+
+  /**
+   * Read and migrate the stored document. Unreadable data is kept under
+   * `<key>.backup` before starting over.
+   */
+  load(){
+    this.profiles = [];
+    this.slots = { p1: null, p2: null };
+    this.readOnly = false;
+    let raw = null;
+    try {
+      raw = this.storage.getItem(this.key);
+      if (!raw) return;
+      const data = JSON.parse(raw);
+      if (Number(data.version) > PROFILE_STORAGE_VERSION) {
+        // Written by a newer game version: leave it alone rather than overwrite it
+        this.readOnly = true;
+        console.warn(`Profiles were saved by a newer version (${data.version}); not loading them`);
+        return;
+      }
+      const doc = migrateProfiles(data);
+      this.profiles = doc.profiles;
+      this.slots = { p1: null, p2: null, ...doc.slots };
+      ['p1', 'p2'].forEach(slot => { if (!this.get(this.slots[slot])) this.slots[slot] = null; });
+    } catch (e) {
+      console.warn("Failed to load profiles:", e);
+      try {
+        if (raw) this.storage.setItem(`${this.key}.backup`, raw);
+      } catch (err) {
+        console.warn("Failed to back up profiles:", err);
+      }
+    }
+  }
+
+  save(){
+    if (this.readOnly) return;
+    try {
+      this.storage.setItem(this.key, JSON.stringify({
+        version: PROFILE_STORAGE_VERSION,
+        slots: this.slots,
+        profiles: this.profiles
+      }));
+    } catch (e) {
+      console.warn("Failed to save profiles:", e);
+    }
+  }
+
+  list(){
+    return this.profiles.slice();
+  }
+
+  get(id){
+    return this.profiles.find(p => p.id === id) || null;
+  }
+
+  /**
+   * @param {string} name - Unique (case-insensitive) display name
+   * @returns {Object} The new profile
+   * @throws {Error} On an empty or taken name
+   */
+  create(name){
+    const clean = String(name || '').trim().slice(0, PROFILE_NAME_MAX);
+    if (!clean) throw new Error("Profile name is empty");
+    if (this.profiles.some(p => p.name.toLowerCase() === clean.toLowerCase())) {
+      throw new Error(`A profile named "${clean}" already exists`);
+    }
+    const profile = normalizeProfile({ id: newProfileId(), name: clean });
+    this.profiles.push(profile);
+    this.save();
+    return profile;
+  }
+
+  /**
+   * Delete a profile and its slot assignments; head-to-head records against
+   * it stay with the other profiles
+   */
+  remove(id){
+    this.profiles = this.profiles.filter(p => p.id !== id);
+    ['p1', 'p2'].forEach(slot => { if (this.slots[slot] === id) this.slots[slot] = null; });
+    this.save();
+  }
+
+  /**
+   * Put a profile in a player slot (null for a guest); a profile can only hold one slot
+   * @param {'p1'|'p2'} slot
+   * @param {?string} id
+   */
+  assign(slot, id){
+    const profile = id ? this.get(id) : null;
+    if (profile) {
+      const other = slot === 'p1' ? 'p2' : 'p1';
+      if (this.slots[other] === profile.id) this.slots[other] = null;
+    }
+    this.slots[slot] = profile ? profile.id : null;
+    this.save();
+  }
+
+  slotProfile(slot){
+    return this.get(this.slots[slot]);
+  }
+
+  /**
+   * Remember a profile's preferred menu settings
+   */
+  saveSettings(id, settings){
+    const profile = this.get(id);
+    if (!profile) return;
+    profile.settings = { ...settings };
+    this.save();
+  }
+
+  /**
+   * Remember how a profile's slime looks (see cosmetics.js)
+   */
+  saveCosmetic(id, cosmetic){
+    const profile = this.get(id);
+    if (!profile) return;
+    profile.cosmetic = { ...cosmetic };
+    this.save();
+  }
+
+  /**
+   * Add a finished match to the career records
+   * @param {Object} match
+   * @param {?string} match.p1 - Profile on the left slime (null for a guest)
+   * @param {?string} match.p2 - Profile on the right slime (null for a guest or the AI)
+   * @param {?string} match.ai - AI difficulty when the right slime was the AI
+   * @param {{p1:number, p2:number}} match.score - Goals
+   * @param {'p1'|'p2'|null} match.winner - Winner (null on a draw)
+   */
+  recordMatch({ p1 = null, p2 = null, ai = null, score, winner }){
+    const sides = { p1, p2 };
+    ['p1', 'p2'].forEach(side => {
+      const profile = this.get(sides[side]);
+      if (!profile) return;
+      const other = side === 'p1' ? 'p2' : 'p1';
+      const outcome = winner === null ? 'draws' : winner === side ? 'wins' : 'losses';
+      const r = profile.record;
+      r.played++;
+      r[outcome]++;
+      r.goalsFor += score[side];
+      r.goalsAgainst += score[other];
+
+      const opponent = this.get(sides[other]);
+      if (opponent) {
+        const h2h = profile.vsProfiles[opponent.id] ||= emptyHeadToHead();
+        h2h[outcome]++;
+      } else if (ai && side === 'p1') {
+        const h2h = profile.vsAI[ai] ||= emptyHeadToHead();
+        h2h[outcome]++;
+      }
+    });
+    this.save();
+  }
+
+  /**
+   * Profiles ranked by wins, then win rate, then goal difference
+   * @returns {Array<Object>}
+   */
+  leaderboard(){
+    const rate = p => p.record.played ? p.record.wins / p.record.played : 0;
+    const diff = p => p.record.goalsFor - p.record.goalsAgainst;
+    return this.list().sort((a, b) =>
+      b.record.wins - a.record.wins || rate(b) - rate(a) || diff(b) - diff(a) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Serialize profiles for moving them to another machine
+   * @param {Array<string>} [ids] - Only these profiles (default all)
+   * @returns {string} JSON text
+   */
+  exportJSON(ids){
+    const profiles = ids ? this.profiles.filter(p => ids.includes(p.id)) : this.profiles;
+    return JSON.stringify({ format: PROFILE_EXPORT_FORMAT, version: PROFILE_STORAGE_VERSION, profiles });
+  }
+
+  /**
+   * Merge exported profiles: a profile with a known id replaces the local
+   * copy, a new one is added (renamed if its name is taken)
+   * @param {string} text - Export file contents
+   * @returns {number} Number of profiles imported
+   * @throws {Error} When the text is not a profile export
+   */
+  importJSON(text){
+    if (this.readOnly) throw new Error("Profiles are read-only (saved by a newer version)");
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error("Profile file is not valid JSON");
+    }
+    if (!data || data.format !== PROFILE_EXPORT_FORMAT) throw new Error("Not a Slime Soccer profile file");
+    const doc = migrateProfiles({ version: data.version, profiles: data.profiles });
+
+    doc.profiles.forEach(incoming => {
+      const taken = name => this.profiles.some(p => p.id !== incoming.id && p.name.toLowerCase() === name.toLowerCase());
+      let name = incoming.name;
+      for (let n = 2; taken(name); n++) name = `${incoming.name} (${n})`;
+      const profile = { ...incoming, name };
+      const i = this.profiles.findIndex(p => p.id === incoming.id);
+      if (i >= 0) this.profiles[i] = profile;
+      else this.profiles.push(profile);
+    });
+    this.save();
+    return doc.profiles.length;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ProfileStore,
+    migrateProfiles,
+    PROFILE_MIGRATIONS,
+    PROFILE_STORAGE_VERSION
+  };
+}
@@ -0,0 +1,259 @@
+/**
+ * ========================================
+ * SLIME SOCCER - REPLAY SYSTEM
+ * Input recording and deterministic playback
+ * ========================================
+ *
+ * A replay stores only what the simulation cannot derive on its own:
+ * the match settings (including the seed), the per-tick player actions and
+ * the AI decisions. Because the simulation runs on a fixed timestep with a
+ * seeded PRNG, feeding the same inputs back reproduces the match exactly.
+ *
+ * File format (JSON):
+ *   {
+ *     format: 'slime-replay', version: 2,
+ *     settings: { mode, gravity, difficulty, theme, seed },
+ *     tickRate: 60, ticks: <total ticks>,
+ *     keys: [[tick, mask], ...],     // only ticks where the action mask changed
+ *     moves: [[tick, p1, p2], ...],  // analog movement in hundredths (null = digital); optional
+ *     ai:   [[tick, dir, jump], ...] // right AI slime, only ticks where its decision changed
+ *     ai1:  [[tick, dir, jump], ...] // left AI slime (spectator matches); optional
+ *     result: { p1, p2 }
+ *   }
+ */
+
+// Player actions, in bitmask order (the order of the original A/D/W and arrow keys)
+const REPLAY_ACTIONS = [['p1', 'left'], ['p1', 'right'], ['p1', 'jump'], ['p2', 'left'], ['p2', 'right'], ['p2', 'jump']];
+const REPLAY_FORMAT = 'slime-replay';
+// Bump whenever the physics change (tests/regression.test.js pins it to a fingerprint)
+const REPLAY_VERSION = 2;
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Pack the action state of both players into a bitmask
+ * @param {Object} actions - player -> action -> pressed
+ * @returns {number} Bitmask of pressed actions
+ */
+function encodeActions(actions){
+  let mask = 0;
+  REPLAY_ACTIONS.forEach(([player, action], i) => { if (actions[player]?.[action]) mask |= (1 << i); });
+  return mask;
+}
+
+/**
+ * Unpack a bitmask into the action state of both players
+ * @param {number} mask - Bitmask produced by encodeActions
+ * @returns {{p1:Object, p2:Object}} player -> action -> pressed
+ */
+function decodeActions(mask){
+  const actions = { p1: {}, p2: {} };
+  REPLAY_ACTIONS.forEach(([player, action], i) => { actions[player][action] = (mask & (1 << i)) !== 0; });
+  return actions;
+}
+
+/**
+ * Analog movement of one player in hundredths, or null for digital input
+ */
+function encodeMove(intent){
+  return typeof intent?.move === 'number' ? Math.round(intent.move * 100) : null;
+}
+
+/**
+ * Records the inputs of one match
+ */
+class ReplayRecorder {
+  /**
+   * @param {Object} settings - Settings passed to Game.start(), including seed
+   * @param {number} tickRate - Simulation ticks per second
+   */
+  constructor(settings, tickRate){
+    this.settings = { ...settings };
+    this.tickRate = tickRate;
+    this.keys = [];
+    this.moves = [];
+    this.ai = [];
+    this.ai1 = [];
+    this._lastMask = -1;
+    this._lastMoves = [null, null];
+    this._lastAI = { p1: null, p2: null };
+    this.ticks = 0;
+  }
+
+  /**
+   * Record the player actions used by a tick (stored only when they change)
+   */
+  recordActions(tick, actions){
+    const mask = encodeActions(actions);
+    if (mask !== this._lastMask) {
+      this.keys.push([tick, mask]);
+      this._lastMask = mask;
+    }
+    const moves = [encodeMove(actions.p1), encodeMove(actions.p2)];
+    if (moves[0] !== this._lastMoves[0] || moves[1] !== this._lastMoves[1]) {
+      this.moves.push([tick, ...moves]);
+      this._lastMoves = moves;
+    }
+    this.ticks = Math.max(this.ticks, tick + 1);
+  }
+
+  /**
+   * Record the AI decisions for a tick (stored only when they change)
+   * @param {number} tick - Tick index
+   * @param {{p1:?Object, p2:?Object}} decisions - {dir, jump} per AI slime (null for other slimes)
+   */
+  recordAI(tick, decisions){
+    [['p1', this.ai1], ['p2', this.ai]].forEach(([slot, track]) => {
+      const decision = decisions[slot];
+      if (!decision) return;
+      const jump = decision.jump ? 1 : 0;
+      const last = this._lastAI[slot];
+      if (!last || last[1] !== decision.dir || last[2] !== jump || jump) {
+        this._lastAI[slot] = [tick, decision.dir, jump];
+        track.push(this._lastAI[slot]);
+      }
+    });
+  }
+
+  /**
+   * Finish recording and build the replay object
+   * @param {number} ticks - Total ticks simulated
+   * @param {{p1:number, p2:number}} score - Final score
+   * @returns {Object} Replay data
+   */
+  finish(ticks, score){
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      settings: this.settings,
+      tickRate: this.tickRate,
+      ticks: Math.max(ticks, this.ticks),
+      keys: this.keys,
+      moves: this.moves,
+      ai: this.ai,
+      ...(this.ai1.length ? { ai1: this.ai1 } : {}),
+      result: { p1: score.p1, p2: score.p2 },
+      recordedAt: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Serves recorded inputs back to the simulation, tick by tick
+ */
+class ReplayPlayer {
+  /**
+   * @param {Object} data - Replay object (see parseReplay)
+   */
+  constructor(data){
+    this.data = data;
+    this.settings = data.settings;
+    this.ticks = data.ticks;
+    this.tickRate = data.tickRate;
+    this.desyncs = 0;
+  }
+
+  /**
+   * Find the last entry at or before a tick (entries are sorted by tick)
+   * @private
+   */
+  _entryAt(list, tick){
+    let lo = 0, hi = list.length - 1, found = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid][0] <= tick) { found = list[mid]; lo = mid + 1; }
+      else hi = mid - 1;
+    }
+    return found;
+  }
+
+  /**
+   * Player actions to feed into handleInput for a tick
+   * @param {number} tick - Tick index
+   * @returns {{p1:Object, p2:Object}} player -> action -> pressed
+   */
+  actionsAt(tick){
+    if (tick >= this.ticks) return decodeActions(0);
+    const entry = this._entryAt(this.data.keys, tick);
+    const actions = decodeActions(entry ? entry[1] : 0);
+    const moves = this._entryAt(this.data.moves, tick);
+    if (moves) {
+      if (moves[1] !== null) actions.p1.move = moves[1] / 100;
+      if (moves[2] !== null) actions.p2.move = moves[2] / 100;
+    }
+    return actions;
+  }
+
+  /**
+   * AI decisions to feed into updateAI for a tick
+   * @param {number} tick - Tick index
+   * @returns {{p1:?Object, p2:Object}} {dir, jump} per slime; p1 is null
+   *   unless the left slime was AI-driven
+   */
+  aiAt(tick){
+    return {
+      p1: this.data.ai1 ? this._decisionAt(this.data.ai1, tick) : null,
+      p2: this._decisionAt(this.data.ai, tick)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _decisionAt(track, tick){
+    const entry = this._entryAt(track, tick);
+    if (!entry) return { dir: 0, jump: false };
+    // Jumps are one-tick events; movement persists until the next entry
+    return { dir: entry[1], jump: entry[0] === tick && entry[2] === 1 };
+  }
+}
+
+/**
+ * Serialize a replay to compact JSON
+ * @param {Object} replay - Replay data
+ * @returns {string} JSON text
+ */
+function serializeReplay(replay){
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate replay JSON
+ * @param {string} text - JSON text from a replay file
+ * @returns {Object} Replay data
+ * @throws {Error} When the file is not a valid replay
+ */
+function parseReplay(text){
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Replay file is not valid JSON");
+  }
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new Error("Not a Slime Soccer replay file");
+  }
+  if (data.version === undefined) {
+    throw new Error("Replay file has no version");
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Replay was recorded with different game physics (version ${data.version}, this game plays ${REPLAY_VERSION})`);
+  }
+  if (!data.settings || !Array.isArray(data.keys) || !Array.isArray(data.moves) || !Array.isArray(data.ai) || !(data.ticks > 0)) {
+    throw new Error("Replay file is incomplete");
+  }
+  return data;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ReplayRecorder,
+    ReplayPlayer,
+    serializeReplay,
+    parseReplay,
+    encodeActions,
+    decodeActions,
+    REPLAY_ACTIONS,
+    REPLAY_SPEEDS,
+    REPLAY_VERSION
+  };
+}
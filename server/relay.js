@@ -0,0 +1,259 @@
+/**
+ * ========================================
+ * SLIME SOCCER - RELAY / LOBBY SERVER
+ * Serves the game and relays inputs between two browsers
+ * ========================================
+ *
+ * Run with `npm run server`, then open http://<this-machine>:8080 on both
+ * laptops. One player creates a room and reads out the code, the other
+ * joins with it. The server never simulates anything: it pairs players,
+ * picks the match seed and forwards inputs. It also keeps each room's
+ * input log so a client that drops off can rejoin and catch up.
+ *
+ * Environment: PORT (default 8080), HOST (default 0.0.0.0)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const ROOT = path.join(__dirname, '..');
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';  // No 0/O or 1/I
+const ROOM_CODE_LENGTH = 4;
+const ROOM_TIMEOUT = 30000;           // Keep a room this long after a player drops
+const INPUT_DELAY = 4;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Serve files from the project root (never outside it)
+ */
+function serveStatic(req, res){
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (e) {
+    urlPath = null;
+  }
+  const file = urlPath && path.normalize(path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath));
+  const rel = file ? path.relative(ROOT, file) : '..';
+  if (rel.startsWith('..') || path.isAbsolute(rel) || rel.split(path.sep).some(p => p.startsWith('.') || p === 'node_modules')) {
+    res.writeHead(404);
+    res.end('Not found');
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+/**
+ * Create the HTTP + WebSocket relay (not listening yet)
+ * @param {Object} [options]
+ * @param {number} [options.roomTimeout] - ms before an abandoned room is closed
+ * @param {number} [options.delay] - Input delay in ticks handed to clients
+ * @returns {{server: http.Server, wss: WebSocketServer, rooms: Map, close: Function}}
+ */
+function createRelay({ roomTimeout = ROOM_TIMEOUT, delay = INPUT_DELAY } = {}){
+  const rooms = new Map();
+  const server = http.createServer(serveStatic);
+  const wss = new WebSocketServer({ server, path: '/ws' });
+
+  function send(ws, msg){
+    if (ws && ws.readyState === 1) ws.send(JSON.stringify(msg));
+  }
+
+  function newCode(){
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_CHARS[crypto.randomInt(ROOM_CODE_CHARS.length)];
+      }
+    } while (rooms.has(code));
+    return code;
+  }
+
+  function closeRoom(room, reason){
+    clearTimeout(room.expiry);
+    rooms.delete(room.code);
+    room.players.forEach(p => {
+      if (!p) return;
+      send(p.ws, { type: 'room-closed', reason });
+      if (p.ws) p.ws.room = null;
+    });
+  }
+
+  function peerOf(room, slot){
+    return room.players[slot === 1 ? 1 : 0];
+  }
+
+  // Ticks, intent masks and state hashes are non-negative integers
+  function isTick(n){
+    return Number.isSafeInteger(n) && n >= 0;
+  }
+
+  function handle(ws, msg){
+    const room = ws.room;
+    switch (msg.type) {
+      case 'create': {
+        // A second 'create' replaces the socket's room instead of orphaning it
+        if (room) closeRoom(room, 'left');
+        const code = newCode();
+        const player = { slot: 1, token: crypto.randomUUID(), ws, inputs: [] };
+        const created = { code, players: [player, null], settings: msg.settings || {}, started: false, expiry: null };
+        rooms.set(code, created);
+        ws.room = created;
+        ws.slot = 1;
+        send(ws, { type: 'created', room: code, token: player.token, slot: 1 });
+        break;
+      }
+      case 'join': {
+        const target = rooms.get(String(msg.room || '').toUpperCase());
+        if (!target) { send(ws, { type: 'error', message: 'Room not found' }); return; }
+        if (target === room) { send(ws, { type: 'error', message: 'Already in this room' }); return; }
+        if (target.players[1]) { send(ws, { type: 'error', message: 'Room is full' }); return; }
+        // Joining another room leaves the current one instead of stranding its other player
+        if (room) closeRoom(room, 'left');
+        const player = { slot: 2, token: crypto.randomUUID(), ws, inputs: [] };
+        target.players[1] = player;
+        target.started = true;
+        ws.room = target;
+        ws.slot = 2;
+        send(ws, { type: 'joined', room: target.code, token: player.token, slot: 2 });
+        const start = { type: 'start', seed: crypto.randomInt(0x7fffffff), settings: target.settings, delay };
+        target.players.forEach(p => send(p.ws, start));
+        break;
+      }
+      case 'rejoin': {
+        const target = rooms.get(msg.room);
+        const player = target && target.players.find(p => p && p.token === msg.token);
+        if (!player) { send(ws, { type: 'room-closed', reason: 'expired' }); return; }
+        clearTimeout(target.expiry);
+        if (player.ws && player.ws !== ws) player.ws.terminate();
+        player.ws = ws;
+        ws.room = target;
+        ws.slot = player.slot;
+        const last = player.inputs.length ? player.inputs[player.inputs.length - 1][0] : -1;
+        send(ws, { type: 'rejoined', slot: player.slot, last });
+        const peer = peerOf(target, player.slot);
+        if (peer) {
+          const have = Number(msg.have) || 0;
+          send(ws, { type: 'inputs', list: peer.inputs.filter(([t]) => t >= have) });
+          send(peer.ws, { type: 'peer-back' });
+        }
+        break;
+      }
+      case 'input': {
+        if (!room || !room.started) return;
+        if (!isTick(msg.t) || !isTick(msg.i)) { send(ws, { type: 'error', message: 'Bad input' }); return; }
+        const player = room.players[ws.slot - 1];
+        player.inputs.push([msg.t, msg.i]);
+        const peer = peerOf(room, ws.slot);
+        if (peer) send(peer.ws, { type: 'input', t: msg.t, i: msg.i });
+        break;
+      }
+      case 'hash': {
+        if (!room) return;
+        if (!isTick(msg.t) || !isTick(msg.h)) { send(ws, { type: 'error', message: 'Bad hash' }); return; }
+        const peer = peerOf(room, ws.slot);
+        if (peer) {
+          // A hash for tick t means this side has simulated t, so it never needs the peer's older inputs again
+          peer.inputs = peer.inputs.filter(([t]) => t >= msg.t);
+          send(peer.ws, { type: 'hash', t: msg.t, h: msg.h });
+        }
+        break;
+      }
+      case 'ping':
+        send(ws, { type: 'pong', ts: msg.ts });
+        break;
+      case 'leave':
+        if (room) closeRoom(room, 'left');
+        break;
+      default:
+        send(ws, { type: 'error', message: `Unknown message: ${msg.type}` });
+    }
+  }
+
+  wss.on('connection', ws => {
+    ws.room = null;
+    ws.slot = null;
+
+    ws.on('message', data => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch (e) {
+        msg = null;
+      }
+      // Valid JSON is not enough: null, numbers and arrays have no type
+      if (!msg || typeof msg !== 'object' || Array.isArray(msg) || typeof msg.type !== 'string') {
+        send(ws, { type: 'error', message: 'Bad message' });
+        return;
+      }
+      // One bad message must never take down every other room
+      try {
+        handle(ws, msg);
+      } catch (e) {
+        console.error('Relay message error:', e);
+        send(ws, { type: 'error', message: 'Bad message' });
+      }
+    });
+
+    ws.on('close', () => {
+      const room = ws.room;
+      if (!room || !rooms.has(room.code)) return;
+      const player = room.players[ws.slot - 1];
+      if (!player || player.ws !== ws) return;
+      player.ws = null;
+      if (!room.started) {
+        closeRoom(room, 'left');
+        return;
+      }
+      const peer = peerOf(room, ws.slot);
+      if (peer) send(peer.ws, { type: 'peer-left' });
+      clearTimeout(room.expiry);
+      room.expiry = setTimeout(() => closeRoom(room, 'timeout'), roomTimeout);
+    });
+  });
+
+  /**
+   * Drop every room and connection and stop listening
+   */
+  function close(callback){
+    rooms.forEach(room => clearTimeout(room.expiry));
+    rooms.clear();
+    wss.clients.forEach(ws => ws.terminate());
+    wss.close();
+    server.close(callback);
+  }
+
+  return { server, wss, rooms, close };
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8080;
+  const host = process.env.HOST || '0.0.0.0';
+  const { server } = createRelay();
+  server.listen(port, host, () => {
+    console.log(`Slime Soccer relay running at http://localhost:${port} (WebSocket at /ws)`);
+  });
+}
+
+module.exports = { createRelay };
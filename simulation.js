@@ -0,0 +1,1668 @@
+/**
+ * ========================================
+ * SLIME SOCCER - MATCH SIMULATION CORE
+ * DOM-free physics, AI, goals and power-ups
+ * ========================================
+ *
+ * This module has no browser dependencies. It can be loaded as a classic
+ * <script> (exposes globals) or required/imported from Node:
+ *
+ *   const { MatchSimulation } = require('./simulation.js');
+ *   const sim = new MatchSimulation({ mode: 'single', seed: 42 });
+ *   while (sim.state === 'playing') sim.step({ p1: { right: true } });
+ *
+ * The browser Game class is a thin shell around it: it forwards input,
+ * listens to simulation events (goal, kick, bounce, ...) for sound and
+ * effects, and renders the simulation state.
+ *
+ * Positions and sizes are in world units on a fixed WORLD_WIDTH x
+ * WORLD_HEIGHT field whatever the screen; the shell scales the world onto its
+ * canvas.
+ *
+ * Each slime has a controller: a human (intents passed to step()), the
+ * built-in AI, or a bot function that gets a read-only snapshot of the match
+ * every tick and returns its intent:
+ *
+ *   const sim = new MatchSimulation({
+ *     controllers: { p1: snap => ({ right: snap.ball.x > snap.self.x }), p2: { type: 'ai', level: 'hard' } }
+ *   });
+ */
+
+// --- Mathematical Utility Functions ---
+const clamp=(n,mi,ma)=>Math.max(mi,Math.min(ma,n));
+const rand=(a,b)=>Math.random()*(b-a)+a;
+const lerp=(a,b,t)=>a+(b-a)*t;
+
+// --- Seeded Random Number Generation ---
+/**
+ * Normalize a seed (number or string) to an unsigned 32-bit integer
+ * @param {number|string} seed - User-supplied seed
+ * @returns {number} 32-bit seed
+ */
+function normalizeSeed(seed){
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  // FNV-1a hash so text seeds like "office-cup" are reproducible too
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create a deterministic PRNG (mulberry32). Same seed, same sequence.
+ * @param {number|string} seed - Initial seed
+ * @returns {{seed:number, next:Function, range:Function}} Generator
+ */
+function createRng(seed){
+  let state = normalizeSeed(seed);
+  return {
+    seed: state,
+    /** @returns {number} Float in [0, 1) */
+    next(){
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    /** @returns {number} Float in [a, b) */
+    range(a, b){
+      return this.next() * (b - a) + a;
+    }
+  };
+}
+
+/**
+ * Pick a fresh random seed for matches started without one
+ * @returns {number} 32-bit seed
+ */
+function randomSeed(){
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Logical field size every match is played on
+const WORLD_WIDTH = 960;
+const WORLD_HEIGHT = 600;
+
+// Default match configuration
+const DEFAULT_MATCH_CONFIG = {
+  width: WORLD_WIDTH,      // Field size in world units; the starting spots assume the default
+  height: WORLD_HEIGHT,
+  mode: 'soccer',          // 'single' (vs AI), 'soccer' (two players) or 'spectate' (AI vs AI)
+  gravity: 'normal',       // 'normal', 'low' or 'high'
+  difficulty: 'normal',    // AI difficulty
+  controllers: null,       // { p1, p2 } controller per slime (see normalizeController); null follows the mode
+  seed: undefined,         // Random when omitted
+  tickRate: 60,            // Simulation ticks per second
+  matchLength: 90,         // Seconds (shorthand for rules.matchLength)
+  rules: null,             // Match rules, see DEFAULT_MATCH_RULES
+  powerUps: null           // Per-match toggles, e.g. { fire: false }; null enables all
+};
+
+// --- Match Rules ---
+const WIN_CONDITIONS = ['time', 'score', 'both'];
+const DRAW_RESOLUTIONS = ['draw', 'golden-goal', 'extra-time', 'shootout'];
+const GOAL_HANGING_AWARDS = ['off', 'goal', 'penalty'];
+const SLIME_SHAPES = ['round', 'half'];
+
+// Default match rules
+const DEFAULT_MATCH_RULES = {
+  winCondition: 'time',    // 'time', 'score' (first to scoreTarget) or 'both' (whichever comes first)
+  matchLength: 90,         // Seconds of regulation time
+  scoreTarget: 5,          // Goals that win the match
+  drawResolution: 'draw',  // 'draw', 'golden-goal', 'extra-time' (then a shootout) or 'shootout'
+  extraTime: 30,           // Seconds of extra time
+  shootoutKicks: 5,        // Penalties per side before sudden death
+  shootoutKickTime: 5,     // Seconds the shooter has for each penalty
+  ownHalf: false,          // Keep each slime in its own half of the field
+  goalHanging: 'off',      // Staying in your own goal too long gives away a 'goal' or a 'penalty'
+  goalHangingTime: 3,      // Seconds a slime may stay in its own goal
+  slimeShape: 'round'      // 'round' (full disc) or 'half' (classic dome with a flat underside)
+};
+
+/**
+ * Merge match rules over the defaults, replacing unknown or invalid values
+ * @param {Object} [rules] - Partial rules
+ * @param {number} [matchLength] - Fallback match length (legacy config field)
+ * @returns {Object} Complete rules
+ */
+function normalizeRules(rules, matchLength){
+  const r = { ...DEFAULT_MATCH_RULES, ...(matchLength > 0 ? { matchLength } : {}), ...(rules || {}) };
+  if (!WIN_CONDITIONS.includes(r.winCondition)) r.winCondition = DEFAULT_MATCH_RULES.winCondition;
+  if (!DRAW_RESOLUTIONS.includes(r.drawResolution)) r.drawResolution = DEFAULT_MATCH_RULES.drawResolution;
+  if (!GOAL_HANGING_AWARDS.includes(r.goalHanging)) r.goalHanging = DEFAULT_MATCH_RULES.goalHanging;
+  if (!SLIME_SHAPES.includes(r.slimeShape)) r.slimeShape = DEFAULT_MATCH_RULES.slimeShape;
+  // Menus hand over 'true'/'false' strings
+  r.ownHalf = r.ownHalf === true || r.ownHalf === 'true';
+  ['matchLength', 'scoreTarget', 'extraTime', 'shootoutKicks', 'shootoutKickTime', 'goalHangingTime'].forEach(key => {
+    const n = Math.floor(Number(r[key]));
+    r[key] = n > 0 ? n : DEFAULT_MATCH_RULES[key];
+  });
+  return r;
+}
+
+// --- Goal Frames ---
+/**
+ * Each goal is a box { x, y, w, h } against a side wall. Its crossbar runs
+ * along the top edge from the wall to the goal mouth and is solid: the ball
+ * bounces off it (the rounded end at the mouth is the post) and slimes can
+ * stand on it. A net hangs NET_DEPTH inside the wall; it gives way and soaks
+ * up the ball's speed instead of bouncing it back out.
+ */
+const GOAL_BAR_RADIUS = 5;        // Half the crossbar's thickness
+const GOAL_BAR_BOUNCE = 0.6;      // Share of speed the ball keeps off the woodwork
+const GOAL_RESET_MS = 700;        // Simulated ms the ball stays in the net before kickoff
+const NET_DEPTH = 14;             // Slack between the net and the wall behind it
+const NET_STIFFNESS = 0.08;       // Push back per px the net is stretched
+const NET_DAMPING = 0.8;          // Ball speed kept per tick while in the net
+
+// --- Slime Contact ---
+/**
+ * Slimes are solid to each other. Side by side they shove each other apart,
+ * the heavier one (mass) giving way less; when the contact is mostly
+ * vertical the upper slime stands on the other's head and can jump off it.
+ */
+const SLIME_HEAD_CONTACT = 0.7;   // Vertical share of the contact normal that counts as standing on a head
+const SLIME_BOUNCE = 0.3;         // Share of the closing speed slimes bounce apart with
+
+// --- Ball Contact ---
+/**
+ * A touch is an impulse along the contact normal that depends on how fast
+ * ball and slime close in, the restitution and both masses: a ball that
+ * comes in fast leaves fast, and a slime running or jumping into the ball
+ * hits it harder, up to BALL_MAX_SPEED. The slime is springy, so even a
+ * soft touch pops the ball away at KICK_POP. Kick power-ups scale the
+ * impulse and the cap.
+ */
+const BALL_MASS = 0.1;            // Relative to a slime's mass of 1
+const BALL_MAX_SPEED = 16;        // Fastest a touch can send the ball without a kick power
+const KICK_RESTITUTION = 0.6;     // Share of the closing speed the ball bounces away with
+const KICK_POP = 5;               // Least speed (relative to the slime) a touch sends the ball away with
+
+// --- AI Difficulty ---
+/**
+ * Built-in AI levels:
+ *   horizon  - ticks of ball flight the AI predicts ahead
+ *   reaction - how many ticks old the ball state it reacts to is
+ *   aimError - largest random error (radians) in the contact angle it aims for
+ *   speed    - running acceleration relative to a human player
+ */
+const AI_LEVELS = {
+  easy:   { horizon: 20,  reaction: 18, aimError: 0.6,  speed: 0.55 },
+  normal: { horizon: 40,  reaction: 10, aimError: 0.3,  speed: 0.75 },
+  hard:   { horizon: 75,  reaction: 5,  aimError: 0.12, speed: 0.95 },
+  expert: { horizon: 110, reaction: 2,  aimError: 0.04, speed: 1 }
+};
+const AI_AIM_ANGLES = [0.2, 0.4, 0.6, 0.8, 1.0]; // Contact angles (above horizontal) tried when aiming
+const AI_AIM_TICKS = 120;                          // How long an aimed shot is followed
+
+// --- Controllers ---
+const PLAYER_SLOTS = ['p1', 'p2'];
+
+// What drives each slime in each match mode, unless the config says otherwise
+const MODE_CONTROLLERS = {
+  single: { p1: 'human', p2: 'ai' },
+  soccer: { p1: 'human', p2: 'human' },
+  spectate: { p1: 'ai', p2: 'ai' }
+};
+
+/**
+ * Normalize a controller spec:
+ *   'human'                                 - intents come from step() input
+ *   'ai' or { type: 'ai', level }           - the built-in AI (level defaults to the match difficulty)
+ *   function or { type: 'bot', bot, name }  - bot(snapshot) returns {left, right, jump, move?} each tick
+ * @param {string|Function|Object} spec
+ * @returns {{type:string, level?:?string, bot?:Function, name?:string}}
+ * @throws {Error} On an unknown controller
+ */
+function normalizeController(spec){
+  if (typeof spec === 'function') return { type: 'bot', bot: spec, name: spec.name || 'bot' };
+  if (spec === undefined || spec === null || spec === 'human' || spec?.type === 'human') return { type: 'human' };
+  if (spec === 'ai') return { type: 'ai', level: null };
+  if (spec?.type === 'ai') return { type: 'ai', level: spec.level || null };
+  if (spec?.type === 'bot' && typeof spec.bot === 'function') {
+    return { type: 'bot', bot: spec.bot, name: spec.name || spec.bot.name || 'bot' };
+  }
+  throw new Error(`Unknown controller: ${typeof spec === 'string' ? spec : JSON.stringify(spec)}`);
+}
+
+/**
+ * Freeze an object and everything inside it
+ */
+function deepFreeze(obj){
+  Object.values(obj).forEach(v => { if (v && typeof v === 'object') deepFreeze(v); });
+  return Object.freeze(obj);
+}
+
+// --- Power-up Registry ---
+/**
+ * Every power-up is one definition object. Definitions hold only data and
+ * hooks; the simulation owns spawning, pickup, expiry and modifiers, and the
+ * browser shell reads icon/label/toast/sound for presentation.
+ *
+ * Definition fields:
+ * - type        Unique id stored on pickups and active powers
+ * - icon        Emoji drawn on the field and in the legend
+ * - name        Short name for the legend
+ * - label       HUD text while the power is active
+ * - toast       [text, ms] shown on pickup
+ *   (name, label and toast text are Turkish defaults; the shell shows the
+ *   'power.<type>.name/label/toast' strings from i18n.js when there are any)
+ * - sound       Sound effect played on pickup (default 'power')
+ * - weight      Relative spawn weight, 0 never spawns (default 1)
+ * - duration    Active time in simulated ms (default 5000)
+ * - target      'player' (held by the collector) or 'ball' (default 'player')
+ * - modifiers   { speed, jump, kick, ballRadius } multipliers / radius
+ * - endsOnGoal  Expire when a goal is scored
+ * - onApply(sim, power, slime)   On pickup
+ * - onTick(sim, power, slime)    Every tick while active
+ * - onExpire(sim, power, slime)  When it runs out
+ * - onKick(sim, power, kick)     When its holder kicks (any kick for ball powers);
+ *                                kick is { player, slime, mul, fire } and may be changed
+ *
+ * Active powers are { type, until, player } records in slime.powers or
+ * ball.powers. Setting power.until to sim.simTime ends a power early.
+ */
+const POWER_UP_REGISTRY = new Map();
+
+/**
+ * Add or replace a power-up definition
+ * @param {Object} def - Power-up definition (see above)
+ * @returns {Object} The stored definition with defaults filled in
+ * @throws {Error} When the definition has no type
+ */
+function registerPowerUp(def){
+  if (!def || typeof def.type !== 'string' || !def.type) {
+    throw new Error("Power-up definition needs a type");
+  }
+  const full = {
+    icon: '❔', name: def.type, label: def.type, sound: 'power',
+    weight: 1, duration: 5000, target: 'player', modifiers: {},
+    ...def
+  };
+  POWER_UP_REGISTRY.set(def.type, full);
+  return full;
+}
+
+/**
+ * Remove a power-up definition
+ * @param {string} type - Power-up id
+ * @returns {boolean} true when it existed
+ */
+function unregisterPowerUp(type){
+  return POWER_UP_REGISTRY.delete(type);
+}
+
+/**
+ * @param {string} type - Power-up id
+ * @returns {Object|undefined} Definition
+ */
+function getPowerUp(type){
+  return POWER_UP_REGISTRY.get(type);
+}
+
+/**
+ * @returns {Object[]} All definitions in registration order
+ */
+function listPowerUps(){
+  return [...POWER_UP_REGISTRY.values()];
+}
+
+registerPowerUp({
+  type: 'speed', icon: '⚡', name: 'Hız', label: 'Hız', toast: ['Hız!', 550],
+  modifiers: { speed: 1.6, kick: 1.3 }
+});
+
+registerPowerUp({
+  type: 'jump', icon: '🦘', name: 'Zıplama', label: 'Zıplama', toast: ['Süper Zıplama!', 650],
+  modifiers: { jump: 1.7 }
+});
+
+registerPowerUp({
+  type: 'bigball', icon: '🎯', name: 'Dev Top', label: 'Büyük Top', toast: ['Büyük Top!', 650],
+  target: 'ball',
+  modifiers: { ballRadius: 26 },
+  onApply(sim, power){ sim.ball.bigUntil = power.until; },
+  onExpire(sim){ sim.ball.bigUntil = 0; }
+});
+
+registerPowerUp({
+  type: 'freeze', icon: '❄️', name: 'Dondurma', label: 'Donmuş Top', toast: ['Top Dondu!', 650],
+  sound: 'freeze', duration: 1500, target: 'ball', endsOnGoal: true,
+  // The ball hangs in place, then drops when the freeze runs out
+  onApply(sim, power){
+    Object.assign(sim.ball, { frozen: true, frozenUntil: power.until, vx: 0, vy: 0 });
+  },
+  onExpire(sim){
+    sim.ball.frozen = false;
+    sim.ball.frozenUntil = 0;
+  },
+  // A kick knocks the ball out of a freeze
+  onKick(sim, power){
+    power.until = sim.simTime;
+    sim.ball.frozen = false;
+    sim.ball.frozenUntil = 0;
+  }
+});
+
+registerPowerUp({
+  type: 'fire', icon: '🔥', name: 'Ateş Şutu', label: 'Ateş Şutu', toast: ['Ateş Şutu Hazır!', 800],
+  duration: 10000,
+  modifiers: { kick: 2.2 },
+  // Used up by the next kick
+  onKick(sim, power, kick){
+    power.until = sim.simTime;
+    kick.fire = true;
+    sim.ball.onFire = true;
+    sim.ball.fireUntil = sim.simTime + 1500;
+  }
+});
+
+/**
+ * Headless match simulation. Advance it one fixed tick at a time with step().
+ *
+ * Events (subscribe with on()):
+ * - 'jump'   {player, ai}            - a slime left the ground
+ * - 'kick'   {player, x, y, fire}    - a slime touched the ball (fire: a fire shot)
+ * - 'combo'  {player, count}         - 3+ consecutive touches by one slime
+ * - 'bounce' {x, y}                  - ball hit the floor
+ * - 'post'   {side, x, y}            - ball hit a crossbar or post ('left' or 'right' goal)
+ * - 'goal'   {scorer, score}         - a goal was scored ('p1' or 'p2'); the ball
+ *                                      settles in the net for GOAL_RESET_MS first
+ * - 'kickoff' {}                     - players and ball are back on their spots after a goal
+ * - 'power'  {player, type, x, y}    - a power-up was collected
+ * - 'clock'  {timeLeft, phase}       - the match clock ticked one second
+ * - 'overtime' {phase}               - a draw went to 'golden-goal', 'extra-time' or 'shootout'
+ * - 'penalty'  {shooter, scored, tally} - a penalty was decided (tally null
+ *                                      for an open-play penalty)
+ * - 'hanging'  {player, award}       - a slime stayed in its own goal too long
+ *                                      and gave away a 'goal' or a 'penalty'
+ * - 'end'    {score, winner, shootout} - the match is over (winner null on draw,
+ *                                      shootout is the penalty tally or null)
+ * - 'tick'   {tick}                  - a tick finished (tick is the new tick count)
+ * - 'error'  {context, error}        - a tick failed or a bot threw (thrown when unhandled)
+ */
+class MatchSimulation {
+  /**
+   * @param {Object} config - See DEFAULT_MATCH_CONFIG
+   */
+  constructor(config = {}){
+    this.config = { ...DEFAULT_MATCH_CONFIG, ...config };
+    this.listeners = {};
+
+    this.width = this.config.width;
+    this.height = this.config.height;
+    this.tickRate = this.config.tickRate;
+    this.tickMs = 1000 / this.tickRate;
+    this.mode = this.config.mode;
+    this.gravitySetting = this.config.gravity;
+    this.rules = normalizeRules(this.config.rules, this.config.matchLength);
+    this.setDifficulty(this.config.difficulty);
+    this.setControllers(this.config.controllers);
+
+    // Physics constants - carefully tuned for realistic gameplay
+    this.gravity = 0.5;        // Downward acceleration (pixels/tick²)
+    this.friction = 0.85;      // Ground friction coefficient (0-1)
+    this.bounceDecay = 0.8;    // Energy loss on collision (0-1)
+
+    this.reset(this.config.seed);
+  }
+
+  // --- Events ---
+  /**
+   * Subscribe to a simulation event
+   * @param {string} type - Event name
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, handler){
+    (this.listeners[type] ||= []).push(handler);
+    return () => {
+      this.listeners[type] = (this.listeners[type] || []).filter(h => h !== handler);
+    };
+  }
+
+  emit(type, data){
+    const handlers = this.listeners[type];
+    if (handlers) handlers.forEach(h => h(data));
+  }
+
+  // --- Match State ---
+  /**
+   * Reset score, clock, entities and the random stream for a fresh match
+   * @param {number|string} [seed] - Match seed; random if omitted
+   */
+  reset(seed){
+    this.seed = seed === undefined || seed === null || seed === ''
+      ? randomSeed()
+      : normalizeSeed(seed);
+    this.rng = createRng(this.seed);
+
+    this.state = 'playing';
+    this.score = {p1:0, p2:0};
+    this.timeLeft = this.rules.matchLength;
+    this.phase = 'regulation';  // 'regulation', 'golden-goal', 'extra-time' or 'shootout'
+    this.shootout = null;
+    this.penalty = null;       // { shooter, deadline } during an open-play penalty
+    this.hanging = {p1:0, p2:0};   // Ticks each slime has spent in its own goal
+    this.combo = {p1:0, p2:0};
+    this.lastHit = {player: null, time: 0};
+    this.powerUps = [];
+    this.lastSpawn = 0;
+    this.pendingGoal = null;   // { scorer, resetAt } while the ball sits in the net
+    this.simTime = 0;
+    this.clockMark = 0;        // Tick of the last clock second
+    this.tick = 0;
+    this.eachAI(ai => {
+      ai.decision = { dir: 0, jump: false };
+      ai.aim = { touch: -1, angle: AI_AIM_ANGLES[0], error: 0 };
+    });
+
+    this.resetEntities();
+    this.setGameRules();
+  }
+
+  /**
+   * Configure AI difficulty settings (see AI_LEVELS; unknown levels play as normal)
+   */
+  setDifficulty(mode){
+    this.difficulty = mode;
+    this.aiLevel = { ...(AI_LEVELS[mode] || AI_LEVELS.normal) };
+    this.aiSpeed = this.aiLevel.speed;
+    // AIs without a level of their own play at the match difficulty
+    this.eachAI((ai, slot) => {
+      if (!this.controllers[slot].level) ai.level = this.aiLevel;
+    });
+  }
+
+  /**
+   * Choose what drives each slime (see normalizeController). Slots left out
+   * follow the match mode.
+   * @param {?{p1:*, p2:*}} controllers
+   * @throws {Error} On an unknown controller
+   */
+  setControllers(controllers){
+    const defaults = MODE_CONTROLLERS[this.mode] || MODE_CONTROLLERS.soccer;
+    this.controllers = {};
+    this.ai = {};
+    PLAYER_SLOTS.forEach(slot => {
+      const spec = controllers?.[slot];
+      const controller = normalizeController(spec === undefined ? defaults[slot] : spec);
+      this.controllers[slot] = controller;
+      this.ai[slot] = controller.type !== 'ai' ? null : {
+        level: controller.level ? { ...(AI_LEVELS[controller.level] || AI_LEVELS.normal) } : this.aiLevel,
+        memory: [],
+        aim: { touch: -1, angle: AI_AIM_ANGLES[0], error: 0 },
+        decision: { dir: 0, jump: false }
+      };
+    });
+  }
+
+  /**
+   * Run fn(state, slot) for every slime driven by the built-in AI
+   */
+  eachAI(fn){
+    PLAYER_SLOTS.forEach(slot => { if (this.ai?.[slot]) fn(this.ai[slot], slot); });
+  }
+
+  slime(slot){
+    return slot === 'p1' ? this.player1 : this.player2;
+  }
+
+  /**
+   * Reset all entities to starting positions
+   */
+  resetEntities(){
+    const w = this.width;
+    this.player1 = { x: 160, y: 420, vx:0, vy:0, r:40, mass:1, onGround:false, speedMul:1, jumpMul:1, powers:[] };
+    this.player2 = { x: w-160, y: 420, vx:0, vy:0, r:40, mass:1, onGround:false, speedMul:1, jumpMul:1, powers:[] };
+    this.ball = { x: w/2, y: 280, vx:0, vy:0, r:15, mass:BALL_MASS, bigUntil:0, frozen:false, frozenUntil:0, onFire:false, fireUntil:0, lastBounce:0, lastTouchedBy: null, powers:[] };
+    this.goals = { left:{ x:0, y:450, w:86, h:150 }, right:{ x:w-86, y:450, w:86, h:150 } };
+    this.nets = { left: { sag: 0, y: 0 }, right: { sag: 0, y: 0 } };   // How far the ball stretches each net, and where
+    this.eachAI(ai => { ai.memory = []; });
+  }
+
+  /**
+   * Apply physics rules based on gravity setting
+   */
+  setGameRules(){
+    this.baseBallRadius = 15;
+    this.ball.r = this.baseBallRadius;
+    this.gravity = 0.5;
+    this.friction = 0.85;
+    this.bounceDecay = 0.8;
+    this.powerUpSpawnRate = 3000;
+    this.baseJumpMul = 1;                // Jump boost of the gravity preset; powers multiply on top
+
+    if (this.gravitySetting === 'low') {
+      this.gravity = 0.2;
+      this.baseJumpMul = 2.0;
+    } else if (this.gravitySetting === 'high') {
+      this.gravity = 0.8;
+      this.baseJumpMul = 0.7;
+    }
+    this.player1.jumpMul = this.baseJumpMul;
+    this.player2.jumpMul = this.baseJumpMul;
+  }
+
+  // --- Tick ---
+  /**
+   * Advance the match by one fixed tick
+   * @param {Object} [input] - Intents of the human-controlled slimes for this tick:
+   *   { p1: {left, right, jump}, p2: {left, right, jump}, ai: {p1?: {dir, jump}, p2?: {dir, jump}} }
+   *   `ai` optionally overrides built-in AI decisions (replay playback).
+   */
+  step(input = {}){
+    if (this.state !== 'playing') return;
+
+    try {
+      this.tickTime();
+      this.handleInput(input);
+      this.updateAI(input.ai);
+      this.updatePhysics();
+      this.handlePlayerBallCollisions();
+      if (this.phase === 'shootout') {
+        this.updateShootout();
+      } else if (this.penalty) {
+        this.updatePenalty();
+      } else {
+        this.checkGoals();
+        this.checkGoalHanging();
+        this.spawnPowerUps();
+        this.checkPowerUpPickup();
+      }
+      this.updatePowerEffects();
+    } catch (e) {
+      this.handleError("Simulation step error", e);
+    }
+
+    this.tick++;
+    // Derived from the tick count so float error never accumulates
+    this.simTime = this.tick * this.tickMs;
+    this.emit('tick', { tick: this.tick });
+  }
+
+  /**
+   * Report an error to 'error' listeners, or rethrow when nobody listens
+   */
+  handleError(context, error){
+    if (!this.listeners.error || this.listeners.error.length === 0) throw error;
+    this.emit('error', { context, error });
+  }
+
+  /**
+   * Handle game timer (counts simulated seconds, not wall-clock seconds)
+   */
+  tickTime(){
+    if (this.tick - this.clockMark < this.tickRate) return;
+    this.clockMark += this.tickRate;
+    if (!this.clockRunning()) return;
+
+    this.timeLeft = Math.max(0, this.timeLeft - 1);
+    this.emit('clock', { timeLeft: this.timeLeft, phase: this.phase });
+    if (this.timeLeft === 0) this.onTimeUp();
+  }
+
+  /**
+   * Whether the countdown is running (regulation of a timed match, or extra time)
+   */
+  clockRunning(){
+    if (this.phase === 'extra-time') return true;
+    return this.phase === 'regulation' && this.rules.winCondition !== 'score';
+  }
+
+  /**
+   * Regulation or extra time ran out: end the match or resolve the draw
+   */
+  onTimeUp(){
+    const level = this.score.p1 === this.score.p2;
+    if (!level || this.rules.drawResolution === 'draw') {
+      this.endMatch();
+    } else if (this.phase === 'extra-time' || this.rules.drawResolution === 'shootout') {
+      this.startShootout();
+    } else if (this.rules.drawResolution === 'extra-time') {
+      this.timeLeft = this.rules.extraTime;
+      this.startOvertime('extra-time');
+    } else {
+      this.startOvertime('golden-goal');
+    }
+  }
+
+  startOvertime(phase){
+    this.phase = phase;
+    this.emit('overtime', { phase });
+  }
+
+  /**
+   * Whether a goal just scored by this side ends the match
+   * @param {'p1'|'p2'} scorer
+   */
+  isDecidingGoal(scorer){
+    if (this.phase === 'golden-goal') return true;
+    return this.rules.winCondition !== 'time' && this.score[scorer] >= this.rules.scoreTarget;
+  }
+
+  /**
+   * Finish the match and announce the result
+   */
+  endMatch(){
+    if (this.state !== 'playing') return;
+    this.state = 'ended';
+
+    let winner = null;
+    const tally = this.shootout ? this.shootoutTally() : null;
+    const decider = tally || this.score;
+    if (decider.p1 > decider.p2) winner = 'p1';
+    else if (decider.p2 > decider.p1) winner = 'p2';
+    this.emit('end', { score: { ...this.score }, winner, shootout: tally });
+  }
+
+  /**
+   * Apply human and bot intents and refresh power-up multipliers. An intent
+   * with a numeric `move` (-1..1, e.g. from an analog stick) uses it instead
+   * of left/right.
+   */
+  handleInput(input = {}){
+    const intents = PLAYER_SLOTS.map((slot, i) => {
+      const controller = this.controllers[slot];
+      let intent = {};
+      if (controller.type === 'human') intent = input[slot] || {};
+      else if (controller.type === 'bot') intent = this.botIntent(slot);
+      return [this.slime(slot), intent, i + 1];
+    });
+
+    intents.forEach(([p, intent, player]) => {
+      if (typeof intent.move === 'number') {
+        p.vx += 1.2 * clamp(intent.move, -1, 1) * (p.speedMul || 1);
+      } else {
+        if (intent.left) p.vx -= 1.2 * (p.speedMul || 1);
+        if (intent.right) p.vx += 1.2 * (p.speedMul || 1);
+      }
+      if (intent.jump && p.onGround) {
+        p.vy = -15 * (p.jumpMul || 1);
+        p.onGround = false;
+        this.emit('jump', { player, ai: false });
+      }
+    });
+
+    this.refreshPowers();
+
+    const t = this.simTime;
+    if (this.ball.onFire && t >= this.ball.fireUntil) {
+      this.ball.onFire = false;
+      this.ball.fireUntil = 0;
+    }
+  }
+
+  // --- AI System ---
+  /**
+   * Move every slime driven by the built-in AI
+   * @param {{p1?:Object, p2?:Object}} [overrides] - Recorded {dir, jump} decisions to use instead
+   */
+  updateAI(overrides = {}){
+    this.eachAI((state, slot) => {
+      const slime = this.slime(slot);
+      // Decide even when overridden so the gameplay RNG stream stays in lockstep
+      state.decision = this.decideAI(slot);
+      const decision = overrides[slot] || state.decision;
+
+      if (decision.dir !== 0) {
+        slime.vx += decision.dir * 1.2 * state.level.speed * (slime.speedMul || 1);
+      }
+
+      if (decision.jump && slime.onGround) {
+        slime.vy = -15 * slime.jumpMul;
+        slime.onGround = false;
+        this.emit('jump', { player: slot === 'p1' ? 1 : 2, ai: true });
+      }
+    });
+  }
+
+  /**
+   * Compute an AI slime's intent for this tick without applying it.
+   *
+   * The AI sees the ball as it was `reaction` ticks ago, predicts its flight
+   * `horizon` ticks ahead and runs to the first point of that path it can
+   * reach, standing so the touch sends the ball toward the opponent's goal.
+   * @param {'p1'|'p2'} [slot='p2'] - AI-driven slime
+   * @returns {{dir:number, jump:boolean}} Movement direction and jump flag
+   */
+  decideAI(slot = 'p2'){
+    const state = this.ai[slot];
+    const ai = this.slime(slot);
+    const b = this.ball;
+    const level = state.level;
+    const back = slot === 'p1' ? -1 : 1;   // Direction of its own goal
+
+    state.memory.push({ x: b.x, y: b.y, vx: b.vx, vy: b.vy, r: b.r, frozen: b.frozen });
+    while (state.memory.length > level.reaction + 1) state.memory.shift();
+    const delay = state.memory.length - 1;
+    const flight = this.predictBall(state.memory[0], delay + level.horizon);
+    const seen = delay ? flight[delay - 1] : state.memory[0];   // Where it thinks the ball is now
+    const path = flight.slice(delay);
+
+    // A new touch means a new shot to line up, with a fresh aiming error
+    if (state.aim.touch !== this.lastHit.time) {
+      state.aim.touch = this.lastHit.time;
+      state.aim.error = this.rng.range(-1, 1) * level.aimError;
+    }
+
+    const plan = this.planIntercept(slot, path);
+    const targetX = this.allowedAIX(slot, plan.x);
+    let jump = plan.jump;
+
+    // Ball low, between the AI and its own goal and not running away: hop
+    // over it instead of pushing it backward
+    const behind = (seen.x - ai.x) * back;
+    if ((targetX - ai.x) * back > 0 && behind > 0 && behind < ai.r + 100 &&
+        seen.y > ai.y - ai.r && seen.vx * back < ai.vx * back) {
+      jump = true;
+    }
+    // Ball wedged against the slime (felt, not seen): lift it out
+    if (Math.abs(ai.vx) < 1 && Math.hypot(b.x - ai.x, b.y - ai.y) < ai.r + b.r + 4) jump = true;
+
+    // Run toward the target, coasting when friction alone gets there
+    const coast = ai.vx * this.friction / (1 - this.friction);
+    const diff = targetX - (ai.x + coast);
+    const dir = Math.abs(diff) > 4 ? Math.sign(diff) : 0;
+    return { dir, jump: !!(jump && ai.onGround) };
+  }
+
+  /**
+   * Keep an AI target where the rules let the slime stand: its own half
+   * under ownHalf, and out of its own goal under the goal-hanging rule
+   * @param {'p1'|'p2'} slot
+   * @param {number} x - Wanted x
+   */
+  allowedAIX(slot, x){
+    const r = this.slime(slot).r;
+    const goal = slot === 'p1' ? this.goals.left : this.goals.right;
+    if (this.rules.ownHalf) {
+      x = slot === 'p1' ? Math.min(x, this.width / 2 - r) : Math.max(x, this.width / 2 + r);
+    }
+    if (this.rules.goalHanging !== 'off') {
+      x = slot === 'p1' ? Math.max(x, goal.x + goal.w + 10) : Math.min(x, goal.x - 10);
+    }
+    return x;
+  }
+
+  /**
+   * Predict the free flight of a ball (stepBall on a copy: gravity, air drag,
+   * bounces, crossbars and nets; slimes are ignored)
+   * @param {{x:number, y:number, vx:number, vy:number, r:number, frozen?:boolean}} ball
+   * @param {number} ticks - How far to look ahead
+   * @returns {Array<{x:number, y:number, vx:number, vy:number}>} Position after each tick
+   */
+  predictBall(ball, ticks){
+    const b = { x: ball.x, y: ball.y, vx: ball.vx, vy: ball.vy, r: ball.r, frozen: !!ball.frozen };
+    const path = [];
+    for (let i = 0; i < ticks; i++) {
+      this.stepBall(b);
+      path.push({ x: b.x, y: b.y, vx: b.vx, vy: b.vy });
+    }
+    return path;
+  }
+
+  /**
+   * First point of a predicted ball path the AI slime can reach in time (the
+   * last point when none is)
+   * @param {'p1'|'p2'} slot - AI-driven slime
+   * @param {Array<Object>} path - predictBall output, one entry per tick from now
+   * @returns {{x:number, tick:number, jump:boolean}} Where to stand and whether to jump now
+   */
+  planIntercept(slot, path){
+    const state = this.ai[slot];
+    const slime = this.slime(slot);
+    const back = slot === 'p1' ? -1 : 1;   // The slime stands on this side of the ball
+    const groundY = this.height - 50 - this.slimeUnderside(slime);
+    const accel = 1.2 * state.level.speed * (slime.speedMul || 1);
+    const topSpeed = accel * this.friction / (1 - this.friction);
+    const jumpV = 15 * (slime.jumpMul || 1);
+    const reach = slime.r + this.ball.r;
+    const apex = jumpV * jumpV / (2 * this.gravity);
+
+    // Slime centre for touching the ball at an angle (ball up and toward the
+    // opponent's goal), aimed a little inside the touch distance so small
+    // errors still connect
+    const stance = (p, angle) => {
+      const rise = groundY - (p.y + Math.sin(angle) * reach);
+      if (rise >= 0) return { x: p.x + back * Math.cos(angle) * reach * 0.7, rise };
+      // Too low for that angle: meet it from the ground instead
+      const h = clamp((groundY - p.y) / reach, -1, 1);
+      return { x: p.x + back * Math.cos(Math.asin(h)) * reach * 0.7, rise: 0 };
+    };
+
+    // Search with the last aimed angle, then aim properly at the chosen point
+    const aim = state.aim;
+    for (let i = 0; i < path.length; i++) {
+      const tick = i + 1;
+      const s = stance(path[i], aim.angle + aim.error);
+      if (s.rise > apex) continue;
+      if (s.x + slime.r > this.width || s.x - slime.r < 0) continue;
+      if (Math.abs(s.x - slime.x) > topSpeed * Math.max(0, tick - 2) + 10) continue;
+
+      aim.angle = this.aimAngle(path[i], -back);
+      const aimed = stance(path[i], aim.angle + aim.error);
+      const rise = Math.min(aimed.rise, apex);
+      const jump = rise > 8 && tick <= this.riseTicks(rise, jumpV);
+      return { x: aimed.x, tick, jump };
+    }
+    // Out of reach within the horizon: head for where the ball ends up
+    const last = path[path.length - 1];
+    return { x: clamp(stance(last, aim.angle).x, slime.r, this.width - slime.r), tick: path.length, jump: false };
+  }
+
+  /**
+   * Ticks a jump needs to lift a slime by `rise` pixels (Infinity past the apex)
+   */
+  riseTicks(rise, jumpV){
+    let height = 0, v = jumpV;
+    for (let t = 1; v > 0; t++) {
+      v -= this.gravity;
+      height += v;
+      if (height >= rise) return t;
+    }
+    return Infinity;
+  }
+
+  /**
+   * Contact angle (radians above horizontal) whose kick heads into the
+   * attacked goal soonest; flatter shots win ties
+   * @param {{x:number, y:number}} at - Where the ball will be touched
+   * @param {number} [attack=-1] - Direction of the attacked goal (-1 left, 1 right)
+   */
+  aimAngle(at, attack = -1){
+    const goal = attack < 0 ? this.goals.left : this.goals.right;
+    const r = this.ball.r;
+    const speed = KICK_POP;   // Plan on the pop alone; a run into the ball only adds to it
+    let best = AI_AIM_ANGLES[0], bestScore = Infinity;
+    for (const angle of AI_AIM_ANGLES) {
+      const shot = this.predictBall({
+        x: at.x, y: at.y, r,
+        vx: attack * Math.cos(angle) * speed, vy: -Math.sin(angle) * speed
+      }, AI_AIM_TICKS);
+      let score = Infinity;
+      for (let t = 0; t < shot.length; t++) {
+        const s = shot[t];
+        if (this.isInGoal(attack < 0 ? 'left' : 'right', s.x, s.y, r)) { score = t; break; }
+        score = Math.min(score, AI_AIM_TICKS + (attack < 0 ? s.x : this.width - s.x));
+      }
+      if (score < bestScore) { best = angle; bestScore = score; }
+    }
+    return best;
+  }
+
+  // --- Bots ---
+  /**
+   * Ask a bot controller for its intent. A bot that throws or returns
+   * nothing stands still for the tick; the error goes to 'error' listeners
+   * (and is thrown when nobody listens).
+   * @param {'p1'|'p2'} slot
+   * @returns {Object} {left, right, jump, move?}
+   */
+  botIntent(slot){
+    const controller = this.controllers[slot];
+    let out;
+    try {
+      out = controller.bot(this.botSnapshot(slot));
+    } catch (e) {
+      this.handleError(`Bot ${controller.name} (${slot})`, e);
+      return {};
+    }
+    if (!out || typeof out !== 'object') return {};
+    const intent = { left: !!out.left, right: !!out.right, jump: !!out.jump };
+    if (typeof out.move === 'number' && Number.isFinite(out.move)) intent.move = clamp(out.move, -1, 1);
+    return intent;
+  }
+
+  /**
+   * Read-only view of the match for a bot. Everything is a frozen copy, so a
+   * bot cannot move the ball or the slimes by writing to it.
+   * @param {'p1'|'p2'} slot - The bot's slime
+   * @returns {Object} { tick, time, timeLeft, phase, score, slot, side, field,
+   *   ball, self, opponent, goals: {own, target}, powerUps }
+   */
+  botSnapshot(slot){
+    const other = slot === 'p1' ? 'p2' : 'p1';
+    const active = powers => powers.filter(power => this.simTime < power.until)
+      .map(power => ({ type: power.type, until: power.until }));
+    const slime = p => ({ x: p.x, y: p.y, vx: p.vx, vy: p.vy, r: p.r, mass: p.mass, onGround: p.onGround, powers: active(p.powers) });
+    const b = this.ball;
+    const goals = { p1: { ...this.goals.left }, p2: { ...this.goals.right } };
+    return deepFreeze({
+      tick: this.tick,
+      time: this.simTime,
+      timeLeft: this.timeLeft,
+      phase: this.phase,
+      score: { ...this.score },
+      slot,
+      side: slot === 'p1' ? 'left' : 'right',
+      field: {
+        width: this.width, height: this.height, floor: this.height - 50,
+        gravity: this.gravity, friction: this.friction, slimeShape: this.rules.slimeShape
+      },
+      ball: { x: b.x, y: b.y, vx: b.vx, vy: b.vy, r: b.r, frozen: b.frozen, onFire: b.onFire, powers: active(b.powers) },
+      self: slime(this.slime(slot)),
+      opponent: slime(this.slime(other)),
+      goals: { own: goals[slot], target: goals[other] },
+      powerUps: this.powerUps.map(p => ({ type: p.type, x: p.x, y: p.y, r: p.r }))
+    });
+  }
+
+  // --- Physics ---
+  /**
+   * Core physics simulation
+   */
+  updatePhysics(){
+    const floor = this.height - 50;
+
+    // Update players
+    [this.player1, this.player2].forEach(p => {
+      p.vy += this.gravity;
+      p.vx *= this.friction;
+      p.x += p.vx;
+      p.y += p.vy;
+
+      const under = this.slimeUnderside(p);
+      if (p.y + under > floor) {
+        p.y = floor - under;
+        p.vy = 0;
+        p.onGround = true;
+      } else {
+        p.onGround = false;
+      }
+
+      this.keepSlimeOnField(p);
+      this.collideSlimeWithBars(p);
+    });
+    this.collideSlimes();
+    [this.player1, this.player2].forEach(p => this.keepSlimeOnField(p));
+
+    Object.values(this.nets).forEach(net => { net.sag *= 0.85; });
+    this.stepBall(this.ball, true);
+  }
+
+  /**
+   * Stop a slime at the side walls and, under the ownHalf rule, at the
+   * halfway line
+   */
+  keepSlimeOnField(p){
+    let min = p.r, max = this.width - p.r;
+    if (this.rules.ownHalf) {
+      if (p === this.player1) max = this.width / 2 - p.r;
+      else min = this.width / 2 + p.r;
+    }
+    if (p.x < min) { p.x = min; p.vx = 0; }
+    if (p.x > max) { p.x = max; p.vx = 0; }
+  }
+
+  /**
+   * Distance from a slime's centre down to the bottom of its body
+   */
+  slimeUnderside(p){
+    return this.rules.slimeShape === 'half' ? 0 : p.r;
+  }
+
+  /**
+   * Overlap of a circle with a slime's body: the whole disc, or under the
+   * 'half' slimeShape rule the dome above the flat underside
+   * @param {Object} p - Slime
+   * @param {number} x - Circle centre
+   * @param {number} y
+   * @param {number} radius - Circle radius (0 for a point)
+   * @returns {{depth:number, nx:number, ny:number}} They overlap when depth > 0;
+   *   the normal points from the slime to the circle
+   */
+  slimeContact(p, x, y, radius){
+    let qx = p.x, reach = p.r + radius;
+    if (this.rules.slimeShape === 'half' && y > p.y) {
+      // Below the flat side: the nearest point of the body is on the underside
+      qx = clamp(x, p.x - p.r, p.x + p.r);
+      reach = radius;
+    }
+    const dx = x - qx, dy = y - p.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist === 0) return { depth: reach, nx: 0, ny: reach === radius ? 1 : -1 };
+    return { depth: reach - dist, nx: dx / dist, ny: dy / dist };
+  }
+
+  /**
+   * Keep the two slimes from passing through each other (see SLIME_HEAD_CONTACT)
+   */
+  collideSlimes(){
+    const a = this.player1, b = this.player2;
+    const half = this.rules.slimeShape === 'half';
+    const [top, bottom] = a.y <= b.y ? [a, b] : [b, a];
+    // Round slimes touch body to body; a half-disc rests its flat underside
+    // on the other's dome
+    const hit = half
+      ? this.slimeContact(bottom, clamp(bottom.x, top.x - top.r, top.x + top.r), top.y, 0)
+      : this.slimeContact(bottom, top.x, top.y, top.r);
+    if (hit.depth <= 0) return;
+
+    // Standing on a head: only the upper slime moves, the lower one carries it
+    if (-hit.ny > SLIME_HEAD_CONTACT) {
+      top.x += hit.nx * hit.depth;
+      top.y += hit.ny * hit.depth;
+      if (top.vy >= bottom.vy) {
+        top.vy = bottom.vy;
+        top.onGround = true;
+      }
+      return;
+    }
+
+    // Side by side: push apart along x until the bodies just touch, the
+    // lighter slime moving further, then trade momentum
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const reach = a.r + b.r;
+    const side = dx < 0 ? -1 : 1;
+    const gap = (half ? reach : Math.sqrt(reach * reach - dy * dy)) - Math.abs(dx);
+    if (gap <= 0) return;
+    const total = a.mass + b.mass;
+    a.x -= side * gap * b.mass / total;
+    b.x += side * gap * a.mass / total;
+    const closing = (a.vx - b.vx) * side;
+    if (closing <= 0) return;
+    const j = (1 + SLIME_BOUNCE) * closing / (1 / a.mass + 1 / b.mass);
+    a.vx -= side * j / a.mass;
+    b.vx += side * j / b.mass;
+  }
+
+  /**
+   * Move a ball one tick: gravity, air drag, floor/wall/ceiling bounces, the
+   * crossbars and the nets. predictBall runs the same step on a copy.
+   * @param {Object} ball - {x, y, vx, vy, r, frozen}
+   * @param {boolean} [live=false] - The match ball: emit events and stretch the nets
+   */
+  stepBall(ball, live = false){
+    const floor = this.height - 50;
+    if (!ball.frozen) {
+      ball.vy += this.gravity;
+      ball.vx *= 0.995;
+      ball.vy *= 0.995;
+      ball.x += ball.vx;
+      ball.y += ball.vy;
+    }
+
+    if (ball.y + ball.r > floor) {
+      ball.y = floor - ball.r;
+      ball.vy *= -this.bounceDecay;
+      const t = this.simTime;
+      if (live && t - ball.lastBounce > 200) {
+        this.emit('bounce', { x: ball.x, y: ball.y + ball.r });
+        ball.lastBounce = t;
+      }
+    }
+
+    ['left', 'right'].forEach(side => {
+      const goal = this.goals[side];
+      // Net: the further the ball stretches it, the harder it pushes back
+      if (ball.y > goal.y) {
+        const depth = side === 'left' ? NET_DEPTH - (ball.x - ball.r) : ball.x + ball.r - (this.width - NET_DEPTH);
+        if (depth > 0) {
+          ball.vx += (side === 'left' ? 1 : -1) * depth * NET_STIFFNESS;
+          ball.vx *= NET_DAMPING;
+          ball.vy *= NET_DAMPING;
+          if (live && depth > this.nets[side].sag) this.nets[side] = { sag: Math.min(depth, NET_DEPTH), y: ball.y };
+        }
+      }
+      this.collideBallWithBar(ball, side, live);
+    });
+
+    // Behind a fully stretched net the wall takes what is left
+    const wallBounce = side => (ball.y > this.goals[side].y ? 0 : this.bounceDecay);
+    if (ball.x - ball.r < 0) { ball.x = ball.r; ball.vx *= -wallBounce('left'); }
+    if (ball.x + ball.r > this.width) { ball.x = this.width - ball.r; ball.vx *= -wallBounce('right'); }
+    if (ball.y - ball.r < 0) { ball.y = ball.r; ball.vy *= -this.bounceDecay; }
+  }
+
+  /**
+   * Crossbar of a goal as a segment along its top edge
+   * @param {'left'|'right'} side
+   * @returns {{x1:number, x2:number, y:number}}
+   */
+  crossbar(side){
+    const g = this.goals[side];
+    return { x1: g.x, x2: g.x + g.w, y: g.y };
+  }
+
+  /**
+   * Bounce a ball off a crossbar (a capsule, so the rounded post end works too)
+   */
+  collideBallWithBar(ball, side, live){
+    const bar = this.crossbar(side);
+    const cx = clamp(ball.x, bar.x1, bar.x2);
+    const dx = ball.x - cx, dy = ball.y - bar.y;
+    const dist = Math.hypot(dx, dy);
+    const reach = ball.r + GOAL_BAR_RADIUS;
+    if (dist >= reach) return;
+
+    const nx = dist > 0 ? dx / dist : 0;
+    const ny = dist > 0 ? dy / dist : -1;
+    ball.x = cx + nx * reach;
+    ball.y = bar.y + ny * reach;
+    const vn = ball.vx * nx + ball.vy * ny;
+    if (vn >= 0) return;
+    ball.vx -= (1 + GOAL_BAR_BOUNCE) * vn * nx;
+    ball.vy -= (1 + GOAL_BAR_BOUNCE) * vn * ny;
+    if (live && vn < -1) this.emit('post', { side, x: cx, y: bar.y });
+  }
+
+  /**
+   * Keep a slime out of the crossbars: it can stand on top of one, bumps its
+   * head from below and is stopped by the post from the side
+   */
+  collideSlimeWithBars(p){
+    ['left', 'right'].forEach(side => {
+      const bar = this.crossbar(side);
+      const hit = this.slimeContact(p, clamp(p.x, bar.x1, bar.x2), bar.y, GOAL_BAR_RADIUS);
+      if (hit.depth <= 0) return;
+
+      // Normal from the bar to the slime
+      const nx = -hit.nx, ny = -hit.ny;
+      p.x += nx * hit.depth;
+      p.y += ny * hit.depth;
+      if (ny < -0.5) {
+        p.vy = Math.min(p.vy, 0);
+        if (p.vy === 0) p.onGround = true;
+      } else if (ny > 0.5) {
+        p.vy = Math.max(p.vy, 0);
+      } else if (p.vx * nx < 0) {
+        p.vx = 0;
+      }
+    });
+  }
+
+  /**
+   * Whether a ball has fully crossed a goal line under the crossbar
+   * @param {'left'|'right'} side - Goal
+   */
+  isInGoal(side, x, y, r){
+    const g = this.goals[side];
+    if (y <= g.y) return false;
+    return side === 'left' ? x + r < g.x + g.w : x - r > g.x;
+  }
+
+  /**
+   * Handle collisions between players and ball (see BALL_MASS)
+   */
+  handlePlayerBallCollisions(){
+    const b = this.ball;
+    [this.player1, this.player2].forEach((p, index) => {
+      const contact = this.ballContact(p);
+      if (!contact) return;
+      const { nx, ny } = contact;
+      b.x = contact.x;
+      b.y = contact.y;
+
+      const player = index + 1;
+      b.lastTouchedBy = player;
+      // Relative speed along the normal; negative while they close in
+      const closing = (b.vx - p.vx) * nx + (b.vy - p.vy) * ny;
+      if (closing >= 0) return;   // Already parting
+
+      const mb = b.mass, ms = p.mass;
+      const parting = Math.max(-KICK_RESTITUTION * closing, KICK_POP);
+      const kick = this.resolveKick(p, player);
+      const j = (parting - closing) / (1 / mb + 1 / ms) * kick.mul;
+      b.vx += j / mb * nx;
+      b.vy += j / mb * ny;
+      p.vx -= j / ms * nx;
+      p.vy -= j / ms * ny;
+      const speed = Math.hypot(b.vx, b.vy);
+      const max = BALL_MAX_SPEED * kick.mul;
+      if (speed > max) {
+        b.vx *= max / speed;
+        b.vy *= max / speed;
+      }
+
+      const t = this.simTime;
+      const key = `p${player}`;
+      if (this.lastHit.player === player && t - this.lastHit.time < 2000) {
+        this.combo[key]++;
+        if (this.combo[key] >= 3) {
+          this.emit('combo', { player, count: this.combo[key] });
+        }
+      } else {
+        this.combo[key] = 1;
+      }
+      this.lastHit = {player, time: t};
+
+      this.emit('kick', { player, x: b.x, y: b.y, fire: kick.fire });
+    });
+  }
+
+  /**
+   * Where the ball touches a slime this tick, if it does: the ball position
+   * just clear of the body and the contact normal (slime to ball). A ball
+   * that went through the slime during the tick is caught where it first
+   * touched it, so fast shots cannot tunnel.
+   * @param {Object} p - Slime
+   * @returns {?{x:number, y:number, nx:number, ny:number}}
+   */
+  ballContact(p){
+    const b = this.ball;
+    const hit = this.slimeContact(p, b.x, b.y, b.r);
+    if (hit.depth > 0) return { x: b.x + hit.nx * hit.depth, y: b.y + hit.ny * hit.depth, nx: hit.nx, ny: hit.ny };
+
+    // Sweep the ball's motion relative to the slime over the tick (traced
+    // back from the velocities) against the disc
+    const dvx = b.vx - p.vx, dvy = b.vy - p.vy;
+    const a = dvx * dvx + dvy * dvy;
+    if (a === 0) return null;
+    const sx = b.x - dvx - p.x, sy = b.y - dvy - p.y;
+    const reach = p.r + b.r;
+    const c = sx * sx + sy * sy - reach * reach;
+    const half = sx * dvx + sy * dvy;
+    const disc = half * half - a * c;
+    if (c <= 0 || half >= 0 || disc < 0) return null;
+    const t = (-half - Math.sqrt(disc)) / a;
+    if (t > 1) return null;
+    const cx = sx + dvx * t, cy = sy + dvy * t;
+    // The flat underside of a half-disc is only met by slow balls
+    if (this.rules.slimeShape === 'half' && cy > 0) return null;
+    return { x: p.x + cx, y: p.y + cy, nx: cx / reach, ny: cy / reach };
+  }
+
+  /**
+   * Check for goals
+   */
+  checkGoals(){
+    // A goal stands; the ball stays in the net until kickoff
+    if (this.pendingGoal) {
+      if (this.simTime >= this.pendingGoal.resetAt) {
+        this.pendingGoal = null;
+        this.resetAfterGoal();
+      }
+      return;
+    }
+
+    const b = this.ball;
+    const scorer = this.isInGoal('left', b.x, b.y, b.r) ? 'p2' : this.isInGoal('right', b.x, b.y, b.r) ? 'p1' : null;
+    if (!scorer) return;
+    this.score[scorer]++;
+    this.onGoal(scorer);
+  }
+
+  onGoal(scorer){
+    this.combo = {p1: 0, p2: 0};
+    this.pendingGoal = { scorer, resetAt: this.simTime + GOAL_RESET_MS };
+    this.emit('goal', { scorer, score: { ...this.score } });
+    if (this.isDecidingGoal(scorer)) this.endMatch();
+  }
+
+  resetAfterGoal(){
+    this.player1.x = 160;
+    this.player1.y = 420;
+    this.player1.vx = 0;
+    this.player1.vy = 0;
+    this.player2.x = this.width - 160;
+    this.player2.y = 420;
+    this.player2.vx = 0;
+    this.player2.vy = 0;
+    this.ball.x = this.width / 2;
+    this.ball.y = 260;
+    this.ball.vx = (this.rng.next() - 0.5) * 10;
+    this.ball.vy = 0;
+    this.ball.frozen = false;
+    this.ball.frozenUntil = 0;
+    this.ball.onFire = false;
+    this.ball.fireUntil = 0;
+    this.hanging = {p1: 0, p2: 0};
+    this.eachAI(ai => { ai.memory = []; });
+    this.eachActivePower(power => {
+      if (getPowerUp(power.type)?.endsOnGoal) power.until = this.simTime;
+    });
+    this.emit('kickoff', {});
+  }
+
+  /**
+   * Goal-hanging rule: a slime whose centre stays behind its own goal line
+   * for goalHangingTime seconds concedes a goal or a penalty
+   */
+  checkGoalHanging(){
+    if (this.rules.goalHanging === 'off' || this.pendingGoal || this.state !== 'playing') return;
+    const limit = this.rules.goalHangingTime * this.tickRate;
+    for (const slot of PLAYER_SLOTS) {
+      const p = this.slime(slot);
+      const goal = slot === 'p1' ? this.goals.left : this.goals.right;
+      const inside = slot === 'p1' ? p.x < goal.x + goal.w : p.x > goal.x;
+      this.hanging[slot] = inside ? this.hanging[slot] + 1 : 0;
+      if (this.hanging[slot] < limit) continue;
+
+      const other = slot === 'p1' ? 'p2' : 'p1';
+      this.hanging = {p1: 0, p2: 0};
+      this.emit('hanging', { player: slot === 'p1' ? 1 : 2, award: this.rules.goalHanging });
+      if (this.rules.goalHanging === 'goal') {
+        this.score[other]++;
+        this.onGoal(other);
+      } else {
+        this.startPenalty(other === 'p1' ? 1 : 2);
+      }
+      return;
+    }
+  }
+
+  // --- Penalties ---
+  /**
+   * Stop play for a single penalty kick; scoring it counts as a goal
+   * @param {1|2} shooter - Player taking the kick
+   */
+  startPenalty(shooter){
+    this.penalty = { shooter, deadline: 0 };
+    this.setupPenalty(this.penalty);
+  }
+
+  /**
+   * Decide an open-play penalty, then play on from a kickoff
+   */
+  updatePenalty(){
+    const kick = this.penalty;
+    const scored = this.penaltyResult(kick);
+    if (scored === null) return;
+
+    this.penalty = null;
+    const slot = `p${kick.shooter}`;
+    this.emit('penalty', { shooter: kick.shooter, scored, tally: null });
+    if (scored) {
+      this.score[slot]++;
+      this.onGoal(slot);
+    } else {
+      this.resetAfterGoal();
+    }
+  }
+
+  /**
+   * Outcome of the penalty being taken: true for a goal, false for an own
+   * goal or time out, null while it is still on
+   * @param {{shooter:number, deadline:number}} kick
+   */
+  penaltyResult(kick){
+    const b = this.ball;
+    const inLeft = this.isInGoal('left', b.x, b.y, b.r);
+    const inRight = this.isInGoal('right', b.x, b.y, b.r);
+    if (kick.shooter === 1 ? inRight : inLeft) return true;
+    if (kick.shooter === 1 ? inLeft : inRight) return false;
+    if (this.simTime >= kick.deadline) return false;
+    return null;
+  }
+
+  // --- Penalty Shootout ---
+  /**
+   * Switch to a penalty shootout: sides alternate single kicks at the
+   * other slime's goal, with no power-ups on the field
+   */
+  startShootout(){
+    this.pendingGoal = null;
+    this.powerUps = [];
+    this.eachActivePower(power => { power.until = this.simTime; });
+    this.expirePowers();
+    this.applyModifiers();
+    this.penalty = null;
+    this.shootout = { shooter: 1, kicks: { p1: [], p2: [] }, deadline: 0 };
+    this.startOvertime('shootout');
+    this.setupPenalty(this.shootout);
+  }
+
+  /**
+   * Place the shooter behind the ball at the centre and the keeper in goal,
+   * and start the kick's clock
+   * @param {{shooter:number, deadline:number}} s - The shootout or open-play penalty
+   */
+  setupPenalty(s){
+    const w = this.width;
+    const floor = this.height - 50;
+    const dir = s.shooter === 1 ? 1 : -1;
+    const shooter = s.shooter === 1 ? this.player1 : this.player2;
+    const keeper = s.shooter === 1 ? this.player2 : this.player1;
+    const keeperX = s.shooter === 1 ? w - this.goals.right.w - 40 : this.goals.left.w + 40;
+
+    Object.assign(shooter, { x: w / 2 - dir * 120, y: 420, vx: 0, vy: 0 });
+    Object.assign(keeper, { x: keeperX, y: 420, vx: 0, vy: 0 });
+    Object.assign(this.ball, { x: w / 2, y: floor - this.ball.r, vx: 0, vy: 0, frozen: false, onFire: false });
+    this.eachAI(ai => { ai.memory = []; });
+    this.combo = {p1: 0, p2: 0};
+    this.hanging = {p1: 0, p2: 0};
+    s.deadline = this.simTime + this.rules.shootoutKickTime * 1000;
+  }
+
+  /**
+   * Decide the current penalty (goal, own goal or time out) and move on
+   */
+  updateShootout(){
+    const s = this.shootout;
+    const scored = this.penaltyResult(s);
+    if (scored === null) return;
+
+    const shooter = s.shooter;
+    s.kicks[`p${shooter}`].push(scored);
+    this.emit('penalty', { shooter, scored, tally: this.shootoutTally() });
+
+    if (this.shootoutWinner()) {
+      this.endMatch();
+      return;
+    }
+    s.shooter = shooter === 1 ? 2 : 1;
+    this.setupPenalty(this.shootout);
+  }
+
+  shootoutTally(){
+    const k = this.shootout.kicks;
+    return { p1: k.p1.filter(Boolean).length, p2: k.p2.filter(Boolean).length };
+  }
+
+  /**
+   * Winner once the shootout is decided: during the regular kicks as soon as
+   * one side cannot catch up, in sudden death after each pair of kicks
+   * @returns {'p1'|'p2'|null}
+   */
+  shootoutWinner(){
+    const k = this.shootout.kicks;
+    const n = this.rules.shootoutKicks;
+    const t = this.shootoutTally();
+    if (k.p1.length <= n && k.p2.length <= n) {
+      if (t.p1 + (n - k.p1.length) < t.p2) return 'p2';
+      if (t.p2 + (n - k.p2.length) < t.p1) return 'p1';
+      return null;
+    }
+    if (k.p1.length === k.p2.length && t.p1 !== t.p2) return t.p1 > t.p2 ? 'p1' : 'p2';
+    return null;
+  }
+
+  // --- PowerUps ---
+  /**
+   * Whether a registered power-up may spawn in this match
+   * @param {string} type - Power-up id
+   */
+  isPowerUpEnabled(type){
+    const def = getPowerUp(type);
+    if (!def || !(def.weight > 0)) return false;
+    const toggles = this.config.powerUps;
+    return !toggles || toggles[type] !== false;
+  }
+
+  /**
+   * Weighted random pick among the enabled power-ups
+   * @returns {string|null} Power-up id, null when none are enabled
+   */
+  pickPowerUpType(){
+    const defs = listPowerUps().filter(def => this.isPowerUpEnabled(def.type));
+    if (!defs.length) return null;
+    const total = defs.reduce((sum, def) => sum + def.weight, 0);
+    let roll = this.rng.next() * total;
+    for (const def of defs) {
+      roll -= def.weight;
+      if (roll < 0) return def.type;
+    }
+    return defs[defs.length - 1].type;
+  }
+
+  spawnPowerUps(){
+    const now = this.simTime;
+    if (now - this.lastSpawn < this.powerUpSpawnRate) return;
+    if (this.powerUps.length >= 2) return;
+
+    const type = this.rng.next() < 0.35 ? this.pickPowerUpType() : null;
+    if (type) {
+      const x = clamp(this.rng.range(80, this.width - 80), 80, this.width - 80);
+      const y = this.height - 80;
+
+      this.powerUps.push({
+        type, x, y, r: 16,
+        born: now, pulse: 0
+      });
+      this.lastSpawn = now;
+    }
+
+    this.powerUps = this.powerUps.filter(p => now - p.born < 12000);
+  }
+
+  checkPowerUpPickup(){
+    const players = [this.player1, this.player2];
+    this.powerUps = this.powerUps.filter(p => {
+      let taken = false;
+      players.forEach(pl => {
+        const d = Math.hypot(pl.x - p.x, pl.y - p.y);
+        if (d < pl.r + p.r) {
+          this.applyPower(pl, p.type);
+          taken = true;
+        }
+      });
+      return !taken;
+    });
+  }
+
+  /**
+   * Activate a power-up for the slime that collected it. Picking up a power
+   * that is already active restarts its timer.
+   * @param {Object} pl - Collecting slime
+   * @param {string} type - Power-up id
+   */
+  applyPower(pl, type){
+    const def = getPowerUp(type);
+    if (!def) return;
+    const player = pl === this.player1 ? 1 : 2;
+    const holder = def.target === 'ball' ? this.ball : pl;
+    const until = this.simTime + def.duration;
+
+    let power = holder.powers.find(pow => pow.type === type);
+    if (power) {
+      Object.assign(power, { until, player });
+    } else {
+      power = { type, until, player };
+      holder.powers.push(power);
+    }
+    if (def.onApply) def.onApply(this, power, pl);
+    this.applyModifiers();
+    this.emit('power', { player, type, x: pl.x, y: pl.y });
+  }
+
+  /**
+   * Call fn for every active power on both slimes and the ball
+   */
+  eachActivePower(fn){
+    [this.player1, this.player2, this.ball].forEach(holder => holder.powers.forEach(fn));
+  }
+
+  /**
+   * The slime that collected a power
+   */
+  slimeOf(power){
+    return power.player === 2 ? this.player2 : this.player1;
+  }
+
+  /**
+   * Expire finished powers, run onTick hooks and recompute modifiers
+   */
+  refreshPowers(){
+    this.expirePowers();
+    this.eachActivePower(power => getPowerUp(power.type)?.onTick?.(this, power, this.slimeOf(power)));
+    this.applyModifiers();
+  }
+
+  /**
+   * Drop powers whose time is up, calling their onExpire hooks
+   */
+  expirePowers(){
+    const t = this.simTime;
+    [this.player1, this.player2, this.ball].forEach(holder => {
+      holder.powers = holder.powers.filter(power => {
+        if (t < power.until) return true;
+        getPowerUp(power.type)?.onExpire?.(this, power, this.slimeOf(power));
+        return false;
+      });
+    });
+  }
+
+  /**
+   * Derive slime multipliers and ball size from the active powers
+   */
+  applyModifiers(){
+    const mod = (power, key) => getPowerUp(power.type)?.modifiers?.[key];
+    [this.player1, this.player2].forEach(p => {
+      p.speedMul = 1;
+      let jump = 1;
+      p.powers.forEach(power => {
+        p.speedMul = Math.max(p.speedMul, mod(power, 'speed') || 1);
+        jump = Math.max(jump, mod(power, 'jump') || 1);
+      });
+      p.jumpMul = this.baseJumpMul * jump;
+    });
+    this.ball.r = this.ball.powers.reduce((r, power) => Math.max(r, mod(power, 'ballRadius') || 0), this.baseBallRadius);
+  }
+
+  /**
+   * Kick strength for a touch, after the onKick hooks of the kicker's
+   * powers and the ball's powers have run
+   * @param {Object} p - Kicking slime
+   * @param {number} player - 1 or 2
+   * @returns {{player:number, slime:Object, mul:number, fire:boolean}} Kick
+   */
+  resolveKick(p, player){
+    const t = this.simTime;
+    const active = [...p.powers, ...this.ball.powers].filter(power => t < power.until);
+    const kick = { player, slime: p, mul: 1, fire: false };
+    p.powers.forEach(power => {
+      if (t < power.until) kick.mul *= getPowerUp(power.type)?.modifiers?.kick || 1;
+    });
+    active.forEach(power => getPowerUp(power.type)?.onKick?.(this, power, kick));
+    // Powers a hook used up end with this touch
+    if (active.some(power => t >= power.until)) {
+      this.expirePowers();
+      this.applyModifiers();
+    }
+    return kick;
+  }
+
+  updatePowerEffects(){
+    this.powerUps.forEach(p => {
+      p.pulse += 0.15;
+    });
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MatchSimulation,
+    DEFAULT_MATCH_CONFIG,
+    DEFAULT_MATCH_RULES,
+    AI_LEVELS,
+    MODE_CONTROLLERS,
+    WORLD_WIDTH,
+    WORLD_HEIGHT,
+    normalizeController,
+    normalizeRules,
+    createRng,
+    normalizeSeed,
+    randomSeed,
+    registerPowerUp,
+    unregisterPowerUp,
+    getPowerUp,
+    listPowerUps,
+    clamp,
+    rand,
+    lerp
+  };
+}
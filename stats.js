@@ -0,0 +1,160 @@
+/**
+ * ========================================
+ * SLIME SOCCER - MATCH STATISTICS
+ * Collects per-player stats from simulation events
+ * ========================================
+ *
+ * MatchStats listens to a MatchSimulation and never changes it, so it works
+ * the same in the browser, during replay playback and in headless runs.
+ * Penalty shootouts are not counted; only open play is.
+ */
+
+const SHOT_ZONE = 160;                 // px in front of a goal line where a shot counts
+const TOUCH_GAP = 10;                  // Ticks between kick events that count as separate touches
+
+/**
+ * Blank counters for one slime
+ */
+function emptyPlayerStats(){
+  return {
+    touches: 0,
+    possession: 0,       // Ticks with this slime as the last to touch the ball
+    ownHalf: 0,          // Ticks with the ball in this slime's half
+    shots: 0,
+    saves: 0,
+    longestCombo: 0,
+    jumps: 0,
+    powerUps: 0,
+    heat: []             // [x, y] of every touch
+  };
+}
+
+class MatchStats {
+  /**
+   * @param {Object} sim - MatchSimulation to follow from kickoff
+   */
+  constructor(sim){
+    this.sim = sim;
+    this.p1 = emptyPlayerStats();
+    this.p2 = emptyPlayerStats();
+    this.goals = [];                   // { player, tick, seconds, phase }
+    this.ticks = 0;
+    this.lastKick = { player: null, tick: -Infinity };
+    this.shotTaken = true;             // The current touch already produced a shot
+    this.liveShot = null;              // Player whose shot is still heading for goal
+
+    this.unsubscribe = [
+      sim.on('kick', e => this.onKick(e)),
+      sim.on('jump', ({ player }) => { if (this.counting()) this[`p${player}`].jumps++; }),
+      sim.on('power', ({ player }) => { this[`p${player}`].powerUps++; }),
+      sim.on('goal', ({ scorer }) => this.onGoal(scorer)),
+      sim.on('tick', () => this.onTick())
+    ];
+  }
+
+  /**
+   * Stop listening to the simulation
+   */
+  detach(){
+    this.unsubscribe.forEach(off => off());
+    this.unsubscribe = [];
+  }
+
+  counting(){
+    return this.sim.phase !== 'shootout';
+  }
+
+  /**
+   * Whether the ball is heading into the shot zone in front of a player's target goal
+   * @param {number} player - Attacking player (1 or 2)
+   */
+  inShotZone(player){
+    const sim = this.sim, b = sim.ball;
+    if (player === 1) {
+      const g = sim.goals.right;
+      return b.x + b.r > sim.width - g.w - SHOT_ZONE && b.y + b.r > g.y;
+    }
+    const g = sim.goals.left;
+    return b.x - b.r < g.w + SHOT_ZONE && b.y + b.r > g.y;
+  }
+
+  onKick({ player, x, y }){
+    if (!this.counting()) return;
+    const s = this[`p${player}`];
+    const tick = this.sim.tick;
+    const last = this.lastKick;
+    if (last.player !== player || tick - last.tick > TOUCH_GAP) {
+      s.touches++;
+      s.heat.push([Math.round(x), Math.round(y)]);
+      // Cleared off the line by the defending slime
+      if (this.liveShot && this.liveShot !== player) s.saves++;
+      this.liveShot = null;
+      this.shotTaken = false;
+    }
+    this.lastKick = { player, tick };
+    s.longestCombo = Math.max(s.longestCombo, this.sim.combo[`p${player}`]);
+  }
+
+  onGoal(scorer){
+    const player = scorer === 'p1' ? 1 : 2;
+    // A goal is always a shot on target, even one that skipped the zone check
+    if (!this.shotTaken && this.sim.ball.lastTouchedBy === player) this[scorer].shots++;
+    this.shotTaken = true;
+    this.liveShot = null;
+    const sim = this.sim;
+    this.goals.push({ player, tick: sim.tick, seconds: Math.floor(sim.tick / sim.tickRate), phase: sim.phase });
+  }
+
+  onTick(){
+    if (!this.counting()) return;
+    const sim = this.sim, b = sim.ball;
+    this.ticks++;
+    if (b.lastTouchedBy) this[`p${b.lastTouchedBy}`].possession++;
+    this[b.x < sim.width / 2 ? 'p1' : 'p2'].ownHalf++;
+
+    const attacker = b.lastTouchedBy;
+    if (!attacker) return;
+    const towardGoal = attacker === 1 ? b.vx > 0 : b.vx < 0;
+    if (!this.shotTaken && towardGoal && this.inShotZone(attacker)) {
+      this[`p${attacker}`].shots++;
+      this.shotTaken = true;
+      this.liveShot = attacker;
+    } else if (this.liveShot && !this.inShotZone(this.liveShot)) {
+      this.liveShot = null;
+    }
+  }
+
+  /**
+   * Share of the counted ticks, in whole percent
+   * @param {'possession'|'ownHalf'} key
+   * @returns {{p1:number, p2:number}}
+   */
+  percent(key){
+    const a = this.p1[key], b = this.p2[key];
+    if (a + b === 0) return { p1: 50, p2: 50 };
+    const p1 = Math.round(100 * a / (a + b));
+    return { p1, p2: 100 - p1 };
+  }
+
+  /**
+   * Plain summary for the results screen and headless runs
+   */
+  summary(){
+    const strip = s => {
+      const { heat, ...rest } = s;
+      return rest;
+    };
+    return {
+      ticks: this.ticks,
+      possession: this.percent('possession'),
+      ownHalf: this.percent('ownHalf'),
+      p1: strip(this.p1),
+      p2: strip(this.p2),
+      goals: this.goals.map(g => ({ ...g }))
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MatchStats, SHOT_ZONE };
+}
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { playBotMatch, runBotBatch, contenderName, chaseBot } = require('../bots.js');
+
+const idle = function idle(){ return {}; };
+const short = { matchLength: 10 };
+
+test.describe('playBotMatch', () => {
+  test('plays a whole headless match between two contenders', () => {
+    const result = playBotMatch({ p1: chaseBot, p2: idle, seed: 1, rules: short });
+    assert.equal(result.finished, true);
+    assert.equal(result.ticks, 10 * 60 + 1);
+    assert.ok(result.score.p1 > result.score.p2);
+    assert.equal(result.winner, 'p1');
+  });
+
+  test('is deterministic for a seed', () => {
+    const a = playBotMatch({ p1: { type: 'ai', level: 'hard' }, p2: chaseBot, seed: 5, rules: short });
+    const b = playBotMatch({ p1: { type: 'ai', level: 'hard' }, p2: chaseBot, seed: 5, rules: short });
+    assert.deepEqual(a, b);
+  });
+
+  test('counts bot errors instead of ending the match', () => {
+    const broken = () => { throw new Error('oops'); };
+    const result = playBotMatch({ p1: broken, p2: idle, seed: 1, rules: short });
+    assert.equal(result.finished, true);
+    assert.equal(result.errors.p1, result.ticks);
+    assert.equal(result.errors.p2, 0);
+  });
+
+  test('stops a match that would never end', () => {
+    const result = playBotMatch({ p1: idle, p2: idle, seed: 1, rules: { matchLength: 1, drawResolution: 'golden-goal' }, maxTicks: 300 });
+    assert.equal(result.finished, false);
+    assert.equal(result.ticks, 300);
+  });
+});
+
+test.describe('runBotBatch', () => {
+  test('alternates sides between matches', () => {
+    const sides = [];
+    const spy = snap => {
+      if (snap.tick === 0) sides.push(snap.side);
+      return {};
+    };
+    runBotBatch({ a: spy, b: idle, matches: 4, rules: { matchLength: 1 } });
+    assert.deepEqual(sides, ['left', 'right', 'left', 'right']);
+  });
+
+  test('tallies both contenders', () => {
+    const winners = [];
+    const result = runBotBatch({
+      a: chaseBot, b: idle, matches: 4, rules: short,
+      onMatch: (i, match) => winners.push(match.winner)
+    });
+    assert.equal(winners.length, 4);
+    assert.equal(result.matches, 4);
+    assert.ok(result.a.wins > 0);
+    assert.equal(result.a.wins, result.b.losses);
+    assert.equal(result.a.draws, result.draws);
+    assert.equal(result.a.wins + result.a.losses + result.a.draws, 4);
+    assert.equal(result.a.winRate, result.a.wins / 4);
+    assert.equal(result.a.goalsFor, result.b.goalsAgainst);
+  });
+
+  test('names contenders for the report', () => {
+    assert.equal(contenderName(chaseBot), 'chaseBot');
+    assert.equal(contenderName({ type: 'ai', level: 'easy' }), 'AI (easy)');
+    assert.equal(contenderName({ type: 'bot', bot: idle, name: 'Team Blue' }), 'Team Blue');
+  });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_BINDINGS, emptyActions, normalizeBindings, actionsForCode, bindingConflicts, keyLabel
+} = require('../controls.js');
+
+test.describe('bindings', () => {
+  test('fills missing actions with defaults and drops unknown ones', () => {
+    const b = normalizeBindings({ p1: { left: 'KeyQ', fly: 'KeyF' }, p2: { jump: '' } });
+    assert.deepEqual(b, {
+      p1: { left: 'KeyQ', right: 'KeyD', jump: 'KeyW' },
+      p2: { ...DEFAULT_BINDINGS.p2 }
+    });
+    assert.deepEqual(normalizeBindings(), DEFAULT_BINDINGS);
+    assert.notEqual(normalizeBindings().p1, DEFAULT_BINDINGS.p1);
+  });
+
+  test('finds every action bound to a key', () => {
+    const b = normalizeBindings({ p2: { jump: 'KeyW' } });
+    assert.deepEqual(actionsForCode(b, 'KeyW'), [{ player: 'p1', action: 'jump' }, { player: 'p2', action: 'jump' }]);
+    assert.deepEqual(actionsForCode(b, 'KeyZ'), []);
+  });
+
+  test('reports keys bound more than once', () => {
+    assert.deepEqual(bindingConflicts(DEFAULT_BINDINGS), []);
+    const conflicts = bindingConflicts(normalizeBindings({ p1: { right: 'KeyA' } }));
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].code, 'KeyA');
+    assert.deepEqual(conflicts[0].uses.map(u => u.action), ['left', 'right']);
+  });
+
+  test('starts with every action released', () => {
+    assert.deepEqual(emptyActions(), {
+      p1: { left: false, right: false, jump: false },
+      p2: { left: false, right: false, jump: false }
+    });
+  });
+});
+
+test('keyLabel shortens key codes', () => {
+  assert.equal(keyLabel('KeyA'), 'A');
+  assert.equal(keyLabel('Digit7'), '7');
+  assert.equal(keyLabel('Numpad4'), 'Num 4');
+  assert.equal(keyLabel('ArrowUp'), '↑');
+  assert.equal(keyLabel('F5'), 'F5');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_COSMETIC, normalizeCosmetics, parseColor, colorToHex, contrastRatio, themeContrast, MIN_SLIME_CONTRAST
+} = require('../cosmetics.js');
+const { listThemes, getTheme } = require('../themes.js');
+
+test.describe('slime cosmetics', () => {
+  test('fills in and cleans up saved choices', () => {
+    assert.deepEqual(normalizeCosmetics(), { p1: { ...DEFAULT_COSMETIC }, p2: { ...DEFAULT_COSMETIC } });
+    const c = normalizeCosmetics({
+      p1: { name: '  Süper Slime Adı Çok Uzun Olmuş ', color: '#00FF00', eyes: 'single', accessory: 'hat' },
+      p2: { color: 'red', eyes: 'laser', accessory: 'crown' }
+    });
+    assert.deepEqual(c.p1, { name: 'Süper Slime Adı', color: '#00ff00', eyes: 'single', accessory: 'hat' });
+    assert.deepEqual(c.p2, DEFAULT_COSMETIC);
+  });
+
+  test('reads theme colors and measures contrast', () => {
+    assert.deepEqual(parseColor('#0f8'), [0, 255, 136]);
+    assert.deepEqual(parseColor('rgba(255, 0, 10, .5)'), [255, 0, 10]);
+    assert.equal(parseColor('gold'), null);
+    assert.equal(colorToHex('#ff0'), '#ffff00');
+    assert.equal(contrastRatio('#000', '#fff'), 21);
+    assert.equal(contrastRatio('#123456', '#123456'), 1);
+    assert.equal(contrastRatio('#000', 'linear-gradient(#000, #fff)'), null);
+  });
+
+  test('every theme\'s own slime colors pass the contrast check', () => {
+    listThemes().forEach(t => ['p1', 'p2'].forEach(slot => {
+      assert.ok(themeContrast(t.slimes[slot], t) >= MIN_SLIME_CONTRAST, `${t.id} ${slot}`);
+    }));
+    assert.ok(themeContrast('#5c94fc', getTheme('retro')) < MIN_SLIME_CONTRAST, 'retro sky blue vanishes in the retro sky');
+  });
+});
@@ -0,0 +1,792 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./helpers/browser.js');
+const { DEFAULT_MATCH_RULES, AI_LEVELS } = require('../simulation.js');
+const { DEFAULT_BINDINGS } = require('../controls.js');
+const { SLIME_EYES, SLIME_ACCESSORIES } = require('../cosmetics.js');
+
+test.describe('Game shell initialization', () => {
+  test('boots headlessly in the menu with a simulation ready', () => {
+    const { game } = loadGame();
+    assert.equal(game.state, 'menu');
+    assert.ok(game.sim);
+    assert.equal(game.sim.width, game.canvas.width);
+    assert.equal(game.errorCount, 0);
+  });
+
+  test('destroy() cleans up without errors', () => {
+    const errors = [];
+    const { game } = loadGame({ console: { log(){}, info(){}, warn(){}, error: (...a) => errors.push(a) } });
+    game.start('soccer', 'normal', 'normal', 'stadium', 1);
+    game.destroy();
+    assert.deepEqual(errors, []);
+    assert.equal(game.canvas, null);
+  });
+
+  test('start() switches to playing and persists settings', () => {
+    const { game, storage } = loadGame();
+    game.start('single', 'low', 'hard', 'space', 99);
+    assert.equal(game.state, 'playing');
+    assert.equal(game.seed, 99);
+    assert.equal(game.sim.mode, 'single');
+    assert.equal(game.sim.difficulty, 'hard');
+    assert.deepEqual(JSON.parse(storage.slimeSoccerSettings), {
+      mode: 'single', gravity: 'low', difficulty: 'hard', leftDifficulty: 'normal', theme: 'space',
+      rules: DEFAULT_MATCH_RULES, controls: DEFAULT_BINDINGS, touchLayout: 'buttons', language: 'tr'
+    });
+  });
+
+  test('the menu starts an AI-vs-AI spectator match at two levels', () => {
+    const { game, elements, context } = loadGame();
+    elements.modeSelect.value = 'spectate';
+    context.document.getElementById('leftDifficultySelect').value = 'easy';
+    elements.difficultySelect.value = 'expert';
+    elements.startBtn.click();
+    assert.equal(game.state, 'playing');
+    assert.equal(game.sim.controllers.p1.type, 'ai');
+    assert.equal(game.sim.controllers.p2.type, 'ai');
+    assert.equal(game.sim.ai.p1.level.reaction, AI_LEVELS.easy.reaction);
+    assert.equal(game.sim.ai.p2.level.reaction, AI_LEVELS.expert.reaction);
+    assert.deepEqual({ ...game.slotNames() }, { p1: '🤖 AI (Kolay)', p2: '🤖 AI (Uzman)' });
+
+    const tick = game.tick;
+    for (let i = 0; i < 120; i++) game.advanceTick();
+    assert.equal(game.tick, tick + 120);
+    assert.notEqual(game.player1.x, 160, 'the left slime moves on its own');
+  });
+
+  test('a short phone screen letterboxes the same world', () => {
+    const { game } = loadGame({ innerWidth: 600, innerHeight: 400 });
+    assert.equal(game.canvas.width, 570);
+    assert.equal(game.canvas.height, 280);
+    assert.equal(game.sim.width, 960);
+    assert.equal(game.sim.height, 600);
+    const { scale, x, y } = game.view;
+    assert.equal(scale, 280 / 600);
+    assert.equal(y, 0);
+    assert.ok(Math.abs(x * 2 + 960 * scale - 570) < 1e-9, 'bars on both sides');
+
+    game.start('single', 'normal', 'normal', 'stadium', 1);
+    const floor = game.sim.height - 50;
+    for (const goal of [game.goals.left, game.goals.right]) assert.ok(goal.y < floor);
+    assert.ok(game.player1.y + game.player1.r <= floor);
+  });
+
+  test('renders at the device pixel ratio', () => {
+    const { game } = loadGame({ devicePixelRatio: 2 });
+    assert.equal(game.canvas.style.width, '960px');
+    assert.equal(game.canvas.width, 1920);
+    assert.equal(game.canvas.height, 1200);
+    assert.deepEqual({ ...game.view }, { scale: 2, x: 0, y: 0 });
+  });
+
+  test('resizing the window keeps the match running', () => {
+    const { game, window } = loadGame();
+    game.start('soccer', 'normal', 'normal', 'stadium', 5);
+    game.actions.p1.right = true;
+    for (let i = 0; i < 90; i++) game.advanceTick();
+    const sim = game.sim;
+    const before = { tick: game.tick, x: game.player1.x, ball: { ...game.ball } };
+
+    window.innerWidth = 500;
+    window.innerHeight = 700;
+    window.dispatch('resize');
+
+    assert.equal(game.sim, sim);
+    assert.equal(game.state, 'playing');
+    assert.equal(game.tick, before.tick);
+    assert.equal(game.player1.x, before.x);
+    assert.deepEqual({ ...game.ball }, before.ball);
+    assert.equal(game.canvas.width, 475);
+    game.render();
+    game.advanceTick();
+    assert.equal(game.tick, before.tick + 1);
+    assert.equal(game.errorCount, 0);
+  });
+
+  test('resizing the window while paused redraws the field', () => {
+    const { game, window } = loadGame();
+    game.start('soccer', 'normal', 'normal', 'stadium', 5);
+    game.togglePause();
+    assert.equal(game.state, 'paused');
+    let renders = 0;
+    const render = game.render.bind(game);
+    game.render = (alpha) => { renders++; render(alpha); };
+
+    window.innerWidth = 500;
+    window.dispatch('resize');
+    assert.equal(renders, 1);
+    assert.equal(game.errorCount, 0);
+  });
+
+  test('the timer shows the goal target and overtime phases', () => {
+    const { game, elements } = loadGame();
+    game.start('soccer', 'normal', 'normal', 'stadium', 1, { winCondition: 'score', scoreTarget: 3 });
+    assert.equal(elements.time.textContent, 'İlk 3 gol');
+
+    game.start('soccer', 'normal', 'normal', 'stadium', 1, { matchLength: 1, drawResolution: 'golden-goal' });
+    while (game.sim.phase === 'regulation') game.sim.step({});
+    assert.equal(elements.time.textContent, 'OT');
+    assert.ok(elements.timer.classList.contains('overtime'));
+  });
+
+  test('the classic rule toggles in the menu reach the match', () => {
+    const { game, elements, context } = loadGame();
+    elements.modeSelect.value = 'soccer';
+    context.document.getElementById('ownHalfSelect').value = 'true';
+    context.document.getElementById('goalHangingSelect').value = 'penalty';
+    elements.startBtn.click();
+    assert.equal(game.sim.rules.ownHalf, true);
+    assert.equal(game.sim.rules.goalHanging, 'penalty');
+
+    // Hang in the goal until the countdown runs out
+    game.actions.p2.right = true;
+    for (let i = 0; i < 100; i++) game.advanceTick();
+    assert.ok(game.sim.hanging.p2 > 0);
+    game.render();
+    for (let i = 0; i < 200 && !game.sim.penalty; i++) game.advanceTick();
+    assert.equal(game.sim.penalty?.shooter, 1);
+    assert.equal(game.errorCount, 0);
+  });
+
+  test('the classic half-disc slimes can be picked in the menu', () => {
+    const { game, elements, context } = loadGame();
+    context.document.getElementById('slimeShapeSelect').value = 'half';
+    elements.startBtn.click();
+    assert.equal(game.sim.rules.slimeShape, 'half');
+    for (let i = 0; i < 60; i++) game.advanceTick();
+    assert.equal(game.player1.y, game.sim.height - 50);
+    game.render();
+    assert.equal(game.errorCount, 0);
+  });
+
+  test('every menu theme paints its own look', () => {
+    const html = require('fs').readFileSync(require('path').join(__dirname, '..', 'index.html'), 'utf8');
+    const select = html.slice(html.indexOf('id="themeSelect"'), html.indexOf('</select>', html.indexOf('id="themeSelect"')));
+    const ids = [...select.matchAll(/value="(\w+)"/g)].map(m => m[1]);
+    assert.deepEqual(ids, ['stadium', 'beach', 'space', 'neon', 'retro']);
+
+    const { game, context } = loadGame();
+    const skies = new Set();
+    ids.forEach(id => {
+      game.start('spectate', 'normal', 'normal', id, 5);
+      assert.equal(game.look.id, id);
+      assert.equal(context.document.body.style.background, game.look.page);
+      skies.add(game.look.sky.join() + game.look.field.color);
+      for (let i = 0; i < 30; i++) game.advanceTick();
+      game.render();
+    });
+    assert.equal(skies.size, ids.length, 'no two themes share a sky and field');
+    assert.equal(game.errorCount, 0);
+  });
+});
+
+test.describe('updateParticles', () => {
+  test('caps the particle list at 100', () => {
+    const { game } = loadGame();
+    game.start('soccer', 'normal', 'normal', 'stadium', 1);
+    for (let i = 0; i < 30; i++) game.spark(100, 100, '#fff');
+    assert.ok(game.particles.length > 100);
+
+    game.updateParticles();
+
+    assert.ok(game.particles.length <= 100);
+  });
+
+  test('removes particles whose life runs out', () => {
+    const { game } = loadGame();
+    game.particles = [{ x: 0, y: 0, vx: 1, vy: 0, life: 1, c: '#fff' }, { x: 0, y: 0, vx: 0, vy: 0, life: 5, c: '#fff' }];
+
+    game.updateParticles();
+
+    assert.equal(game.particles.length, 1);
+    assert.equal(game.particles[0].life, 4);
+  });
+
+  test('applies gravity to particles', () => {
+    const { game } = loadGame();
+    game.particles = [{ x: 0, y: 0, vx: 0, vy: 0, life: 5, c: '#fff' }];
+    game.updateParticles();
+    assert.ok(game.particles[0].vy > 0);
+  });
+});
+
+test.describe('createTimeout', () => {
+  test('clamps negative delays to zero', () => {
+    const env = loadGame();
+    let fired = false;
+    env.timers.length = 0;
+    env.game.createTimeout(() => { fired = true; }, -500);
+    assert.equal(env.timers[0].delay, 0);
+    env.advance(0);
+    assert.ok(fired);
+  });
+
+  test('clamps delays longer than ten seconds', () => {
+    const env = loadGame();
+    env.timers.length = 0;
+    env.game.createTimeout(() => {}, 60000);
+    assert.equal(env.timers[0].delay, 10000);
+  });
+
+  test('tracks and clears managed timeouts', () => {
+    const env = loadGame();
+    let fired = false;
+    const id = env.game.createTimeout(() => { fired = true; }, 100);
+    assert.ok(env.game.activeTimeouts.has(id));
+
+    env.game.clearTimeout(id);
+    env.advance(200);
+
+    assert.equal(fired, false);
+    assert.equal(env.game.activeTimeouts.has(id), false);
+  });
+
+  test('routes callback errors to handleError', () => {
+    const env = loadGame();
+    env.game.createTimeout(() => { throw new Error('boom'); }, 10);
+    env.advance(20);
+    assert.equal(env.game.errorCount, 1);
+  });
+});
+
+test.describe('handleError', () => {
+  test('triggers an emergency reset after maxErrors', () => {
+    const { game } = loadGame();
+    game.start('soccer', 'normal', 'normal', 'stadium', 1);
+    for (let i = 0; i < game.maxErrors; i++) game.handleError('test', new Error('x'));
+    assert.equal(game.state, 'menu');
+    assert.equal(game.errorCount, 0);
+  });
+});
+
+test.describe('fixed timestep', () => {
+  test('simulates the same number of ticks regardless of frame rate', () => {
+    const at60 = loadGame();
+    const at144 = loadGame();
+    [at60, at144].forEach(env => env.game.start('soccer', 'normal', 'normal', 'stadium', 5));
+
+    for (let t = 1000 / 60; t <= 2000; t += 1000 / 60) at60.game.stepSimulation(t);
+    for (let t = 1000 / 144; t <= 2000; t += 1000 / 144) at144.game.stepSimulation(t);
+
+    assert.ok(Math.abs(at60.game.tick - at144.game.tick) <= 1);
+    assert.ok(Math.abs(at60.game.tick - 120) <= 1);
+  });
+
+  test('caps catch-up steps after a stall', () => {
+    const { game } = loadGame();
+    game.start('soccer', 'normal', 'normal', 'stadium', 5);
+    const steps = game.stepSimulation(10000);
+    assert.equal(steps, game.maxCatchUpSteps);
+  });
+});
+
+test.describe('tournament mode', () => {
+  const entrants = [{ name: 'Ada' }, { name: 'Can' }, { name: 'Robo', ai: 'normal' }, { name: 'Turbo', ai: 'hard' }];
+
+  /**
+   * Move the tournament on until a human fixture is being played
+   */
+  function playUntilMatch(game){
+    while (game.state !== 'playing') game.playNextFixture();
+  }
+
+  test('the bracket screen is not shown without a tournament', () => {
+    const { game, elements } = loadGame();
+    elements.tournamentScreen.classList.add('hidden');
+    assert.doesNotThrow(() => game.showTournamentScreen());
+    assert.ok(elements.tournamentScreen.classList.contains('hidden'));
+    assert.equal(game.errorCount, 0);
+  });
+
+  test('a finished match leads back to the bracket instead of the menu', () => {
+    const env = loadGame();
+    const { game, elements, storage } = env;
+    game.startTournament('knockout', entrants, { gravity: 'normal', theme: 'stadium', rules: {} });
+    assert.ok(!elements.tournamentScreen.classList.contains('hidden'));
+
+    playUntilMatch(game);
+    const { id } = game.tournamentMatch;
+    assert.equal(game.sim.rules.drawResolution, 'shootout');
+    game.sim.score.p1 = 2;
+    game.sim.endMatch();
+
+    const fixture = game.tournament.fixtures().find(f => f.id === id);
+    assert.ok(fixture.result);
+    assert.equal(game.tournamentMatch, null);
+    assert.ok(JSON.parse(storage.slimeSoccerTournament).rounds);
+
+    env.advance(2100);
+    assert.ok(!elements.statsScreen.classList.contains('hidden'));
+    assert.ok(elements.rematchBtn.classList.contains('hidden'));
+    elements.statsMenuBtn.click();
+    assert.ok(!elements.tournamentScreen.classList.contains('hidden'));
+    assert.ok(elements.menu.classList.contains('hidden'));
+    assert.equal(storage.slimeSoccerSettings, undefined, 'tournament matches do not overwrite menu settings');
+  });
+
+  test('the winner is mapped back when the human plays the away side', () => {
+    const { game } = loadGame();
+    game.startTournament('league', [{ name: 'Bot', ai: 'easy' }, { name: 'Me' }, { name: 'X', ai: 'easy' }, { name: 'Y', ai: 'easy' }],
+      { gravity: 'normal', theme: 'stadium', rules: {} });
+    const f = game.tournament.fixtures().find(x => x.home === 0 && x.away === 1);
+    game.tournament.rounds = [[f]];
+    game.playNextFixture();
+    assert.ok(game.tournamentMatch.swap);
+    assert.deepEqual({ ...game.tournamentNames() }, { p1: 'Me', p2: 'Bot' });
+    game.sim.score.p1 = 1;
+    game.sim.endMatch();
+    assert.deepEqual({ ...f.result }, { home: 0, away: 1, winner: 1, shootout: null });
+  });
+
+  test('an unfinished tournament can be resumed after a reload', () => {
+    const first = loadGame();
+    first.game.startTournament('league', entrants, { gravity: 'low', theme: 'space', rules: {} });
+    const saved = first.storage.slimeSoccerTournament;
+
+    const { game, elements } = loadGame({ storage: { slimeSoccerTournament: saved } });
+    assert.ok(!elements.tournamentResumeBtn.classList.contains('hidden'));
+    game.resumeTournament();
+    assert.equal(game.tournament.fixtures().length, 6);
+    assert.ok(!elements.tournamentScreen.classList.contains('hidden'));
+    assert.match(elements.tournamentBody.innerHTML, /league-table/);
+  });
+
+  test('names are escaped in the bracket', () => {
+    const { game, elements } = loadGame();
+    game.startTournament('knockout', [{ name: '<img src=x>' }, ...entrants.slice(1)], { rules: {} });
+    assert.ok(!elements.tournamentBody.innerHTML.includes('<img'));
+  });
+
+  test('reports an invalid field in the menu', () => {
+    const { game, elements } = loadGame();
+    game.startTournament('knockout', entrants.slice(0, 3), {});
+    assert.equal(game.tournament, null);
+    assert.match(elements.tournamentStatus.textContent, /4 to 16/);
+  });
+});
+
+test.describe('results screen', () => {
+  test('shows the stats after a match and offers a rematch', () => {
+    const env = loadGame();
+    const { game, elements } = env;
+    game.start('single', 'normal', 'normal', 'stadium', 7, { matchLength: 2 });
+    for (let i = 0; i < 200 && game.state === 'playing'; i++) game.advanceTick();
+    assert.equal(game.state, 'ended');
+
+    env.advance(2100);
+    assert.ok(!elements.statsScreen.classList.contains('hidden'));
+    assert.ok(elements.menu.classList.contains('hidden'));
+    assert.match(elements.statsTable.innerHTML, /Topa Sahip Olma/);
+    assert.equal(elements.statsSeed.textContent, 'Seed: 7');
+    assert.ok(!elements.rematchBtn.classList.contains('hidden'));
+
+    elements.rematchBtn.click();
+    assert.equal(game.state, 'playing');
+    assert.ok(elements.statsScreen.classList.contains('hidden'));
+  });
+
+  test('the menu button returns to the menu', () => {
+    const env = loadGame();
+    env.game.start('soccer', 'normal', 'normal', 'stadium', 1, { matchLength: 1 });
+    for (let i = 0; i < 100 && env.game.state === 'playing'; i++) env.game.advanceTick();
+    env.advance(2100);
+    env.elements.statsMenuBtn.click();
+    assert.ok(env.elements.statsScreen.classList.contains('hidden'));
+    assert.ok(!env.elements.menu.classList.contains('hidden'));
+  });
+});
+
+test.describe('custom themes', () => {
+  const file = data => ({ text: async () => (typeof data === 'string' ? data : JSON.stringify(data)) });
+  const arena = {
+    id: 'acme', name: 'ACME Arena', sky: ['#002b5c', '#0a74da'],
+    ambient: { colors: ['#ffcc00'], count: 20, drift: [0, 1], size: 3 },
+    layers: [{ type: 'image', src: 'data:image/png;base64,iVBORw0KGgo=' }]
+  };
+
+  test('an imported theme is selectable, plays and is there on the next visit', async () => {
+    const { game, storage, elements, context } = loadGame();
+    await game.loadThemeFile(file(arena));
+    assert.equal(elements.themeSelect.value, 'acme');
+    assert.match(elements.themeSelect.innerHTML, /<option value="acme">ACME Arena<\/option>/);
+    assert.equal(context.document.getElementById('themeDeleteBtn').classList.contains('hidden'), false);
+    assert.equal(JSON.parse(storage.slimeSoccerThemes)[0].id, 'acme');
+
+    elements.startBtn.click();
+    assert.equal(game.look.name, 'ACME Arena');
+    for (let i = 0; i < 30; i++) game.advanceTick();
+    game.render();
+    assert.equal(game.errorCount, 0);
+
+    const next = loadGame({ storage });
+    assert.equal(next.elements.themeSelect.value, 'acme', 'the saved choice finds the imported theme');
+    next.game.deleteCustomTheme('acme');
+    assert.equal(next.elements.themeSelect.value, 'stadium');
+    assert.deepEqual(JSON.parse(next.storage.slimeSoccerThemes), []);
+  });
+
+  test('a broken file is refused with the reason', async () => {
+    const { game, storage, context } = loadGame();
+    await game.loadThemeFile(file({ ...arena, sky: ['blue', 42] }));
+    assert.equal(context.document.getElementById('errorMessage').textContent,
+      'Hata: Theme import error (sky[1] must be a color like #1e88e5 or rgba(0,0,0,.5))');
+    await game.loadThemeFile(file('{'));
+    assert.match(context.document.getElementById('errorMessage').textContent, /not valid JSON/);
+    assert.equal(storage.slimeSoccerThemes, undefined);
+  });
+});
+
+test.describe('interface language', () => {
+  test('the menu switches to English and remembers it after a reload', () => {
+    const { game, elements, storage, context } = loadGame();
+    const languageSelect = context.document.getElementById('languageSelect');
+    assert.match(languageSelect.innerHTML, /value="en">English/);
+    languageSelect.value = 'en';
+    languageSelect.dispatch('change');
+    assert.equal(JSON.parse(storage.slimeSoccerSettings).language, 'en');
+    assert.equal(context.document.documentElement.lang, 'en');
+    assert.match(elements.themeSelect.innerHTML, />Stadium</);
+    assert.equal(elements.entrantList.children[2].children[1].children[2].textContent, '🤖 Normal');
+    assert.equal(elements.entrantList.children[0].children[1].children[0].textContent, '👤 Human');
+
+    game.start('soccer', 'normal', 'normal', 'stadium', 3);
+    assert.equal(elements.p1Name.textContent, 'Player 1');
+    assert.equal(elements.time.textContent, '90s');
+    assert.equal(elements.powerIndicator.textContent, 'Active Powers: None');
+    game.sim.applyPower(game.player2, 'speed');
+    game.updateActivePowersDisplay();
+    assert.equal(elements.powerIndicator.textContent, 'Active Powers: Player 2: Speed');
+    game.togglePause();
+    assert.ok(elements['fx-root'].children.some(t => t.textContent === 'Paused ⏸️'));
+    game.handleError('Test error', new Error('x'));
+    assert.equal(elements.errorMessage.textContent, 'Error: Test error');
+
+    const again = loadGame({ storage });
+    assert.equal(again.game.language, 'en');
+    assert.equal(again.context.document.getElementById('languageSelect').value, 'en');
+    again.game.start('soccer', 'normal', 'normal', 'stadium', 3);
+    again.game.endGame({ winner: null });
+    assert.ok(again.elements['fx-root'].children.some(t => t.textContent === '🤝 Draw!'));
+    assert.ok(again.elements['fx-root'].children.some(t => t.textContent === 'Seed: 3'));
+
+    again.game.createProfile('Ada');
+    again.game.selectProfile('p1', again.game.profiles.list()[0].id);
+    again.elements.modeSelect.value = 'single';
+    again.elements.difficultySelect.value = 'hard';
+    again.game.updateHeadToHead();
+    assert.equal(again.elements.profileH2H.textContent, 'Ada vs AI (Hard): 0W 0D 0L');
+  });
+
+  test('follows the browser language until one is chosen', () => {
+    assert.equal(loadGame({ navigator: { languages: ['en-US', 'tr'] } }).game.language, 'en');
+    assert.equal(loadGame({ navigator: { languages: ['de-DE'] } }).game.language, 'tr');
+    const saved = { slimeSoccerSettings: JSON.stringify({ language: 'tr' }) };
+    assert.equal(loadGame({ navigator: { languages: ['en-US'] }, storage: saved }).game.language, 'tr');
+  });
+});
+
+test.describe('slime cosmetics', () => {
+  const field = (context, id) => context.document.getElementById(id);
+  const edit = (context, id, value, event = 'change') => {
+    field(context, id).value = value;
+    field(context, id).dispatch(event);
+  };
+
+  test('the cosmetics screen names and dresses each slime', () => {
+    const { game, elements, storage, context } = loadGame();
+    context.document.getElementById('cosmeticsBtn').click();
+    assert.equal(field(context, 'cosmeticsScreen').classList.contains('hidden'), false);
+    assert.match(field(context, 'p1EyesSelect').innerHTML, /value="single"/);
+    assert.equal(field(context, 'p1ColorInput').value, '#00e676', 'starts from the theme color');
+
+    edit(context, 'p1NameInput', 'Ada', 'input');
+    edit(context, 'p1ColorInput', '#3366ff', 'input');
+    edit(context, 'p1EyesSelect', 'angry');
+    edit(context, 'p2AccessorySelect', 'sunglasses');
+    assert.equal(game.cosmetics.p1.name, '', 'nothing changes before saving');
+    context.document.getElementById('cosmeticsSaveBtn').click();
+    assert.equal(field(context, 'cosmeticsScreen').classList.contains('hidden'), true);
+    assert.deepEqual({ ...JSON.parse(storage.slimeSoccerCosmetics).p1 },
+      { name: 'Ada', color: '#3366ff', eyes: 'angry', accessory: 'none' });
+
+    game.start('soccer', 'normal', 'normal', 'stadium', 3);
+    assert.equal(field(context, 'p1Name').textContent, 'Ada');
+    assert.equal(field(context, 'p2Name').textContent, 'Oyuncu 2');
+    assert.equal(game.slimeColor('p1'), '#3366ff');
+    assert.equal(game.slimeColor('p2'), game.look.slimes.p2);
+    game.sim.emit('goal', { score: { p1: 1, p2: 0 }, scorer: 'p1' });
+    assert.ok(elements['fx-root'].children.some(t => t.textContent === 'GOOOOOOL! Ada'));
+    game.sim.emit('hanging', { player: 2, award: 'penalty' });
+    assert.ok(elements['fx-root'].children.some(t => t.textContent === 'Oyuncu 2 kalede fazla bekledi! ⏱️'));
+    assert.ok(elements['fx-root'].children.some(t => t.textContent === 'Ada penaltı atıyor 🥅'));
+    for (let i = 0; i < 30; i++) game.advanceTick();
+    game.render();
+    assert.equal(game.errorCount, 0);
+
+    game.endGame({ winner: 'p1' });
+    assert.ok(elements['fx-root'].children.some(t => t.textContent === '🎉 Ada kazandı!'));
+  });
+
+  test('warns about a color that vanishes into the theme', () => {
+    const { context } = loadGame();
+    field(context, 'themeSelect').value = 'retro';
+    context.document.getElementById('cosmeticsBtn').click();
+    assert.equal(field(context, 'p2ContrastStatus').textContent, '');
+    edit(context, 'p2ColorInput', '#5c94fc', 'input');
+    assert.match(field(context, 'p2ContrastStatus').textContent, /Retro temasında zor seçilir/);
+    context.document.getElementById('p2ColorResetBtn').click();
+    assert.equal(field(context, 'p2ContrastStatus').textContent, '');
+    assert.equal(field(context, 'p2ColorInput').value, '#0058f8');
+  });
+
+  test('a profile keeps its slime\'s look and brings it back when seated', () => {
+    const { game, context } = loadGame();
+    game.createProfile('Ada');
+    game.createProfile('Can');
+    context.document.getElementById('cosmeticsBtn').click();
+    edit(context, 'p2EyesSelect', 'sleepy');
+    edit(context, 'p2AccessorySelect', 'hat');
+    context.document.getElementById('cosmeticsSaveBtn').click();
+    assert.equal(game.profiles.slotProfile('p2').cosmetic.accessory, 'hat');
+    assert.equal(game.slotNames().p2, 'Can', 'the profile name stands in for an empty name');
+
+    const can = game.profiles.slotProfile('p2').id;
+    game.selectProfile('p2', null);
+    game.setCosmetics({ ...game.cosmetics, p2: {} });
+    game.selectProfile('p1', can);
+    assert.equal(game.cosmetics.p1.accessory, 'hat');
+    assert.equal(game.cosmetics.p1.eyes, 'sleepy');
+  });
+
+  test('every eye style and accessory draws', () => {
+    const { game } = loadGame();
+    game.start('soccer', 'normal', 'normal', 'neon', 1, { slimeShape: 'half' });
+    SLIME_EYES.forEach(({ id: eyes }) => SLIME_ACCESSORIES.forEach(({ id: accessory }) => {
+      game.setCosmetics({ p1: { eyes, accessory }, p2: { eyes, accessory } });
+      game.render();
+    }));
+    assert.equal(game.errorCount, 0);
+  });
+});
+
+test.describe('player profiles', () => {
+  test('a finished match goes on the seated profile\'s career record', () => {
+    const env = loadGame();
+    const { game, elements, storage } = env;
+    game.createProfile('Ada');
+    assert.match(elements.profileP1Select.innerHTML, /Ada/);
+    game.start('single', 'normal', 'hard', 'stadium', 7, { matchLength: 2 });
+    for (let i = 0; i < 200 && game.state === 'playing'; i++) game.advanceTick();
+    assert.equal(game.state, 'ended');
+
+    const saved = JSON.parse(storage.slimeSoccerProfiles).profiles[0];
+    assert.equal(saved.record.played, 1);
+    assert.equal(saved.vsAI.hard.wins + saved.vsAI.hard.draws + saved.vsAI.hard.losses, 1);
+    assert.equal(saved.settings.difficulty, 'hard');
+    assert.match(elements.profileBoard.innerHTML, /Ada/);
+  });
+
+  test('a spectator match is not added to anyone\'s record', () => {
+    const env = loadGame();
+    const { game, storage } = env;
+    game.createProfile('Ada');
+    game.start('spectate', 'normal', 'hard', 'stadium', 7, { matchLength: 2 });
+    for (let i = 0; i < 200 && game.state === 'playing'; i++) game.advanceTick();
+    assert.equal(game.state, 'ended');
+    assert.equal(JSON.parse(storage.slimeSoccerProfiles).profiles[0].record.played, 0);
+  });
+
+  test('seating a P1 profile loads its menu settings', () => {
+    const env = loadGame();
+    const { game, elements } = env;
+    game.createProfile('Ada');
+    const ada = game.profiles.slots.p1;
+    game.profiles.saveSettings(ada, { mode: 'soccer', gravity: 'low', difficulty: 'expert', theme: 'space' });
+    game.selectProfile('p1', null);
+    game.selectProfile('p1', ada);
+    assert.equal(elements.gravitySelect.value, 'low');
+    assert.equal(elements.themeSelect.value, 'space');
+    assert.equal(elements.modeSelect.value, 'soccer');
+  });
+
+  test('reports a bad import file', async () => {
+    const { game, elements } = loadGame();
+    await game.loadProfileFile({ text: async () => '{"format":"slime-replay"}' });
+    assert.match(elements.profileStatus.textContent, /İçe aktarılamadı/);
+  });
+});
+
+test.describe('key bindings', () => {
+  test('keys act by physical position whatever character they type', () => {
+    const { game, window } = loadGame();
+    game.start('soccer', 'normal', 'normal', 'stadium', 1);
+    // AZERTY: the key at the QWERTY "A" position types "q"
+    window.dispatch('keydown', { code: 'KeyA', key: 'q' });
+    window.dispatch('keydown', { code: 'ArrowUp', key: 'ArrowUp' });
+    assert.deepEqual({ ...game.actions.p1 }, { left: true, right: false, jump: false });
+    assert.equal(game.actions.p2.jump, true);
+
+    // Shift changes the key value but not the code, so the release still lands
+    window.dispatch('keyup', { code: 'KeyA', key: 'Q' });
+    assert.equal(game.actions.p1.left, false);
+
+    window.dispatch('blur');
+    assert.equal(game.actions.p2.jump, false);
+  });
+
+  test('the controls screen rebinds keys, flags conflicts and saves', () => {
+    const { game, elements, window, storage } = loadGame();
+    elements.howBtn.click();
+    assert.ok(!elements.controlsScreen.classList.contains('hidden'));
+
+    game.controlButtons['p1.jump'].click();
+    window.dispatch('keydown', { code: 'KeyA' });
+    assert.ok(game.controlButtons['p1.jump'].classList.contains('conflict'));
+    assert.ok(elements.controlsSaveBtn.disabled);
+    elements.controlsSaveBtn.click();
+    assert.equal(game.bindings.p1.jump, 'KeyW');
+
+    game.controlButtons['p1.jump'].click();
+    window.dispatch('keydown', { code: 'Space' });
+    assert.ok(!elements.controlsSaveBtn.disabled);
+    elements.controlsSaveBtn.click();
+    assert.equal(game.bindings.p1.jump, 'Space');
+    assert.ok(elements.controlsScreen.classList.contains('hidden'));
+    assert.equal(JSON.parse(storage.slimeSoccerSettings).controls.p1.jump, 'Space');
+    assert.match(elements.controlsHint.textContent, /A\/D\/Boşluk/);
+
+    // Escape cancels a capture instead of binding Escape
+    elements.howBtn.click();
+    game.controlButtons['p2.left'].click();
+    window.dispatch('keydown', { code: 'Escape' });
+    assert.equal(game.pendingBindings.p2.left, 'ArrowLeft');
+  });
+
+  test('saved bindings are used after a reload', () => {
+    const controls = { p1: { left: 'KeyJ', right: 'KeyL', jump: 'KeyI' } };
+    const { game, window } = loadGame({ storage: { slimeSoccerSettings: JSON.stringify({ controls }) } });
+    window.dispatch('keydown', { code: 'KeyJ' });
+    assert.equal(game.actions.p1.left, true);
+    window.dispatch('keydown', { code: 'KeyA' });
+    assert.equal(game.actions.p1.right, false);
+  });
+});
+
+test.describe('gamepads', () => {
+  /**
+   * Standard-mapping pad stub; `pressed` lists held button indices
+   */
+  function pad(index, { x = 0, pressed = [] } = {}, effects = []){
+    return {
+      index,
+      id: `Pad ${index}`,
+      connected: true,
+      axes: [x, 0],
+      buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i) })),
+      vibrationActuator: { playEffect: (type, params) => { effects.push(params.strongMagnitude); } }
+    };
+  }
+
+  test('a pad joins with A and drives its slime with analog speed', () => {
+    const env = loadGame();
+    const { game, context, window } = env;
+    let pads = [pad(0)];
+    context.navigator.getGamepads = () => pads;
+    window.dispatch('gamepadconnected');
+    assert.match(env.elements.padStatus.textContent, /P1: katılmak için A/);
+
+    pads = [pad(0, { pressed: [0] })];
+    game.pollGamepads();
+    assert.match(env.elements.padStatus.textContent, /P1: Kol 1/);
+
+    game.start('soccer', 'normal', 'normal', 'stadium', 1);
+    pads = [pad(0, { x: 0.6 })];
+    game.advanceTick();
+    const half = game.player1.vx;
+    const keyboard = loadGame().game;
+    keyboard.start('soccer', 'normal', 'normal', 'stadium', 1);
+    keyboard.actions.p1.right = true;
+    keyboard.advanceTick();
+    assert.ok(half > 0 && half < keyboard.player1.vx);
+    assert.deepEqual([...game.recorder.moves[0]], [0, 50, null]);
+  });
+
+  test('kicks and goals rumble, and unplugging pauses a local match', () => {
+    const effects = [];
+    const { game, context } = loadGame();
+    let pads = [pad(0, { pressed: [0] }, effects)];
+    context.navigator.getGamepads = () => pads;
+    game.pollGamepads();
+    effects.length = 0;
+
+    game.start('soccer', 'normal', 'normal', 'stadium', 1);
+    game.sim.emit('kick', { player: 1, x: 0, y: 0 });
+    game.sim.emit('kick', { player: 2, x: 0, y: 0 });
+    assert.deepEqual(effects, [0.35]);
+
+    pads = [];
+    game.advanceTick();
+    assert.equal(game.state, 'paused');
+  });
+});
+
+test.describe('touch controls', () => {
+  test('both players get a cluster in a local two-player match', () => {
+    const { game, elements } = loadGame({ innerWidth: 600 });
+    assert.ok(!elements.touchpad.classList.contains('hidden'));
+    game.start('single', 'normal', 'normal', 'stadium', 1);
+    assert.ok(elements.p2Touch.classList.contains('hidden'));
+    game.start('soccer', 'normal', 'normal', 'stadium', 1);
+    assert.ok(!elements.p2Touch.classList.contains('hidden'));
+    assert.ok(elements.touchpad.classList.contains('two-player'));
+    game.start('spectate', 'normal', 'normal', 'stadium', 1);
+    assert.ok(elements.p1Touch.classList.contains('hidden'));
+    assert.ok(elements.p2Touch.classList.contains('hidden'));
+  });
+
+  test('multitouch holds survive other fingers and cancelled touches release', () => {
+    const { game, elements } = loadGame({ innerWidth: 600 });
+    game.start('soccer', 'normal', 'normal', 'stadium', 1);
+    elements.p1Right.dispatch('pointerdown', { pointerId: 1, pointerType: 'touch' });
+    elements.p2Left.dispatch('pointerdown', { pointerId: 2, pointerType: 'touch' });
+    elements.p2Jump.dispatch('pointerdown', { pointerId: 3, pointerType: 'touch' });
+    elements.p2Jump.dispatch('pointerup', { pointerId: 3 });
+    game.advanceTick();
+    assert.ok(game.player1.vx > 0);
+    assert.ok(game.player2.vx < 0);
+    assert.ok(elements.p1Right.classList.contains('pressed'));
+
+    // The finger slides off the button, then the browser cancels another touch
+    elements.p1Right.dispatch('pointerleave', { pointerId: 1 });
+    elements.p2Left.dispatch('pointercancel', { pointerId: 2 });
+    assert.deepEqual({ ...game.touch.actions().p1 }, { left: false, right: false, jump: false });
+    assert.equal(game.touch.actions().p2.left, false);
+    assert.ok(!elements.p1Right.classList.contains('pressed'));
+  });
+
+  test('losing focus resets the pad', () => {
+    const { game, elements, window } = loadGame({ innerWidth: 600 });
+    game.start('soccer', 'normal', 'normal', 'stadium', 1);
+    elements.p1Jump.dispatch('pointerdown', { pointerId: 4, pointerType: 'touch' });
+    window.dispatch('blur');
+    assert.equal(game.touch.pointers.size, 0);
+    assert.ok(!elements.p1Jump.classList.contains('pressed'));
+  });
+
+  test('the joystick layout is chosen on the controls screen and saved', () => {
+    const { game, elements, storage } = loadGame({ innerWidth: 600 });
+    elements.howBtn.click();
+    elements.touchLayoutSelect.value = 'joystick';
+    elements.controlsSaveBtn.click();
+    assert.ok(elements.touchpad.classList.contains('joystick'));
+    assert.equal(JSON.parse(storage.slimeSoccerSettings).touchLayout, 'joystick');
+
+    game.start('soccer', 'normal', 'normal', 'stadium', 1);
+    elements.p2Stick.dispatch('pointerdown', { pointerId: 9, clientX: 200, clientY: 300 });
+    elements.p2Stick.dispatch('pointermove', { pointerId: 9, clientX: 160, clientY: 300 });
+    game.advanceTick();
+    assert.ok(game.player2.vx < 0);
+    assert.match(elements.p2Knob.style.transform, /translate\(-40px, 0px\)/);
+  });
+});
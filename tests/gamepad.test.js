@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GamepadInput, padIntent, quantizeMove } = require('../gamepad.js');
+
+/**
+ * Fake standard-mapping pad; `pressed` lists held button indices
+ */
+function pad(index, { x = 0, pressed = [] } = {}){
+  return {
+    index,
+    id: `Pad ${index}`,
+    connected: true,
+    axes: [x, 0, 0, 0],
+    buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i), value: pressed.includes(i) ? 1 : 0 }))
+  };
+}
+
+test.describe('padIntent', () => {
+  test('ignores the dead zone and scales stick deflection', () => {
+    assert.equal(padIntent(pad(0, { x: 0.15 })).move, 0);
+    assert.equal(padIntent(pad(0, { x: 1 })).move, 1);
+    const half = padIntent(pad(0, { x: -0.6 }));
+    assert.equal(half.move, -0.5);
+    assert.ok(half.left && !half.right);
+  });
+
+  test('the d-pad moves at full speed and face buttons jump', () => {
+    assert.equal(padIntent(pad(0, { pressed: [14] })).move, -1);
+    assert.equal(padIntent(pad(0, { pressed: [15] })).move, 1);
+    assert.ok(padIntent(pad(0, { pressed: [2] })).jump);
+    assert.ok(!padIntent(pad(0)).jump);
+  });
+
+  test('quantizeMove rounds to hundredths', () => {
+    assert.equal(quantizeMove(0.33333), 0.33);
+    assert.equal(quantizeMove(-2), -1);
+    assert.ok(Object.is(quantizeMove(-0.001), 0));
+  });
+});
+
+test.describe('GamepadInput', () => {
+  test('pads join the first free slime by pressing A', () => {
+    let pads = [pad(0), pad(1)];
+    const input = new GamepadInput(() => pads);
+    const events = [];
+    input.on('connected', e => events.push(['connected', e.index]));
+    input.on('joined', e => events.push(['joined', e.index, e.slot]));
+
+    assert.deepEqual(input.poll(), { p1: null, p2: null });
+    pads = [pad(0), pad(1, { pressed: [0] })];
+    const first = input.poll();
+    assert.equal(input.slots.p1, 1);
+    // The joining press does not jump
+    assert.equal(first.p1.jump, false);
+    assert.equal(input.poll().p1.jump, false);
+
+    pads = [pad(0, { pressed: [0] }), pad(1)];
+    input.poll();
+    assert.equal(input.slots.p2, 0);
+    pads = [pad(0, { x: 1 }), pad(1, { pressed: [0] })];
+    const intents = input.poll();
+    assert.equal(intents.p2.move, 1);
+    assert.equal(intents.p1.jump, true);
+    assert.deepEqual(events, [['connected', 0], ['connected', 1], ['joined', 1, 'p1'], ['joined', 0, 'p2']]);
+  });
+
+  test('unplugging frees the slime', () => {
+    let pads = [pad(0, { pressed: [0] })];
+    const input = new GamepadInput(() => pads);
+    input.poll();
+    const dropped = [];
+    input.on('disconnected', e => dropped.push(e.slot));
+    pads = [null];
+    assert.deepEqual(input.poll(), { p1: null, p2: null });
+    assert.deepEqual(dropped, ['p1']);
+    assert.equal(input.slots.p1, null);
+  });
+
+  test('rumbles the pad of a slime when supported', () => {
+    const effects = [];
+    const p = pad(0, { pressed: [0] });
+    p.vibrationActuator = { playEffect: (type, params) => { effects.push([type, params.strongMagnitude]); return Promise.resolve(); } };
+    const input = new GamepadInput(() => [p]);
+    input.poll();
+    input.rumble('p1', 2);
+    input.rumble('p2', 1);
+    assert.deepEqual(effects, [['dual-rumble', 1]]);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Minimal headless browser environment for testing the Game shell.
+ *
+ * Loads the game scripts (SCRIPTS, in index.html order) into an isolated VM context with just
+ * enough DOM, canvas, timer and storage stubs for the game to boot. Timers and the clock are manual so tests control time exactly.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCRIPTS = ['i18n.js', 'simulation.js', 'controls.js', 'gamepad.js', 'touch.js', 'stats.js', 'replay.js', 'netplay.js', 'tournament.js', 'profiles.js', 'themes.js', 'cosmetics.js', 'game.js'];
+
+function createClassList(){
+  const set = new Set();
+  return {
+    add: (...c) => c.forEach(x => set.add(x)),
+    remove: (...c) => c.forEach(x => set.delete(x)),
+    toggle: (c, force) => {
+      const on = force === undefined ? !set.has(c) : force;
+      if (on) set.add(c); else set.delete(c);
+      return on;
+    },
+    contains: c => set.has(c)
+  };
+}
+
+function createElement(tag, id){
+  const listeners = {};
+  const el = {
+    tagName: String(tag).toUpperCase(),
+    id,
+    style: {},
+    dataset: {},
+    classList: createClassList(),
+    children: [],
+    parentNode: null,
+    value: '',
+    textContent: '',
+    innerHTML: '',
+    disabled: false,
+    listeners,
+    addEventListener(type, fn){ (listeners[type] ||= []).push(fn); },
+    removeEventListener(type, fn){ listeners[type] = (listeners[type] || []).filter(f => f !== fn); },
+    dispatch(type, event = {}){
+      (listeners[type] || []).forEach(fn => fn({ preventDefault(){}, target: el, ...event }));
+    },
+    appendChild(child){ child.parentNode = el; el.children.push(child); return child; },
+    append(...nodes){ nodes.forEach(n => typeof n === 'object' && el.appendChild(n)); },
+    remove(){
+      if (el.parentNode) el.parentNode.children = el.parentNode.children.filter(c => c !== el);
+      el.parentNode = null;
+    },
+    setAttribute(k, v){ el[k] = v; },
+    getAttribute(k){ return el[k]; },
+    querySelector(){ return null; },
+    querySelectorAll(){ return []; },
+    focus(){},
+    click(){ el.dispatch('click'); },
+    getBoundingClientRect(){ return { left: 0, top: 0, width: el.width || 0, height: el.height || 0 }; }
+  };
+  return el;
+}
+
+/**
+ * Canvas 2D context stub: every drawing call is a no-op
+ */
+function createContext(canvas){
+  const target = { canvas };
+  return new Proxy(target, {
+    get(t, key){
+      if (key in t) return t[key];
+      if (key === 'measureText') return () => ({ width: 10 });
+      if (String(key).startsWith('create')) return () => ({ addColorStop(){} });
+      if (key === 'getImageData') return () => ({ data: [] });
+      return () => {};
+    },
+    set(t, key, value){ t[key] = value; return true; }
+  });
+}
+
+/**
+ * Boot the game in a fresh headless environment
+ * @param {Object} [options]
+ * @param {number} [options.innerWidth=1280] - Window width (>= 768 is desktop layout)
+ * @param {number} [options.innerHeight=800] - Window height
+ * @param {number} [options.devicePixelRatio=1] - Device pixels per CSS pixel
+ * @param {Object} [options.storage] - Initial localStorage contents
+ * @param {Function} [options.WebSocket] - WebSocket class for online play
+ * @param {string} [options.location] - Page URL
+ * @param {Object} [options.navigator] - navigator fields, e.g. { languages: ['en-US'] }
+ * @returns {Object} { game, context, window, clock, timers, elements, storage, advance, run }
+ */
+function loadGame(options = {}){
+  const elements = {};
+  const clock = { now: 0 };
+  const timers = [];
+  let timerId = 0;
+  const storage = { ...(options.storage || {}) };
+
+  const canvas = createElement('canvas', 'game');
+  canvas.width = 960;
+  canvas.height = 600;
+  canvas.getContext = () => ctx;
+  const ctx = createContext(canvas);
+  elements.game = canvas;
+
+  const document = {
+    readyState: 'complete',
+    hidden: false,
+    body: createElement('body'),
+    documentElement: createElement('html'),
+    getElementById: id => (elements[id] ||= createElement('div', id)),
+    createElement: tag => createElement(tag),
+    addEventListener(){},
+    removeEventListener(){},
+    querySelector(){ return null; },
+    querySelectorAll(){ return []; }
+  };
+
+  const windowListeners = {};
+  const window = {
+    innerWidth: options.innerWidth || 1280,
+    innerHeight: options.innerHeight || 800,
+    devicePixelRatio: options.devicePixelRatio || 1,
+    addEventListener(type, fn){ (windowListeners[type] ||= []).push(fn); },
+    removeEventListener(type, fn){ windowListeners[type] = (windowListeners[type] || []).filter(f => f !== fn); },
+    dispatch(type, event = {}){
+      (windowListeners[type] || []).forEach(fn => fn({ preventDefault(){}, ...event }));
+    }
+  };
+
+  const context = {
+    window,
+    document,
+    console: options.console || { log(){}, info(){}, warn(){}, error(){} },
+    performance: { now: () => clock.now },
+    localStorage: {
+      getItem: k => (k in storage ? storage[k] : null),
+      setItem: (k, v) => { storage[k] = String(v); },
+      removeItem: k => { delete storage[k]; }
+    },
+    navigator: options.navigator || {},
+    location: new URL(options.location || 'http://localhost:8080/'),
+    URLSearchParams,
+    WebSocket: options.WebSocket,
+    setInterval: (fn, delay) => setInterval(fn, delay).unref(),
+    clearInterval,
+    setTimeout: (fn, delay = 0) => {
+      const id = ++timerId;
+      timers.push({ id, fn, at: clock.now + delay, delay });
+      return id;
+    },
+    clearTimeout: id => {
+      const i = timers.findIndex(t => t.id === id);
+      if (i >= 0) timers.splice(i, 1);
+    },
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame(){},
+    Blob: class {},
+    URL: { createObjectURL: () => '', revokeObjectURL(){} }
+  };
+  window.window = window;
+  window.document = document;
+  window.localStorage = context.localStorage;
+  window.navigator = context.navigator;
+
+  vm.createContext(context);
+  for (const file of SCRIPTS) {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  }
+
+  /**
+   * Move the manual clock forward, firing due timers
+   */
+  function advance(ms){
+    const end = clock.now + ms;
+    for (;;) {
+      timers.sort((a, b) => a.at - b.at);
+      const next = timers[0];
+      if (!next || next.at > end) break;
+      timers.shift();
+      clock.now = next.at;
+      next.fn();
+    }
+    clock.now = end;
+  }
+
+  return {
+    game: vm.runInContext('game', context),
+    context,
+    window,
+    clock,
+    timers,
+    elements,
+    storage,
+    advance,
+    run: code => vm.runInContext(code, context)
+  };
+}
+
+module.exports = { loadGame, ROOT };
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { I18N_STRINGS, I18N_LANGUAGES, DEFAULT_LANGUAGE, matchLanguage, setLanguage, getLanguage, hasString, t } = require('../i18n.js');
+
+test.describe('localization', () => {
+  test.afterEach(() => setLanguage(DEFAULT_LANGUAGE));
+
+  test('looks strings up in the current language and fills in placeholders', () => {
+    assert.equal(getLanguage(), 'tr');
+    assert.equal(t('result.win', { name: 'Ada' }), '🎉 Ada kazandı!');
+    assert.equal(setLanguage('en'), 'en');
+    assert.equal(t('result.win', { name: 'Ada' }), '🎉 Ada wins!');
+    assert.equal(t('game.error', {}), 'Error: {context}', 'unknown placeholders stay');
+  });
+
+  test('picks the plural form from the count', () => {
+    setLanguage('en');
+    assert.equal(t('menu.seconds', { count: 1 }), '1 second');
+    assert.equal(t('menu.seconds', { count: 90 }), '90 seconds');
+    assert.equal(t('timer.target', { count: 1 }), 'First goal wins');
+    assert.equal(t('timer.target', { count: 5 }), 'First to 5 goals');
+    setLanguage('tr');
+    assert.equal(t('menu.seconds', { count: 1 }), '1 sn');
+  });
+
+  test('falls back through the base language, English, Turkish and the key', () => {
+    assert.equal(setLanguage('en-GB'), 'en');
+    assert.equal(setLanguage('de'), DEFAULT_LANGUAGE, 'unsupported languages use the default');
+    assert.equal(matchLanguage(['de-DE', 'en-US', 'tr']), 'en');
+    assert.equal(matchLanguage([]), DEFAULT_LANGUAGE);
+
+    I18N_STRINGS.tr['test.onlyTurkish'] = 'Sadece Türkçe';
+    setLanguage('en');
+    assert.equal(t('test.onlyTurkish'), 'Sadece Türkçe');
+    assert.ok(hasString('test.onlyTurkish'));
+    delete I18N_STRINGS.tr['test.onlyTurkish'];
+
+    assert.equal(t('test.missing'), 'test.missing');
+    assert.equal(t('test.missing', { n: 2 }, 'Fallback {n}'), 'Fallback 2');
+    assert.equal(hasString('test.missing'), false);
+  });
+
+  test('every language has every key and every key in index.html', () => {
+    const keys = Object.keys(I18N_STRINGS[DEFAULT_LANGUAGE]);
+    I18N_LANGUAGES.forEach(({ id }) => assert.deepEqual(Object.keys(I18N_STRINGS[id]).sort(), [...keys].sort(), id));
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const used = [...html.matchAll(/data-i18n(?:-title|-placeholder)?="([^"]+)"/g)].map(m => m[1]);
+    assert.ok(used.length > 50);
+    used.forEach(key => assert.ok(keys.includes(key), key));
+  });
+});
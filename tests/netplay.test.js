@@ -0,0 +1,397 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WebSocket } = require('ws');
+const { LockstepSession, encodeIntent, decodeIntent, stateHash } = require('../netplay.js');
+const { MatchSimulation } = require('../simulation.js');
+const { createRelay } = require('../server/relay.js');
+const { loadGame } = require('./helpers/browser.js');
+
+/**
+ * Start a relay on a free port
+ */
+async function startRelay(options){
+  const relay = createRelay(options);
+  await new Promise(resolve => relay.server.listen(0, '127.0.0.1', resolve));
+  relay.url = `ws://127.0.0.1:${relay.server.address().port}/ws`;
+  relay.stop = () => new Promise(resolve => relay.close(resolve));
+  return relay;
+}
+
+/**
+ * Raw socket that collects every message it receives
+ */
+async function rawClient(url){
+  const ws = new WebSocket(url);
+  ws.inbox = [];
+  ws.on('message', data => ws.inbox.push(JSON.parse(data)));
+  await new Promise((resolve, reject) => { ws.once('open', resolve); ws.once('error', reject); });
+  ws.sendJson = msg => ws.send(JSON.stringify(msg));
+  return ws;
+}
+
+async function waitFor(check, ms = 2000){
+  const end = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > end) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test.describe('Intent encoding', () => {
+  test('round-trips every combination', () => {
+    for (let mask = 0; mask < 8; mask++) {
+      assert.equal(encodeIntent(decodeIntent(mask)), mask);
+    }
+  });
+
+  test('carries analog movement exactly', () => {
+    [-1, -0.37, 0, 0.5, 1].forEach(move => {
+      assert.equal(decodeIntent(encodeIntent({ right: move > 0, move })).move, move);
+    });
+    assert.equal(decodeIntent(encodeIntent({ left: true })).move, undefined);
+  });
+});
+
+test.describe('LockstepSession', () => {
+  test('the first `delay` ticks are ready without any input', () => {
+    const s = new LockstepSession({ slot: 1, delay: 3 });
+    assert.ok(s.ready(0));
+    assert.ok(s.ready(2));
+    assert.ok(!s.ready(3));
+  });
+
+  test('a tick is ready only once both inputs arrived', () => {
+    const s = new LockstepSession({ slot: 1, delay: 2 });
+    s.addLocal(2, { left: true });
+    assert.ok(!s.ready(2));
+    s.addRemote(2, encodeIntent({ jump: true }));
+    assert.ok(s.ready(2));
+  });
+
+  test('maps local and remote input onto the right slots', () => {
+    const host = new LockstepSession({ slot: 1, delay: 0 });
+    const guest = new LockstepSession({ slot: 2, delay: 0 });
+    host.addLocal(0, { left: true });
+    host.addRemote(0, encodeIntent({ jump: true }));
+    guest.addLocal(0, { jump: true });
+    guest.addRemote(0, encodeIntent({ left: true }));
+    assert.deepEqual(host.inputFor(0), guest.inputFor(0));
+    assert.equal(host.inputFor(0).p1.left, true);
+    assert.equal(host.inputFor(0).p2.jump, true);
+  });
+
+  test('nextRemoteTick and localSince support catching up after a reconnect', () => {
+    const s = new LockstepSession({ slot: 1, delay: 2 });
+    [2, 3, 4].forEach(t => s.addLocal(t, { right: true }));
+    s.addRemote(2, 0);
+    assert.equal(s.nextRemoteTick(), 3);
+    assert.deepEqual(s.localSince(2), [[3, 2], [4, 2]]);
+  });
+
+  test('checkHash flags a mismatch in either arrival order', () => {
+    const a = new LockstepSession({ slot: 1 });
+    assert.equal(a.checkHash(60, 123, false), true);
+    assert.equal(a.checkHash(60, 124, true), false);
+    assert.ok(a.desynced);
+
+    const b = new LockstepSession({ slot: 1 });
+    b.checkHash(60, 5, true);
+    assert.equal(b.checkHash(60, 5, false), true);
+    assert.ok(!b.desynced);
+  });
+});
+
+test.describe('stateHash', () => {
+  test('matches for identical simulations and changes as the match moves', () => {
+    const a = new MatchSimulation({ seed: 3 });
+    const b = new MatchSimulation({ seed: 3 });
+    for (let i = 0; i < 30; i++) {
+      a.step({ p1: { right: true } });
+      b.step({ p1: { right: true } });
+    }
+    assert.equal(stateHash(a), stateHash(b));
+    b.step({});
+    assert.notEqual(stateHash(a), stateHash(b));
+  });
+});
+
+test.describe('Relay server', () => {
+  test('pairs two players by room code and relays inputs', async () => {
+    const relay = await startRelay();
+    try {
+      const host = await rawClient(relay.url);
+      host.sendJson({ type: 'create', settings: { gravity: 'low' } });
+      await waitFor(() => host.inbox.length);
+      const created = host.inbox[0];
+      assert.equal(created.type, 'created');
+      assert.match(created.room, /^[A-Z2-9]{4}$/);
+
+      const guest = await rawClient(relay.url);
+      guest.sendJson({ type: 'join', room: created.room.toLowerCase() });
+      await waitFor(() => guest.inbox.some(m => m.type === 'start') && host.inbox.some(m => m.type === 'start'));
+      const hostStart = host.inbox.find(m => m.type === 'start');
+      const guestStart = guest.inbox.find(m => m.type === 'start');
+      assert.equal(hostStart.seed, guestStart.seed);
+      assert.deepEqual(guestStart.settings, { gravity: 'low' });
+      assert.equal(guest.inbox[0].slot, 2);
+
+      host.sendJson({ type: 'input', t: 4, i: 5 });
+      await waitFor(() => guest.inbox.some(m => m.type === 'input'));
+      assert.deepEqual(guest.inbox.find(m => m.type === 'input'), { type: 'input', t: 4, i: 5 });
+
+      host.close();
+      guest.close();
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  test('rejects unknown and full rooms', async () => {
+    const relay = await startRelay();
+    try {
+      const a = await rawClient(relay.url);
+      a.sendJson({ type: 'join', room: 'ZZZZ' });
+      await waitFor(() => a.inbox.length);
+      assert.deepEqual(a.inbox[0], { type: 'error', message: 'Room not found' });
+
+      a.sendJson({ type: 'create' });
+      await waitFor(() => a.inbox.length > 1);
+      const room = a.inbox[1].room;
+      const b = await rawClient(relay.url);
+      const c = await rawClient(relay.url);
+      b.sendJson({ type: 'join', room });
+      await waitFor(() => b.inbox.length);
+      c.sendJson({ type: 'join', room });
+      await waitFor(() => c.inbox.length);
+      assert.deepEqual(c.inbox[0], { type: 'error', message: 'Room is full' });
+      [a, b, c].forEach(ws => ws.close());
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  test('survives malformed messages and does not orphan rooms', async () => {
+    const relay = await startRelay();
+    try {
+      const a = await rawClient(relay.url);
+      ['null', '42', '[]', '"create"', '{"type":7}', 'not json'].forEach(text => a.send(text));
+      await waitFor(() => a.inbox.length === 6);
+      assert.ok(a.inbox.every(m => m.type === 'error' && m.message === 'Bad message'));
+
+      a.sendJson({ type: 'create' });
+      await waitFor(() => a.inbox.length === 7);
+      a.sendJson({ type: 'create' });
+      await waitFor(() => a.inbox.filter(m => m.type === 'created').length === 2);
+      assert.equal(relay.rooms.size, 1);
+      const room = a.inbox.filter(m => m.type === 'created')[1].room;
+      assert.ok(relay.rooms.has(room));
+
+      const b = await rawClient(relay.url);
+      b.sendJson({ type: 'join', room });
+      await waitFor(() => b.inbox.some(m => m.type === 'start'));
+      b.sendJson({ type: 'input', t: 'x', i: 1 });
+      b.sendJson({ type: 'input', t: 4, i: -1 });
+      await waitFor(() => b.inbox.filter(m => m.message === 'Bad input').length === 2);
+      assert.equal(relay.rooms.get(room).players[1].inputs.length, 0);
+      assert.ok(!a.inbox.some(m => m.type === 'input'));
+      [a, b].forEach(ws => ws.close());
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  test('a join cannot take both seats or strand another room', async () => {
+    const relay = await startRelay();
+    try {
+      const a = await rawClient(relay.url);
+      a.sendJson({ type: 'create' });
+      await waitFor(() => a.inbox.length);
+      const own = a.inbox[0].room;
+      a.sendJson({ type: 'join', room: own });
+      await waitFor(() => a.inbox.length === 2);
+      assert.deepEqual(a.inbox[1], { type: 'error', message: 'Already in this room' });
+      assert.equal(relay.rooms.get(own).players[1], null);
+
+      const b = await rawClient(relay.url);
+      b.sendJson({ type: 'create' });
+      await waitFor(() => b.inbox.length);
+      b.sendJson({ type: 'join', room: own });
+      await waitFor(() => a.inbox.some(m => m.type === 'start'));
+      assert.deepEqual([...relay.rooms.keys()], [own]);
+      [a, b].forEach(ws => ws.close());
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  test('validates hashes and forgets inputs the peer has simulated', async () => {
+    const relay = await startRelay();
+    try {
+      const host = await rawClient(relay.url);
+      host.sendJson({ type: 'create' });
+      await waitFor(() => host.inbox.length);
+      const { room } = host.inbox[0];
+      const guest = await rawClient(relay.url);
+      guest.sendJson({ type: 'join', room });
+      await waitFor(() => host.inbox.some(m => m.type === 'start'));
+
+      [4, 5, 6, 7].forEach(t => host.sendJson({ type: 'input', t, i: 1 }));
+      await waitFor(() => guest.inbox.filter(m => m.type === 'input').length === 4);
+      guest.sendJson({ type: 'hash', t: 'x', h: 1 });
+      guest.sendJson({ type: 'hash', t: 6, h: -1 });
+      await waitFor(() => guest.inbox.filter(m => m.message === 'Bad hash').length === 2);
+      assert.equal(relay.rooms.get(room).players[0].inputs.length, 4);
+
+      guest.sendJson({ type: 'hash', t: 6, h: 123 });
+      await waitFor(() => host.inbox.some(m => m.type === 'hash'));
+      assert.deepEqual(host.inbox.find(m => m.type === 'hash'), { type: 'hash', t: 6, h: 123 });
+      assert.deepEqual(relay.rooms.get(room).players[0].inputs, [[6, 1], [7, 1]]);
+      [host, guest].forEach(ws => ws.close());
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  test('a dropped player can rejoin and receive the inputs it missed', async () => {
+    const relay = await startRelay();
+    try {
+      const host = await rawClient(relay.url);
+      host.sendJson({ type: 'create' });
+      await waitFor(() => host.inbox.length);
+      const { room, token } = host.inbox[0];
+      const guest = await rawClient(relay.url);
+      guest.sendJson({ type: 'join', room });
+      await waitFor(() => host.inbox.some(m => m.type === 'start'));
+
+      host.sendJson({ type: 'input', t: 4, i: 1 });
+      await waitFor(() => guest.inbox.some(m => m.type === 'input'));
+      host.terminate();
+      await waitFor(() => guest.inbox.some(m => m.type === 'peer-left'));
+      guest.sendJson({ type: 'input', t: 4, i: 2 });
+      guest.sendJson({ type: 'input', t: 5, i: 3 });
+
+      const back = await rawClient(relay.url);
+      back.sendJson({ type: 'rejoin', room, token, have: 0 });
+      await waitFor(() => back.inbox.some(m => m.type === 'inputs'));
+      assert.deepEqual(back.inbox[0], { type: 'rejoined', slot: 1, last: 4 });
+      assert.deepEqual(back.inbox.find(m => m.type === 'inputs').list, [[4, 2], [5, 3]]);
+      await waitFor(() => guest.inbox.some(m => m.type === 'peer-back'));
+      back.close();
+      guest.close();
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  test('closes a room when a player does not come back in time', async () => {
+    const relay = await startRelay({ roomTimeout: 20 });
+    try {
+      const host = await rawClient(relay.url);
+      host.sendJson({ type: 'create' });
+      await waitFor(() => host.inbox.length);
+      const guest = await rawClient(relay.url);
+      guest.sendJson({ type: 'join', room: host.inbox[0].room });
+      await waitFor(() => guest.inbox.some(m => m.type === 'start'));
+      host.terminate();
+      await waitFor(() => guest.inbox.some(m => m.type === 'room-closed'));
+      assert.equal(relay.rooms.size, 0);
+      guest.close();
+    } finally {
+      await relay.stop();
+    }
+  });
+});
+
+test.describe('Online match between two game instances', () => {
+  test('both ends simulate the same match', async () => {
+    const relay = await startRelay();
+    const location = `http://localhost/?relay=${relay.url}`;
+    const a = loadGame({ WebSocket, location });
+    const b = loadGame({ WebSocket, location });
+    try {
+      await a.game.hostOnlineRoom('normal', 'stadium');
+      await waitFor(() => /[A-Z0-9]{4}/.test(a.elements.onlineStatus.textContent));
+      const code = a.game.net.room;
+      await b.game.joinOnlineRoom(code);
+      await waitFor(() => a.game.state === 'playing' && b.game.state === 'playing');
+      assert.equal(a.game.seed, b.game.seed);
+      assert.equal(a.game.net.slot, 1);
+      assert.equal(b.game.net.slot, 2);
+      assert.equal(a.game.recorder, null);
+
+      // Host holds right, guest holds jump; frames interleave with network delivery
+      a.game.actions.p1.right = true;
+      b.game.actions.p2.jump = true;
+      for (let frame = 1; frame <= 200; frame++) {
+        a.clock.now += 1000 / 60;
+        b.clock.now += 1000 / 60;
+        a.game.stepSimulation(a.clock.now);
+        b.game.stepSimulation(b.clock.now);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      await waitFor(() => a.game.tick > 120 && b.game.tick > 120);
+
+      // Neither side may run ahead of the inputs it has
+      assert.ok(Math.abs(a.game.tick - b.game.tick) <= a.game.net.session.delay + 1);
+      const tick = Math.min(a.game.tick, b.game.tick);
+      assert.equal(a.game.net.session.localHashes[120], b.game.net.session.localHashes[120]);
+      assert.ok(tick >= 120);
+      assert.ok(!a.game.net.session.desynced && !b.game.net.session.desynced);
+      assert.ok(a.game.player1.x > 160, 'host slime moved right on both ends');
+      assert.ok(b.game.player1.x > 160);
+      const log = relay.rooms.get(code).players[0].inputs;
+      assert.ok(log.length && log[0][0] >= 120, 'inputs both ends simulated are dropped');
+    } finally {
+      a.game.leaveOnline();
+      b.game.leaveOnline();
+      await relay.stop();
+    }
+  });
+
+  test('pause and restart are disabled online', async () => {
+    const relay = await startRelay();
+    const location = `http://localhost/?relay=${relay.url}`;
+    const a = loadGame({ WebSocket, location });
+    const b = loadGame({ WebSocket, location });
+    try {
+      await a.game.hostOnlineRoom('normal', 'stadium');
+      await waitFor(() => a.game.net.room);
+      await b.game.joinOnlineRoom(a.game.net.room);
+      await waitFor(() => a.game.state === 'playing');
+      a.game.togglePause();
+      a.game.restart();
+      assert.equal(a.game.state, 'playing');
+      assert.ok(a.game.net);
+      assert.ok(!a.elements.pingEl.classList.contains('hidden'));
+    } finally {
+      a.game.leaveOnline();
+      b.game.leaveOnline();
+      await relay.stop();
+    }
+  });
+
+  test('destroying the game leaves the online room', async () => {
+    const relay = await startRelay();
+    const location = `http://localhost/?relay=${relay.url}`;
+    const a = loadGame({ WebSocket, location });
+    try {
+      await a.game.hostOnlineRoom('normal', 'stadium');
+      await waitFor(() => a.game.net.room);
+      const net = a.game.net;
+      a.game.destroy();
+      assert.equal(a.game.net, null);
+      assert.equal(net.closed, true);
+      await waitFor(() => relay.rooms.size === 0);
+    } finally {
+      a.game.leaveOnline();
+      await relay.stop();
+    }
+  });
+
+  test('reports an unreachable relay in the menu', async () => {
+    const { game, elements } = loadGame({ WebSocket, location: 'http://127.0.0.1:1/' });
+    await game.hostOnlineRoom('normal', 'stadium');
+    assert.equal(game.net, null);
+    assert.match(elements.onlineStatus.textContent, /Bağlantı kurulamadı/);
+  });
+});
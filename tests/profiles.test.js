@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ProfileStore, PROFILE_STORAGE_VERSION } = require('../profiles.js');
+const { setLanguage, DEFAULT_LANGUAGE } = require('../i18n.js');
+
+function memoryStorage(initial = {}){
+  const data = { ...initial };
+  return {
+    data,
+    getItem: k => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v); },
+    removeItem: k => { delete data[k]; }
+  };
+}
+
+test.describe('ProfileStore', () => {
+  test('creates profiles with unique names', () => {
+    const store = new ProfileStore(memoryStorage());
+    const ada = store.create('  Ada ');
+    assert.equal(ada.name, 'Ada');
+    assert.deepEqual(ada.record, { played: 0, wins: 0, losses: 0, draws: 0, goalsFor: 0, goalsAgainst: 0 });
+    assert.throws(() => store.create('ada'), /already exists/);
+    assert.throws(() => store.create('   '), /empty/);
+  });
+
+  test('a profile can only sit in one slot', () => {
+    const store = new ProfileStore(memoryStorage());
+    const ada = store.create('Ada');
+    store.assign('p1', ada.id);
+    store.assign('p2', ada.id);
+    assert.equal(store.slots.p1, null);
+    assert.equal(store.slotProfile('p2'), ada);
+    store.remove(ada.id);
+    assert.equal(store.slots.p2, null);
+  });
+
+  test('records results, head-to-head and AI records', () => {
+    const storage = memoryStorage();
+    const store = new ProfileStore(storage);
+    const ada = store.create('Ada');
+    const bob = store.create('Bob');
+    store.recordMatch({ p1: ada.id, p2: bob.id, score: { p1: 3, p2: 1 }, winner: 'p1' });
+    store.recordMatch({ p1: ada.id, ai: 'hard', score: { p1: 2, p2: 2 }, winner: null });
+
+    const copy = new ProfileStore(storage);
+    const a = copy.get(ada.id), b = copy.get(bob.id);
+    assert.deepEqual(a.record, { played: 2, wins: 1, losses: 0, draws: 1, goalsFor: 5, goalsAgainst: 3 });
+    assert.deepEqual(a.vsProfiles[bob.id], { wins: 1, losses: 0, draws: 0 });
+    assert.deepEqual(a.vsAI.hard, { wins: 0, losses: 0, draws: 1 });
+    assert.deepEqual(b.vsProfiles[ada.id], { wins: 0, losses: 1, draws: 0 });
+    assert.deepEqual(b.vsAI, {});
+  });
+
+  test('ranks the leaderboard by wins, then win rate', () => {
+    const store = new ProfileStore(memoryStorage());
+    const [ada, bob, cy] = ['Ada', 'Bob', 'Cy'].map(n => store.create(n));
+    store.recordMatch({ p1: bob.id, p2: cy.id, score: { p1: 1, p2: 0 }, winner: 'p1' });
+    store.recordMatch({ p1: ada.id, p2: cy.id, score: { p1: 1, p2: 0 }, winner: 'p1' });
+    store.recordMatch({ p1: ada.id, p2: bob.id, score: { p1: 0, p2: 1 }, winner: 'p2' });
+    assert.deepEqual(store.leaderboard().map(p => p.name), ['Bob', 'Ada', 'Cy']);
+  });
+});
+
+test.describe('profile storage versions', () => {
+  test('migrates unversioned data', () => {
+    const storage = memoryStorage({
+      slimeSoccerProfiles: JSON.stringify({ profiles: [{ id: 'x', name: 'Old', record: { wins: 4 } }] })
+    });
+    const store = new ProfileStore(storage);
+    assert.equal(store.get('x').record.wins, 4);
+    assert.equal(store.get('x').record.played, 0);
+    assert.equal(store.get('x').cosmetic, null);
+    store.saveCosmetic('x', { name: 'Eski', eyes: 'single' });
+    assert.equal(new ProfileStore(storage).get('x').cosmetic.eyes, 'single');
+    store.create('New');
+    assert.equal(JSON.parse(storage.data.slimeSoccerProfiles).version, PROFILE_STORAGE_VERSION);
+  });
+
+  test('a profile without a name gets the default one in the current language', () => {
+    const raw = JSON.stringify({ profiles: [{ id: 'x' }] });
+    assert.equal(new ProfileStore(memoryStorage({ slimeSoccerProfiles: raw })).get('x').name, 'Oyuncu');
+    setLanguage('en');
+    try {
+      assert.equal(new ProfileStore(memoryStorage({ slimeSoccerProfiles: raw })).get('x').name, 'Player');
+    } finally {
+      setLanguage(DEFAULT_LANGUAGE);
+    }
+  });
+
+  test('leaves data from a newer version untouched', () => {
+    const raw = JSON.stringify({ version: PROFILE_STORAGE_VERSION + 1, profiles: [{ id: 'x', name: 'Future' }] });
+    const storage = memoryStorage({ slimeSoccerProfiles: raw });
+    const store = new ProfileStore(storage);
+    assert.ok(store.readOnly);
+    assert.equal(store.list().length, 0);
+    store.create('Ada');
+    assert.equal(storage.data.slimeSoccerProfiles, raw);
+    assert.throws(() => store.importJSON('{}'), /read-only/);
+  });
+
+  test('backs up unreadable data before starting over', () => {
+    const storage = memoryStorage({ slimeSoccerProfiles: '{broken' });
+    const store = new ProfileStore(storage);
+    assert.equal(store.list().length, 0);
+    assert.equal(storage.data['slimeSoccerProfiles.backup'], '{broken');
+  });
+});
+
+test.describe('profile export/import', () => {
+  test('round-trips profiles and renames clashing names', () => {
+    const home = new ProfileStore(memoryStorage());
+    const ada = home.create('Ada');
+    home.recordMatch({ p1: ada.id, ai: 'easy', score: { p1: 5, p2: 0 }, winner: 'p1' });
+    const text = home.exportJSON([ada.id]);
+
+    const away = new ProfileStore(memoryStorage());
+    away.create('Ada');
+    assert.equal(away.importJSON(text), 1);
+    const imported = away.get(ada.id);
+    assert.equal(imported.name, 'Ada (2)');
+    assert.deepEqual(imported.record, ada.record);
+
+    // Importing again replaces the same profile instead of duplicating it
+    away.importJSON(text);
+    assert.deepEqual(away.list().map(p => p.name), ['Ada', 'Ada (2)']);
+  });
+
+  test('rejects files that are not profile exports', () => {
+    const store = new ProfileStore(memoryStorage());
+    assert.throws(() => store.importJSON('nope'), /not valid JSON/);
+    assert.throws(() => store.importJSON('{"format":"slime-replay"}'), /Not a Slime Soccer profile file/);
+  });
+});
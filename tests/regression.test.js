@@ -0,0 +1,213 @@
+/**
+ * Scripted full-match regression scenarios.
+ *
+ * Each scenario plays a complete 90 second match from a fixed seed with
+ * scripted inputs. The simulation is deterministic, so the final score and
+ * tick count must not change unless gameplay is changed on purpose. When a
+ * change is intentional, update the expected values in SCENARIOS.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MatchSimulation, AI_LEVELS } = require('../simulation.js');
+const { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay, decodeActions, REPLAY_VERSION } = require('../replay.js');
+const { stateHash } = require('../netplay.js');
+const { loadGame } = require('./helpers/browser.js');
+
+// Scripted player 1: runs back and forth and jumps on a fixed rhythm
+function shuttleP1(tick){
+  const phase = Math.floor(tick / 40) % 4;
+  return { left: phase === 0, right: phase === 1 || phase === 3, jump: tick % 70 < 3 };
+}
+
+// Scripted player 2: chases toward the centre and jumps more often
+function chaserP2(tick){
+  const phase = Math.floor(tick / 25) % 3;
+  return { left: phase !== 2, right: phase === 2, jump: tick % 45 < 2 };
+}
+
+const SCENARIOS = [
+  { name: 'vs AI, normal gravity', config: { mode: 'single', difficulty: 'hard', seed: 7 }, p1: shuttleP1,
+    expected: { p1: 4, p2: 24 } },
+  { name: 'vs AI, low gravity, easy', config: { mode: 'single', gravity: 'low', difficulty: 'easy', seed: 2024 }, p1: shuttleP1,
+    expected: { p1: 3, p2: 4 } },
+  { name: 'two players, high gravity', config: { mode: 'soccer', gravity: 'high', seed: 'office-cup' }, p1: shuttleP1, p2: chaserP2,
+    expected: { p1: 3, p2: 2 } },
+  { name: 'idle players', config: { mode: 'soccer', seed: 1 },
+    expected: { p1: 0, p2: 0 } }
+];
+
+// Final state hashes of scripted two-player matches, one per gravity preset.
+// AI decisions are stored in replays, so only the physics is fingerprinted.
+// When these change, old replays no longer reproduce: bump REPLAY_VERSION in
+// replay.js and record the new version and hashes together.
+const PHYSICS_FINGERPRINT = { version: 2, hashes: [1948643166, 2834539205, 593578898] };
+
+function playMatch(scenario){
+  const sim = new MatchSimulation(scenario.config);
+  let goals = 0;
+  let outOfBounds = 0;
+  sim.on('goal', () => goals++);
+  while (sim.state === 'playing') {
+    const t = sim.tick;
+    sim.step({ p1: scenario.p1 ? scenario.p1(t) : {}, p2: scenario.p2 ? scenario.p2(t) : {} });
+    const b = sim.ball;
+    if (b.x < 0 || b.x > sim.width || b.y > sim.height) outOfBounds++;
+  }
+  return { sim, goals, outOfBounds };
+}
+
+test.describe('full-match results', () => {
+  for (const scenario of SCENARIOS) {
+    test(`${scenario.name} ends ${scenario.expected.p1}-${scenario.expected.p2}`, () => {
+      const { sim } = playMatch(scenario);
+      assert.deepEqual(sim.score, scenario.expected);
+    });
+  }
+});
+
+test.describe('full-match invariants', () => {
+  for (const scenario of SCENARIOS) {
+    test(scenario.name, () => {
+      const { sim, goals, outOfBounds } = playMatch(scenario);
+      assert.equal(sim.state, 'ended');
+      assert.equal(sim.timeLeft, 0);
+      assert.equal(sim.tick, 90 * sim.tickRate + 1);
+      assert.equal(sim.score.p1 + sim.score.p2, goals);
+      assert.equal(outOfBounds, 0);
+    });
+  }
+});
+
+test.describe('determinism', () => {
+  for (const scenario of SCENARIOS) {
+    test(`${scenario.name} plays out identically twice`, () => {
+      const a = playMatch(scenario).sim;
+      const b = playMatch(scenario).sim;
+      assert.deepEqual(a.score, b.score);
+      assert.equal(a.ball.x, b.ball.x);
+      assert.equal(a.ball.y, b.ball.y);
+      assert.deepEqual(a.player1, b.player1);
+    });
+  }
+
+  test('different seeds change the match', () => {
+    const base = SCENARIOS[0];
+    const a = playMatch(base).sim;
+    const b = playMatch({ ...base, config: { ...base.config, seed: 8 } }).sim;
+    assert.notDeepEqual([a.ball.x, a.ball.y, a.score], [b.ball.x, b.ball.y, b.score]);
+  });
+});
+
+test.describe('replays', () => {
+  test('REPLAY_VERSION is bumped whenever the physics change', () => {
+    const hashes = ['normal', 'low', 'high'].map(gravity => stateHash(playMatch({
+      config: { mode: 'soccer', gravity, seed: 6 }, p1: shuttleP1, p2: chaserP2
+    }).sim));
+    assert.deepEqual({ version: REPLAY_VERSION, hashes }, PHYSICS_FINGERPRINT,
+      'the simulation changed: bump REPLAY_VERSION and update PHYSICS_FINGERPRINT');
+  });
+
+  test('a recorded match replays to the same result', () => {
+    const scenario = SCENARIOS[0];
+    const recorder = new ReplayRecorder({ ...scenario.config }, 60);
+    const original = new MatchSimulation(scenario.config);
+    while (original.state === 'playing') {
+      const t = original.tick;
+      const intent = shuttleP1(t);
+      recorder.recordActions(t, { p1: intent, p2: {} });
+      original.step({ p1: intent });
+      recorder.recordAI(t, { p2: original.ai.p2.decision });
+    }
+    const data = parseReplay(serializeReplay(recorder.finish(original.tick, original.score)));
+
+    const player = new ReplayPlayer(data);
+    const replayed = new MatchSimulation(data.settings);
+    while (replayed.state === 'playing') {
+      const t = replayed.tick;
+      replayed.step({ p1: player.actionsAt(t).p1, ai: player.aiAt(t) });
+    }
+
+    assert.deepEqual(replayed.score, original.score);
+    assert.equal(replayed.ball.x, original.ball.x);
+  });
+
+  test('analog movement is recorded and played back exactly', () => {
+    const recorder = new ReplayRecorder({ mode: 'soccer', seed: 3 }, 60);
+    const stick = t => ({ right: t % 50 < 30, move: t % 50 < 30 ? Math.round(Math.sin(t) * 100) / 100 : 0 });
+    const original = new MatchSimulation({ mode: 'soccer', seed: 3, matchLength: 5 });
+    while (original.state === 'playing') {
+      const actions = { p1: stick(original.tick), p2: chaserP2(original.tick) };
+      recorder.recordActions(original.tick, actions);
+      original.step(actions);
+    }
+    const player = new ReplayPlayer(parseReplay(serializeReplay(recorder.finish(original.tick, original.score))));
+    const replayed = new MatchSimulation({ mode: 'soccer', seed: 3, matchLength: 5 });
+    while (replayed.state === 'playing') replayed.step(player.actionsAt(replayed.tick));
+    assert.equal(replayed.player1.x, original.player1.x);
+    assert.equal(replayed.ball.x, original.ball.x);
+  });
+
+  test('parseReplay rejects files that are not replays', () => {
+    assert.throws(() => parseReplay('not json'), /not valid JSON/);
+    assert.throws(() => parseReplay('{"format":"other"}'), /Not a Slime Soccer replay/);
+    assert.throws(() => parseReplay('{"format":"slime-replay","version":2}'), /incomplete/);
+  });
+
+  test('parseReplay refuses replays recorded with other physics', () => {
+    const recorder = new ReplayRecorder({ mode: 'soccer', seed: 3 }, 60);
+    const data = recorder.finish(10, { p1: 0, p2: 0 });
+    assert.equal(parseReplay(serializeReplay(data)).version, REPLAY_VERSION);
+    assert.throws(() => parseReplay(serializeReplay({ ...data, version: REPLAY_VERSION - 1 })), /different game physics \(version 1, this game plays 2\)/);
+    assert.throws(() => parseReplay(serializeReplay({ ...data, version: REPLAY_VERSION + 1 })), /different game physics/);
+    assert.throws(() => parseReplay(serializeReplay({ ...data, version: undefined })), /has no version/);
+    assert.throws(() => parseReplay(serializeReplay({ ...data, moves: undefined })), /incomplete/);
+  });
+
+  test('decodeActions reverses the action mask', () => {
+    assert.deepEqual(decodeActions(0b010101), {
+      p1: { left: true, right: false, jump: true },
+      p2: { left: false, right: true, jump: false }
+    });
+  });
+
+  test('browser playback matches the recorded match and supports seeking', () => {
+    const { game } = loadGame();
+    game.start('single', 'normal', 'hard', 'stadium', 7);
+    while (game.state === 'playing') {
+      const intent = shuttleP1(game.tick);
+      game.actions = { p1: intent, p2: {} };
+      game.advanceTick();
+    }
+    const recorded = { score: { ...game.score }, ticks: game.lastReplay.ticks };
+
+    game.startReplay(parseReplay(serializeReplay(game.lastReplay)));
+    while (game.state === 'playing') game.advanceTick();
+    assert.deepEqual({ ...game.score }, recorded.score);
+    assert.equal(game.replay.desyncs, 0);
+
+    game.seekReplay(1200);
+    assert.equal(game.tick, 1200);
+    assert.equal(game.state, 'paused');
+
+    game.seekReplay(recorded.ticks);
+    assert.deepEqual({ ...game.score }, recorded.score);
+  });
+
+  test('a spectator match records and replays both AI slimes', () => {
+    const { game } = loadGame();
+    game.leftDifficulty = 'easy';
+    game.start('spectate', 'normal', 'expert', 'stadium', 11, { matchLength: 20 });
+    while (game.state === 'playing') game.advanceTick();
+    const replay = game.lastReplay;
+    const recorded = { ...game.score };
+    assert.equal(replay.settings.leftDifficulty, 'easy');
+    assert.ok(replay.ai1.length > 0 && replay.ai.length > 0);
+
+    game.leftDifficulty = 'normal';
+    game.startReplay(parseReplay(serializeReplay(replay)));
+    assert.equal(game.sim.ai.p1.level.reaction, AI_LEVELS.easy.reaction);
+    while (game.state === 'playing') game.advanceTick();
+    assert.deepEqual({ ...game.score }, recorded);
+    assert.equal(game.replay.desyncs, 0);
+  });
+});
@@ -0,0 +1,996 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MatchSimulation, registerPowerUp, unregisterPowerUp, getPowerUp, listPowerUps,
+  normalizeRules, DEFAULT_MATCH_RULES, AI_LEVELS, normalizeController } = require('../simulation.js');
+
+/**
+ * Place the ball somewhere with a given velocity
+ */
+function placeBall(sim, x, y, vx = 0, vy = 0){
+  Object.assign(sim.ball, { x, y, vx, vy });
+}
+
+/**
+ * Put the ball against player 1 as it runs into it
+ */
+function runIntoBall(sim){
+  sim.player1.vx = 6;
+  placeBall(sim, sim.player1.x + 30, sim.player1.y);
+}
+
+test.describe('handlePlayerBallCollisions', () => {
+  test('pushes the ball out of an overlapping slime along the contact normal', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const p = sim.player1;
+    runIntoBall(sim);
+
+    sim.handlePlayerBallCollisions();
+
+    const dist = Math.hypot(sim.ball.x - p.x, sim.ball.y - p.y);
+    assert.ok(Math.abs(dist - (p.r + sim.ball.r)) < 1e-9);
+    assert.ok(sim.ball.vx > 0, 'ball should move away from the slime');
+    assert.equal(sim.ball.lastTouchedBy, 1);
+  });
+
+  test('ignores a ball that is not touching either slime', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    placeBall(sim, sim.width / 2, 100, 1, 2);
+
+    sim.handlePlayerBallCollisions();
+
+    assert.equal(sim.ball.vx, 1);
+    assert.equal(sim.ball.vy, 2);
+    assert.equal(sim.ball.lastTouchedBy, null);
+  });
+
+  test('speed power-up makes the kick stronger', () => {
+    const plain = new MatchSimulation({ seed: 1 });
+    const boosted = new MatchSimulation({ seed: 1 });
+    boosted.player1.powers.push({ type: 'speed', until: 5000 });
+    [plain, boosted].forEach(sim => runIntoBall(sim));
+
+    plain.handlePlayerBallCollisions();
+    boosted.handlePlayerBallCollisions();
+
+    assert.ok(boosted.ball.vx > plain.ball.vx);
+  });
+
+  test('a faster ball bounces off a standing slime faster', () => {
+    const bounce = vx => {
+      const sim = new MatchSimulation({ seed: 1 });
+      const p = sim.player1;
+      placeBall(sim, p.x + 54, p.y, vx, 0);
+      sim.handlePlayerBallCollisions();
+      assert.ok(p.vx < 0, 'the slime takes some of the hit');
+      assert.ok(Math.abs(sim.ball.vx * sim.ball.mass + p.vx * p.mass - vx * sim.ball.mass) < 1e-9, 'momentum is kept');
+      return sim.ball.vx;
+    };
+    assert.ok(bounce(-20) > bounce(-4) + 3);
+  });
+
+  test('a slime moving into the ball hits it harder', () => {
+    const still = new MatchSimulation({ seed: 1 });
+    const running = new MatchSimulation({ seed: 1 });
+    [still, running].forEach(sim => placeBall(sim, sim.player1.x + 54, sim.player1.y, -4, 0));
+    running.player1.vx = 6;
+    still.handlePlayerBallCollisions();
+    running.handlePlayerBallCollisions();
+    assert.ok(running.ball.vx > still.ball.vx + 5);
+  });
+
+  test('even a soft touch pops the ball away', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const p = sim.player1;
+    placeBall(sim, p.x, p.y - p.r - sim.ball.r + 0.5, 0, 0.5);
+    sim.handlePlayerBallCollisions();
+    assert.ok(sim.ball.vy < -4);
+  });
+
+  test('no touch sends the ball faster than the cap', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const p = sim.player1;
+    p.vy = -30;
+    placeBall(sim, p.x, p.y - p.r - sim.ball.r + 0.5, 0, 30);
+    sim.handlePlayerBallCollisions();
+    assert.ok(Math.abs(Math.hypot(sim.ball.vx, sim.ball.vy) - 16) < 1e-9);
+  });
+
+  test('a fast ball cannot pass through a slime within one tick', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const p = sim.player1;
+    // Started 70 px to the right, now 70 px to the left: it crossed the slime
+    placeBall(sim, p.x - 70, p.y, -140, 0);
+
+    sim.handlePlayerBallCollisions();
+
+    assert.ok(Math.abs(sim.ball.x - (p.x + p.r + sim.ball.r)) < 1e-9, 'caught on the side it came from');
+    assert.ok(sim.ball.vx > 0);
+    assert.equal(sim.ball.lastTouchedBy, 1);
+  });
+
+  test('counts combos for consecutive touches and emits kick events', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const combos = [];
+    let kicks = 0;
+    sim.on('combo', e => combos.push(e.count));
+    sim.on('kick', () => kicks++);
+
+    for (let i = 0; i < 3; i++) {
+      runIntoBall(sim);
+      sim.handlePlayerBallCollisions();
+      sim.simTime += 100;
+    }
+
+    assert.equal(kicks, 3);
+    assert.equal(sim.combo.p1, 3);
+    assert.deepEqual(combos, [3]);
+  });
+});
+
+test.describe('half-disc slimes', () => {
+  const halfSim = () => new MatchSimulation({ mode: 'soccer', seed: 1, rules: { slimeShape: 'half' } });
+
+  test('stand on their flat underside', () => {
+    const sim = halfSim();
+    for (let i = 0; i < 60; i++) sim.updatePhysics();
+    assert.equal(sim.player1.y, sim.height - 50);
+    assert.equal(sim.player1.onGround, true);
+  });
+
+  test('the dome bounces a ball but there is nothing below the flat side', () => {
+    const sim = halfSim();
+    for (let i = 0; i < 60; i++) sim.updatePhysics();
+    const p = sim.player1;
+    placeBall(sim, p.x, p.y - p.r - 10, 0, 4);
+    sim.handlePlayerBallCollisions();
+    assert.ok(sim.ball.vy < 0, 'bounced off the top');
+
+    // A ball beside the slime at floor level stays clear of a round slime's lower half
+    placeBall(sim, p.x + p.r + 5, p.y + 20, 0, 0);
+    sim.handlePlayerBallCollisions();
+    assert.equal(sim.ball.x, p.x + p.r + 5);
+  });
+
+  test('the flat underside of a jumping slime pushes a ball down', () => {
+    const sim = halfSim();
+    const p = sim.player1;
+    Object.assign(p, { y: 400, vy: 3 });
+    placeBall(sim, p.x + 10, p.y + 10, 0, 0);
+    sim.handlePlayerBallCollisions();
+    assert.equal(sim.ball.y, p.y + sim.ball.r);
+    assert.ok(sim.ball.vy > 0);
+  });
+
+  test('one can land on the other', () => {
+    const sim = halfSim();
+    const floor = sim.height - 50;
+    Object.assign(sim.player2, { x: 480, y: floor });
+    Object.assign(sim.player1, { x: 480, y: floor - 150, vx: 0, vy: 0 });
+    for (let i = 0; i < 60; i++) sim.updatePhysics();
+    assert.ok(Math.abs(sim.player1.y - (floor - sim.player2.r)) < 1e-9);
+    assert.equal(sim.player1.onGround, true);
+  });
+});
+
+test.describe('checkGoals', () => {
+  test('scores for player 2 when the ball enters the left goal', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const goals = [];
+    sim.on('goal', e => goals.push(e.scorer));
+    placeBall(sim, 40, 500, -3, 0);
+
+    sim.checkGoals();
+
+    assert.deepEqual(sim.score, { p1: 0, p2: 1 });
+    assert.deepEqual(goals, ['p2']);
+  });
+
+  test('the ball rests in the net until kickoff', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const kickoffs = [];
+    sim.on('kickoff', () => kickoffs.push(sim.ball.x));
+    placeBall(sim, 40, 500, -3, 0);
+    sim.checkGoals();
+    assert.equal(sim.ball.x, 40);
+
+    while (sim.simTime < 600) sim.step({});
+    assert.ok(sim.ball.x < sim.goals.left.w, 'still in the goal');
+    assert.deepEqual(kickoffs, []);
+    while (sim.simTime <= 750) sim.step({});
+    assert.deepEqual(kickoffs, [sim.width / 2], 'ball returns to kickoff');
+    assert.deepEqual(sim.score, { p1: 0, p2: 1 }, 'counted once');
+  });
+
+  test('scores for player 1 when the ball enters the right goal', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    placeBall(sim, sim.width - 40, 500, 3, 0);
+
+    sim.checkGoals();
+
+    assert.deepEqual(sim.score, { p1: 1, p2: 0 });
+  });
+
+  test('counts a ball over the line whichever way it is moving', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    placeBall(sim, 40, 500, 3, 0);
+
+    sim.checkGoals();
+
+    assert.deepEqual(sim.score, { p1: 0, p2: 1 });
+  });
+
+  test('only counts once the whole ball is over the line', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const line = sim.goals.left.w;
+    placeBall(sim, line - sim.ball.r + 1, 500, -3, 0);
+    sim.checkGoals();
+    assert.deepEqual(sim.score, { p1: 0, p2: 0 });
+
+    placeBall(sim, line - sim.ball.r - 1, 500, -3, 0);
+    sim.checkGoals();
+    assert.deepEqual(sim.score, { p1: 0, p2: 1 });
+  });
+
+  test('a ball resting on top of the goal is no goal', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    placeBall(sim, 40, 420, 0, 0);
+    for (let i = 0; i < 30; i++) {
+      sim.updatePhysics();
+      sim.checkGoals();
+    }
+    assert.deepEqual(sim.score, { p1: 0, p2: 0 });
+    assert.ok(sim.ball.y + sim.ball.r <= sim.goals.left.y, 'the crossbar holds it up');
+  });
+
+  test('a goal is not counted again while the ball sits in the net', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    placeBall(sim, 40, 500, -3, 0);
+    sim.checkGoals();
+    placeBall(sim, sim.width - 40, 500, 3, 0);
+    sim.checkGoals();
+
+    assert.deepEqual(sim.score, { p1: 0, p2: 1 });
+  });
+});
+
+test.describe('goal frames', () => {
+  test('the ball bounces off the crossbar from below', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const posts = [];
+    sim.on('post', e => posts.push(e.side));
+    placeBall(sim, 50, 490, 0, -8);
+    for (let i = 0; i < 5; i++) sim.updatePhysics();
+    assert.ok(sim.ball.vy > 0, 'sent back down');
+    assert.ok(sim.ball.y - sim.ball.r >= sim.goals.left.y);
+    assert.deepEqual(posts, ['left']);
+  });
+
+  test('the post end turns a ball back into the field', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const g = sim.goals.right;
+    placeBall(sim, g.x - 40, g.y, 10, 0);
+    sim.gravity = 0;
+    for (let i = 0; i < 6; i++) sim.updatePhysics();
+    assert.ok(sim.ball.vx < 0);
+  });
+
+  test('a slime can stand on the crossbar', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const p = sim.player1;
+    Object.assign(p, { x: 50, y: sim.goals.left.y - 100, vx: 0, vy: 0 });
+    for (let i = 0; i < 60; i++) sim.updatePhysics();
+    assert.ok(Math.abs(p.y + p.r - (sim.goals.left.y - 5)) < 1e-9);
+    assert.equal(p.onGround, true);
+  });
+
+  test('the net soaks up a shot instead of bouncing it out', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    placeBall(sim, 70, 520, -20, 0);
+    let sag = 0;
+    for (let i = 0; i < 40; i++) {
+      sim.updatePhysics();
+      sag = Math.max(sag, sim.nets.left.sag);
+    }
+    assert.ok(sag > 0, 'the net gives way');
+    assert.ok(Math.abs(sim.ball.vx) < 2);
+    assert.ok(sim.ball.x < sim.goals.left.w, 'the ball stays in the goal');
+  });
+});
+
+test.describe('slime contact', () => {
+  test('slimes running into each other stop instead of passing through', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    Object.assign(sim.player1, { x: 400, y: 510, vx: 8 });
+    Object.assign(sim.player2, { x: 500, y: 510, vx: -8 });
+    for (let i = 0; i < 30; i++) sim.updatePhysics();
+    assert.ok(sim.player1.x < sim.player2.x);
+    assert.ok(sim.player2.x - sim.player1.x >= sim.player1.r + sim.player2.r - 1e-9);
+  });
+
+  test('the heavier slime pushes the lighter one back', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    sim.player1.mass = 3;
+    Object.assign(sim.player1, { x: 400, y: 510, vx: 6 });
+    Object.assign(sim.player2, { x: 485, y: 510, vx: -6 });
+    for (let i = 0; i < 3; i++) sim.updatePhysics();
+    assert.ok(sim.player1.vx > 0, 'keeps going');
+    assert.ok(sim.player2.vx > 0, 'shoved backward');
+  });
+
+  test('a slime can land on the other one and jump off its head', () => {
+    const sim = new MatchSimulation({ mode: 'soccer', seed: 1 });
+    const floor = sim.height - 50;
+    Object.assign(sim.player2, { x: 480, y: floor - 40 });
+    Object.assign(sim.player1, { x: 480, y: floor - 200, vx: 0, vy: 0 });
+    for (let i = 0; i < 60; i++) sim.updatePhysics();
+    assert.ok(Math.abs(sim.player1.y - (sim.player2.y - 80)) < 1e-9, 'rests on the head');
+    assert.equal(sim.player1.onGround, true);
+
+    sim.handleInput({ p1: { jump: true } });
+    assert.ok(sim.player1.vy < 0);
+  });
+});
+
+test.describe('setDifficulty', () => {
+  test('harder levels look further ahead, react sooner and aim better', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const levels = ['easy', 'normal', 'hard', 'expert'].map(level => {
+      sim.setDifficulty(level);
+      return sim.aiLevel;
+    });
+
+    for (let i = 1; i < levels.length; i++) {
+      assert.ok(levels[i].horizon > levels[i - 1].horizon);
+      assert.ok(levels[i].reaction < levels[i - 1].reaction);
+      assert.ok(levels[i].aimError < levels[i - 1].aimError);
+      assert.ok(levels[i].speed >= levels[i - 1].speed);
+    }
+  });
+
+  test('unknown levels fall back to normal', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    sim.setDifficulty('legendary');
+    assert.deepEqual(sim.aiLevel, AI_LEVELS.normal);
+    assert.equal(sim.aiSpeed, AI_LEVELS.normal.speed);
+    assert.equal(sim.difficulty, 'legendary');
+  });
+});
+
+test.describe('AI', () => {
+  // Scripted left slime: runs back and forth and jumps on a fixed rhythm
+  function shuttle(tick){
+    const phase = Math.floor(tick / 40) % 4;
+    return { left: phase === 0, right: phase === 1 || phase === 3, jump: tick % 70 < 3 };
+  }
+
+  test('predictBall follows the real flight, bounces included', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    placeBall(sim, 300, 150, 9, -4);
+    const path = sim.predictBall(sim.ball, 150);
+
+    for (let i = 0; i < 150; i++) {
+      sim.updatePhysics();
+      assert.ok(Math.abs(path[i].x - sim.ball.x) < 1e-9 && Math.abs(path[i].y - sim.ball.y) < 1e-9, `tick ${i + 1}`);
+    }
+    assert.ok(path.some((p, i) => i > 0 && p.vx < 0), 'the path should include a wall bounce');
+  });
+
+  test('runs to a dropping ball and sends it toward the left goal', () => {
+    const sim = new MatchSimulation({ mode: 'single', difficulty: 'expert', seed: 3 });
+    placeBall(sim, 620, 200, 0, 0);
+    let kick = null;
+    sim.on('kick', e => { if (e.player === 2 && !kick) kick = { vx: sim.ball.vx }; });
+
+    for (let i = 0; i < 120 && !kick; i++) sim.step({});
+
+    assert.ok(kick, 'the AI should reach the ball');
+    assert.ok(kick.vx < 0);
+  });
+
+  test('turns around only once its reaction delay has passed', () => {
+    for (const level of ['easy', 'expert']) {
+      const sim = new MatchSimulation({ mode: 'single', difficulty: level, seed: 1 });
+      for (let i = 0; i < 20; i++) {
+        placeBall(sim, 150, 535);
+        sim.step({});
+      }
+      placeBall(sim, 900, 535);
+      let ticks = 0;
+      while (sim.ai.p2.decision.dir !== 1 && ticks < 60) {
+        sim.step({});
+        ticks++;
+      }
+      assert.equal(ticks, AI_LEVELS[level].reaction + 1, level);
+    }
+  });
+
+  test('expert outplays easy against the same opponent', () => {
+    const margin = difficulty => {
+      let diff = 0;
+      for (const seed of [1, 2, 3, 4]) {
+        const sim = new MatchSimulation({ mode: 'single', difficulty, seed });
+        while (sim.state === 'playing') sim.step({ p1: shuttle(sim.tick) });
+        diff += sim.score.p2 - sim.score.p1;
+      }
+      return diff;
+    };
+    assert.ok(margin('expert') > margin('easy'));
+  });
+});
+
+test.describe('controllers', () => {
+  test('the mode picks the default controllers', () => {
+    const types = mode => {
+      const sim = new MatchSimulation({ mode, seed: 1 });
+      return [sim.controllers.p1.type, sim.controllers.p2.type];
+    };
+    assert.deepEqual(types('single'), ['human', 'ai']);
+    assert.deepEqual(types('soccer'), ['human', 'human']);
+    assert.deepEqual(types('spectate'), ['ai', 'ai']);
+  });
+
+  test('normalizeController accepts functions, names and objects and rejects the rest', () => {
+    const bot = function rusher(){ return { right: true }; };
+    assert.deepEqual(normalizeController(bot), { type: 'bot', bot, name: 'rusher' });
+    assert.deepEqual(normalizeController('ai'), { type: 'ai', level: null });
+    assert.deepEqual(normalizeController({ type: 'ai', level: 'hard' }), { type: 'ai', level: 'hard' });
+    assert.deepEqual(normalizeController(null), { type: 'human' });
+    assert.throws(() => normalizeController('robot'), /Unknown controller: robot/);
+  });
+
+  test('a bot drives its slime from a frozen snapshot', () => {
+    let seen = null;
+    const bot = snap => {
+      seen = snap;
+      return { left: true, jump: 1 };
+    };
+    const sim = new MatchSimulation({ mode: 'soccer', seed: 1, controllers: { p2: bot } });
+    let jumps = 0;
+    sim.on('jump', e => { if (e.player === 2) jumps++; });
+    for (let i = 0; i < 30; i++) sim.step({ p2: { right: true } });
+
+    assert.equal(seen.slot, 'p2');
+    assert.equal(seen.side, 'right');
+    assert.deepEqual({ ...seen.goals.target }, { ...sim.goals.left });
+    assert.ok(Object.isFrozen(seen) && Object.isFrozen(seen.ball) && Object.isFrozen(seen.self.powers));
+    assert.throws(() => { 'use strict'; seen.ball.x = 0; }, TypeError);
+    assert.ok(sim.player2.x < sim.width - 160, 'the bot, not the keys, moves the right slime');
+    assert.equal(jumps, 1, 'truthy jump values count');
+  });
+
+  test('a bot that throws stands still and reports the error', () => {
+    const errors = [];
+    const sim = new MatchSimulation({ mode: 'soccer', seed: 1, controllers: { p1: { type: 'bot', name: 'broken', bot: () => { throw new Error('oops'); } } } });
+    sim.on('error', e => errors.push(e));
+    for (let i = 0; i < 60; i++) sim.step({ p1: { right: true } });
+
+    assert.equal(errors.length, 60);
+    assert.match(errors[0].context, /broken \(p1\)/);
+    assert.equal(sim.player1.x, 160);
+  });
+
+  test('the left AI attacks the right goal', () => {
+    const sim = new MatchSimulation({ mode: 'spectate', difficulty: 'expert', seed: 3, controllers: { p2: 'human' } });
+    placeBall(sim, 340, 200, 0, 0);
+    let kick = null;
+    sim.on('kick', e => { if (e.player === 1 && !kick) kick = { vx: sim.ball.vx }; });
+
+    for (let i = 0; i < 120 && !kick; i++) sim.step({});
+
+    assert.ok(kick, 'the AI should reach the ball');
+    assert.ok(kick.vx > 0);
+  });
+
+  test('each AI slime plays at its own level', () => {
+    const sim = new MatchSimulation({ mode: 'spectate', difficulty: 'hard', seed: 1, controllers: { p1: { type: 'ai', level: 'easy' } } });
+    assert.equal(sim.ai.p1.level.reaction, AI_LEVELS.easy.reaction);
+    assert.equal(sim.ai.p2.level.reaction, AI_LEVELS.hard.reaction);
+    sim.setDifficulty('expert');
+    assert.equal(sim.ai.p1.level.reaction, AI_LEVELS.easy.reaction);
+    assert.equal(sim.ai.p2.level.reaction, AI_LEVELS.expert.reaction);
+  });
+});
+
+test.describe('setGameRules', () => {
+  const cases = [
+    ['normal', 0.5, 1],
+    ['low', 0.2, 2.0],
+    ['high', 0.8, 0.7]
+  ];
+
+  for (const [gravity, expected, jumpMul] of cases) {
+    test(`${gravity} gravity preset`, () => {
+      const sim = new MatchSimulation({ gravity, seed: 1 });
+      assert.equal(sim.gravity, expected);
+      assert.equal(sim.player1.jumpMul, jumpMul);
+      assert.equal(sim.player2.jumpMul, jumpMul);
+      assert.equal(sim.ball.r, 15);
+    });
+  }
+
+  test('a low-gravity slime holding a jump power gets both boosts', () => {
+    const sim = new MatchSimulation({ gravity: 'low', seed: 1 });
+    const boost = getPowerUp('jump').modifiers.jump;
+    sim.step({});
+    assert.equal(sim.player1.jumpMul, 2.0);
+    sim.applyPower(sim.player1, 'jump');
+    sim.step({});
+    assert.equal(sim.player1.jumpMul, 2 * boost);
+    assert.equal(sim.player2.jumpMul, 2.0);
+  });
+
+  test('physics constants stay within realistic ranges', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    assert.ok(sim.friction > 0 && sim.friction < 1);
+    assert.ok(sim.bounceDecay > 0 && sim.bounceDecay < 1);
+    assert.ok(sim.gravity > 0 && sim.gravity < 2);
+  });
+});
+
+test.describe('applyPower', () => {
+  test('speed and jump powers expire after five simulated seconds', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    sim.applyPower(sim.player1, 'speed');
+    sim.applyPower(sim.player1, 'jump');
+
+    sim.simTime = 4900;
+    sim.handleInput({});
+    assert.equal(sim.player1.speedMul, 1.6);
+    assert.equal(sim.player1.jumpMul, 1.7);
+
+    sim.simTime = 5000;
+    sim.handleInput({});
+    assert.equal(sim.player1.speedMul, 1);
+    assert.equal(sim.player1.jumpMul, 1);
+    assert.equal(sim.player1.powers.length, 0);
+  });
+
+  test('big ball shrinks back after it expires', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    sim.applyPower(sim.player2, 'bigball');
+    assert.equal(sim.ball.r, 26);
+
+    sim.simTime = 5001;
+    sim.handleInput({});
+    assert.equal(sim.ball.r, 15);
+    assert.equal(sim.ball.bigUntil, 0);
+  });
+
+  test('freeze holds the ball in place, then lets it drop', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    placeBall(sim, 480, 200, 6, -3);
+    sim.applyPower(sim.player1, 'freeze');
+
+    for (let i = 0; i < 60; i++) sim.step({});
+    assert.equal(sim.ball.frozen, true);
+    assert.equal(sim.ball.x, 480);
+    assert.equal(sim.ball.y, 200);
+
+    for (let i = 0; i < 60; i++) sim.step({});
+    assert.equal(sim.ball.frozen, false);
+    assert.ok(sim.ball.y > 200, 'ball should fall after the freeze');
+  });
+
+  test('a kick breaks the freeze', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    sim.applyPower(sim.player2, 'freeze');
+    runIntoBall(sim);
+
+    sim.handlePlayerBallCollisions();
+
+    assert.equal(sim.ball.frozen, false);
+    assert.ok(sim.ball.vx > 0);
+  });
+
+  test('fire shot powers up only the next kick and sets the ball on fire', () => {
+    const plain = new MatchSimulation({ seed: 1 });
+    const fired = new MatchSimulation({ seed: 1 });
+    const kicks = [];
+    fired.on('kick', e => kicks.push(e.fire));
+    fired.applyPower(fired.player1, 'fire');
+    [plain, fired].forEach(sim => runIntoBall(sim));
+
+    plain.handlePlayerBallCollisions();
+    fired.handlePlayerBallCollisions();
+
+    assert.ok(fired.ball.vx > plain.ball.vx * 2);
+    assert.equal(fired.ball.onFire, true);
+    assert.equal(fired.player1.powers.length, 0);
+
+    runIntoBall(fired);
+    fired.handlePlayerBallCollisions();
+    assert.deepEqual(kicks, [true, false]);
+  });
+
+  test('the flames die out after a moment', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    sim.applyPower(sim.player1, 'fire');
+    runIntoBall(sim);
+    sim.handlePlayerBallCollisions();
+
+    sim.simTime = 1499;
+    sim.handleInput({});
+    assert.equal(sim.ball.onFire, true);
+    sim.simTime = 1500;
+    sim.handleInput({});
+    assert.equal(sim.ball.onFire, false);
+  });
+
+  test('emits a power event for the collecting player', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    const events = [];
+    sim.on('power', e => events.push(e));
+    sim.applyPower(sim.player2, 'jump');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].player, 2);
+    assert.equal(events[0].type, 'jump');
+  });
+});
+
+test.describe('power-up registry', () => {
+  test('ships the built-in power-ups as definitions', () => {
+    assert.deepEqual(listPowerUps().map(def => def.type), ['speed', 'jump', 'bigball', 'freeze', 'fire']);
+    assert.equal(getPowerUp('speed').modifiers.speed, 1.6);
+    assert.equal(getPowerUp('freeze').target, 'ball');
+  });
+
+  test('a power-up registered at runtime runs its hooks and modifiers', t => {
+    const calls = [];
+    registerPowerUp({
+      type: 'test-slow', icon: '🐌', label: 'Yavaş', duration: 1000,
+      modifiers: { kick: 0.5, ballRadius: 40 },
+      onApply: (sim, power, slime) => calls.push(['apply', slime === sim.player2]),
+      onTick: () => calls.push(['tick']),
+      onExpire: () => calls.push(['expire'])
+    });
+    t.after(() => unregisterPowerUp('test-slow'));
+
+    const plain = new MatchSimulation({ seed: 1 });
+    const slowed = new MatchSimulation({ seed: 1 });
+    slowed.applyPower(slowed.player1, 'test-slow');
+    assert.deepEqual(calls, [['apply', false]]);
+    [plain, slowed].forEach(sim => runIntoBall(sim));
+    plain.handlePlayerBallCollisions();
+    slowed.handlePlayerBallCollisions();
+    assert.ok(Math.abs(slowed.ball.vx) < Math.abs(plain.ball.vx));
+
+    slowed.simTime = 500;
+    slowed.handleInput({});
+    slowed.simTime = 1000;
+    slowed.handleInput({});
+    assert.deepEqual(calls.map(c => c[0]), ['apply', 'tick', 'expire']);
+    assert.equal(slowed.player1.powers.length, 0);
+  });
+
+  test('ball-size modifiers come from powers held by the ball', t => {
+    registerPowerUp({ type: 'test-huge', target: 'ball', modifiers: { ballRadius: 40 } });
+    t.after(() => unregisterPowerUp('test-huge'));
+    const sim = new MatchSimulation({ seed: 1 });
+    sim.applyPower(sim.player1, 'bigball');
+    sim.applyPower(sim.player2, 'test-huge');
+    assert.equal(sim.ball.r, 40);
+    assert.equal(sim.ball.powers.length, 2);
+  });
+
+  test('picking up an active power restarts its timer instead of stacking', () => {
+    const sim = new MatchSimulation({ seed: 1 });
+    sim.applyPower(sim.player1, 'speed');
+    sim.simTime = 3000;
+    sim.applyPower(sim.player1, 'speed');
+    assert.equal(sim.player1.powers.length, 1);
+    assert.equal(sim.player1.powers[0].until, 8000);
+  });
+
+  test('per-match toggles keep disabled power-ups from spawning', () => {
+    const sim = new MatchSimulation({ seed: 5, powerUps: { speed: false, jump: false, bigball: false, freeze: false } });
+    assert.equal(sim.isPowerUpEnabled('speed'), false);
+    assert.equal(sim.isPowerUpEnabled('fire'), true);
+    for (let i = 0; i < 50; i++) assert.equal(sim.pickPowerUpType(), 'fire');
+
+    const none = new MatchSimulation({ seed: 5, powerUps: Object.fromEntries(listPowerUps().map(d => [d.type, false])) });
+    assert.equal(none.pickPowerUpType(), null);
+    for (let i = 0; i < 60 * 20; i++) none.step({});
+    assert.equal(none.powerUps.length, 0);
+  });
+
+  test('spawn weights bias the pick', t => {
+    registerPowerUp({ type: 'test-common', weight: 1000 });
+    t.after(() => unregisterPowerUp('test-common'));
+    const sim = new MatchSimulation({ seed: 9 });
+    const picks = Array.from({ length: 200 }, () => sim.pickPowerUpType());
+    assert.ok(picks.filter(p => p === 'test-common').length > 190);
+  });
+
+  test('rejects a definition without a type', () => {
+    assert.throws(() => registerPowerUp({ icon: '?' }), /needs a type/);
+  });
+});
+
+test.describe('handleInput', () => {
+  test('analog movement scales speed and overrides left/right', () => {
+    const run = intent => {
+      const sim = new MatchSimulation({ seed: 1 });
+      sim.handleInput({ p1: intent });
+      return sim.player1.vx;
+    };
+    const full = run({ right: true });
+    assert.equal(run({ move: 1 }), full);
+    assert.equal(run({ move: 0.5 }), full / 2);
+    assert.equal(run({ left: true, move: 0.5 }), full / 2);
+    assert.equal(run({ move: 3 }), full);
+  });
+});
+
+test.describe('match clock', () => {
+  test('counts down one second every tickRate ticks and ends the match', () => {
+    const sim = new MatchSimulation({ seed: 1, matchLength: 3 });
+    let ended = null;
+    sim.on('end', e => { ended = e; });
+
+    for (let i = 0; i <= 61; i++) sim.step({});
+    assert.equal(sim.timeLeft, 2);
+
+    while (sim.state === 'playing') sim.step({});
+    assert.equal(sim.timeLeft, 0);
+    assert.equal(sim.tick, 181);
+    assert.ok(ended);
+  });
+
+  test('step() does nothing once the match has ended', () => {
+    const sim = new MatchSimulation({ seed: 1, matchLength: 1 });
+    while (sim.state === 'playing') sim.step({});
+    const tick = sim.tick;
+    sim.step({ p1: { right: true } });
+    assert.equal(sim.tick, tick);
+  });
+});
+
+/**
+ * Credit a goal the way checkGoals does
+ */
+function scoreGoal(sim, scorer){
+  sim.score[scorer]++;
+  sim.onGoal(scorer);
+}
+
+/**
+ * Run the clock down to the end of the current timed phase
+ */
+function runClock(sim){
+  const phase = sim.phase;
+  while (sim.state === 'playing' && sim.phase === phase) sim.step({});
+}
+
+test.describe('match rules', () => {
+  test('normalizeRules fills in defaults and rejects invalid values', () => {
+    assert.deepEqual(normalizeRules(), DEFAULT_MATCH_RULES);
+    const r = normalizeRules({ winCondition: 'nope', drawResolution: 'coin-toss', scoreTarget: -2, matchLength: '120' });
+    assert.equal(r.winCondition, 'time');
+    assert.equal(r.drawResolution, 'draw');
+    assert.equal(r.scoreTarget, DEFAULT_MATCH_RULES.scoreTarget);
+    assert.equal(r.matchLength, 120);
+  });
+
+  test('the matchLength option is a shorthand that explicit rules override', () => {
+    assert.equal(new MatchSimulation({ matchLength: 30 }).rules.matchLength, 30);
+    assert.equal(new MatchSimulation({ matchLength: 30, rules: { matchLength: 60 } }).rules.matchLength, 60);
+  });
+
+  test('first to N ends the match on the target goal with the clock stopped', () => {
+    const sim = new MatchSimulation({ seed: 1, rules: { winCondition: 'score', scoreTarget: 2 } });
+    let ended = null;
+    sim.on('end', e => { ended = e; });
+    for (let i = 0; i < 200; i++) sim.step({});
+    assert.equal(sim.timeLeft, 90);
+
+    scoreGoal(sim, 'p2');
+    assert.equal(sim.state, 'playing');
+    scoreGoal(sim, 'p2');
+    assert.equal(sim.state, 'ended');
+    assert.deepEqual(ended, { score: { p1: 0, p2: 2 }, winner: 'p2', shootout: null });
+  });
+
+  test("'both' ends on whichever comes first", () => {
+    const byGoals = new MatchSimulation({ seed: 1, rules: { winCondition: 'both', scoreTarget: 1, matchLength: 2 } });
+    scoreGoal(byGoals, 'p1');
+    assert.equal(byGoals.state, 'ended');
+
+    const byTime = new MatchSimulation({ seed: 1, rules: { winCondition: 'both', scoreTarget: 1, matchLength: 2 } });
+    runClock(byTime);
+    assert.equal(byTime.state, 'ended');
+    assert.equal(byTime.tick, 121);
+  });
+
+  test('a level match ends as a draw by default', () => {
+    const sim = new MatchSimulation({ seed: 1, matchLength: 1 });
+    let ended = null;
+    sim.on('end', e => { ended = e; });
+    runClock(sim);
+    assert.equal(ended.winner, null);
+  });
+
+  test('golden goal keeps playing after time is up until someone scores', () => {
+    const sim = new MatchSimulation({ seed: 1, rules: { matchLength: 1, drawResolution: 'golden-goal' } });
+    const phases = [];
+    sim.on('overtime', e => phases.push(e.phase));
+    runClock(sim);
+    assert.equal(sim.state, 'playing');
+    assert.deepEqual(phases, ['golden-goal']);
+
+    for (let i = 0; i < 300; i++) sim.step({});
+    assert.equal(sim.state, 'playing');
+    scoreGoal(sim, 'p1');
+    assert.equal(sim.state, 'ended');
+  });
+
+  test('extra time that ends level goes to a shootout', () => {
+    const sim = new MatchSimulation({ seed: 1, rules: { matchLength: 1, drawResolution: 'extra-time', extraTime: 2 } });
+    const phases = [];
+    sim.on('overtime', e => phases.push(e.phase));
+    runClock(sim);
+    assert.equal(sim.phase, 'extra-time');
+    assert.equal(sim.timeLeft, 2);
+    runClock(sim);
+    assert.deepEqual(phases, ['extra-time', 'shootout']);
+  });
+
+  test('a goal in extra time does not end it early', () => {
+    const sim = new MatchSimulation({ seed: 1, rules: { matchLength: 1, drawResolution: 'extra-time', extraTime: 2 } });
+    runClock(sim);
+    scoreGoal(sim, 'p2');
+    assert.equal(sim.state, 'playing');
+    runClock(sim);
+    assert.equal(sim.state, 'ended');
+  });
+});
+
+test.describe('penalty shootout', () => {
+  /**
+   * Level match that goes straight to penalties
+   */
+  function shootoutSim(rules = {}){
+    const sim = new MatchSimulation({ seed: 1, rules: { matchLength: 1, drawResolution: 'shootout', ...rules } });
+    runClock(sim);
+    return sim;
+  }
+
+  /**
+   * Decide the current kick by putting the ball in (or beside) the target goal
+   */
+  function takePenalty(sim, scored){
+    const target = sim.shootout.shooter === 1 ? sim.width - 20 : 20;
+    placeBall(sim, scored ? target : sim.width / 2, sim.height - 80);
+    if (!scored) sim.simTime = sim.shootout.deadline;
+    sim.updateShootout();
+  }
+
+  test('clears power-ups and lines the shooter up behind the ball', () => {
+    const sim = shootoutSim();
+    assert.equal(sim.phase, 'shootout');
+    assert.deepEqual(sim.powerUps, []);
+    assert.equal(sim.shootout.shooter, 1);
+    assert.ok(sim.player1.x < sim.ball.x);
+    assert.ok(sim.player2.x > sim.width - sim.goals.right.w - 50);
+  });
+
+  test('an unanswered penalty times out as a miss', () => {
+    const sim = shootoutSim({ shootoutKickTime: 1 });
+    const kicks = [];
+    sim.on('penalty', e => kicks.push(e));
+    for (let i = 0; i < 62; i++) sim.step({});
+    assert.equal(kicks.length, 1);
+    assert.deepEqual(kicks[0], { shooter: 1, scored: false, tally: { p1: 0, p2: 0 } });
+    assert.equal(sim.shootout.shooter, 2);
+  });
+
+  test('ends as soon as one side cannot catch up', () => {
+    const sim = shootoutSim({ shootoutKicks: 3 });
+    let ended = null;
+    sim.on('end', e => { ended = e; });
+    // p1 scores twice, p2 misses twice: 2-0 with one kick each left
+    [true, false, true, false].forEach(s => takePenalty(sim, s));
+    assert.equal(sim.state, 'ended');
+    assert.deepEqual(ended, { score: { p1: 0, p2: 0 }, winner: 'p1', shootout: { p1: 2, p2: 0 } });
+  });
+
+  test('a shootout penalty is reported with the running tally', () => {
+    const sim = shootoutSim();
+    const kicks = [];
+    sim.on('penalty', e => kicks.push(e));
+    takePenalty(sim, true);
+    assert.deepEqual(kicks, [{ shooter: 1, scored: true, tally: { p1: 1, p2: 0 } }]);
+  });
+
+  test('goes to sudden death when level after the regular kicks', () => {
+    const sim = shootoutSim({ shootoutKicks: 1 });
+    takePenalty(sim, true);
+    takePenalty(sim, true);
+    assert.equal(sim.state, 'playing');
+    takePenalty(sim, false);
+    assert.equal(sim.state, 'playing');
+    takePenalty(sim, true);
+    assert.equal(sim.state, 'ended');
+    assert.equal(sim.shootoutWinner(), 'p2');
+  });
+});
+
+test.describe('classic rules', () => {
+  test('normalizeRules accepts the rule toggles from menu strings', () => {
+    const r = normalizeRules({ ownHalf: 'true', goalHanging: 'penalty', goalHangingTime: '5' });
+    assert.equal(r.ownHalf, true);
+    assert.equal(r.goalHanging, 'penalty');
+    assert.equal(r.goalHangingTime, 5);
+    const bad = normalizeRules({ ownHalf: 'yes', goalHanging: 'red-card', goalHangingTime: 0 });
+    assert.equal(bad.ownHalf, false);
+    assert.equal(bad.goalHanging, 'off');
+    assert.equal(bad.goalHangingTime, DEFAULT_MATCH_RULES.goalHangingTime);
+  });
+
+  test('own half keeps each slime on its side of the halfway line', () => {
+    const sim = new MatchSimulation({ mode: 'soccer', seed: 1, rules: { ownHalf: true } });
+    for (let i = 0; i < 200; i++) sim.step({ p1: { right: true }, p2: { left: true } });
+    assert.equal(sim.player1.x, sim.width / 2 - sim.player1.r);
+    assert.equal(sim.player2.x, sim.width / 2 + sim.player2.r);
+  });
+
+  test('without the rule slimes may cross the halfway line', () => {
+    const sim = new MatchSimulation({ mode: 'soccer', seed: 1 });
+    for (let i = 0; i < 200; i++) sim.step({ p1: { right: true } });
+    assert.ok(sim.player1.x > sim.width / 2);
+  });
+
+  test('hanging in your own goal gives away a goal', () => {
+    const sim = new MatchSimulation({ mode: 'soccer', seed: 1, rules: { goalHanging: 'goal', goalHangingTime: 1 } });
+    const events = [];
+    sim.on('hanging', e => events.push(e));
+    sim.on('goal', e => events.push(e));
+    for (let i = 0; i < 120 && !events.length; i++) sim.step({ p1: { left: true } });
+    assert.equal(sim.hanging.p1, 0);
+    assert.deepEqual(events, [{ player: 1, award: 'goal' }, { scorer: 'p2', score: { p1: 0, p2: 1 } }]);
+  });
+
+  test('leaving the goal in time resets the count', () => {
+    const sim = new MatchSimulation({ mode: 'soccer', seed: 1, rules: { goalHanging: 'goal', goalHangingTime: 1 } });
+    let hung = false;
+    sim.on('hanging', () => { hung = true; });
+    for (let i = 0; i < 50; i++) sim.step({ p1: { left: true } });
+    assert.ok(sim.hanging.p1 > 0);
+    for (let i = 0; i < 30; i++) sim.step({ p1: { right: true } });
+    assert.equal(sim.hanging.p1, 0);
+    assert.equal(hung, false);
+  });
+
+  test('hanging in your own goal can give away a penalty instead', () => {
+    const sim = new MatchSimulation({ mode: 'soccer', seed: 1, rules: { goalHanging: 'penalty', goalHangingTime: 1 } });
+    const kicks = [];
+    sim.on('penalty', e => kicks.push(e));
+    for (let i = 0; i < 120 && !sim.penalty; i++) sim.step({ p2: { right: true } });
+    assert.equal(sim.penalty?.shooter, 1);
+    assert.ok(sim.penalty.deadline > sim.simTime);
+    assert.ok(sim.player1.x < sim.ball.x, 'the shooter lines up behind the ball');
+
+    placeBall(sim, sim.width - 20, sim.height - 80);
+    sim.step({});
+    assert.deepEqual(kicks, [{ shooter: 1, scored: true, tally: null }]);
+    assert.equal(sim.penalty, null);
+    assert.deepEqual(sim.score, { p1: 1, p2: 0 });
+  });
+
+  test('a missed open-play penalty restarts from kickoff without a goal', () => {
+    const sim = new MatchSimulation({ mode: 'soccer', seed: 1, rules: { goalHanging: 'penalty', shootoutKickTime: 1 } });
+    sim.startPenalty(2);
+    const events = [];
+    sim.on('penalty', e => events.push(e));
+    sim.on('kickoff', () => events.push('kickoff'));
+    for (let i = 0; i < 61; i++) sim.step({});
+    assert.deepEqual(events, [{ shooter: 2, scored: false, tally: null }, 'kickoff']);
+    assert.deepEqual(sim.score, { p1: 0, p2: 0 });
+  });
+
+  test('the AI stays out of its own goal and half when the rules say so', () => {
+    const sim = new MatchSimulation({ seed: 1, rules: { ownHalf: true, goalHanging: 'goal' } });
+    const g = sim.goals.right;
+    assert.equal(sim.allowedAIX('p2', sim.width - 10), g.x - 10);
+    assert.equal(sim.allowedAIX('p2', 100), sim.width / 2 + sim.player2.r);
+  });
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MatchSimulation } = require('../simulation.js');
+const { MatchStats } = require('../stats.js');
+
+/**
+ * Fresh simulation with a stats collector attached
+ */
+function setup(config = {}){
+  const sim = new MatchSimulation({ seed: 1, ...config });
+  return { sim, stats: new MatchStats(sim) };
+}
+
+/**
+ * Drop the ball onto a slime's head so the next tick registers a touch
+ */
+function touch(sim, player){
+  const p = player === 1 ? sim.player1 : sim.player2;
+  Object.assign(sim.ball, { x: p.x, y: p.y - p.r - 5, vx: 0, vy: p.vy + 3 });
+  sim.step({});
+}
+
+test.describe('MatchStats', () => {
+  test('counts one touch per contact and records where it happened', () => {
+    const { sim, stats } = setup();
+    touch(sim, 1);
+    for (let i = 0; i < 3; i++) sim.step({});
+    assert.equal(stats.p1.touches, 1);
+    assert.equal(stats.p1.heat.length, 1);
+    assert.equal(stats.p2.touches, 0);
+  });
+
+  test('possession follows the last slime to touch the ball', () => {
+    const { sim, stats } = setup();
+    touch(sim, 1);
+    for (let i = 0; i < 29; i++) sim.step({});
+    touch(sim, 2);
+    for (let i = 0; i < 9; i++) sim.step({});
+    assert.equal(stats.p1.possession, 30);
+    assert.equal(stats.p2.possession, 10);
+    assert.deepEqual(stats.percent('possession'), { p1: 75, p2: 25 });
+  });
+
+  test('field halves split every tick between the two sides', () => {
+    const { sim, stats } = setup();
+    for (let i = 0; i < 50; i++) sim.step({});
+    assert.equal(stats.p1.ownHalf + stats.p2.ownHalf, stats.ticks);
+  });
+
+  test('a ball driven at goal is a shot, and a clearance by the keeper a save', () => {
+    const { sim, stats } = setup();
+    touch(sim, 1);
+    Object.assign(sim.ball, { x: sim.width - 200, y: sim.height - 80, vx: 8, vy: 0 });
+    sim.step({});
+    assert.equal(stats.p1.shots, 1);
+    assert.equal(stats.liveShot, 1);
+
+    touch(sim, 2);
+    assert.equal(stats.p2.saves, 1);
+    assert.equal(stats.liveShot, null);
+  });
+
+  test('a touch after the ball left the shot zone is not a save', () => {
+    const { sim, stats } = setup();
+    touch(sim, 1);
+    Object.assign(sim.ball, { x: sim.width - 200, y: sim.height - 80, vx: 8, vy: 0 });
+    sim.step({});
+    Object.assign(sim.ball, { x: sim.width / 2, vx: -8 });
+    sim.step({});
+    assert.equal(stats.liveShot, null);
+    touch(sim, 2);
+    assert.equal(stats.p2.saves, 0);
+  });
+
+  test('goals are timestamped and count as shots', () => {
+    const { sim, stats } = setup();
+    for (let i = 0; i < 125; i++) sim.step({});
+    sim.ball.lastTouchedBy = 2;
+    stats.shotTaken = false;
+    sim.score.p2++;
+    sim.onGoal('p2');
+    assert.equal(stats.p2.shots, 1);
+    assert.deepEqual(stats.goals, [{ player: 2, tick: 125, seconds: 2, phase: 'regulation' }]);
+  });
+
+  test('records jumps, power-ups and the longest combo', () => {
+    const { sim, stats } = setup();
+    sim.player1.onGround = true;
+    sim.step({ p1: { jump: true } });
+    sim.emit('power', { player: 2, type: 'speed', x: 0, y: 0 });
+    sim.combo.p1 = 4;
+    sim.emit('kick', { player: 1, x: 0, y: 0 });
+    assert.equal(stats.p1.jumps, 1);
+    assert.equal(stats.p2.powerUps, 1);
+    assert.equal(stats.p1.longestCombo, 4);
+  });
+
+  test('ignores the penalty shootout', () => {
+    const { sim, stats } = setup({ rules: { matchLength: 1, drawResolution: 'shootout' } });
+    while (sim.phase !== 'shootout') sim.step({});
+    const ticks = stats.ticks;
+    for (let i = 0; i < 30; i++) sim.step({});
+    assert.equal(stats.ticks, ticks);
+  });
+
+  test('summary leaves out the heatmap points', () => {
+    const { sim, stats } = setup();
+    touch(sim, 1);
+    const s = stats.summary();
+    assert.equal(s.p1.touches, 1);
+    assert.equal(s.p1.heat, undefined);
+    assert.ok(s.possession.p1 + s.possession.p2 === 100);
+  });
+
+  test('detach stops collecting', () => {
+    const { sim, stats } = setup();
+    stats.detach();
+    sim.step({});
+    assert.equal(stats.ticks, 0);
+  });
+});
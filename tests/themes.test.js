@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  registerTheme, unregisterTheme, getTheme, listThemes, DEFAULT_THEME, validateTheme, parseThemeJSON, exportThemeJSON
+} = require('../themes.js');
+
+test.describe('theme registry', () => {
+  test('every built-in theme is complete', () => {
+    assert.deepEqual(listThemes().map(t => t.id), ['stadium', 'beach', 'space', 'neon', 'retro']);
+    listThemes().forEach(t => {
+      assert.ok(t.sky.length >= 1, t.id);
+      assert.ok(t.field.color, `${t.id} field`);
+      ['post', 'bar', 'net'].forEach(k => assert.ok(t.goals[k], `${t.id} goals.${k}`));
+      ['kick', 'bounce', 'dust', 'power', 'trail'].forEach(k => assert.ok(t.particles[k], `${t.id} particles.${k}`));
+      assert.ok(t.slimes.p1 && t.slimes.p2 && t.ball.color, t.id);
+      assert.ok(t.layers.length > 0, `${t.id} has decorations`);
+    });
+  });
+
+  test('unknown ids fall back to the stadium theme', () => {
+    assert.equal(getTheme('nope').id, DEFAULT_THEME);
+    assert.equal(getTheme(undefined).id, DEFAULT_THEME);
+  });
+
+  test('a new theme only names what it changes', () => {
+    const night = registerTheme({ id: 'test-night', sky: ['#000'], slimes: { p2: '#fff' } });
+    const stadium = getTheme('stadium');
+    assert.equal(getTheme('test-night'), night);
+    assert.equal(night.name, 'test-night');
+    assert.equal(night.slimes.p1, stadium.slimes.p1);
+    assert.equal(night.slimes.p2, '#fff');
+    assert.deepEqual(night.lines, stadium.lines);
+    assert.deepEqual(night.layers, [], 'decorations are not inherited');
+
+    assert.equal(unregisterTheme('test-night'), true);
+    assert.equal(getTheme('test-night'), stadium);
+    assert.equal(unregisterTheme('stadium'), false);
+    assert.throws(() => registerTheme({ sky: ['#000'] }), /needs an id/);
+  });
+});
+
+test.describe('theme files', () => {
+  const arena = {
+    id: 'acme-arena',
+    name: 'ACME Arena',
+    sky: ['#002b5c', '#0a74da'],
+    field: { color: '#0b6623', stripes: null },
+    lines: { color: '#ffcc00', circle: false },
+    ambient: { colors: ['#ffcc00', '#fff'], count: 40, drift: [0.2, 1], size: 3 },
+    layers: [{ type: 'image', src: 'data:image/png;base64,iVBORw0KGgo=', y: 0.05, h: 0.2, alpha: 0.8 }]
+  };
+
+  test('reads a bare definition and an exported one', () => {
+    assert.deepEqual(parseThemeJSON(JSON.stringify(arena)), arena);
+    const exported = JSON.parse(exportThemeJSON('neon'));
+    assert.equal(exported.format, 'slime-theme');
+    exported.theme.id = 'neon-copy';
+    const copy = parseThemeJSON(JSON.stringify(exported));
+    assert.deepEqual(copy.layers, getTheme('neon').layers);
+    assert.deepEqual(copy.slimes, getTheme('neon').slimes);
+  });
+
+  test('names the field that is wrong', () => {
+    const bad = patch => () => validateTheme({ ...arena, ...patch });
+    assert.throws(() => parseThemeJSON('{ nope'), /not valid JSON/);
+    assert.throws(bad({ id: 'beach' }), /built-in/);
+    assert.throws(bad({ id: 'no spaces' }), /^Error: id must be/);
+    assert.throws(bad({ sky: ['#002b5c', 'javascript:1'] }), /sky\[1\] must be a color/);
+    assert.throws(bad({ field: { grass: '#0f0' } }), /Unknown field "field.grass"/);
+    assert.throws(bad({ page: 'url(https://example.com/x.png)' }), /page must be a CSS color or gradient/);
+    assert.throws(bad({ layers: [{ type: 'laser' }] }), /layers\[0\].type must be one of/);
+    assert.throws(bad({ layers: [{ type: 'stars', count: 10, color: '#fff', top: 0 }] }), /layers\[0\].bottom is missing/);
+    assert.throws(bad({ layers: [{ type: 'image', src: 'https://example.com/logo.png' }] }), /layers\[0\].src must be a PNG/);
+    assert.throws(bad({ ambient: { count: 5000 } }), /ambient.count must be a whole number/);
+  });
+});
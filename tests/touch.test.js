@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TouchControls, STICK_RADIUS } = require('../touch.js');
+
+test.describe('TouchControls', () => {
+  test('tracks each finger on its own', () => {
+    const t = new TouchControls();
+    t.press(1, 'p1', 'left');
+    t.press(2, 'p2', 'jump');
+    t.press(3, 'p1', 'left');
+    t.release(1);
+    const a = t.actions();
+    assert.equal(a.p1.left, true, 'the second finger still holds left');
+    assert.equal(a.p2.jump, true);
+    t.release(3);
+    assert.equal(t.actions().p1.left, false);
+  });
+
+  test('a finger sliding onto another button moves its press', () => {
+    const t = new TouchControls();
+    t.press(7, 'p1', 'left');
+    t.press(7, 'p1', 'right');
+    assert.deepEqual(t.actions().p1, { left: false, right: true, jump: false });
+  });
+
+  test('the joystick gives analog movement and jumps on an upward flick', () => {
+    const t = new TouchControls();
+    t.startStick(1, 'p2', 100, 100);
+    t.moveStick(1, 105, 100);
+    assert.equal(t.actions().p2.move, undefined, 'inside the dead zone');
+
+    const knob = t.moveStick(1, 100 + STICK_RADIUS * 3, 100);
+    assert.deepEqual(knob, { dx: STICK_RADIUS, dy: 0 });
+    assert.equal(t.actions().p2.move, 1);
+
+    t.moveStick(1, 100 - STICK_RADIUS * 0.575, 100 - STICK_RADIUS * 0.7);
+    const a = t.actions().p2;
+    assert.ok(a.left && a.move < 0 && a.move > -1);
+    assert.equal(a.jump, true);
+  });
+
+  test('releaseAll lets go of everything', () => {
+    const t = new TouchControls();
+    t.press(1, 'p1', 'jump');
+    t.startStick(2, 'p2', 0, 0);
+    t.releaseAll();
+    assert.deepEqual(t.actions(), {
+      p1: { left: false, right: false, jump: false },
+      p2: { left: false, right: false, jump: false }
+    });
+  });
+});
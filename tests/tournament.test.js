@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Tournament } = require('../tournament.js');
+const { setLanguage, DEFAULT_LANGUAGE } = require('../i18n.js');
+
+/**
+ * n entrants; the first `humans` are human, the rest AI at `level`
+ */
+function field(n, humans = 0, level = 'normal'){
+  return Array.from({ length: n }, (_, i) => i < humans ? { name: `H${i + 1}` } : { name: `AI${i + 1}`, ai: level });
+}
+
+test.describe('Tournament setup', () => {
+  test('rejects too few or too many entrants and unknown types', () => {
+    assert.throws(() => new Tournament({ entrants: field(3) }), /4 to 16 entrants/);
+    assert.throws(() => new Tournament({ entrants: field(17) }), /4 to 16 entrants/);
+    assert.throws(() => new Tournament({ type: 'swiss', entrants: field(4) }), /Unknown tournament type/);
+    assert.throws(() => new Tournament({ entrants: [...field(3), { name: 'X', ai: 'godlike' }] }), /Unknown AI level/);
+  });
+
+  test('fills in missing names', () => {
+    const t = new Tournament({ entrants: [{ name: ' ' }, { ai: 'easy' }, ...field(2)], seed: 1 });
+    assert.equal(t.entrant(0).name, 'Oyuncu 1');
+    assert.equal(t.entrant(1).name, 'AI 2');
+    setLanguage('en');
+    try {
+      assert.equal(new Tournament({ entrants: [{ name: '' }, ...field(3)], seed: 1 }).entrant(0).name, 'Player 1');
+    } finally {
+      setLanguage(DEFAULT_LANGUAGE);
+    }
+  });
+
+  test('the same seed draws the same bracket', () => {
+    const a = new Tournament({ entrants: field(8), seed: 5 });
+    const b = new Tournament({ entrants: field(8), seed: 5 });
+    assert.deepEqual(a.toJSON(), b.toJSON());
+  });
+});
+
+test.describe('knockout', () => {
+  test('pads the bracket with byes that never meet each other', () => {
+    const t = new Tournament({ entrants: field(5), seed: 2 });
+    const first = t.rounds[0];
+    assert.equal(first.length, 4);
+    const byes = first.filter(f => f.away === null);
+    assert.equal(byes.length, 3);
+    byes.forEach(f => {
+      assert.notEqual(f.home, null);
+      assert.equal(f.result.winner, f.home);
+    });
+  });
+
+  test('plays through to a single champion', () => {
+    const t = new Tournament({ entrants: field(6, 0), seed: 3 });
+    const played = t.simulateAIFixtures();
+    assert.ok(t.isFinished());
+    assert.equal(t.rounds.length, 3);
+    assert.equal(t.rounds[2].length, 1);
+    assert.ok(played.every(f => f.result.winner !== null));
+    assert.equal(t.champion(), t.entrant(t.rounds[2][0].result.winner));
+  });
+
+  test('a human result advances the winner and level matches need a winner', () => {
+    const t = new Tournament({ entrants: field(4, 4), seed: 4 });
+    const [a, b] = t.rounds[0];
+    assert.throws(() => t.recordResult(a.id, { score: { home: 1, away: 1 }, winner: null }), /needs a winner/);
+    t.recordResult(a.id, { score: { home: 1, away: 1 }, winner: 'away', shootout: { home: 2, away: 3 } });
+    assert.equal(t.rounds.length, 1);
+    t.recordResult(b.id, { score: { home: 3, away: 0 }, winner: 'home' });
+    assert.equal(t.rounds.length, 2);
+    assert.deepEqual([t.rounds[1][0].home, t.rounds[1][0].away], [a.away, b.home]);
+    assert.throws(() => t.recordResult(a.id, { score: { home: 0, away: 0 }, winner: 'home' }), /already has a result/);
+  });
+
+  test('knockout fixtures never end level', () => {
+    const t = new Tournament({ entrants: field(4, 2), settings: { rules: { drawResolution: 'draw' } }, seed: 1 });
+    assert.equal(t.fixtureRules().drawResolution, 'shootout');
+    const golden = new Tournament({ entrants: field(4, 2), settings: { rules: { drawResolution: 'golden-goal' } }, seed: 1 });
+    assert.equal(golden.fixtureRules().drawResolution, 'golden-goal');
+  });
+});
+
+test.describe('league', () => {
+  test('every pair meets exactly once', () => {
+    const t = new Tournament({ type: 'league', entrants: field(5), seed: 1 });
+    const pairs = t.fixtures().map(f => [f.home, f.away].sort().join('-'));
+    assert.equal(pairs.length, 10);
+    assert.equal(new Set(pairs).size, 10);
+    assert.equal(t.rounds.length, 5);
+  });
+
+  test('standings award 3 points for a win and 1 for a draw', () => {
+    const t = new Tournament({ type: 'league', entrants: field(4, 4), seed: 1 });
+    const [f1, f2] = t.rounds[0];
+    t.recordResult(f1.id, { score: { home: 2, away: 0 }, winner: 'home' });
+    t.recordResult(f2.id, { score: { home: 1, away: 1 }, winner: null });
+    const table = t.standings();
+    assert.equal(table[0].id, f1.home);
+    assert.deepEqual(
+      { played: table[0].played, won: table[0].won, gd: table[0].gd, points: table[0].points },
+      { played: 1, won: 1, gd: 2, points: 3 }
+    );
+    assert.equal(table.find(r => r.id === f2.home).points, 1);
+    assert.equal(table[3].id, f1.away);
+  });
+
+  test('stronger AI wins the league more often than not', () => {
+    let wins = 0;
+    for (let seed = 1; seed <= 20; seed++) {
+      const entrants = [{ name: 'Ace', ai: 'expert' }, ...field(3, 0, 'easy')];
+      const t = new Tournament({ type: 'league', entrants, seed });
+      t.simulateAIFixtures();
+      if (t.champion().name === 'Ace') wins++;
+    }
+    assert.ok(wins > 14, `expert won ${wins}/20`);
+  });
+});
+
+test.describe('matchSetup', () => {
+  test('the human takes the left slime against an AI', () => {
+    const t = new Tournament({ type: 'league', entrants: [{ name: 'Bot', ai: 'hard' }, { name: 'Me' }, ...field(2)], seed: 1 });
+    const f = t.fixtures().find(x => x.home === 0 && x.away === 1) || t.fixtures().find(x => x.home === 1 && x.away === 0);
+    const setup = t.matchSetup(f);
+    assert.equal(setup.mode, 'single');
+    assert.equal(setup.difficulty, 'hard');
+    assert.equal(setup.swap, f.home === 0);
+  });
+
+  test('two humans play a local two-player match', () => {
+    const t = new Tournament({ entrants: field(4, 4), seed: 1 });
+    assert.equal(t.matchSetup(t.rounds[0][0]).mode, 'soccer');
+  });
+});
+
+test.describe('saving', () => {
+  test('round-trips through JSON mid-tournament', () => {
+    const t = new Tournament({ entrants: field(8, 2), seed: 9 });
+    t.simulateAIFixtures();
+    const copy = Tournament.fromJSON(JSON.parse(JSON.stringify(t)));
+    assert.deepEqual(copy.toJSON(), t.toJSON());
+    assert.equal(copy.nextFixture().id, t.nextFixture().id);
+  });
+
+  test('rejects data that is not a tournament', () => {
+    assert.throws(() => Tournament.fromJSON({ format: 'slime-replay' }), /Not a Slime Soccer tournament/);
+    assert.throws(() => Tournament.fromJSON({ format: 'slime-tournament', version: 99 }), /Unsupported/);
+  });
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { clamp, lerp, createRng, normalizeSeed } = require('../simulation.js');
+
+test('clamp keeps values inside the range', () => {
+  assert.equal(clamp(5, 0, 10), 5);
+  assert.equal(clamp(-3, 0, 10), 0);
+  assert.equal(clamp(42, 0, 10), 10);
+});
+
+test('lerp interpolates linearly', () => {
+  assert.equal(lerp(0, 10, 0), 0);
+  assert.equal(lerp(0, 10, 1), 10);
+  assert.equal(lerp(0, 10, 0.25), 2.5);
+  assert.equal(lerp(10, 0, 0.5), 5);
+});
+
+test('createRng repeats the same sequence for the same seed', () => {
+  const a = createRng(1234);
+  const b = createRng(1234);
+  for (let i = 0; i < 100; i++) assert.equal(a.next(), b.next());
+});
+
+test('createRng produces different sequences for different seeds', () => {
+  const a = createRng(1);
+  const b = createRng(2);
+  const seqA = Array.from({ length: 5 }, () => a.next());
+  const seqB = Array.from({ length: 5 }, () => b.next());
+  assert.notDeepEqual(seqA, seqB);
+});
+
+test('createRng range stays within bounds', () => {
+  const rng = createRng(7);
+  for (let i = 0; i < 1000; i++) {
+    const v = rng.range(-4, 4);
+    assert.ok(v >= -4 && v < 4);
+  }
+});
+
+test('normalizeSeed accepts numbers and strings', () => {
+  assert.equal(normalizeSeed(42), 42);
+  assert.equal(normalizeSeed(-1), 4294967295);
+  assert.equal(normalizeSeed('office-cup'), normalizeSeed('office-cup'));
+  assert.notEqual(normalizeSeed('office-cup'), normalizeSeed('office-cup-2'));
+});
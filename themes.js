@@ -0,0 +1,365 @@
+/**
+ * ========================================
+ * SLIME SOCCER - THEMES
+ * Every visual theme as one data object
+ * ========================================
+ *
+ * A theme holds only colors and layer descriptions; game.js owns the one
+ * generic renderer that paints any of them. Adding a theme is one
+ * registerTheme() call: missing sections are filled in from the stadium
+ * theme, so a definition only has to name what it changes.
+ *
+ * Definition fields:
+ * - id         Unique id used by the menu, saved settings, replays and rooms
+ * - name       Menu label
+ * - page       CSS background of the page around the canvas
+ * - sky        Gradient stops of the sky, top to bottom
+ * - field      { color, stripes?, edge? } ground, mowing stripes, top edge
+ * - lines      { color, width, dash, halfway, circle } field markings
+ * - goals      { post, bar, net } goal frame and net colors
+ * - slimes     { p1, p2 } slime body colors
+ * - ball       { color, seam } ball body and seam
+ * - particles  { kick, bounce, dust, power, trail } effect colors
+ * - ambient    { colors, count, drift, size } particles floating over the
+ *              match (snow, confetti); drift is [x, y] px per tick, count 0 for none
+ * - layers     Decorations drawn between sky and field, back to front.
+ *              Each is { type, parallax, ...options }; parallax is how far
+ *              the layer drifts against the ball (0 stays put). Types:
+ *                stars  { count, color, top, bottom, size }
+ *                sun    { x, y, r, colors, bands? }
+ *                clouds { clouds: [[x, y, size]], color, pixel? }
+ *                crowd  { top, rows, stand, colors }
+ *                palms  { trees: [[x, height]], trunk, leaves }
+ *                grid   { color, horizon, rows, columns } perspective grid on the field
+ *                image  { src, x?, y?, w?, h?, alpha? } picture from a data URL
+ *              x/y/w/h are fractions of the field width and height.
+ *
+ * Themes can also be loaded from JSON files (parseThemeJSON): the file holds
+ * one definition, checked field by field by validateTheme, so a broken file
+ * is refused with a message naming the bad field instead of breaking the
+ * renderer. Imported themes may not replace the built-in ones.
+ */
+
+const THEME_REGISTRY = new Map();
+const DEFAULT_THEME = 'stadium';
+
+const THEME_EXPORT_FORMAT = 'slime-theme';
+const THEME_IMAGE_MAX = 1500000;      // Characters per image data URL (about 1 MB of image)
+const THEME_LAYER_MAX = 20;
+
+// Sections merged key by key over the stadium theme, with the kind of every field
+const THEME_SECTIONS = {
+  field: { color: 'color', stripes: 'color?', edge: 'color?' },
+  lines: { color: 'color', width: 'number', dash: 'numbers', halfway: 'boolean', circle: 'boolean' },
+  goals: { post: 'color', bar: 'color', net: 'color' },
+  slimes: { p1: 'color', p2: 'color' },
+  ball: { color: 'color', seam: 'color' },
+  particles: { kick: 'color', bounce: 'color', dust: 'color', power: 'color', trail: 'color' },
+  ambient: { colors: 'colors', count: 'count', drift: 'numbers', size: 'number' }
+};
+
+// Fields of every layer type besides type and parallax; '?' marks optional ones
+const THEME_LAYER_FIELDS = {
+  stars: { count: 'count', color: 'color', top: 'number', bottom: 'number', size: 'number?' },
+  sun: { x: 'number', y: 'number', r: 'number', colors: 'colors', bands: 'count?' },
+  clouds: { clouds: 'points', color: 'color', pixel: 'boolean?' },
+  crowd: { top: 'number', rows: 'count', stand: 'color', colors: 'colors', pixel: 'boolean?' },
+  palms: { trees: 'points', trunk: 'color', leaves: 'color' },
+  grid: { color: 'color', horizon: 'number', rows: 'count', columns: 'count' },
+  image: { src: 'image', x: 'number?', y: 'number?', w: 'number?', h: 'number?', alpha: 'number?' }
+};
+
+// Colors as canvas and CSS understand them: #hex, rgb()/hsl() or a color name
+const THEME_COLOR = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%+-]+\)|[a-z]{3,20})$/i;
+const THEME_IMAGE = /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+/**
+ * Add or replace a theme
+ * @param {Object} def - Theme definition (see above)
+ * @returns {Object} The stored theme with defaults filled in
+ * @throws {Error} When the definition has no id
+ */
+function registerTheme(def){
+  if (!def || typeof def.id !== 'string' || !def.id) {
+    throw new Error("Theme definition needs an id");
+  }
+  const base = THEME_REGISTRY.get(DEFAULT_THEME);
+  const full = { ...(base || {}), name: def.id, layers: [], ...def };
+  if (base) Object.keys(THEME_SECTIONS).forEach(key => { full[key] = { ...base[key], ...(def[key] || {}) }; });
+  THEME_REGISTRY.set(def.id, full);
+  return full;
+}
+
+/**
+ * Remove a theme; the stadium theme stays as everyone's fallback
+ * @param {string} id - Theme id
+ * @returns {boolean} true when it was removed
+ */
+function unregisterTheme(id){
+  return id !== DEFAULT_THEME && THEME_REGISTRY.delete(id);
+}
+
+/**
+ * @param {string} id - Theme id
+ * @returns {Object} The theme, or the stadium theme for an unknown id
+ */
+function getTheme(id){
+  return THEME_REGISTRY.get(id) || THEME_REGISTRY.get(DEFAULT_THEME);
+}
+
+/**
+ * @returns {Object[]} All themes in registration order
+ */
+function listThemes(){
+  return [...THEME_REGISTRY.values()];
+}
+
+/**
+ * @param {string} id - Theme id
+ * @returns {boolean} true for the themes that ship with the game
+ */
+function isBuiltInTheme(id){
+  return BUILT_IN_THEMES.has(id);
+}
+
+/**
+ * Check one value against its field kind
+ * @throws {Error} Naming the field when the value does not fit
+ */
+function checkThemeField(path, kind, value){
+  const optional = kind.endsWith('?');
+  const type = optional ? kind.slice(0, -1) : kind;
+  if (value === undefined || (value === null && optional)) {
+    if (optional) return;
+    throw new Error(`${path} is missing`);
+  }
+  const fail = what => { throw new Error(`${path} must be ${what}`); };
+  const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+  switch (type) {
+    case 'color':
+      if (typeof value !== 'string' || !THEME_COLOR.test(value.trim())) fail('a color like #1e88e5 or rgba(0,0,0,.5)');
+      break;
+    case 'colors':
+      if (!Array.isArray(value) || !value.length || value.length > 16) fail('a list of 1-16 colors');
+      value.forEach((c, i) => checkThemeField(`${path}[${i}]`, 'color', c));
+      break;
+    case 'number':
+      if (!isNumber(value)) fail('a number');
+      break;
+    case 'numbers':
+      if (!Array.isArray(value) || value.length > 16 || !value.every(isNumber)) fail('a list of numbers');
+      break;
+    case 'count':
+      if (!Number.isInteger(value) || value < 0 || value > 500) fail('a whole number from 0 to 500');
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('true or false');
+      break;
+    case 'points':
+      if (!Array.isArray(value) || value.length > 50 ||
+        !value.every(p => Array.isArray(p) && p.length >= 2 && p.length <= 3 && p.every(isNumber))) {
+        fail('a list of [x, y] number pairs');
+      }
+      break;
+    case 'image':
+      if (typeof value !== 'string' || !THEME_IMAGE.test(value)) fail('a PNG, JPEG, GIF or WebP data URL (data:image/png;base64,...)');
+      if (value.length > THEME_IMAGE_MAX) fail(`smaller than ${Math.round(THEME_IMAGE_MAX / 1000)} kB`);
+      break;
+  }
+}
+
+/**
+ * Check a theme definition from outside the game (an imported file) field
+ * by field
+ * @param {Object} def - Theme definition
+ * @returns {Object} A copy holding only the known fields
+ * @throws {Error} With a message naming the first bad field
+ */
+function validateTheme(def){
+  if (!def || typeof def !== 'object' || Array.isArray(def)) throw new Error("A theme must be a JSON object");
+  if (typeof def.id !== 'string' || !/^[a-z0-9_-]{1,32}$/i.test(def.id)) {
+    throw new Error("id must be 1-32 letters, digits, '-' or '_'");
+  }
+  if (isBuiltInTheme(def.id)) throw new Error(`id "${def.id}" belongs to a built-in theme`);
+  const known = ['id', 'name', 'page', 'sky', 'layers', ...Object.keys(THEME_SECTIONS)];
+  const unknown = Object.keys(def).find(k => !known.includes(k));
+  if (unknown) throw new Error(`Unknown field "${unknown}"`);
+
+  const out = { id: def.id };
+  if (def.name !== undefined) {
+    if (typeof def.name !== 'string' || !def.name.trim() || def.name.length > 30) throw new Error("name must be text of up to 30 characters");
+    out.name = def.name.trim();
+  }
+  if (def.page !== undefined) {
+    // A color or gradient only: no url(), and nothing that ends the declaration
+    if (typeof def.page !== 'string' || def.page.length > 500 || /url\(|[;{}]/i.test(def.page)) {
+      throw new Error("page must be a CSS color or gradient");
+    }
+    out.page = def.page;
+  }
+  if (def.sky !== undefined) {
+    checkThemeField('sky', 'colors', def.sky);
+    out.sky = [...def.sky];
+  }
+  Object.entries(THEME_SECTIONS).forEach(([section, fields]) => {
+    const value = def[section];
+    if (value === undefined) return;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error(`${section} must be an object`);
+    const extra = Object.keys(value).find(k => !(k in fields));
+    if (extra) throw new Error(`Unknown field "${section}.${extra}"`);
+    out[section] = {};
+    Object.keys(value).forEach(k => {
+      checkThemeField(`${section}.${k}`, fields[k], value[k]);
+      out[section][k] = value[k];
+    });
+  });
+  if (def.layers !== undefined) {
+    if (!Array.isArray(def.layers) || def.layers.length > THEME_LAYER_MAX) {
+      throw new Error(`layers must be a list of up to ${THEME_LAYER_MAX} layers`);
+    }
+    out.layers = def.layers.map((layer, i) => {
+      const path = `layers[${i}]`;
+      const fields = THEME_LAYER_FIELDS[layer?.type];
+      if (!fields) throw new Error(`${path}.type must be one of ${Object.keys(THEME_LAYER_FIELDS).join(', ')}`);
+      checkThemeField(`${path}.parallax`, 'number?', layer.parallax);
+      const extra = Object.keys(layer).find(k => k !== 'type' && k !== 'parallax' && !(k in fields));
+      if (extra) throw new Error(`Unknown field "${path}.${extra}"`);
+      Object.entries(fields).forEach(([k, kind]) => checkThemeField(`${path}.${k}`, kind, layer[k]));
+      return { ...layer };
+    });
+  }
+  return out;
+}
+
+/**
+ * Read a theme file: a bare definition or an exported one
+ * @param {string} text - File contents
+ * @returns {Object} Validated definition, not yet registered
+ * @throws {Error} When the file is not JSON or the theme is invalid
+ */
+function parseThemeJSON(text){
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Theme file is not valid JSON");
+  }
+  return validateTheme(data?.format === THEME_EXPORT_FORMAT ? data.theme : data);
+}
+
+/**
+ * A theme as a file for sharing or as a starting point for a new one
+ * @param {string} id - Theme id
+ * @returns {string} JSON text parseThemeJSON reads back
+ */
+function exportThemeJSON(id){
+  return JSON.stringify({ format: THEME_EXPORT_FORMAT, theme: getTheme(id) }, null, 2);
+}
+
+// The stadium theme is registered first: it is the fallback for every other
+registerTheme({
+  id: 'stadium',
+  name: 'Stadyum',
+  page: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+  sky: ['#6cb7e6', '#a9dcf5'],
+  field: { color: '#228B22', stripes: '#1f7d1f', edge: '#2e9e2e' },
+  lines: { color: '#fff', width: 3, dash: [10, 10], halfway: true, circle: true },
+  goals: { post: 'rgba(255,255,255,.8)', bar: '#fff', net: 'rgba(255,255,255,.35)' },
+  slimes: { p1: '#00e676', p2: '#ff5252' },
+  ball: { color: '#ff0', seam: 'rgba(0,0,0,.35)' },
+  particles: { kick: '#fff', bounce: '#ff0', dust: '#c8e6c9', power: '#ffd54f', trail: '#fff' },
+  ambient: { colors: ['#fff'], count: 0, drift: [0.3, 0.8], size: 2 },
+  layers: [
+    { type: 'crowd', parallax: 0.03, top: 0.42, rows: 4, stand: '#37474f',
+      colors: ['#ef5350', '#fff', '#42a5f5', '#ffee58', '#66bb6a', '#ab47bc'] }
+  ]
+});
+
+registerTheme({
+  id: 'beach',
+  name: 'Plaj',
+  page: 'linear-gradient(135deg, #FFDD95 0%, #00C2FF 100%)',
+  sky: ['#9be0ff', '#ffe29a'],
+  field: { color: '#f2d184', stripes: null, edge: '#ffe7a8' },
+  lines: { color: 'rgba(255,255,255,.85)', width: 3, dash: [6, 12] },
+  goals: { post: 'rgba(255,255,255,.9)', bar: '#fafafa', net: 'rgba(255,255,255,.45)' },
+  slimes: { p1: '#26c6da', p2: '#ff7043' },
+  ball: { color: '#fff176', seam: 'rgba(233,30,99,.55)' },
+  particles: { kick: '#fff', bounce: '#e6c27a', dust: '#e6c27a', power: '#ff4081', trail: '#fffde7' },
+  layers: [
+    { type: 'sun', parallax: 0.01, x: 0.78, y: 0.2, r: 46, colors: ['#fff59d', '#ffb74d'] },
+    { type: 'palms', parallax: 0.06, trees: [[0.17, 260], [0.3, 200], [0.7, 220], [0.86, 270]],
+      trunk: '#8d6e63', leaves: '#43a047' }
+  ]
+});
+
+registerTheme({
+  id: 'space',
+  name: 'Uzay',
+  page: 'radial-gradient(50% 50% at 50% 30%, #2a2a72 0%, #000 80%)',
+  sky: ['#05051a', '#1a1040'],
+  field: { color: '#123', stripes: null, edge: '#1e3a5a' },
+  lines: { color: 'rgba(125,249,255,.8)', width: 2, dash: [4, 8] },
+  goals: { post: 'rgba(125,249,255,.8)', bar: '#b2ebf2', net: 'rgba(125,249,255,.3)' },
+  slimes: { p1: '#76ff03', p2: '#e040fb' },
+  ball: { color: '#cfd8dc', seam: 'rgba(38,50,56,.5)' },
+  particles: { kick: '#7df9ff', bounce: '#b0bec5', dust: '#546e7a', power: '#ea80fc', trail: '#7df9ff' },
+  layers: [
+    { type: 'stars', parallax: 0.01, count: 60, color: '#fff', top: 0, bottom: 0.9, size: 1.5 },
+    { type: 'stars', parallax: 0.03, count: 25, color: '#b388ff', top: 0, bottom: 0.8, size: 2.5 },
+    { type: 'sun', parallax: 0.02, x: 0.2, y: 0.22, r: 34, colors: ['#90caf9', '#3949ab'], bands: 0 }
+  ]
+});
+
+registerTheme({
+  id: 'neon',
+  name: 'Neon',
+  page: 'linear-gradient(135deg, #FF006E 0%, #8338EC 50%, #3A86FF 100%)',
+  sky: ['#0d0221', '#261447', '#6b1466'],
+  field: { color: '#120024', stripes: null, edge: '#ff2bd6' },
+  lines: { color: '#00fff7', width: 2, dash: [14, 6] },
+  goals: { post: '#ff2bd6', bar: '#ff2bd6', net: 'rgba(0,255,247,.4)' },
+  slimes: { p1: '#39ff14', p2: '#ff073a' },
+  ball: { color: '#fffb00', seam: 'rgba(255,43,214,.7)' },
+  particles: { kick: '#00fff7', bounce: '#ff2bd6', dust: '#8338ec', power: '#fffb00', trail: '#ff2bd6' },
+  layers: [
+    { type: 'stars', parallax: 0.01, count: 30, color: '#ff9de2', top: 0, bottom: 0.5, size: 1.5 },
+    { type: 'sun', parallax: 0.02, x: 0.5, y: 0.62, r: 90, colors: ['#ffd319', '#ff2975'], bands: 5 },
+    { type: 'grid', parallax: 0.08, color: 'rgba(255,43,214,.55)', horizon: 0.62, rows: 8, columns: 16 }
+  ]
+});
+
+registerTheme({
+  id: 'retro',
+  name: 'Retro',
+  page: 'linear-gradient(45deg, #f06, #48f, #0f9, #ff0, #f60)',
+  sky: ['#5c94fc', '#5c94fc'],
+  field: { color: '#00a800', stripes: '#008800', edge: '#b8f818' },
+  lines: { color: '#fcfcfc', width: 4, dash: [8, 8] },
+  goals: { post: '#fcfcfc', bar: '#fcfcfc', net: 'rgba(252,252,252,.5)' },
+  slimes: { p1: '#f83800', p2: '#0058f8' },
+  ball: { color: '#fcfcfc', seam: 'rgba(0,0,0,.6)' },
+  particles: { kick: '#fcfcfc', bounce: '#fca044', dust: '#c84c0c', power: '#f8b800', trail: '#fcfcfc' },
+  layers: [
+    { type: 'clouds', parallax: 0.02, pixel: true, color: '#fcfcfc',
+      clouds: [[0.12, 0.16, 1.2], [0.45, 0.1, 1], [0.8, 0.2, 1.4]] },
+    { type: 'crowd', parallax: 0.05, top: 0.5, rows: 2, stand: '#c84c0c',
+      colors: ['#fcfcfc', '#f8b800', '#f83800', '#0058f8'], pixel: true }
+  ]
+});
+
+const BUILT_IN_THEMES = new Set(THEME_REGISTRY.keys());
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    registerTheme,
+    unregisterTheme,
+    getTheme,
+    listThemes,
+    isBuiltInTheme,
+    validateTheme,
+    parseThemeJSON,
+    exportThemeJSON,
+    DEFAULT_THEME
+  };
+}
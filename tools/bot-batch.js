@@ -0,0 +1,76 @@
+/**
+ * ========================================
+ * SLIME SOCCER - BOT BATCH RUNNER
+ * Plays many headless matches between two contenders and prints win rates
+ * ========================================
+ *
+ *   npm run bots -- <contender A> <contender B> [options]
+ *
+ * Contenders:
+ *   ai:<level>      the built-in AI (easy, normal, hard, expert)
+ *   chaser          the example bot from bots.js
+ *   path/to/bot.js  a file exporting a bot function, or { bot, name }
+ *
+ * Options:
+ *   --matches N     matches to play (default 1000)
+ *   --seed N        seed of the first match (default 1)
+ *   --gravity G     normal, low or high (default normal)
+ *   --length S      match length in seconds (default 90)
+ */
+
+const path = require('path');
+const { runBotBatch, chaseBot } = require('../bots.js');
+
+/**
+ * Turn a command-line contender into a controller
+ * @throws {Error} When a bot file does not export a function
+ */
+function loadContender(spec){
+  if (spec.startsWith('ai:')) return { type: 'ai', level: spec.slice(3) };
+  if (spec === 'chaser') return chaseBot;
+  const file = path.resolve(process.cwd(), spec);
+  const mod = require(file);
+  const bot = typeof mod === 'function' ? mod : mod?.bot;
+  if (typeof bot !== 'function') throw new Error(`${spec} does not export a bot function`);
+  return { type: 'bot', bot, name: mod.name || path.basename(spec, '.js') };
+}
+
+function parseArgs(argv){
+  const options = { matches: 1000, seed: 1, gravity: 'normal', length: 90, contenders: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) options[arg.slice(2)] = argv[++i];
+    else options.contenders.push(arg);
+  }
+  return options;
+}
+
+function main(){
+  const options = parseArgs(process.argv.slice(2));
+  if (options.contenders.length !== 2) {
+    console.error('Usage: npm run bots -- <contender A> <contender B> [--matches N] [--seed N] [--gravity G] [--length S]');
+    process.exit(1);
+  }
+  const [a, b] = options.contenders.map(loadContender);
+  const matches = Math.max(1, Math.floor(Number(options.matches)) || 1000);
+  const started = Date.now();
+
+  const result = runBotBatch({
+    a, b, matches,
+    seed: Math.floor(Number(options.seed)) || 1,
+    gravity: options.gravity,
+    rules: { matchLength: Math.floor(Number(options.length)) || 90 },
+    onMatch: i => {
+      if ((i + 1) % 100 === 0) process.stderr.write(`${i + 1}/${matches}\r`);
+    }
+  });
+
+  const pct = n => `${(n * 100).toFixed(1)}%`;
+  console.log(`${matches} matches in ${((Date.now() - started) / 1000).toFixed(1)} s, ${result.draws} draws`);
+  [result.a, result.b].forEach(t => {
+    console.log(`${t.name.padEnd(20)} ${String(t.wins).padStart(5)}W ${String(t.draws).padStart(5)}D ${String(t.losses).padStart(5)}L` +
+      `  goals ${t.goalsFor}:${t.goalsAgainst}  win rate ${pct(t.winRate)}${t.errors ? `  (${t.errors} bot errors)` : ''}`);
+  });
+}
+
+main();
@@ -0,0 +1,108 @@
+/**
+ * ========================================
+ * SLIME SOCCER - TOUCH CONTROLS
+ * Per-pointer tracking for on-screen buttons and virtual sticks
+ * ========================================
+ *
+ * Every active pointer (finger) is tracked on its own, so two players can
+ * hold buttons at the same time and lifting one finger never releases
+ * another finger's button. The shell feeds pointer events in; this module
+ * only keeps the state and turns it into per-player intents.
+ *
+ * Layouts:
+ *   'buttons'  - left/right/jump buttons per player
+ *   'joystick' - drag anywhere in a player's zone to move (analog), flick
+ *                upward to jump
+ */
+
+const TOUCH_LAYOUTS = ['buttons', 'joystick'];
+const STICK_RADIUS = 50;          // px of drag for full speed
+const STICK_DEADZONE = 0.15;      // Fraction of the radius ignored around the start point
+const STICK_JUMP = 0.6;           // Upward drag (fraction of the radius) that jumps
+
+const touchQuantize = typeof quantizeMove === 'function' ? quantizeMove : require('./gamepad.js').quantizeMove;
+
+class TouchControls {
+  constructor(){
+    this.pointers = new Map();    // pointerId -> { player, action } or { player, stick }
+  }
+
+  /**
+   * A finger is on a button (also used when it slides onto another one)
+   * @param {number} id - PointerEvent.pointerId
+   * @param {'p1'|'p2'} player
+   * @param {string} action - 'left', 'right' or 'jump'
+   */
+  press(id, player, action){
+    this.pointers.set(id, { player, action });
+  }
+
+  /**
+   * A finger went down in a joystick zone
+   */
+  startStick(id, player, x, y){
+    this.pointers.set(id, { player, stick: { x0: x, y0: y, dx: 0, dy: 0 } });
+  }
+
+  /**
+   * Follow a joystick finger
+   * @returns {?{dx:number, dy:number}} Offset clamped to the stick radius (for drawing the knob)
+   */
+  moveStick(id, x, y){
+    const p = this.pointers.get(id);
+    if (!p?.stick) return null;
+    let dx = x - p.stick.x0, dy = y - p.stick.y0;
+    const len = Math.hypot(dx, dy);
+    if (len > STICK_RADIUS) {
+      dx *= STICK_RADIUS / len;
+      dy *= STICK_RADIUS / len;
+    }
+    p.stick.dx = dx;
+    p.stick.dy = dy;
+    return { dx, dy };
+  }
+
+  /**
+   * A finger lifted, was cancelled or slid off its button
+   * @returns {?Object} What the pointer was holding
+   */
+  release(id){
+    const p = this.pointers.get(id) || null;
+    this.pointers.delete(id);
+    return p;
+  }
+
+  releaseAll(){
+    this.pointers.clear();
+  }
+
+  /**
+   * Intents from every finger, per player
+   * @returns {{p1:Object, p2:Object}} {left, right, jump, move?}
+   */
+  actions(){
+    const out = {
+      p1: { left: false, right: false, jump: false },
+      p2: { left: false, right: false, jump: false }
+    };
+    for (const p of this.pointers.values()) {
+      const a = out[p.player];
+      if (!a) continue;
+      if (!p.stick) {
+        a[p.action] = true;
+        continue;
+      }
+      const x = p.stick.dx / STICK_RADIUS;
+      if (Math.abs(x) > STICK_DEADZONE) {
+        const move = touchQuantize(Math.sign(x) * (Math.abs(x) - STICK_DEADZONE) / (1 - STICK_DEADZONE));
+        if (move) Object.assign(a, { move, left: move < 0, right: move > 0 });
+      }
+      if (-p.stick.dy / STICK_RADIUS > STICK_JUMP) a.jump = true;
+    }
+    return out;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TouchControls, TOUCH_LAYOUTS, STICK_RADIUS };
+}
@@ -0,0 +1,332 @@
+/**
+ * ========================================
+ * SLIME SOCCER - TOURNAMENTS
+ * Single-elimination brackets and round-robin leagues
+ * ========================================
+ *
+ * A tournament only tracks fixtures and results; the browser shell plays
+ * each human fixture through Game.start() and hands the 'end' result back.
+ * Fixtures between two AI slots are decided here with a seeded result
+ * model, so the same tournament seed always produces the same results.
+ *
+ * Saved format (JSON, localStorage):
+ *   {
+ *     format: 'slime-tournament', version: 1,
+ *     type: 'knockout' | 'league', seed,
+ *     entrants: [{ id, name, ai }],          // ai: null for humans, else a difficulty
+ *     settings: { gravity, theme, rules },
+ *     rounds: [[{ id, home, away, seed, result }]]
+ *   }
+ */
+
+const TOURNAMENT_FORMAT = 'slime-tournament';
+const TOURNAMENT_VERSION = 1;
+const TOURNAMENT_TYPES = ['knockout', 'league'];
+const TOURNAMENT_MIN_ENTRANTS = 4;
+const TOURNAMENT_MAX_ENTRANTS = 16;
+
+// Relative strength of each AI level in simulated fixtures
+const AI_STRENGTH = { easy: 1, normal: 1.6, hard: 2.4, expert: 3.2 };
+const SIMULATED_CHANCES = 8;           // Scoring chances per side in a simulated match
+
+// simulation.js is a global script in the browser and a module in Node
+const tournamentRng = typeof createRng === 'function' ? createRng : require('./simulation.js').createRng;
+// Names for entrants left blank come from i18n.js, likewise global or module
+const tournamentText = typeof t === 'function' ? t : require('./i18n.js').t;
+
+class Tournament {
+  /**
+   * @param {Object} options
+   * @param {'knockout'|'league'} [options.type] - Bracket or round-robin league
+   * @param {Array<{name:string, ai:?string}>} options.entrants - 4 to 16 entrants; ai is a difficulty or null
+   * @param {Object} [options.settings] - {gravity, theme, rules} shared by every match
+   * @param {number} [options.seed] - Seeds the draw and simulated results
+   * @throws {Error} On an unknown type, entrant count or AI level
+   */
+  constructor({ type = 'knockout', entrants = [], settings = {}, seed } = {}){
+    if (!TOURNAMENT_TYPES.includes(type)) throw new Error(`Unknown tournament type: ${type}`);
+    if (entrants.length < TOURNAMENT_MIN_ENTRANTS || entrants.length > TOURNAMENT_MAX_ENTRANTS) {
+      throw new Error(`A tournament needs ${TOURNAMENT_MIN_ENTRANTS} to ${TOURNAMENT_MAX_ENTRANTS} entrants`);
+    }
+    this.type = type;
+    this.entrants = entrants.map((e, id) => {
+      const ai = e.ai || null;
+      if (ai && !AI_STRENGTH[ai]) throw new Error(`Unknown AI level: ${ai}`);
+      const name = String(e.name || '').trim() || tournamentText(ai ? 'tournament.aiName' : 'player.name', { count: id + 1 });
+      return { id, name, ai };
+    });
+    this.settings = { ...settings };
+    const rng = tournamentRng(seed === undefined ? Date.now() : seed);
+    this.seed = rng.seed;
+    this.rounds = [];
+    this.nextId = 1;
+
+    if (type === 'league') {
+      this.rounds = this.leagueRounds(this.entrants.map(e => e.id), rng);
+    } else {
+      this.rounds = [this.firstKnockoutRound(rng)];
+    }
+  }
+
+  /**
+   * New fixture between two entrant ids (away null is a bye)
+   * @private
+   */
+  fixture(home, away, rng){
+    return { id: this.nextId++, home, away, seed: Math.floor(rng.next() * 0x7fffffff), result: null };
+  }
+
+  /**
+   * Random draw padded to a power of two. Byes go to the first entrants
+   * drawn, so two byes never meet.
+   * @private
+   */
+  firstKnockoutRound(rng){
+    const ids = this.entrants.map(e => e.id);
+    for (let i = ids.length - 1; i > 0; i--) {
+      const j = Math.floor(rng.next() * (i + 1));
+      [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+    let size = 2;
+    while (size < ids.length) size *= 2;
+    const slots = [...ids, ...Array(size - ids.length).fill(null)];
+    const round = [];
+    for (let i = 0; i < size / 2; i++) {
+      const f = this.fixture(slots[i], slots[size - 1 - i], rng);
+      if (f.away === null) f.result = { home: 0, away: 0, winner: f.home, shootout: null, bye: true };
+      round.push(f);
+    }
+    return round;
+  }
+
+  /**
+   * Every pair meets once (circle method); an odd field gets one bye per round
+   * @private
+   */
+  leagueRounds(ids, rng){
+    const ring = ids.length % 2 ? [...ids, null] : [...ids];
+    const n = ring.length;
+    const rounds = [];
+    for (let r = 0; r < n - 1; r++) {
+      const round = [];
+      for (let i = 0; i < n / 2; i++) {
+        const a = ring[i], b = ring[n - 1 - i];
+        if (a === null || b === null) continue;
+        // Alternate home and away so nobody is always the left slime
+        round.push(r % 2 ? this.fixture(b, a, rng) : this.fixture(a, b, rng));
+      }
+      rounds.push(round);
+      ring.splice(1, 0, ring.pop());
+    }
+    return rounds;
+  }
+
+  entrant(id){
+    return this.entrants[id] || null;
+  }
+
+  /**
+   * All fixtures in playing order
+   */
+  fixtures(){
+    return this.rounds.flat();
+  }
+
+  /**
+   * Next fixture without a result, or null when the tournament is over
+   */
+  nextFixture(){
+    return this.fixtures().find(f => !f.result) || null;
+  }
+
+  isAIFixture(fixture){
+    return !!(this.entrant(fixture.home).ai && this.entrant(fixture.away).ai);
+  }
+
+  /**
+   * How the browser should set up a fixture: humans always take the left
+   * slime when facing an AI, so home and away may be swapped
+   * @returns {{mode:string, difficulty:?string, swap:boolean, rules:Object, seed:number}}
+   */
+  matchSetup(fixture){
+    const home = this.entrant(fixture.home);
+    const away = this.entrant(fixture.away);
+    const swap = !!home.ai && !away.ai;
+    const ai = swap ? home.ai : away.ai;
+    return { mode: ai ? 'single' : 'soccer', difficulty: ai, swap, rules: this.fixtureRules(), seed: fixture.seed };
+  }
+
+  /**
+   * Match rules for every fixture; knockout matches cannot end level
+   */
+  fixtureRules(){
+    const rules = { ...(this.settings.rules || {}) };
+    if (this.type === 'knockout' && (!rules.drawResolution || rules.drawResolution === 'draw')) {
+      rules.drawResolution = 'shootout';
+    }
+    return rules;
+  }
+
+  /**
+   * Store the result of a fixture and set up the next knockout round when
+   * this one is complete
+   * @param {number} id - Fixture id
+   * @param {Object} result
+   * @param {{home:number, away:number}} result.score - Goals
+   * @param {'home'|'away'|null} result.winner - Side that won (null on a draw)
+   * @param {{home:number, away:number}} [result.shootout] - Penalty tally
+   * @throws {Error} On an unknown or finished fixture, or a knockout draw
+   */
+  recordResult(id, { score, winner, shootout = null }){
+    const f = this.fixtures().find(x => x.id === id);
+    if (!f) throw new Error(`Unknown fixture: ${id}`);
+    if (f.result) throw new Error(`Fixture ${id} already has a result`);
+    if (this.type === 'knockout' && !winner) throw new Error("A knockout match needs a winner");
+    f.result = {
+      home: score.home,
+      away: score.away,
+      winner: winner ? f[winner] : null,
+      shootout: shootout ? { home: shootout.home, away: shootout.away } : null
+    };
+    if (this.type === 'knockout') this.advanceKnockout();
+    return f.result;
+  }
+
+  /**
+   * Decide an AI-vs-AI fixture with the seeded result model: each side gets
+   * a fixed number of chances, converted in proportion to its strength
+   */
+  simulateFixture(fixture){
+    const rng = tournamentRng(fixture.seed);
+    const sh = AI_STRENGTH[this.entrant(fixture.home).ai];
+    const sa = AI_STRENGTH[this.entrant(fixture.away).ai];
+    const score = { home: 0, away: 0 };
+    for (let i = 0; i < SIMULATED_CHANCES; i++) {
+      if (rng.next() < 0.45 * sh / (sh + sa)) score.home++;
+      if (rng.next() < 0.45 * sa / (sh + sa)) score.away++;
+    }
+    let winner = score.home > score.away ? 'home' : score.away > score.home ? 'away' : null;
+    let shootout = null;
+    if (!winner && this.type === 'knockout') {
+      winner = rng.next() < sh / (sh + sa) ? 'home' : 'away';
+      const k = 2 + Math.floor(rng.next() * 3);
+      shootout = winner === 'home' ? { home: k + 1, away: k } : { home: k, away: k + 1 };
+    }
+    return this.recordResult(fixture.id, { score, winner, shootout });
+  }
+
+  /**
+   * Simulate AI-vs-AI fixtures up to the next one a human plays in
+   * @returns {Array<Object>} The fixtures that were simulated
+   */
+  simulateAIFixtures(){
+    const played = [];
+    let f;
+    while ((f = this.nextFixture()) && this.isAIFixture(f)) {
+      this.simulateFixture(f);
+      played.push(f);
+    }
+    return played;
+  }
+
+  /**
+   * Pair the winners of a finished round in bracket order
+   * @private
+   */
+  advanceKnockout(){
+    const last = this.rounds[this.rounds.length - 1];
+    if (last.length < 2 || last.some(f => !f.result)) return;
+    const rng = tournamentRng(last[last.length - 1].seed);
+    const round = [];
+    for (let i = 0; i < last.length; i += 2) {
+      round.push(this.fixture(last[i].result.winner, last[i + 1].result.winner, rng));
+    }
+    this.rounds.push(round);
+  }
+
+  isFinished(){
+    return this.nextFixture() === null;
+  }
+
+  /**
+   * Tournament winner once every fixture is played
+   * @returns {?Object} Entrant
+   */
+  champion(){
+    if (!this.isFinished()) return null;
+    if (this.type === 'knockout') return this.entrant(this.rounds[this.rounds.length - 1][0].result.winner);
+    return this.entrant(this.standings()[0].id);
+  }
+
+  /**
+   * League table: 3 points for a win, 1 for a draw; ties broken by goal
+   * difference, then goals scored
+   * @returns {Array<Object>} Rows {id, name, played, won, drawn, lost, gf, ga, gd, points}
+   */
+  standings(){
+    const rows = this.entrants.map(e => ({
+      id: e.id, name: e.name, played: 0, won: 0, drawn: 0, lost: 0, gf: 0, ga: 0, gd: 0, points: 0
+    }));
+    this.fixtures().forEach(f => {
+      if (!f.result || f.result.bye) return;
+      const h = rows[f.home], a = rows[f.away];
+      h.played++; a.played++;
+      h.gf += f.result.home; h.ga += f.result.away;
+      a.gf += f.result.away; a.ga += f.result.home;
+      if (f.result.winner === null) {
+        h.drawn++; a.drawn++;
+        h.points++; a.points++;
+      } else {
+        const [w, l] = f.result.winner === f.home ? [h, a] : [a, h];
+        w.won++; l.lost++;
+        w.points += 3;
+      }
+    });
+    rows.forEach(r => { r.gd = r.gf - r.ga; });
+    return rows.sort((x, y) => y.points - x.points || y.gd - x.gd || y.gf - x.gf || x.id - y.id);
+  }
+
+  toJSON(){
+    return {
+      format: TOURNAMENT_FORMAT,
+      version: TOURNAMENT_VERSION,
+      type: this.type,
+      seed: this.seed,
+      entrants: this.entrants,
+      settings: this.settings,
+      rounds: this.rounds,
+      nextId: this.nextId
+    };
+  }
+
+  /**
+   * Restore a saved tournament
+   * @param {Object} data - Output of toJSON()
+   * @returns {Tournament}
+   * @throws {Error} When the data is not a saved tournament
+   */
+  static fromJSON(data){
+    if (!data || data.format !== TOURNAMENT_FORMAT) throw new Error("Not a Slime Soccer tournament");
+    if (data.version > TOURNAMENT_VERSION) throw new Error(`Unsupported tournament version: ${data.version}`);
+    if (!TOURNAMENT_TYPES.includes(data.type) || !Array.isArray(data.entrants) || !Array.isArray(data.rounds)) {
+      throw new Error("Tournament data is incomplete");
+    }
+    const t = Object.create(Tournament.prototype);
+    t.type = data.type;
+    t.seed = data.seed;
+    t.entrants = data.entrants;
+    t.settings = data.settings || {};
+    t.rounds = data.rounds;
+    t.nextId = data.nextId || t.fixtures().reduce((m, f) => Math.max(m, f.id + 1), 1);
+    return t;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Tournament,
+    AI_STRENGTH,
+    TOURNAMENT_MIN_ENTRANTS,
+    TOURNAMENT_MAX_ENTRANTS
+  };
+}